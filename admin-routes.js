@@ -0,0 +1,125 @@
+// Admin Routes
+// Operator endpoints for the payout queue, wallet reconciliation, the
+// cluster's room registry and RPC proxy metrics. Every route requires the
+// x-admin-key header to match ADMIN_API_KEY; without that variable set the
+// admin API is disabled.
+
+import { config } from "./config.js";
+import {
+  listPayouts,
+  listStuckPayouts,
+  redrivePayout,
+} from "./payout-queue.js";
+import {
+  buildReconciliationReport,
+  reconciliationToCsv,
+} from "./reconciliation.js";
+import { getRoomRegistry } from "./room-registry.js";
+import { getRpcProxyMetrics } from "./rpc-proxy.js";
+
+function requireAdmin(req, res, next) {
+  const adminKey = config.adminApiKey;
+
+  if (!adminKey) {
+    return res
+      .status(503)
+      .json({ success: false, error: "Admin API is not configured" });
+  }
+
+  if (req.get("x-admin-key") !== adminKey) {
+    return res.status(401).json({ success: false, error: "Unauthorized" });
+  }
+
+  next();
+}
+
+export function setupAdminRoutes(app) {
+  console.log("🛠️ Setting up ADMIN routes...");
+
+  // List payout jobs, optionally filtered by status or game
+  app.get("/api/admin/payouts", requireAdmin, async (req, res) => {
+    try {
+      const { status, gameId } = req.query;
+      const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+      const payouts = await listPayouts({ status, gameId, limit });
+      res.json({ success: true, count: payouts.length, payouts });
+    } catch (error) {
+      console.error("❌ Failed to list payouts:", error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Payouts that failed for good, are retrying, or have been locked too long
+  app.get("/api/admin/payouts/stuck", requireAdmin, async (req, res) => {
+    try {
+      const payouts = await listStuckPayouts();
+      res.json({ success: true, count: payouts.length, payouts });
+    } catch (error) {
+      console.error("❌ Failed to list stuck payouts:", error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Platform wallet balance vs escrow, queued payouts and fees.
+  // ?format=csv returns the mismatch list as CSV.
+  app.get("/api/admin/reconciliation", requireAdmin, async (req, res) => {
+    try {
+      const report = await buildReconciliationReport();
+
+      if (req.query.format === "csv") {
+        res.type("text/csv");
+        res.attachment(`reconciliation-${Date.now()}.csv`);
+        return res.send(reconciliationToCsv(report));
+      }
+
+      res.json({ success: true, report });
+    } catch (error) {
+      console.error("❌ Reconciliation failed:", error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Live rooms and the instance that owns each one
+  app.get("/api/admin/rooms", requireAdmin, async (req, res) => {
+    try {
+      const registry = getRoomRegistry();
+      const rooms = await registry.listRooms();
+      res.json({ success: true, instanceId: registry.instanceId, rooms });
+    } catch (error) {
+      console.error("❌ Failed to list rooms:", error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // RPC proxy upstream health and per-method counters
+  app.get("/api/admin/rpc-proxy", requireAdmin, (req, res) => {
+    res.json({ success: true, ...getRpcProxyMetrics() });
+  });
+
+  // Reset a stuck payout's attempts and try it again now (or retry the
+  // escrow debit of a settled one)
+  app.post(
+    "/api/admin/payouts/:jobId/redrive",
+    requireAdmin,
+    async (req, res) => {
+      try {
+        const payout = await redrivePayout(req.params.jobId);
+        if (!payout) {
+          return res.status(404).json({
+            success: false,
+            error: "Payout not found or already paid",
+          });
+        }
+        res.json({
+          success:
+            ["paid", "skipped"].includes(payout.status) &&
+            !payout.ledgerPending,
+          payout,
+        });
+      } catch (error) {
+        console.error("❌ Failed to re-drive payout:", error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    }
+  );
+}
@@ -0,0 +1,49 @@
+// Auth Routes
+// Sign-in with Solana endpoints. POST /api/auth/nonce returns a message for
+// the wallet to sign; POST /api/auth/verify checks the signature and returns
+// the session token the Socket.IO handshake requires.
+
+import { issueNonce, verifySignIn, verifySessionToken } from "./wallet-auth.js";
+
+export function setupAuthRoutes(app) {
+  console.log("🔐 Setting up AUTH routes...");
+
+  // Issue a sign-in challenge for a wallet
+  app.post("/api/auth/nonce", async (req, res) => {
+    try {
+      const result = await issueNonce(req.body?.wallet);
+      res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+      console.error("❌ Failed to issue sign-in nonce:", error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Trade a signed challenge for a session token
+  app.post("/api/auth/verify", async (req, res) => {
+    try {
+      const { wallet, nonce, signature } = req.body || {};
+      const result = await verifySignIn({ wallet, nonce, signature });
+      res.status(result.success ? 200 : 401).json(result);
+    } catch (error) {
+      console.error("❌ Failed to verify sign-in:", error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Check a session token (Authorization: Bearer <token>)
+  app.get("/api/auth/session", (req, res) => {
+    const token = (req.get("authorization") || "").replace(/^Bearer /, "");
+    const session = verifySessionToken(token);
+
+    if (!session.valid) {
+      return res.status(401).json({ success: false, error: session.error });
+    }
+
+    res.json({
+      success: true,
+      wallet: session.wallet,
+      expiresAt: session.expiresAt,
+    });
+  });
+}
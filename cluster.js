@@ -0,0 +1,258 @@
+// Cluster
+// Runs the platform on several instances. Socket.IO's Redis adapter carries
+// broadcasts (io.to(room), io.to(socketId)) between instances, the room
+// registry (room-registry.js) records which instance owns each room, and
+// events for a room are routed to its owner. The owner runs its normal
+// socket handlers against a ForwardedSocket that stands in for the client's
+// socket on the other instance.
+//
+// Routing rule: a packet whose payload names a room (roomId or gameId) owned
+// by another instance is forwarded there, and the socket stays pinned to that
+// instance until it disconnects. Matchmaking joins (joinTicTacToe,
+// joinOrbGame) carry no room id: they go to an instance advertising a waiting
+// room with the same stake and currency (room-registry.js openRoom), and are
+// served locally when this instance has one or nobody does. Token takedown
+// and the real-wallet rooms are still matched per instance.
+//
+// Acknowledgements (socket-protocol.js replies) travel back through the
+// adapter: the owner answers the forward and the client's instance passes the
+// answer to the client's callback.
+//
+// Without REDIS_URL the server runs as a single instance with the in-memory
+// registry and nothing is forwarded.
+
+import { EventEmitter } from "events";
+import { config } from "./config.js";
+import { normalizeCurrency } from "./currency.js";
+import { ERROR_CODE } from "./socket-protocol.js";
+import {
+  createRedisRoomStore,
+  createRoomRegistry,
+  getRoomRegistry,
+  matchKey,
+  setRoomRegistry,
+  startOwnershipHeartbeat,
+} from "./room-registry.js";
+
+const FORWARD_EVENT = "cluster:forward";
+const DISCONNECT_EVENT = "cluster:disconnect";
+const FORWARD_ACK_TIMEOUT_MS = 10 * 1000;
+
+// Matchmaking events and the match key of the room they are looking for,
+// with the same defaults the join handlers in server.js apply
+const MATCHMAKING_EVENTS = {
+  joinTicTacToe: (payload) =>
+    matchKey(
+      "ticTacToe",
+      payload?.betAmount || 1,
+      normalizeCurrency(payload?.currency)
+    ),
+  joinOrbGame: (payload) =>
+    matchKey(
+      "orbCollector",
+      payload?.betAmount || 1,
+      normalizeCurrency(payload?.currency)
+    ),
+};
+
+// The owner's stand-in for a socket connected to another instance. emit()
+// reaches the client through the adapter; deliver() runs local handlers.
+class ForwardedSocket extends EventEmitter {
+  constructor(io, id, data, handshake) {
+    super();
+    this.io = io;
+    this.id = id;
+    this.data = data;
+    this.handshake = handshake;
+    this.forwarded = true;
+  }
+
+  emit(event, ...args) {
+    this.io.to(this.id).emit(event, ...args);
+    return true;
+  }
+
+  deliver(event, args) {
+    return super.emit(event, ...args);
+  }
+
+  join(room) {
+    this.io.in(this.id).socketsJoin(room);
+  }
+
+  leave(room) {
+    this.io.in(this.id).socketsLeave(room);
+  }
+
+  to(room) {
+    return this.io.to(room).except(this.id);
+  }
+
+  // Middleware runs on the client's own instance
+  use() {
+    return this;
+  }
+}
+
+async function connectRedis(io, redisUrl) {
+  // Loaded only when clustering is configured
+  const [{ createClient }, { createAdapter }] = await Promise.all([
+    import("redis"),
+    import("@socket.io/redis-adapter"),
+  ]);
+
+  const pubClient = createClient({ url: redisUrl });
+  const subClient = pubClient.duplicate();
+  pubClient.on("error", (error) => console.error("❌ Redis error:", error));
+  subClient.on("error", (error) => console.error("❌ Redis error:", error));
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+
+  io.adapter(createAdapter(pubClient, subClient));
+  setRoomRegistry(
+    createRoomRegistry({ store: createRedisRoomStore(pubClient) })
+  );
+}
+
+// Instance that should handle this packet, or null to handle it here
+async function resolvePacketOwner(socket, event, payload) {
+  const registry = getRoomRegistry();
+  const roomId = payload?.roomId || payload?.gameId;
+
+  if (roomId && !registry.ownsRoom(roomId)) {
+    const owner = await registry.getRoomOwner(roomId);
+    if (owner && owner !== registry.instanceId) {
+      return owner;
+    }
+  }
+
+  if (socket.data.ownerInstance) return socket.data.ownerInstance;
+
+  const toMatchKey = MATCHMAKING_EVENTS[event];
+  return toMatchKey ? registry.findOpenRoomOwner(toMatchKey(payload)) : null;
+}
+
+// Send a packet to its owner; every instance answers a forward that asks
+// for an acknowledgement, and only the owner's answer is non-null
+function forwardPacket(io, socket, owner, event, args) {
+  const ack = typeof args[args.length - 1] === "function" ? args.pop() : null;
+  const message = {
+    target: owner,
+    socketId: socket.id,
+    data: socket.data,
+    handshake: { auth: {}, address: socket.handshake.address },
+    event,
+    args,
+    wantsAck: Boolean(ack),
+  };
+
+  if (!ack) {
+    io.serverSideEmit(FORWARD_EVENT, message);
+    return;
+  }
+
+  io.timeout(FORWARD_ACK_TIMEOUT_MS).serverSideEmit(
+    FORWARD_EVENT,
+    message,
+    (error, responses = []) => {
+      const reply = responses.find(Boolean);
+      ack(
+        reply || {
+          ok: false,
+          error: {
+            code: ERROR_CODE.ROUTING_FAILED,
+            message: `Instance ${owner} did not answer ${event}`,
+          },
+        }
+      );
+    }
+  );
+}
+
+function routeSocket(io, socket) {
+  socket.use((packet, next) => {
+    const [event, payload] = packet;
+
+    resolvePacketOwner(socket, event, payload)
+      .then((owner) => {
+        if (!owner) return next();
+
+        socket.data.ownerInstance = owner;
+        forwardPacket(io, socket, owner, event, packet.slice(1));
+      })
+      .catch((error) => {
+        console.error(`❌ Failed to route ${event}:`, error);
+        next();
+      });
+  });
+
+  socket.on("disconnect", (reason) => {
+    if (socket.data.ownerInstance) {
+      io.serverSideEmit(DISCONNECT_EVENT, {
+        target: socket.data.ownerInstance,
+        socketId: socket.id,
+        reason,
+      });
+    }
+  });
+}
+
+function acceptForwardedEvents(io) {
+  const forwardedSockets = new Map();
+  const instanceId = () => getRoomRegistry().instanceId;
+
+  io.on(FORWARD_EVENT, (message, answer) => {
+    const { target, socketId, data, handshake, event, args, wantsAck } =
+      message;
+    if (target !== instanceId()) {
+      if (typeof answer === "function") answer(null);
+      return;
+    }
+
+    let socket = forwardedSockets.get(socketId);
+    if (!socket) {
+      // Give the stand-in the same handlers a local connection gets
+      socket = new ForwardedSocket(io, socketId, data, handshake);
+      forwardedSockets.set(socketId, socket);
+      io.sockets.listeners("connection").forEach((listener) =>
+        listener(socket)
+      );
+    }
+
+    socket.deliver(
+      event,
+      wantsAck && typeof answer === "function" ? [...args, answer] : args
+    );
+  });
+
+  io.on(DISCONNECT_EVENT, ({ target, socketId, reason }) => {
+    if (target !== instanceId()) return;
+
+    const socket = forwardedSockets.get(socketId);
+    if (socket) {
+      forwardedSockets.delete(socketId);
+      socket.deliver("disconnect", [reason]);
+    }
+  });
+}
+
+// Call once at startup, before the server starts listening
+export async function setupCluster(io, redisUrl = config.redisUrl) {
+  if (redisUrl) {
+    await connectRedis(io, redisUrl);
+    console.log(
+      `🧩 Cluster mode: instance ${getRoomRegistry().instanceId} (Redis adapter)`
+    );
+  } else {
+    console.log("🧩 Single instance mode: rooms registered in memory");
+  }
+
+  startOwnershipHeartbeat();
+  acceptForwardedEvents(io);
+  io.on("connection", (socket) => {
+    if (!socket.forwarded) routeSocket(io, socket);
+  });
+}
+
+export default {
+  setupCluster,
+};
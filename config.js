@@ -0,0 +1,351 @@
+// Config
+// Deployment settings, read once from the environment (and .env). Modules
+// import `config` instead of reading process.env, so every secret and
+// network URL has one source and one default.
+//
+// APP_PROFILE picks the defaults (NODE_ENV=production means mainnet,
+// anything else local):
+//
+//   local    mock payouts, local MongoDB, Gorbagana RPC for reads
+//   devnet   payouts with worthless devnet funds against the devnet RPC
+//   mainnet  real-money payouts on Gorbagana; secrets must all be set
+//
+// Any variable below overrides its profile default. assertConfig() runs at
+// startup and refuses to start with every problem listed at once, e.g. a
+// real-money payout mode without an explicit PLATFORM_PRIVATE_KEY.
+
+import dotenv from "dotenv";
+dotenv.config();
+
+import os from "os";
+import { PublicKey } from "@solana/web3.js";
+import bs58 from "bs58";
+
+const GORBAGANA_RPC_URL = "https://rpc.gorbagana.wtf/";
+const DEVNET_RPC_URL = "https://api.devnet.solana.com";
+
+export const PAYOUT_MODES = ["mock", "devnet", "real"];
+
+export const PROFILES = {
+  local: {
+    payoutMode: "mock",
+    rpcUrl: GORBAGANA_RPC_URL,
+    mongodbUri: "mongodb://127.0.0.1:27017/gorbagana",
+    requireSecrets: false,
+  },
+  devnet: {
+    payoutMode: "devnet",
+    rpcUrl: DEVNET_RPC_URL,
+    mongodbUri: null,
+    requireSecrets: false,
+  },
+  mainnet: {
+    payoutMode: "real",
+    rpcUrl: GORBAGANA_RPC_URL,
+    mongodbUri: null,
+    requireSecrets: true,
+  },
+};
+
+export class ConfigError extends Error {
+  constructor(profile, problems) {
+    super(
+      `Invalid configuration for the ${profile} profile:\n${problems
+        .map((problem) => `  - ${problem}`)
+        .join("\n")}`
+    );
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+// Parsed JSON object, or undefined if the value isn't one
+function jsonObject(value) {
+  if (!value) return {};
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === "object" ? parsed : undefined;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// true/false for a yes/no variable (unset is false), undefined if it is neither
+function flag(value) {
+  if (!value) return false;
+  const normalized = value.trim().toLowerCase();
+  if (["1", "true", "yes"].includes(normalized)) return true;
+  if (["0", "false", "no"].includes(normalized)) return false;
+  return undefined;
+}
+
+function list(value) {
+  return (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+// Payout mode from PAYOUT_MODE, then MOCK_MODE, then the profile
+function resolvePayoutMode(env, profile) {
+  if (env.PAYOUT_MODE) return env.PAYOUT_MODE;
+  if (env.MOCK_MODE) return "mock";
+  return profile?.payoutMode || "mock";
+}
+
+export function loadConfig(env = process.env) {
+  const profileName =
+    env.APP_PROFILE || (env.NODE_ENV === "production" ? "mainnet" : "local");
+  const profile = PROFILES[profileName];
+  const rpcUrl = env.GORBAGANA_RPC_URL || env.SOLANA_RPC_URL || profile?.rpcUrl;
+
+  return {
+    profile: profileName,
+    port: Number(env.PORT) || 3001,
+    mongodbUri: env.MONGODB_URI || profile?.mongodbUri || null,
+
+    // Network
+    rpcUrl,
+    devnetRpcUrl: env.DEVNET_RPC_URL || DEVNET_RPC_URL,
+    rpcProxyUpstreams: list(env.RPC_PROXY_UPSTREAMS).length
+      ? list(env.RPC_PROXY_UPSTREAMS)
+      : [rpcUrl],
+    ggorMint: env.GGOR_MINT || "71Jvq4Epe2FCJ7JFSF7jLXdNk1Wy4Bhqd8iL6bEFELvg",
+    gameVaultProgramId: env.GAME_VAULT_PROGRAM_ID || null,
+    redisUrl: env.REDIS_URL || null,
+    instanceId: env.INSTANCE_ID || `${os.hostname()}-${process.pid}`,
+    rpcProxyMethods: list(env.RPC_PROXY_METHODS), // Empty: rpc-proxy.js list
+
+    // HTTP and sockets
+    frontendUrl: env.FRONTEND_URL || "http://localhost:3000",
+    productionFrontendUrl:
+      env.PRODUCTION_FRONTEND_URL || "https://gorbagana-taupe.vercel.app",
+    trustProxy: flag(env.TRUST_PROXY), // Behind a load balancer
+    rateLimits: jsonObject(env.RATE_LIMITS), // Merged over rate-limiter.js
+    signInDomain: env.SIGN_IN_DOMAIN || "gorbagana.xyz",
+
+    // Orb collector simulation (orb-simulation.js), per second
+    orbTickRate: Number(env.ORB_TICK_RATE) || 20,
+    orbSnapshotRate: Number(env.ORB_SNAPSHOT_RATE) || 10,
+    orbSpawnWeights: jsonObject(env.ORB_SPAWN_WEIGHTS), // orb-power-ups.js
+
+    // Money and secrets
+    payoutMode: resolvePayoutMode(env, profile),
+    platformPrivateKey: env.PLATFORM_PRIVATE_KEY || null,
+    platformWalletAddress: env.PLATFORM_WALLET_ADDRESS || null,
+    sessionSecret: env.SESSION_SECRET || null,
+    adminApiKey: env.ADMIN_API_KEY || null,
+  };
+}
+
+// Platform key as secret key bytes; accepts a JSON byte array or base58
+export function parseSecretKey(value) {
+  const secretKey = value.trim().startsWith("[")
+    ? new Uint8Array(JSON.parse(value))
+    : bs58.decode(value.trim());
+  if (secretKey.length !== 64) {
+    throw new Error(`expected 64 bytes, got ${secretKey.length}`);
+  }
+  return secretKey;
+}
+
+function isUrl(value, protocols) {
+  try {
+    return protocols.includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Problems with RATE_LIMITS: { socket|http: { name: { capacity, ... } } }
+function rateLimitProblems(rateLimits) {
+  if (!rateLimits) {
+    return [
+      'RATE_LIMITS must be a JSON object, e.g. {"socket":{"playerMove":{"capacity":60}}}',
+    ];
+  }
+
+  const problems = [];
+  for (const [kind, limits] of Object.entries(rateLimits)) {
+    if (!["socket", "http"].includes(kind)) {
+      problems.push(`RATE_LIMITS.${kind} is unknown; use socket or http`);
+      continue;
+    }
+    for (const [name, limit] of Object.entries(limits || {})) {
+      for (const field of ["capacity", "refillPerSecond"]) {
+        const value = limit?.[field];
+        if (value !== undefined && !(typeof value === "number" && value > 0)) {
+          problems.push(
+            `RATE_LIMITS.${kind}.${name}.${field} must be a positive number`
+          );
+        }
+      }
+    }
+  }
+  return problems;
+}
+
+function isPublicKey(value) {
+  try {
+    new PublicKey(value);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Every problem with a loaded config (empty when it is usable)
+export function validateConfig(config) {
+  const problems = [];
+  const profile = PROFILES[config.profile];
+
+  if (!profile) {
+    problems.push(
+      `APP_PROFILE must be one of ${Object.keys(PROFILES).join(", ")} (got "${
+        config.profile
+      }")`
+    );
+  }
+
+  if (!config.mongodbUri) {
+    problems.push(`MONGODB_URI is required for the ${config.profile} profile`);
+  } else if (!/^mongodb(\+srv)?:\/\//.test(config.mongodbUri)) {
+    problems.push("MONGODB_URI must start with mongodb:// or mongodb+srv://");
+  }
+
+  const urls = [
+    ["GORBAGANA_RPC_URL", config.rpcUrl],
+    ["DEVNET_RPC_URL", config.devnetRpcUrl],
+    ["FRONTEND_URL", config.frontendUrl],
+    ["PRODUCTION_FRONTEND_URL", config.productionFrontendUrl],
+    ...config.rpcProxyUpstreams.map((url) => ["RPC_PROXY_UPSTREAMS", url]),
+  ];
+  for (const [name, url] of urls) {
+    if (!isUrl(url, ["http:", "https:"])) {
+      problems.push(`${name} must be an http(s) URL (got "${url}")`);
+    }
+  }
+  if (config.redisUrl && !isUrl(config.redisUrl, ["redis:", "rediss:"])) {
+    problems.push("REDIS_URL must be a redis:// or rediss:// URL");
+  }
+  // Every instance must verify the session tokens the others sign
+  if (config.redisUrl && !config.sessionSecret && !profile?.requireSecrets) {
+    problems.push("SESSION_SECRET is required when REDIS_URL is set");
+  }
+  if (!/^[\w.:-]+$/.test(config.instanceId)) {
+    problems.push("INSTANCE_ID may only hold letters, digits, and . _ : -");
+  }
+  if (!/^[a-z0-9.-]+(:\d+)?$/i.test(config.signInDomain)) {
+    problems.push(
+      `SIGN_IN_DOMAIN must be a host name without a scheme (got "${config.signInDomain}")`
+    );
+  }
+  if (config.trustProxy === undefined) {
+    problems.push("TRUST_PROXY must be true or false");
+  }
+  problems.push(...rateLimitProblems(config.rateLimits));
+  for (const method of config.rpcProxyMethods) {
+    if (!/^[A-Za-z]+$/.test(method)) {
+      problems.push(`RPC_PROXY_METHODS has an invalid method "${method}"`);
+    }
+  }
+
+  if (!isPublicKey(config.ggorMint)) {
+    problems.push("GGOR_MINT must be a base58 public key");
+  }
+  if (config.gameVaultProgramId && !isPublicKey(config.gameVaultProgramId)) {
+    problems.push("GAME_VAULT_PROGRAM_ID must be a base58 public key");
+  }
+  if (
+    config.platformWalletAddress &&
+    !isPublicKey(config.platformWalletAddress)
+  ) {
+    problems.push("PLATFORM_WALLET_ADDRESS must be a base58 public key");
+  }
+
+  if (!(config.orbTickRate > 0 && config.orbTickRate <= 60)) {
+    problems.push("ORB_TICK_RATE must be between 1 and 60");
+  }
+  if (
+    !(
+      config.orbSnapshotRate > 0 &&
+      config.orbSnapshotRate <= config.orbTickRate
+    )
+  ) {
+    problems.push(
+      "ORB_SNAPSHOT_RATE must be positive and at most ORB_TICK_RATE"
+    );
+  }
+
+  if (!config.orbSpawnWeights) {
+    problems.push(
+      'ORB_SPAWN_WEIGHTS must be a JSON object, e.g. {"hazard":0,"speed":40}'
+    );
+  }
+
+  if (!PAYOUT_MODES.includes(config.payoutMode)) {
+    problems.push(
+      `PAYOUT_MODE must be one of ${PAYOUT_MODES.join(", ")} (got "${
+        config.payoutMode
+      }")`
+    );
+  }
+
+  // Paying out moves money, so the key must be given, never defaulted
+  if (config.platformPrivateKey) {
+    try {
+      parseSecretKey(config.platformPrivateKey);
+    } catch (error) {
+      problems.push(
+        `PLATFORM_PRIVATE_KEY must be a JSON byte array or base58 secret key (${error.message})`
+      );
+    }
+  } else if (config.payoutMode !== "mock") {
+    problems.push(
+      `PLATFORM_PRIVATE_KEY is required for ${config.payoutMode} payouts; set it or use PAYOUT_MODE=mock`
+    );
+  }
+
+  if (profile?.requireSecrets) {
+    if (!config.sessionSecret) {
+      problems.push(
+        `SESSION_SECRET is required for the ${config.profile} profile`
+      );
+    }
+    if (config.payoutMode !== "real") {
+      problems.push(
+        `The ${config.profile} profile pays real money; PAYOUT_MODE=${config.payoutMode} is not allowed`
+      );
+    }
+  }
+
+  return problems;
+}
+
+export const config = Object.freeze(loadConfig());
+
+// Call first thing at startup; throws a ConfigError listing every problem
+export function assertConfig() {
+  const problems = validateConfig(config);
+  if (problems.length > 0) {
+    throw new ConfigError(config.profile, problems);
+  }
+
+  console.log(
+    `⚙️ Config profile ${config.profile}: ${config.payoutMode} payouts via ${
+      new URL(config.rpcUrl).host
+    }`
+  );
+  return config;
+}
+
+export default {
+  config,
+  PROFILES,
+  PAYOUT_MODES,
+  ConfigError,
+  loadConfig,
+  parseSecretKey,
+  validateConfig,
+  assertConfig,
+};
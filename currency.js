@@ -0,0 +1,57 @@
+// Room Currencies
+// A room is denominated either in native GOR (system transfers) or in the
+// gGOR SPL token (token transfers between associated token accounts). The
+// gGOR mint uses the same 9 decimals as native GOR, so money.js lamport math
+// applies to both; for gGOR a "lamport" is one token base unit.
+
+import { PublicKey } from "@solana/web3.js";
+import { getAssociatedTokenAddressSync } from "@solana/spl-token";
+import { config } from "./config.js";
+
+export const CURRENCY = {
+  GOR: "GOR",
+  GGOR: "gGOR",
+};
+
+export const GGOR_MINT = new PublicKey(config.ggorMint);
+
+// Currency for a room request; anything unknown falls back to native GOR
+export function normalizeCurrency(currency) {
+  return currency === CURRENCY.GGOR ? CURRENCY.GGOR : CURRENCY.GOR;
+}
+
+export function isSplCurrency(currency) {
+  return currency === CURRENCY.GGOR;
+}
+
+// Mint for an SPL currency, null for native GOR
+export function getCurrencyMint(currency) {
+  return isSplCurrency(currency) ? GGOR_MINT : null;
+}
+
+// Associated token account that holds `owner`'s balance of an SPL currency
+export function getTokenAccountAddress(currency, owner) {
+  return getAssociatedTokenAddressSync(
+    getCurrencyMint(currency),
+    new PublicKey(owner),
+    true
+  );
+}
+
+// Ledger and payout-job queries for one currency. Documents written before
+// currencies existed have no currency field and count as native GOR.
+export function currencyFilter(currency = CURRENCY.GOR) {
+  return currency === CURRENCY.GOR
+    ? { currency: { $in: [CURRENCY.GOR, null] } }
+    : { currency };
+}
+
+export default {
+  CURRENCY,
+  GGOR_MINT,
+  normalizeCurrency,
+  isSplCurrency,
+  getCurrencyMint,
+  getTokenAccountAddress,
+  currencyFilter,
+};
@@ -5,6 +5,9 @@ import {
   getMockBalanceForWallet,
   updateMockBalanceForWallet,
 } from "./smart-contract-integration.js";
+import { calculateBetPool, splitPrizePool, toLamports } from "./money.js";
+import { isDemoWallet } from "./wallet-auth.js";
+import { ERROR_CODE, SKIP, ProtocolError, onEvent } from "./socket-protocol.js";
 
 // Demo-only game classes
 class DemoTicTacToeRoom {
@@ -76,13 +79,12 @@ class DemoTicTacToeRoom {
   }
 
   calculateBetPool() {
-    const totalBets = this.players.reduce((sum, p) => sum + p.betAmount, 0);
-    const platformFee = totalBets * 0.1; // 10% fee
+    const pool = calculateBetPool(this.players.map((p) => p.betAmount));
 
     this.betPool = {
-      totalAmount: totalBets,
-      platformFee: platformFee,
-      winnerPayout: totalBets - platformFee,
+      totalAmount: pool.totalAmount,
+      platformFee: pool.platformFee,
+      winnerPayout: pool.prizePool,
     };
   }
 
@@ -308,8 +310,12 @@ class DemoTicTacToeRoom {
 
     if (this.winner === "draw") {
       // Split the pot between both players
-      const refundAmount = this.betPool.winnerPayout / 2;
-      for (const player of this.players) {
+      const refundAmounts = splitPrizePool(
+        toLamports(this.betPool.winnerPayout),
+        this.players.length
+      );
+      for (const [index, player] of this.players.entries()) {
+        const refundAmount = refundAmounts[index];
         try {
           await updateMockBalanceForWallet(player.wallet, refundAmount);
           console.log(
@@ -380,6 +386,23 @@ class DemoTicTacToeRoom {
 const demoTicTacToeRooms = new Map();
 const demoPlayerSockets = new Map();
 
+// The demo tic-tac-toe room of the player on this socket, if any
+function getDemoTicTacToeRoom(socket) {
+  const playerInfo = demoPlayerSockets.get(socket.id);
+  if (!playerInfo || playerInfo.roomType !== "demoTicTacToe") return null;
+  return demoTicTacToeRooms.get(playerInfo.currentRoom) || null;
+}
+
+// Emit state to all players with their individual perspective
+function broadcastDemoState(io, room) {
+  room.players.forEach((player) => {
+    io.to(player.socketId).emit(
+      "ticTacToeState",
+      room.getGameState(player.id)
+    );
+  });
+}
+
 // Setup demo routes
 export function setupDemoRoutes(app, io) {
   console.log("🎭 Setting up DEMO routes...");
@@ -389,13 +412,15 @@ export function setupDemoRoutes(app, io) {
     console.log(`🎭 Demo client connected: ${socket.id}`);
 
     // Demo Tic-Tac-Toe Events
-    socket.on("joinTicTacToe", async (data) => {
-      try {
+    onEvent(
+      socket,
+      "joinTicTacToe",
+      async (data) => {
         const { wallet, betAmount } = data;
 
         // Check if this is a demo request (look for demo wallet format)
-        if (!wallet.startsWith("demo_")) {
-          return; // Not a demo request, ignore
+        if (!isDemoWallet(wallet)) {
+          return SKIP; // Not a demo request, ignore
         }
 
         console.log(`🎭 Demo tic-tac-toe join:`, { wallet, betAmount });
@@ -421,139 +446,80 @@ export function setupDemoRoutes(app, io) {
           roomType: "demoTicTacToe",
         });
 
-        // Emit state to all players with their individual perspective
-        room.players.forEach((player) => {
-          io.to(player.socketId).emit(
-            "ticTacToeState",
-            room.getGameState(player.id)
-          );
-        });
-      } catch (error) {
-        console.error("❌ Demo tic-tac-toe join error:", error);
-        socket.emit("error", { message: error.message });
-      }
-    });
+        broadcastDemoState(io, room);
 
-    socket.on("confirmPayment", async (data) => {
-      try {
-        const playerInfo = demoPlayerSockets.get(socket.id);
-        if (!playerInfo || !playerInfo.wallet.startsWith("demo_")) return;
+        return {
+          roomId: room.roomId,
+          playerId: socket.id,
+          gameState: room.getGameState(socket.id),
+        };
+      },
+      { errorEvent: "error" }
+    );
 
-        const { txSignature, gameId, amount } = data;
-        console.log(`💰 Demo payment confirmation:`, {
-          txSignature,
-          gameId,
-          amount,
-        });
+    onEvent(socket, "confirmPayment", async (data) => {
+      const playerInfo = demoPlayerSockets.get(socket.id);
+      if (!playerInfo || !isDemoWallet(playerInfo.wallet)) return SKIP;
 
-        // Update demo balance
-        await updateMockBalanceForWallet(playerInfo.wallet, -amount);
-
-        // Confirm payment in appropriate room
-        if (playerInfo.roomType === "demoTicTacToe") {
-          const room = demoTicTacToeRooms.get(playerInfo.currentRoom);
-          if (room) {
-            room.confirmPayment(socket.id);
-            // Emit state to all players with their individual perspective
-            room.players.forEach((player) => {
-              io.to(player.socketId).emit(
-                "ticTacToeState",
-                room.getGameState(player.id)
-              );
-            });
-          }
-        }
-      } catch (error) {
-        console.error("❌ Demo payment confirmation error:", error);
-      }
+      const { txSignature, gameId, amount = 0 } = data;
+      console.log(`💰 Demo payment confirmation:`, {
+        txSignature,
+        gameId,
+        amount,
+      });
+
+      const room = demoTicTacToeRooms.get(playerInfo.currentRoom);
+      if (playerInfo.roomType !== "demoTicTacToe" || !room) return SKIP;
+
+      // Update demo balance
+      await updateMockBalanceForWallet(playerInfo.wallet, -amount);
+
+      // Confirm payment in the demo room
+      room.confirmPayment(socket.id);
+      broadcastDemoState(io, room);
+      return room.getGameState(socket.id);
     });
 
     // Demo Tic-Tac-Toe coin toss events
-    socket.on("ticTacToeCoinChoice", (data) => {
-      try {
-        const playerInfo = demoPlayerSockets.get(socket.id);
-        if (!playerInfo || playerInfo.roomType !== "demoTicTacToe") return;
-
-        const room = demoTicTacToeRooms.get(playerInfo.currentRoom);
-        if (room) {
-          room.handleCoinChoice(socket.id, data.choice);
-          // Emit state to all players with their individual perspective
-          room.players.forEach((player) => {
-            io.to(player.socketId).emit(
-              "ticTacToeState",
-              room.getGameState(player.id)
-            );
-          });
-        }
-      } catch (error) {
-        console.error("❌ Demo coin choice error:", error);
-      }
+    onEvent(socket, "ticTacToeCoinChoice", (data) => {
+      const room = getDemoTicTacToeRoom(socket);
+      if (!room) return SKIP;
+
+      room.handleCoinChoice(socket.id, data.choice);
+      broadcastDemoState(io, room);
+      return room.getGameState(socket.id);
     });
 
-    socket.on("ticTacToeLetOtherChoose", () => {
-      try {
-        const playerInfo = demoPlayerSockets.get(socket.id);
-        if (!playerInfo || playerInfo.roomType !== "demoTicTacToe") return;
-
-        const room = demoTicTacToeRooms.get(playerInfo.currentRoom);
-        if (room) {
-          room.letOtherChoose(socket.id);
-          // Emit state to all players with their individual perspective
-          room.players.forEach((player) => {
-            io.to(player.socketId).emit(
-              "ticTacToeState",
-              room.getGameState(player.id)
-            );
-          });
-        }
-      } catch (error) {
-        console.error("❌ Demo let other choose error:", error);
-      }
+    onEvent(socket, "ticTacToeLetOtherChoose", () => {
+      const room = getDemoTicTacToeRoom(socket);
+      if (!room) return SKIP;
+
+      room.letOtherChoose(socket.id);
+      broadcastDemoState(io, room);
+      return room.getGameState(socket.id);
     });
 
     // Demo Tic-Tac-Toe game moves
-    socket.on("ticTacToeMove", async (data) => {
-      try {
-        const playerInfo = demoPlayerSockets.get(socket.id);
-        if (!playerInfo || playerInfo.roomType !== "demoTicTacToe") return;
-
-        const room = demoTicTacToeRooms.get(playerInfo.currentRoom);
-        if (room) {
-          const gameState = await room.makeMove(socket.id, data.cellIndex);
-          if (gameState) {
-            // Emit state to all players with their individual perspective
-            room.players.forEach((player) => {
-              io.to(player.socketId).emit(
-                "ticTacToeState",
-                room.getGameState(player.id)
-              );
-            });
-          }
-        }
-      } catch (error) {
-        console.error("❌ Demo tic-tac-toe move error:", error);
+    onEvent(socket, "ticTacToeMove", async (data) => {
+      const room = getDemoTicTacToeRoom(socket);
+      if (!room) return SKIP;
+
+      const gameState = await room.makeMove(socket.id, data.cellIndex);
+      if (!gameState) {
+        throw new ProtocolError(ERROR_CODE.REJECTED, "Move not allowed");
       }
+
+      broadcastDemoState(io, room);
+      return room.getGameState(socket.id);
     });
 
-    socket.on("ticTacToeReset", () => {
-      try {
-        const playerInfo = demoPlayerSockets.get(socket.id);
-        if (!playerInfo || playerInfo.roomType !== "demoTicTacToe") return;
-
-        const room = demoTicTacToeRooms.get(playerInfo.currentRoom);
-        if (room) {
-          room.resetGame();
-          // Emit state to all players with their individual perspective
-          room.players.forEach((player) => {
-            io.to(player.socketId).emit(
-              "ticTacToeState",
-              room.getGameState(player.id)
-            );
-          });
-        }
-      } catch (error) {
-        console.error("❌ Demo tic-tac-toe reset error:", error);
-      }
+    onEvent(socket, "ticTacToeReset", () => {
+      const room = getDemoTicTacToeRoom(socket);
+      if (!room) return SKIP;
+
+      room.resetGame();
+      broadcastDemoState(io, room);
+      return room.getGameState(socket.id);
     });
 
     // Cleanup on disconnect
@@ -0,0 +1,392 @@
+// Escrow Ledger
+// Double-entry record of the GOR the platform holds for games. Every entry
+// fee, prize payout, refund and platform fee is written as a journal whose
+// legs sum to zero, so the balance of any room or wallet can be rebuilt from
+// MongoDB after a restart.
+//
+// Accounts:
+//   game:<gameId>   escrow held for a room (what the platform still owes it)
+//   wallet:<address> a player's wallet (positive = received more than paid)
+//   platform:fees   fees the platform has earned
+//
+// Each journal carries its room's currency (GOR or gGOR); balances that span
+// rooms are reported per currency.
+
+import { EscrowJournal } from "./models.js";
+import { toLamports, fromLamports } from "./money.js";
+import { CURRENCY, currencyFilter } from "./currency.js";
+
+export const PLATFORM_FEE_ACCOUNT = "platform:fees";
+
+// Summary field for each journal entry type
+const SUMMARY_FIELD = {
+  deposit: "deposits",
+  payout: "payouts",
+  refund: "refunds",
+  platform_fee: "platformFees",
+};
+
+export function gameAccount(gameId) {
+  return `game:${gameId}`;
+}
+
+export function walletAccount(walletAddress) {
+  return `wallet:${walletAddress}`;
+}
+
+async function postJournal({
+  gameId,
+  entryType,
+  walletAddress = null,
+  gameType = null,
+  currency = CURRENCY.GOR,
+  txSignature = null,
+  memo = null,
+  debit,
+  credit,
+  amount,
+}) {
+  const lamports = toLamports(amount);
+  if (lamports <= 0) {
+    throw new Error(`Invalid escrow amount for ${entryType}: ${amount}`);
+  }
+
+  const journal = await EscrowJournal.create({
+    gameId,
+    entryType,
+    walletAddress,
+    gameType,
+    currency,
+    txSignature,
+    memo,
+    legs: [
+      { account: debit, lamports: -lamports },
+      { account: credit, lamports },
+    ],
+  });
+
+  console.log(
+    `📒 Escrow ${entryType}: ${fromLamports(
+      lamports
+    )} ${currency} ${debit} → ${credit}`
+  );
+  return journal;
+}
+
+// Player paid an entry fee into a room
+export async function recordDeposit({
+  gameId,
+  walletAddress,
+  amount,
+  txSignature,
+  gameType = null,
+  currency = CURRENCY.GOR,
+}) {
+  return postJournal({
+    gameId,
+    entryType: "deposit",
+    walletAddress,
+    gameType,
+    currency,
+    txSignature,
+    debit: walletAccount(walletAddress),
+    credit: gameAccount(gameId),
+    amount,
+  });
+}
+
+// Prize paid out of a room's escrow
+export async function recordPayout({
+  gameId,
+  walletAddress,
+  amount,
+  txSignature = null,
+  gameType = null,
+  currency = CURRENCY.GOR,
+  memo = null,
+}) {
+  return postJournal({
+    gameId,
+    entryType: "payout",
+    walletAddress,
+    gameType,
+    currency,
+    txSignature,
+    memo,
+    debit: gameAccount(gameId),
+    credit: walletAccount(walletAddress),
+    amount,
+  });
+}
+
+// Entry fee returned to the player (timeouts, no-contest games)
+export async function recordRefund({
+  gameId,
+  walletAddress,
+  amount,
+  txSignature = null,
+  gameType = null,
+  currency = CURRENCY.GOR,
+  memo = null,
+}) {
+  return postJournal({
+    gameId,
+    entryType: "refund",
+    walletAddress,
+    gameType,
+    currency,
+    txSignature,
+    memo,
+    debit: gameAccount(gameId),
+    credit: walletAccount(walletAddress),
+    amount,
+  });
+}
+
+// Platform's cut of a settled room
+export async function recordPlatformFee({
+  gameId,
+  amount,
+  gameType = null,
+  currency = CURRENCY.GOR,
+}) {
+  if (!amount || amount <= 0) {
+    return null;
+  }
+
+  return postJournal({
+    gameId,
+    entryType: "platform_fee",
+    gameType,
+    currency,
+    debit: gameAccount(gameId),
+    credit: PLATFORM_FEE_ACCOUNT,
+    amount,
+  });
+}
+
+// Record a distributed prize as a payout, or as a refund when the prize is a
+// returned entry fee
+export async function recordPrizeDebit({
+  gameId,
+  walletAddress,
+  amount,
+  txSignature,
+  gameType = null,
+  currency = CURRENCY.GOR,
+  refund = false,
+  memo = null,
+}) {
+  const record = refund ? recordRefund : recordPayout;
+  return record({
+    gameId,
+    walletAddress,
+    amount,
+    txSignature,
+    gameType,
+    currency,
+    memo,
+  });
+}
+
+// Whether a journal with this memo was already posted (for retried writes)
+export async function hasJournalWithMemo(memo) {
+  return Boolean(await EscrowJournal.exists({ memo }));
+}
+
+async function accountBalanceLamports(account, match = {}) {
+  const [row] = await EscrowJournal.aggregate([
+    { $match: { "legs.account": account, ...match } },
+    { $unwind: "$legs" },
+    { $match: { "legs.account": account } },
+    { $group: { _id: null, lamports: { $sum: "$legs.lamports" } } },
+  ]);
+  return row ? row.lamports : 0;
+}
+
+// Amount still held in escrow for a room (in the room's currency)
+export async function getGameEscrowBalance(gameId) {
+  const lamports = await accountBalanceLamports(gameAccount(gameId));
+  return { gameId, lamports, amount: fromLamports(lamports) };
+}
+
+// Net flow for a wallet: negative while its entry fees are held in escrow
+export async function getWalletEscrowBalance(
+  walletAddress,
+  currency = CURRENCY.GOR
+) {
+  const lamports = await accountBalanceLamports(
+    walletAccount(walletAddress),
+    currencyFilter(currency)
+  );
+  return { walletAddress, currency, lamports, amount: fromLamports(lamports) };
+}
+
+export async function getPlatformFeeBalance(currency = CURRENCY.GOR) {
+  const lamports = await accountBalanceLamports(
+    PLATFORM_FEE_ACCOUNT,
+    currencyFilter(currency)
+  );
+  return { currency, lamports, amount: fromLamports(lamports) };
+}
+
+// What each player still has held in a room's escrow (entry fees paid in,
+// minus prizes and refunds paid back out), plus the room's open balance.
+// Used to settle rooms that end without a normal finish.
+export async function getGameHoldings(gameId) {
+  const [rows, [room]] = await Promise.all([
+    EscrowJournal.aggregate([
+      { $match: { gameId, walletAddress: { $ne: null } } },
+      { $unwind: "$legs" },
+      { $match: { "legs.account": gameAccount(gameId) } },
+      {
+        $group: {
+          _id: "$walletAddress",
+          lamports: { $sum: "$legs.lamports" },
+          refunds: {
+            $sum: { $cond: [{ $eq: ["$entryType", "refund"] }, 1, 0] },
+          },
+        },
+      },
+    ]),
+    EscrowJournal.aggregate([
+      { $match: { gameId } },
+      {
+        $group: {
+          _id: null,
+          currency: { $max: "$currency" },
+          gameType: { $max: "$gameType" },
+          lastEntryAt: { $max: "$createdAt" },
+        },
+      },
+    ]),
+  ]);
+
+  const { lamports: balanceLamports } = await getGameEscrowBalance(gameId);
+
+  return {
+    gameId,
+    currency: room?.currency || CURRENCY.GOR,
+    gameType: room?.gameType || null,
+    lastEntryAt: room?.lastEntryAt || null,
+    balanceLamports,
+    wallets: rows.map((row) => ({
+      walletAddress: row._id,
+      lamports: row.lamports,
+      refunds: row.refunds,
+    })),
+  };
+}
+
+// Totals per entry type plus the open balance for one room
+export async function getGameLedger(gameId) {
+  const totals = await EscrowJournal.aggregate([
+    { $match: { gameId } },
+    { $unwind: "$legs" },
+    { $match: { "legs.account": gameAccount(gameId) } },
+    {
+      $group: {
+        _id: "$entryType",
+        lamports: { $sum: { $abs: "$legs.lamports" } },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const summary = {
+    gameId,
+    deposits: 0,
+    payouts: 0,
+    refunds: 0,
+    platformFees: 0,
+    balance: 0,
+  };
+  totals.forEach((row) => {
+    summary[SUMMARY_FIELD[row._id]] = fromLamports(row.lamports);
+  });
+
+  summary.balance = (await getGameEscrowBalance(gameId)).amount;
+  return summary;
+}
+
+// Per-type totals and open balance for every room in the ledger, in lamports
+export async function getAllGameLedgers(currency = CURRENCY.GOR) {
+  const rows = await EscrowJournal.aggregate([
+    { $match: currencyFilter(currency) },
+    { $unwind: "$legs" },
+    { $match: { "legs.account": { $regex: /^game:/ } } },
+    {
+      $group: {
+        _id: { gameId: "$gameId", entryType: "$entryType" },
+        lamports: { $sum: "$legs.lamports" },
+        lastEntryAt: { $max: "$createdAt" },
+      },
+    },
+  ]);
+
+  const games = new Map();
+  rows.forEach((row) => {
+    const { gameId, entryType } = row._id;
+    if (!games.has(gameId)) {
+      games.set(gameId, {
+        gameId,
+        deposits: 0,
+        payouts: 0,
+        refunds: 0,
+        platformFees: 0,
+        balance: 0,
+        lastEntryAt: row.lastEntryAt,
+      });
+    }
+
+    const game = games.get(gameId);
+    game[SUMMARY_FIELD[entryType]] += Math.abs(row.lamports);
+    game.balance += row.lamports;
+    if (row.lastEntryAt > game.lastEntryAt) {
+      game.lastEntryAt = row.lastEntryAt;
+    }
+  });
+
+  return Array.from(games.values());
+}
+
+// Every room with funds still held in escrow, and the total the platform owes
+export async function getOpenEscrow(currency = CURRENCY.GOR) {
+  const rows = await EscrowJournal.aggregate([
+    { $match: currencyFilter(currency) },
+    { $unwind: "$legs" },
+    { $match: { "legs.account": { $regex: /^game:/ } } },
+    { $group: { _id: "$gameId", lamports: { $sum: "$legs.lamports" } } },
+    { $match: { lamports: { $ne: 0 } } },
+    { $sort: { lamports: -1 } },
+  ]);
+
+  const games = rows.map((row) => ({
+    gameId: row._id,
+    lamports: row.lamports,
+    amount: fromLamports(row.lamports),
+  }));
+  const totalLamports = games.reduce((sum, game) => sum + game.lamports, 0);
+
+  return {
+    currency,
+    games,
+    totalLamports,
+    totalAmount: fromLamports(totalLamports),
+  };
+}
+
+export default {
+  recordDeposit,
+  recordPayout,
+  recordRefund,
+  recordPlatformFee,
+  recordPrizeDebit,
+  getGameEscrowBalance,
+  getGameHoldings,
+  getWalletEscrowBalance,
+  getPlatformFeeBalance,
+  getGameLedger,
+  getAllGameLedgers,
+  getOpenEscrow,
+};
@@ -0,0 +1,69 @@
+// Fair RNG
+// Commit-reveal randomness that players can audit. The server draws a
+// secret seed, publishes its sha256 (the commitment) before using it, and
+// reveals the seed once the game is over; anyone can then check the seed
+// against the commitment and replay every draw.
+//
+// Draw n of a named stream is the first 6 bytes of
+// HMAC-SHA256(key = seed, message = `${stream}:${n}`), read as a fraction
+// of 2^48. Streams are independent, so one use of randomness can't shift
+// another's draws.
+//
+// Where players contribute seeds of their own (the tic-tac-toe coin toss),
+// the sha256 of each seed goes into the stream name, so neither the server
+// nor any one player picks the outcome alone. Hashing gives every seed the
+// same length, so no two seed lists make the same stream. A player who sends
+// no seed in time gets fallbackSeed(serverSeed, wallet): it is fixed by the
+// committed server seed, so the server can't choose it either.
+
+import crypto from "crypto";
+
+export function createSeed() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+export function commitSeed(seed) {
+  return crypto.createHash("sha256").update(seed).digest("hex");
+}
+
+export function verifySeed(seed, commitment) {
+  return commitSeed(seed) === commitment;
+}
+
+// Deterministic random() in [0, 1) for one stream of a seed
+export function createRng(seed, stream) {
+  let draws = 0;
+  return () => {
+    const digest = crypto
+      .createHmac("sha256", seed)
+      .update(`${stream}:${draws++}`)
+      .digest();
+    return digest.readUIntBE(0, 6) / 2 ** 48;
+  };
+}
+
+// Client seed for a player who sent none: HMAC-SHA256(key = server seed,
+// message = `clientSeed:${wallet}`) as hex
+export function fallbackSeed(serverSeed, wallet) {
+  return crypto
+    .createHmac("sha256", serverSeed)
+    .update(`clientSeed:${wallet}`)
+    .digest("hex");
+}
+
+// Coin toss from a server seed and the players' client seeds, in player
+// order: heads when the first draw of stream
+// `coinToss:<sha256(seed 1)>:<sha256(seed 2)>...` is below 0.5
+export function flipCoin(serverSeed, clientSeeds) {
+  const stream = `coinToss:${clientSeeds.map(commitSeed).join(":")}`;
+  return createRng(serverSeed, stream)() < 0.5 ? "heads" : "tails";
+}
+
+export default {
+  createSeed,
+  commitSeed,
+  verifySeed,
+  createRng,
+  fallbackSeed,
+  flipCoin,
+};
@@ -1,4 +1,3 @@
-import dotenv from "dotenv";
 import {
   Connection,
   PublicKey,
@@ -6,40 +5,33 @@ import {
   SystemProgram,
   Transaction,
 } from "@solana/web3.js";
-import bs58 from "bs58";
-
-// Load environment variables
-dotenv.config();
+import fs from "fs";
+import mongoose from "mongoose";
+import { config, parseSecretKey } from "./config.js";
+import { connectDB } from "./models.js";
+import { toLamports, fromLamports } from "./money.js";
+import {
+  buildReconciliationReport,
+  reconciliationToCsv,
+} from "./reconciliation.js";
 
 // Gorbagana Testnet configuration
-const RPC_URL =
-  process.env.NEXT_PUBLIC_RPC_URL ||
-  process.env.GORBAGANA_RPC_URL ||
-  "https://rpc.gorbagana.wtf/";
+const RPC_URL = config.rpcUrl;
 const connection = new Connection(RPC_URL, "confirmed");
 
 console.log(`🔗 Using RPC: ${RPC_URL}`);
 
 function initializePlatformWallet() {
-  const privateKeyString = process.env.PLATFORM_PRIVATE_KEY;
+  const privateKeyString = config.platformPrivateKey;
   if (!privateKeyString) {
     console.error("❌ PLATFORM_PRIVATE_KEY not found in environment variables");
     return null;
   }
 
   try {
-    let secretKey;
-
-    // Try JSON format first (array of numbers)
-    if (privateKeyString.startsWith("[")) {
-      const privateKeyBytes = JSON.parse(privateKeyString);
-      secretKey = new Uint8Array(privateKeyBytes);
-    } else {
-      // Try base58 format
-      secretKey = bs58.decode(privateKeyString);
-    }
-
-    const platformWallet = Keypair.fromSecretKey(secretKey);
+    const platformWallet = Keypair.fromSecretKey(
+      parseSecretKey(privateKeyString)
+    );
     console.log(
       `✅ Platform wallet loaded: ${platformWallet.publicKey.toBase58()}`
     );
@@ -61,7 +53,7 @@ async function checkPlatformBalance() {
 
   try {
     const balance = await connection.getBalance(platformWallet.publicKey);
-    const balanceGOR = balance / Math.pow(10, 9);
+    const balanceGOR = fromLamports(balance);
 
     console.log("\n🏦 PLATFORM WALLET STATUS");
     console.log("========================");
@@ -90,23 +82,16 @@ async function fundPlatformWallet(sourcePrivateKey, amount) {
 
   try {
     // Parse source wallet private key (handle both JSON and base58 formats)
-    let sourceSecretKey;
-    if (sourcePrivateKey.startsWith("[")) {
-      // JSON array format
-      const sourceKeyBytes = JSON.parse(sourcePrivateKey);
-      sourceSecretKey = new Uint8Array(sourceKeyBytes);
-    } else {
-      // Base58 format
-      sourceSecretKey = bs58.decode(sourcePrivateKey);
-    }
-    const sourceWallet = Keypair.fromSecretKey(sourceSecretKey);
+    const sourceWallet = Keypair.fromSecretKey(
+      parseSecretKey(sourcePrivateKey)
+    );
 
     console.log(`Source wallet: ${sourceWallet.publicKey.toBase58()}`);
     console.log(`Target wallet: ${platformWallet.publicKey.toBase58()}`);
 
     // Check source wallet balance
     const sourceBalance = await connection.getBalance(sourceWallet.publicKey);
-    const sourceBalanceGOR = sourceBalance / Math.pow(10, 9);
+    const sourceBalanceGOR = fromLamports(sourceBalance);
     console.log(`Source balance: ${sourceBalanceGOR.toFixed(6)} GOR`);
 
     if (sourceBalanceGOR < amount) {
@@ -120,7 +105,7 @@ async function fundPlatformWallet(sourcePrivateKey, amount) {
 
     // Create transfer transaction
     const transaction = new Transaction();
-    const transferAmount = amount * Math.pow(10, 9); // Convert GOR to lamports
+    const transferAmount = toLamports(amount);
 
     const transferInstruction = SystemProgram.transfer({
       fromPubkey: sourceWallet.publicKey,
@@ -164,7 +149,7 @@ async function fundPlatformWallet(sourcePrivateKey, amount) {
     // Check new balance
     await new Promise((resolve) => setTimeout(resolve, 2000)); // Wait 2 seconds
     const newBalance = await connection.getBalance(platformWallet.publicKey);
-    const newBalanceGOR = newBalance / Math.pow(10, 9);
+    const newBalanceGOR = fromLamports(newBalance);
     console.log(`💰 New platform balance: ${newBalanceGOR.toFixed(6)} GOR`);
 
     return true;
@@ -174,6 +159,44 @@ async function fundPlatformWallet(sourcePrivateKey, amount) {
   }
 }
 
+// Compare the chain balance with what the ledger says we owe
+async function reconcilePlatformWallet(format = "json", outFile = null) {
+  console.log("\n🧮 RECONCILING PLATFORM WALLET");
+  console.log("==============================");
+
+  await connectDB();
+
+  try {
+    const report = await buildReconciliationReport();
+    const output =
+      format === "csv"
+        ? reconciliationToCsv(report)
+        : JSON.stringify(report, null, 2);
+
+    console.log(`Chain balance:    ${report.chainBalance.amount} GOR`);
+    console.log(`Expected balance: ${report.expectedBalance.amount} GOR`);
+    console.log(`Difference:       ${report.difference.amount} GOR`);
+    console.log(`Status:           ${report.status}`);
+    console.log(`Mismatches:       ${report.mismatches.length}`);
+
+    if (outFile) {
+      fs.writeFileSync(outFile, output);
+      console.log(`📄 Report written to ${outFile}`);
+    } else {
+      console.log("");
+      console.log(output);
+    }
+
+    return report;
+  } catch (error) {
+    console.error("❌ Reconciliation failed:", error);
+    process.exitCode = 1;
+    return null;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
 // Command line interface
 const args = process.argv.slice(2);
 const command = args[0];
@@ -192,6 +215,9 @@ if (command === "balance") {
   } else {
     fundPlatformWallet(sourcePrivateKey, amount);
   }
+} else if (command === "reconcile") {
+  const format = args[1] === "csv" ? "csv" : "json";
+  await reconcilePlatformWallet(format, args[2] || null);
 } else {
   console.log("\n🏦 PLATFORM WALLET FUNDING TOOL");
   console.log("================================");
@@ -200,6 +226,7 @@ if (command === "balance") {
   console.log(
     "  node fund-platform-wallet.js fund <source_private_key> <amount>"
   );
+  console.log("  node fund-platform-wallet.js reconcile [json|csv] [out_file]");
   console.log("\nExample:");
   console.log("  node fund-platform-wallet.js fund '[1,2,3,...]' 5.0");
   console.log("");
@@ -0,0 +1,32 @@
+// Game PDA Seeds
+// Seed bytes that identify a room in the game-vault program's PDAs. Both the
+// game account and its vault are derived from the same seed.
+
+import crypto from "crypto";
+
+// sha256 of the room ID: 32 bytes, the maximum length of a single PDA seed
+export function gameIdSeed(gameId) {
+  return crypto.createHash("sha256").update(String(gameId), "utf8").digest();
+}
+
+// Seed used before the switch to sha256: a 32-bit string hash padded to
+// 8 bytes. Distinct room IDs collide easily; kept only so vaults created
+// with it stay addressable (see migrate-game-pdas.js).
+export function legacyGameIdSeed(gameId) {
+  const gameIdHash = gameId
+    .toString()
+    .split("")
+    .reduce((a, b) => {
+      a = (a << 5) - a + b.charCodeAt(0);
+      return a & a;
+    }, 0);
+
+  const gameIdBuffer = Buffer.allocUnsafe(8);
+  gameIdBuffer.writeBigUInt64LE(BigInt(Math.abs(gameIdHash)));
+  return gameIdBuffer;
+}
+
+export default {
+  gameIdSeed,
+  legacyGameIdSeed,
+};
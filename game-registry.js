@@ -0,0 +1,349 @@
+// Game Registry
+// Paid games built on GameRoom (game-room.js) are added by registering a
+// rules module here; the registry declares their socket events
+// (socket-protocol.js) and generates the handlers:
+//
+//   events.join            find or open a room and seat the player
+//   events.confirmPayment  confirm an entry fee (several games may share it)
+//   actions                game moves, e.g. { realTicTacToeMove: {...} }
+//
+// An action is { description, payload, run, resultEvent }: payload is the
+// JSON Schema of the move and run(room, playerId, data) returns a truthy
+// result when the move changed the room (it is the client's reply, and is
+// also sent to the room on resultEvent if set). Leaving (disconnect or an
+// expired held seat) goes through leaveGame(), which settles escrow through
+// the refund policy.
+
+import { normalizeCurrency } from "./currency.js";
+import { settleRoom, ROOM_SITUATION } from "./refund-policy.js";
+import { getSocketWallet, isPracticeWallet } from "./wallet-auth.js";
+import { RoomMap } from "./room-registry.js";
+import { ROOM_PHASE } from "./game-room.js";
+import {
+  ERROR_CODE,
+  SKIP,
+  ProtocolError,
+  defineEvent,
+  isEventDefined,
+  objectSchema,
+  onEvent,
+  paymentAwareErrorEvent,
+} from "./socket-protocol.js";
+import { SCHEMA } from "./socket-events.js";
+
+const games = new Map(); // type → registered game
+
+function defineGameEvents({ name, events, actions, joinFields }, options) {
+  const { walletField, payOnJoin } = options;
+
+  defineEvent(events.join, {
+    description: `Join or open a ${name} room`,
+    payload: objectSchema(
+      {
+        [walletField]: SCHEMA.WALLET,
+        betAmount: SCHEMA.AMOUNT,
+        currency: SCHEMA.CURRENCY,
+        txSignature: SCHEMA.TX_SIGNATURE,
+        ...joinFields,
+      },
+      payOnJoin ? [walletField, "txSignature"] : [walletField]
+    ),
+    reply: SCHEMA.ROOM_JOINED,
+  });
+
+  // Shared between games, so declared by the first one
+  if (events.confirmPayment && !isEventDefined(events.confirmPayment)) {
+    defineEvent(events.confirmPayment, {
+      description: "Confirm a real wallet entry fee transfer",
+      payload: objectSchema(
+        { txSignature: SCHEMA.TX_SIGNATURE, gameId: SCHEMA.ID },
+        ["txSignature"]
+      ),
+      reply: SCHEMA.GAME_STATE,
+    });
+  }
+
+  for (const [event, action] of Object.entries(actions)) {
+    defineEvent(event, {
+      description: action.description,
+      payload: action.payload,
+      reply: action.reply || SCHEMA.GAME_STATE,
+    });
+  }
+}
+
+// Register a game. type is the room type used in socket records and the room
+// registry; RoomClass extends GameRoom and takes (roomId, options).
+//   name         for event descriptions, e.g. "tic-tac-toe"
+//   joinFields   extra join payload properties (JSON Schemas)
+//   walletField  join payload field holding the player's wallet
+//   payOnJoin    the join payload carries the entry fee txSignature
+//   closeOnLeave the room can't go on once anyone leaves (head-to-head)
+export function registerGame({
+  type,
+  name = type,
+  RoomClass,
+  roomIdPrefix,
+  events,
+  actions = {},
+  joinFields = {},
+  walletField = "wallet",
+  payOnJoin = false,
+  closeOnLeave = false,
+}) {
+  if (games.has(type)) {
+    throw new Error(`Game ${type} is already registered`);
+  }
+
+  defineGameEvents(
+    { name, events, actions, joinFields },
+    { walletField, payOnJoin }
+  );
+
+  const game = {
+    type,
+    RoomClass,
+    roomIdPrefix: roomIdPrefix || type,
+    events,
+    actions,
+    walletField,
+    payOnJoin,
+    closeOnLeave,
+    rooms: new RoomMap(type),
+  };
+  games.set(type, game);
+  return game;
+}
+
+export function getGame(type) {
+  return games.get(type) || null;
+}
+
+export function listGames() {
+  return Array.from(games.values());
+}
+
+function findOrCreateRoom(game, io, { betAmount, currency }) {
+  const open = Array.from(game.rooms.values()).find(
+    (room) =>
+      room.isJoinable() &&
+      room.currency === currency &&
+      room.betAmount === betAmount
+  );
+  if (open) return open;
+
+  const roomId = `${game.roomIdPrefix}_${Date.now()}`;
+  const room = new game.RoomClass(roomId, {
+    betAmount,
+    currency,
+    io,
+    stateEvent: game.events.state,
+  });
+  game.rooms.set(roomId, room);
+  return room;
+}
+
+function handleJoin(io, socket, playerSockets, game) {
+  onEvent(
+    socket,
+    game.events.join,
+    async (data) => {
+      const { txSignature } = data;
+      const betAmount = data.betAmount || 1;
+      const currency = normalizeCurrency(data.currency);
+
+      // Practice wallets never pay, so they have no place in a paid room
+      if (isPracticeWallet(data[game.walletField])) return SKIP;
+      const wallet = getSocketWallet(socket, data[game.walletField]);
+
+      console.log(`🔗 ${game.type} join:`, { wallet, betAmount });
+
+      const room = findOrCreateRoom(game, io, { betAmount, currency });
+      await room.addPlayer(socket.id, socket.id, wallet, {
+        ...data,
+        betAmount,
+      });
+      socket.join(room.roomId);
+
+      playerSockets.set(socket.id, {
+        playerId: socket.id,
+        wallet,
+        currentRoom: room.roomId,
+        roomType: game.type,
+      });
+
+      if (game.payOnJoin) {
+        // Entry fee must verify before the player counts as seated
+        const result = await room.confirmPayment(socket.id, txSignature);
+        if (!result.success) {
+          room.removePlayer(socket.id);
+          socket.leave(room.roomId);
+          playerSockets.delete(socket.id);
+          if (room.players.length === 0) {
+            room.cleanup();
+            game.rooms.delete(room.roomId);
+          }
+          throw new ProtocolError(ERROR_CODE.PAYMENT_FAILED, result.error, {
+            reason: result.reason,
+          });
+        }
+      }
+
+      room.broadcastState();
+      return {
+        roomId: room.roomId,
+        playerId: socket.id,
+        gameState: room.getGameState(socket.id),
+      };
+    },
+    { errorEvent: paymentAwareErrorEvent(socket) }
+  );
+}
+
+// Games that share a confirmPayment event are told apart by the player's room
+function handleConfirmPayment(socket, playerSockets, event) {
+  onEvent(
+    socket,
+    event,
+    async ({ txSignature }) => {
+      const playerInfo = playerSockets.get(socket.id);
+      if (!playerInfo || isPracticeWallet(playerInfo.wallet)) return SKIP;
+
+      const game = getGame(playerInfo.roomType);
+      const room = game?.rooms.get(playerInfo.currentRoom);
+      if (game?.events.confirmPayment !== event || !room) return SKIP;
+
+      console.log(`💰 ${game.type} payment confirmation:`, {
+        txSignature,
+        roomId: room.roomId,
+      });
+
+      const result = await room.confirmPayment(
+        playerInfo.playerId,
+        txSignature
+      );
+      if (!result.success) {
+        throw new ProtocolError(ERROR_CODE.PAYMENT_FAILED, result.error, {
+          reason: result.reason,
+        });
+      }
+
+      room.broadcastState();
+      return room.getGameState(playerInfo.playerId);
+    },
+    { errorEvent: (error) => socket.emit("paymentError", error.message) }
+  );
+}
+
+function handleAction(socket, playerSockets, game, event, action) {
+  onEvent(socket, event, (data) => {
+    const playerInfo = playerSockets.get(socket.id);
+    const room =
+      playerInfo?.roomType === game.type &&
+      game.rooms.get(playerInfo.currentRoom);
+    if (!room) return SKIP;
+
+    const result = action.run(room, playerInfo.playerId, data);
+    if (!result) {
+      throw new ProtocolError(ERROR_CODE.REJECTED, `${event} not allowed now`);
+    }
+
+    if (action.resultEvent) {
+      room.emitToRoom(action.resultEvent, result);
+    }
+    room.broadcastState();
+    return result;
+  });
+}
+
+// Generate the socket handlers of every registered game for one connection.
+// playerSockets maps socket.id → { playerId, wallet, currentRoom, roomType }.
+export function attachGameHandlers(io, socket, playerSockets) {
+  const paymentEvents = new Set();
+
+  for (const game of games.values()) {
+    handleJoin(io, socket, playerSockets, game);
+    if (game.events.confirmPayment) {
+      paymentEvents.add(game.events.confirmPayment);
+    }
+    for (const [event, action] of Object.entries(game.actions)) {
+      handleAction(socket, playerSockets, game, event, action);
+    }
+  }
+
+  paymentEvents.forEach((event) =>
+    handleConfirmPayment(socket, playerSockets, event)
+  );
+}
+
+// Take a player out of a registered game's room and settle their entry fee.
+// Mid-game the leaver forfeits to the paid players still in the room; before
+// the game starts a closing room refunds everyone, while a room that keeps
+// going refunds only the leaver. Returns false if the room type isn't
+// registered here.
+export function leaveGame(playerInfo) {
+  const game = getGame(playerInfo.roomType);
+  if (!game) return false;
+
+  const room = game.rooms.get(playerInfo.currentRoom);
+  const phaseAtLeave = room?.gamePhase;
+  const leaver = room?.removePlayer(playerInfo.playerId);
+  if (!leaver) return true;
+
+  const started = phaseAtLeave === ROOM_PHASE.PLAYING;
+  const settled = [ROOM_PHASE.SETTLING, ROOM_PHASE.FINISHED].includes(
+    phaseAtLeave
+  );
+  const remaining = room.paidPlayers();
+  const closing =
+    game.closeOnLeave ||
+    room.players.length === 0 ||
+    (started && remaining.length <= 1);
+
+  if (!settled && (leaver.paymentConfirmed || closing)) {
+    const stayers = started || !closing ? remaining : [];
+    settleRoom({
+      gameId: room.roomId,
+      gameType: room.gameType,
+      currency: room.currency,
+      situation: started
+        ? ROOM_SITUATION.ABANDONED
+        : ROOM_SITUATION.NOT_STARTED,
+      players: [
+        ...stayers.map((player) => ({ wallet: player.wallet, left: false })),
+        { wallet: leaver.wallet, left: true },
+      ],
+      feeBps: room.feeBps,
+      io: room.io,
+    }).catch((error) =>
+      console.error(`❌ Failed to settle room ${room.roomId}:`, error)
+    );
+  }
+
+  if (closing && !settled) {
+    console.log(
+      `🚪 Closing ${game.type} room ${room.roomId} after ${leaver.wallet.slice(
+        0,
+        8
+      )}... left`
+    );
+    room.endByForfeit();
+    room.broadcastState();
+  }
+
+  if (closing) {
+    room.cleanup();
+    game.rooms.delete(room.roomId);
+  } else {
+    room.broadcastState();
+  }
+  return true;
+}
+
+export default {
+  registerGame,
+  getGame,
+  listGames,
+  attachGameHandlers,
+  leaveGame,
+};
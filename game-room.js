@@ -0,0 +1,489 @@
+// Game Room
+// Base class for paid multiplayer rooms. Every room goes through the same
+// lifecycle and a game only supplies its rules:
+//
+//   waiting → paying → countdown → playing → settling → finished
+//
+//   waiting    seats are open
+//   paying     enough players have joined; entry fees are being confirmed
+//   countdown  the players needed to start have paid
+//   playing    the game's rules run (onStart sets them up)
+//   settling   the result is known and prizes are being paid
+//   finished   nothing left to do
+//
+// Rule hooks a game overrides:
+//   createPlayer(player, options)   add game fields to a new player
+//   canStart()                      enough paid players to start?
+//   onStart()                       set up the board, orbs, timers...
+//   getRulesState(playerId)         game fields for getGameState
+//   settle(result)                  pay the result (default: split the prize
+//                                   pool between result.winners)
+//   verifyEntryFee(player, tx)      on-chain check of an entry fee
+//
+// A game ends by calling finish(result). Rooms are created and driven by the
+// socket handlers that game-registry.js generates.
+//
+// Scope: only the real wallet tic-tac-toe and orb collector rooms
+// (real-wallet-server.js) are built on this class. Porting the rest is split
+// into follow-ups, one per room, each replacing the room's hand-written
+// lifecycle, payment and socket handlers with a registerGame entry:
+//
+//   RealWalletWordGridRoom, RealWalletPokemonRoom   real-wallet-server.js
+//   TicTacToeRoom, OrbCollectorRoom                 server.js
+//   WordGridRoom, TokenTakedownRoom and its Lobby   server.js
+//   WordGridRoom                                    word-grid-game.js
+//
+// Until then these rooms share only the payment rule: an entry fee counts
+// only once collectValidatedEntryFee has put it in the room's escrow, and a
+// failed ledger write fails the payment. Their own confirmPayment methods
+// do not yet serialize concurrent confirmations the way this class does.
+
+import { CURRENCY } from "./currency.js";
+import {
+  calculateBetPool,
+  splitPrizePool,
+  PLATFORM_FEE_BPS,
+} from "./money.js";
+import { claimEntryFeeSignature } from "./payment-verification.js";
+import { recordPlatformFee } from "./escrow-ledger.js";
+import { collectValidatedEntryFee } from "./smart-contract-integration.js";
+import { payout } from "./payout-service.js";
+
+export const ROOM_PHASE = {
+  WAITING: "waiting",
+  PAYING: "paying",
+  COUNTDOWN: "countdown",
+  PLAYING: "playing",
+  SETTLING: "settling",
+  FINISHED: "finished",
+};
+
+const NOT_STARTED_PHASES = [
+  ROOM_PHASE.WAITING,
+  ROOM_PHASE.PAYING,
+  ROOM_PHASE.COUNTDOWN,
+];
+
+export class GameRoom {
+  constructor(
+    roomId,
+    {
+      gameType,
+      betAmount = 1,
+      currency = CURRENCY.GOR,
+      minPlayers = 2,
+      maxPlayers = 2,
+      countdownSeconds = 5,
+      feeBps = PLATFORM_FEE_BPS,
+      io = null,
+      stateEvent = null,
+    } = {}
+  ) {
+    this.roomId = roomId;
+    this.gameType = gameType;
+    this.betAmount = betAmount;
+    this.currency = currency; // GOR or gGOR
+    this.minPlayers = minPlayers;
+    this.maxPlayers = maxPlayers;
+    this.countdownSeconds = countdownSeconds;
+    this.feeBps = feeBps;
+    this.io = io;
+    this.stateEvent = stateEvent;
+
+    this.players = [];
+    this.forfeitedBets = []; // Bets left behind by players who quit mid-game
+    this.gamePhase = ROOM_PHASE.WAITING;
+    this.countdownTime = 0;
+    this.result = null;
+    this.timers = new Map(); // name → { handle, repeating }
+    this.paymentsInFlight = new Map(); // playerId → confirmation promise
+  }
+
+  // ---- Rule hooks -------------------------------------------------------
+
+  createPlayer(player) {
+    return player;
+  }
+
+  // Default: everyone seated has paid and there are enough of them
+  canStart() {
+    const paid = this.paidPlayers();
+    return paid.length >= this.minPlayers && paid.length === this.players.length;
+  }
+
+  onStart() {}
+
+  getRulesState() {
+    return {};
+  }
+
+  async verifyEntryFee() {
+    throw new Error(`${this.gameType} rooms cannot verify entry fees`);
+  }
+
+  // Split the prize pool between result.winners; the platform keeps the fee
+  async settle({ winners = [] } = {}) {
+    const pool = this.calculateBetPool();
+    if (winners.length === 0 || pool.prizePoolLamports <= 0) return [];
+
+    const amounts = splitPrizePool(pool.prizePoolLamports, winners.length);
+    const results = await payout({
+      gameId: this.roomId,
+      gameType: this.gameType,
+      currency: this.currency,
+      recipients: winners.map((player, index) => ({
+        rank: index + 1,
+        wallet: player.wallet,
+        amount: amounts[index],
+      })),
+    });
+
+    results.forEach((result, index) => {
+      const wallet = winners[index].wallet.slice(0, 8);
+      if (result.success) {
+        console.log(
+          `✅ ${this.gameType} prize sent: ${amounts[index]} ${this.currency} → ${wallet}... (${result.signature})`
+        );
+      } else {
+        console.error(
+          `❌ ${this.gameType} prize to ${wallet}... not sent: ${result.error}`
+        );
+      }
+    });
+
+    try {
+      await recordPlatformFee({
+        gameId: this.roomId,
+        amount: pool.platformFee,
+        gameType: this.gameType,
+        currency: this.currency,
+      });
+    } catch (error) {
+      console.error(`❌ Failed to record ${this.gameType} platform fee:`, error);
+    }
+
+    return results;
+  }
+
+  // ---- Players ----------------------------------------------------------
+
+  isJoinable() {
+    return (
+      [ROOM_PHASE.WAITING, ROOM_PHASE.PAYING].includes(this.gamePhase) &&
+      this.players.length < this.maxPlayers
+    );
+  }
+
+  getPlayer(playerId) {
+    return this.players.find((p) => p.id === playerId) || null;
+  }
+
+  paidPlayers() {
+    return this.players.filter((p) => p.paymentConfirmed);
+  }
+
+  async addPlayer(playerId, socketId, wallet, options = {}) {
+    if (!this.isJoinable()) {
+      throw new Error(
+        this.players.length >= this.maxPlayers
+          ? "Room is full"
+          : "Game already in progress"
+      );
+    }
+
+    if (!wallet || typeof wallet !== "string" || wallet.trim() === "") {
+      throw new Error("Valid wallet address is required");
+    }
+
+    if (this.players.some((p) => p.wallet === wallet)) {
+      throw new Error("Player already in room");
+    }
+
+    const player = this.createPlayer(
+      {
+        id: playerId,
+        socketId,
+        wallet,
+        betAmount: this.betAmount, // The room's stake, never the client's
+        paymentConfirmed: false,
+        escrowTxSignature: null,
+      },
+      options
+    );
+    this.players.push(player);
+
+    console.log(
+      `🎮 ${wallet.slice(0, 8)}... joined ${this.gameType} room ${
+        this.roomId
+      } (${this.players.length}/${this.maxPlayers})`
+    );
+
+    if (
+      this.gamePhase === ROOM_PHASE.WAITING &&
+      this.players.length >= this.minPlayers
+    ) {
+      this.gamePhase = ROOM_PHASE.PAYING;
+    }
+
+    return this.getGameState(playerId);
+  }
+
+  // Take a player out of the room. Before the game starts a paid player's
+  // bet leaves the pool (the refund policy returns it); mid-game it stays
+  // in the pool as a forfeit.
+  removePlayer(playerId) {
+    const player = this.getPlayer(playerId);
+    if (!player) return null;
+
+    this.players = this.players.filter((p) => p.id !== playerId);
+    if (this.gamePhase === ROOM_PHASE.PLAYING && player.paymentConfirmed) {
+      this.forfeitedBets.push(player.betAmount);
+    }
+
+    // Not enough paid players left to start
+    if (this.gamePhase === ROOM_PHASE.COUNTDOWN && !this.canStart()) {
+      this.clearTimer("countdown");
+      this.countdownTime = 0;
+      this.gamePhase = ROOM_PHASE.PAYING;
+    }
+
+    return player;
+  }
+
+  // ---- Entry fees -------------------------------------------------------
+
+  async confirmPayment(playerId, txSignature) {
+    const player = this.getPlayer(playerId);
+    if (!player) {
+      throw new Error("Player not found");
+    }
+
+    // One confirmation per player at a time: a concurrent call waits for the
+    // one in flight and then sees its result, so a seat is never charged twice
+    while (this.paymentsInFlight.has(playerId)) {
+      await this.paymentsInFlight.get(playerId);
+    }
+
+    if (player.paymentConfirmed) {
+      return { success: true, verified: true };
+    }
+
+    const confirmation = this.collectEntryFee(player, txSignature);
+    this.paymentsInFlight.set(playerId, confirmation);
+    try {
+      return await confirmation;
+    } finally {
+      this.paymentsInFlight.delete(playerId);
+    }
+  }
+
+  async collectEntryFee(player, txSignature) {
+    try {
+      // Verify on-chain, then consume the signature so it can't be replayed
+      const verification = await claimEntryFeeSignature(
+        await this.verifyEntryFee(player, txSignature),
+        this.gameType
+      );
+
+      if (!verification.verified) {
+        return {
+          success: false,
+          error: verification.message,
+          reason: verification.reason,
+        };
+      }
+
+      // The seat only counts as paid once the fee is in the room's escrow;
+      // if that fails the signature is released for a retry
+      await collectValidatedEntryFee(
+        player.wallet,
+        verification.amount,
+        this.roomId,
+        txSignature,
+        this.gameType,
+        this.currency
+      );
+
+      player.paymentConfirmed = true;
+      player.escrowTxSignature = txSignature;
+
+      console.log(
+        `💰 ${this.gameType} payment confirmed: ${player.betAmount} ${
+          this.currency
+        } from ${player.wallet.slice(0, 8)}... (${txSignature})`
+      );
+
+      if (NOT_STARTED_PHASES.includes(this.gamePhase) && this.canStart()) {
+        this.startCountdown();
+      }
+
+      return { success: true, verified: true };
+    } catch (error) {
+      console.error(`❌ ${this.gameType} payment confirmation error:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  calculateBetPool() {
+    return {
+      ...calculateBetPool(
+        [
+          ...this.paidPlayers().map((player) => player.betAmount),
+          ...this.forfeitedBets,
+        ],
+        this.feeBps
+      ),
+      currency: this.currency,
+    };
+  }
+
+  get totalEscrowed() {
+    return this.calculateBetPool().totalAmount;
+  }
+
+  // ---- Lifecycle --------------------------------------------------------
+
+  startCountdown() {
+    if (this.gamePhase === ROOM_PHASE.COUNTDOWN) return;
+    if (this.countdownSeconds <= 0) return this.start();
+
+    this.gamePhase = ROOM_PHASE.COUNTDOWN;
+    this.countdownTime = this.countdownSeconds;
+    console.log(
+      `⏱️ ${this.gameType} room ${this.roomId} starts in ${this.countdownTime}s`
+    );
+
+    this.setRepeating(
+      "countdown",
+      () => {
+        this.countdownTime--;
+        if (this.countdownTime <= 0) {
+          this.clearTimer("countdown");
+          this.start();
+        } else {
+          this.broadcastState();
+        }
+      },
+      1000
+    );
+  }
+
+  start() {
+    this.gamePhase = ROOM_PHASE.PLAYING;
+    this.countdownTime = 0;
+    console.log(`🚀 ${this.gameType} room ${this.roomId} started`);
+
+    this.onStart();
+    this.broadcastState();
+  }
+
+  // End the game with a result and pay it out. Safe to call more than once.
+  async finish(result = {}) {
+    if ([ROOM_PHASE.SETTLING, ROOM_PHASE.FINISHED].includes(this.gamePhase)) {
+      return;
+    }
+
+    this.gamePhase = ROOM_PHASE.SETTLING;
+    this.result = result;
+    this.clearTimers();
+    this.broadcastState();
+
+    try {
+      await this.settle(result);
+    } catch (error) {
+      console.error(`❌ ${this.gameType} settlement error:`, error);
+    }
+
+    this.gamePhase = ROOM_PHASE.FINISHED;
+    console.log(`🏁 ${this.gameType} room ${this.roomId} finished`);
+    this.broadcastState();
+  }
+
+  // Stop a game that everyone else left; the refund policy moves the money
+  endByForfeit() {
+    this.clearTimers();
+    this.gamePhase = ROOM_PHASE.FINISHED;
+  }
+
+  hasStarted() {
+    return !NOT_STARTED_PHASES.includes(this.gamePhase);
+  }
+
+  // ---- Timers -----------------------------------------------------------
+
+  setTimer(name, callback, delayMs) {
+    this.clearTimer(name);
+    this.timers.set(name, { handle: setTimeout(callback, delayMs) });
+  }
+
+  setRepeating(name, callback, intervalMs) {
+    this.clearTimer(name);
+    this.timers.set(name, {
+      handle: setInterval(callback, intervalMs),
+      repeating: true,
+    });
+  }
+
+  clearTimer(name) {
+    const timer = this.timers.get(name);
+    if (!timer) return;
+
+    if (timer.repeating) {
+      clearInterval(timer.handle);
+    } else {
+      clearTimeout(timer.handle);
+    }
+    this.timers.delete(name);
+  }
+
+  clearTimers() {
+    for (const name of Array.from(this.timers.keys())) {
+      this.clearTimer(name);
+    }
+  }
+
+  cleanup() {
+    this.clearTimers();
+  }
+
+  // ---- State ------------------------------------------------------------
+
+  getGameState(requestingPlayerId = null) {
+    return {
+      roomId: this.roomId,
+      gameType: this.gameType,
+      gamePhase: this.gamePhase,
+      betAmount: this.betAmount,
+      currency: this.currency,
+      countdownTime: this.countdownTime,
+      totalEscrowed: this.totalEscrowed,
+      players: this.players.map((p) => ({
+        ...p,
+        isYou: p.id === requestingPlayerId,
+      })),
+      ...this.getRulesState(requestingPlayerId),
+    };
+  }
+
+  // Send each player their own view of the room
+  broadcastState() {
+    if (!this.io || !this.stateEvent) return;
+
+    this.players.forEach((player) => {
+      this.io
+        .to(player.socketId)
+        .emit(this.stateEvent, this.getGameState(player.id));
+    });
+  }
+
+  emitToRoom(event, payload) {
+    if (this.io) {
+      this.io.to(this.roomId).emit(event, payload);
+    }
+  }
+}
+
+export default {
+  ROOM_PHASE,
+  GameRoom,
+};
@@ -0,0 +1,183 @@
+// Game Vault Program Client
+// Anchor client for the game-vault escrow program. Each room gets a Game
+// account and a lamport vault PDA; players deposit into the vault and the
+// platform authority settles winners or refunds players out of it.
+// The program interface is loaded from idl/game_vault.json.
+
+import fs from "fs";
+import { PublicKey, SystemProgram, Transaction } from "@solana/web3.js";
+import pkg from "@coral-xyz/anchor";
+const { Program, AnchorProvider, Wallet, BN } = pkg;
+import { config } from "./config.js";
+
+export const GAME_VAULT_IDL = JSON.parse(
+  fs.readFileSync(new URL("./idl/game_vault.json", import.meta.url), "utf8")
+);
+
+// Address of the deployed program; the vault is disabled until it is set
+export const GAME_VAULT_PROGRAM_ID = config.gameVaultProgramId
+  ? new PublicKey(config.gameVaultProgramId)
+  : null;
+
+export function isGameVaultConfigured() {
+  return GAME_VAULT_PROGRAM_ID !== null;
+}
+
+export function findGamePDA(gameSeed, programId = GAME_VAULT_PROGRAM_ID) {
+  return PublicKey.findProgramAddressSync(
+    [Buffer.from("game"), gameSeed],
+    programId
+  );
+}
+
+export function findGameVaultPDA(gameSeed, programId = GAME_VAULT_PROGRAM_ID) {
+  return PublicKey.findProgramAddressSync(
+    [Buffer.from("game_vault"), gameSeed],
+    programId
+  );
+}
+
+// Game account as plain values (lamport amounts as numbers)
+function normalizeGameAccount(account) {
+  return {
+    authority: account.authority.toBase58(),
+    gameSeed: Buffer.from(account.gameSeed).toString("hex"),
+    entryFee: account.entryFee.toNumber(),
+    maxPlayers: account.maxPlayers,
+    playerCount: account.playerCount,
+    totalDeposited: account.totalDeposited.toNumber(),
+    totalPaidOut: account.totalPaidOut.toNumber(),
+    status: Object.keys(account.status)[0],
+  };
+}
+
+// Build a client bound to a connection and the platform authority keypair.
+// All amounts are in lamports.
+export function createGameVaultClient(
+  connection,
+  authority,
+  programId = GAME_VAULT_PROGRAM_ID
+) {
+  if (!programId) {
+    throw new Error("GAME_VAULT_PROGRAM_ID is not configured");
+  }
+
+  const provider = new AnchorProvider(connection, new Wallet(authority), {
+    commitment: "confirmed",
+    preflightCommitment: "confirmed",
+  });
+  const program = new Program(GAME_VAULT_IDL, programId, provider);
+
+  const addresses = (gameSeed) => ({
+    game: findGamePDA(gameSeed, programId)[0],
+    vault: findGameVaultPDA(gameSeed, programId)[0],
+  });
+
+  return {
+    program,
+    programId,
+    addresses,
+
+    async initializeVault({ gameSeed, entryFee, maxPlayers }) {
+      const { game, vault } = addresses(gameSeed);
+      const signature = await program.methods
+        .initializeVault(gameSeed, new BN(entryFee), maxPlayers)
+        .accounts({
+          authority: authority.publicKey,
+          game,
+          vault,
+          systemProgram: SystemProgram.programId,
+        })
+        .rpc();
+
+      return { signature, game, vault };
+    },
+
+    // Unsigned deposit transaction for the player's wallet to sign
+    async buildDepositTransaction({ gameSeed, player, amount }) {
+      const { game, vault } = addresses(gameSeed);
+      const instruction = await program.methods
+        .deposit(new BN(amount))
+        .accounts({
+          player,
+          game,
+          vault,
+          systemProgram: SystemProgram.programId,
+        })
+        .instruction();
+
+      const { blockhash, lastValidBlockHeight } =
+        await connection.getLatestBlockhash("confirmed");
+      return new Transaction({
+        feePayer: player,
+        blockhash,
+        lastValidBlockHeight,
+      }).add(instruction);
+    },
+
+    // winners: [{ wallet, lamports }] paid in order; the fee goes to feeRecipient
+    async settle({ gameSeed, winners, platformFee = 0, feeRecipient }) {
+      const { game, vault } = addresses(gameSeed);
+      return program.methods
+        .settle(
+          winners.map((winner) => new BN(winner.lamports)),
+          new BN(platformFee)
+        )
+        .accounts({
+          authority: authority.publicKey,
+          game,
+          vault,
+          feeRecipient: feeRecipient || authority.publicKey,
+          systemProgram: SystemProgram.programId,
+        })
+        .remainingAccounts(
+          winners.map((winner) => ({
+            pubkey: new PublicKey(winner.wallet),
+            isWritable: true,
+            isSigner: false,
+          }))
+        )
+        .rpc();
+    },
+
+    async refund({ gameSeed, player, amount }) {
+      const { game, vault } = addresses(gameSeed);
+      return program.methods
+        .refund(new BN(amount))
+        .accounts({
+          authority: authority.publicKey,
+          game,
+          vault,
+          player: new PublicKey(player),
+          systemProgram: SystemProgram.programId,
+        })
+        .rpc();
+    },
+
+    // Returns null when the game has no vault on chain
+    async fetchGame(gameSeed) {
+      const { game, vault } = addresses(gameSeed);
+      const account = await program.account.game.fetchNullable(game);
+      if (!account) {
+        return null;
+      }
+
+      const vaultLamports = await connection.getBalance(vault);
+      return {
+        ...normalizeGameAccount(account),
+        gamePDA: game.toBase58(),
+        vaultPDA: vault.toBase58(),
+        vaultLamports,
+      };
+    },
+  };
+}
+
+export default {
+  createGameVaultClient,
+  findGamePDA,
+  findGameVaultPDA,
+  isGameVaultConfigured,
+  GAME_VAULT_IDL,
+  GAME_VAULT_PROGRAM_ID,
+};
@@ -0,0 +1,163 @@
+// Legacy Game PDA Migration
+// Vaults created before the switch to sha256 seeds live at addresses derived
+// from the old 32-bit hash seed. This script derives the legacy addresses for
+// every known game, checks which of them exist on chain, and records them in
+// the LegacyGamePda collection so smart-contract-integration.js keeps using
+// the old seed for those games. Games that share a legacy address are
+// reported as collisions.
+//
+// Usage: node migrate-game-pdas.js [--dry-run] [gameId ...]
+
+import mongoose from "mongoose";
+import { Connection } from "@solana/web3.js";
+import {
+  connectDB,
+  GameMatch,
+  EscrowJournal,
+  PayoutJob,
+  LegacyGamePda,
+} from "./models.js";
+import { config } from "./config.js";
+import { legacyGameIdSeed } from "./game-pda.js";
+import {
+  findGamePDA,
+  findGameVaultPDA,
+  GAME_VAULT_PROGRAM_ID,
+} from "./game-vault-client.js";
+
+const connection = new Connection(config.rpcUrl, "confirmed");
+
+// getMultipleAccountsInfo accepts at most 100 addresses per call
+const ACCOUNT_BATCH_SIZE = 100;
+
+async function collectGameIds(extraGameIds) {
+  const [matches, journals, payouts] = await Promise.all([
+    GameMatch.distinct("gameId"),
+    EscrowJournal.distinct("gameId"),
+    PayoutJob.distinct("gameId"),
+  ]);
+
+  return Array.from(
+    new Set([...matches, ...journals, ...payouts, ...extraGameIds])
+  );
+}
+
+// Legacy addresses for each game, plus which games share an address
+function deriveLegacyAddresses(gameIds) {
+  const derived = gameIds.map((gameId) => {
+    const seed = legacyGameIdSeed(gameId);
+    return {
+      gameId,
+      seed: seed.toString("hex"),
+      gamePDA: findGamePDA(seed, GAME_VAULT_PROGRAM_ID)[0],
+      vaultPDA: findGameVaultPDA(seed, GAME_VAULT_PROGRAM_ID)[0].toBase58(),
+    };
+  });
+
+  const byAddress = new Map();
+  derived.forEach((entry) => {
+    const key = entry.gamePDA.toBase58();
+    byAddress.set(key, [...(byAddress.get(key) || []), entry.gameId]);
+  });
+
+  derived.forEach((entry) => {
+    entry.collidesWith = byAddress
+      .get(entry.gamePDA.toBase58())
+      .filter((gameId) => gameId !== entry.gameId);
+  });
+
+  return derived;
+}
+
+async function findExistingAccounts(entries) {
+  const existing = [];
+
+  for (let i = 0; i < entries.length; i += ACCOUNT_BATCH_SIZE) {
+    const batch = entries.slice(i, i + ACCOUNT_BATCH_SIZE);
+    const accounts = await connection.getMultipleAccountsInfo(
+      batch.map((entry) => entry.gamePDA)
+    );
+
+    accounts.forEach((account, index) => {
+      if (account && account.owner.equals(GAME_VAULT_PROGRAM_ID)) {
+        existing.push(batch[index]);
+      }
+    });
+  }
+
+  return existing;
+}
+
+async function migrateGamePdas({ dryRun, extraGameIds }) {
+  console.log("\n🔁 LEGACY GAME PDA MIGRATION");
+  console.log("============================");
+
+  if (!GAME_VAULT_PROGRAM_ID) {
+    console.error("❌ GAME_VAULT_PROGRAM_ID is not set");
+    process.exitCode = 1;
+    return;
+  }
+
+  await connectDB();
+
+  try {
+    const gameIds = await collectGameIds(extraGameIds);
+    console.log(`🔍 Checking ${gameIds.length} game(s)...`);
+
+    const derived = deriveLegacyAddresses(gameIds);
+    const existing = await findExistingAccounts(derived);
+    console.log(`📦 ${existing.length} legacy vault(s) found on chain`);
+
+    for (const entry of existing) {
+      const gamePDA = entry.gamePDA.toBase58();
+
+      if (entry.collidesWith.length > 0) {
+        console.warn(
+          `⚠️ ${entry.gameId} shares legacy vault ${gamePDA} with: ${entry.collidesWith.join(
+            ", "
+          )}`
+        );
+      }
+
+      if (dryRun) {
+        console.log(`   [dry run] ${entry.gameId} → ${gamePDA}`);
+        continue;
+      }
+
+      await LegacyGamePda.updateOne(
+        { gameId: entry.gameId },
+        {
+          $set: {
+            seed: entry.seed,
+            gamePDA,
+            vaultPDA: entry.vaultPDA,
+            collidesWith: entry.collidesWith,
+            migratedAt: new Date(),
+          },
+        },
+        { upsert: true }
+      );
+      console.log(`   ✅ ${entry.gameId} → ${gamePDA}`);
+    }
+
+    const collisions = existing.filter((entry) => entry.collidesWith.length);
+    console.log(
+      `\n${dryRun ? "🧪 Dry run complete" : "✅ Migration complete"}: ${
+        existing.length
+      } mapped, ${collisions.length} with collisions`
+    );
+  } catch (error) {
+    console.error("❌ Migration failed:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+// Command line interface
+const args = process.argv.slice(2);
+
+await migrateGamePdas({
+  dryRun: args.includes("--dry-run"),
+  extraGameIds: args.filter((arg) => !arg.startsWith("--")),
+});
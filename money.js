@@ -0,0 +1,136 @@
+// GOR Money
+// Integer-lamport arithmetic for entry fees, bet pools, fee splits and prize
+// splits. GOR has 9 decimals like SOL. Amounts are converted to lamports once,
+// all fee and split math happens on integers, and GOR values are derived
+// from the lamport results, so the parts always sum exactly to the whole.
+//
+// Rounding rules:
+//   toLamports     rounds to the nearest lamport (absorbs float noise such
+//                  as 0.1 + 0.2)
+//   platform fees  round down; the leftover lamport stays in the prize pool
+//   prize splits   equal shares round down; the leftover lamports go one each
+//                  to the first recipients, so list winners best rank first
+
+export const GOR_DECIMALS = 9;
+export const LAMPORTS_PER_GOR = 10 ** GOR_DECIMALS;
+
+// Fee rates are basis points so the fee math stays in integers
+export const BPS_DENOMINATOR = 10000;
+export const PLATFORM_FEE_BPS = 1000; // 10% platform fee
+
+function assertLamports(lamports) {
+  if (!Number.isSafeInteger(lamports) || lamports < 0) {
+    throw new RangeError(`Invalid lamport amount: ${lamports}`);
+  }
+}
+
+export function toLamports(amount) {
+  const value = Number(amount);
+  if (!Number.isFinite(value)) {
+    throw new TypeError(`Invalid GOR amount: ${amount}`);
+  }
+  return Math.round(value * LAMPORTS_PER_GOR);
+}
+
+export function fromLamports(lamports) {
+  return Number(lamports) / LAMPORTS_PER_GOR;
+}
+
+export function sumLamports(values) {
+  return values.reduce((sum, lamports) => {
+    assertLamports(lamports);
+    return sum + lamports;
+  }, 0);
+}
+
+// Fee on a lamport total, rounded down in the players' favour
+export function feeLamports(totalLamports, feeBps = PLATFORM_FEE_BPS) {
+  assertLamports(totalLamports);
+  if (!Number.isInteger(feeBps) || feeBps < 0 || feeBps > BPS_DENOMINATOR) {
+    throw new RangeError(`Invalid fee rate: ${feeBps} bps`);
+  }
+
+  // BigInt keeps total * bps exact beyond Number.MAX_SAFE_INTEGER
+  return Number(
+    (BigInt(totalLamports) * BigInt(feeBps)) / BigInt(BPS_DENOMINATOR)
+  );
+}
+
+// Split a lamport total into `count` shares that sum exactly to the total
+export function splitLamports(totalLamports, count) {
+  assertLamports(totalLamports);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new RangeError(`Invalid share count: ${count}`);
+  }
+
+  const share = Math.floor(totalLamports / count);
+  const remainder = totalLamports - share * count;
+  return Array.from({ length: count }, (_, index) =>
+    index < remainder ? share + 1 : share
+  );
+}
+
+// Split a lamport total by integer weights (e.g. [50, 30, 20]). Each share
+// rounds down; leftover lamports go one each to the first shares.
+export function splitLamportsByWeights(totalLamports, weights) {
+  assertLamports(totalLamports);
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  if (
+    weights.length === 0 ||
+    !weights.every((weight) => Number.isInteger(weight) && weight >= 0) ||
+    totalWeight === 0
+  ) {
+    throw new RangeError(`Invalid split weights: ${weights.join(", ")}`);
+  }
+
+  const shares = weights.map((weight) =>
+    Number((BigInt(totalLamports) * BigInt(weight)) / BigInt(totalWeight))
+  );
+  let remainder = totalLamports - shares.reduce((sum, s) => sum + s, 0);
+  for (let i = 0; remainder > 0; i = (i + 1) % shares.length) {
+    if (weights[i] > 0) {
+      shares[i] += 1;
+      remainder -= 1;
+    }
+  }
+  return shares;
+}
+
+// Bet pool for a room from each player's bet (in GOR). Returns both lamport
+// and GOR figures; totalLamports === platformFeeLamports + prizePoolLamports.
+export function calculateBetPool(betAmounts, feeBps = PLATFORM_FEE_BPS) {
+  const totalLamports = sumLamports(
+    betAmounts.map((amount) => toLamports(amount || 0))
+  );
+  const platformFeeLamports = feeLamports(totalLamports, feeBps);
+  const prizePoolLamports = totalLamports - platformFeeLamports;
+
+  return {
+    totalAmount: fromLamports(totalLamports),
+    platformFee: fromLamports(platformFeeLamports),
+    prizePool: fromLamports(prizePoolLamports),
+    totalLamports,
+    platformFeeLamports,
+    prizePoolLamports,
+  };
+}
+
+// Split a prize pool (in lamports) between winners; returns GOR amounts
+export function splitPrizePool(prizePoolLamports, winnerCount) {
+  return splitLamports(prizePoolLamports, winnerCount).map(fromLamports);
+}
+
+export default {
+  GOR_DECIMALS,
+  LAMPORTS_PER_GOR,
+  BPS_DENOMINATOR,
+  PLATFORM_FEE_BPS,
+  toLamports,
+  fromLamports,
+  sumLamports,
+  feeLamports,
+  splitLamports,
+  splitLamportsByWeights,
+  calculateBetPool,
+  splitPrizePool,
+};
@@ -0,0 +1,141 @@
+// Orb Power-Ups
+// Pickups and hazard zones for orb collector rooms. Like the token takedown
+// freeze, an effect is a server-side end time on the player (effects[type])
+// that the tick checks, so clients can't stretch or stack it:
+//
+//   magnet      orbs are picked up from further away
+//   speed       higher top speed
+//   multiplier  orbs are worth more
+//   shield      hazards don't drain points
+//
+// A pickup activates on touch. After activating, the same type can't be
+// picked up again until its cooldown ends (the pickup stays on the arena).
+// Hazard zones drain points from every unshielded player inside them and
+// fade after HAZARD.lifetimeMs. What spawns is drawn from per-room weights.
+
+export const POWER_UP = {
+  magnet: { durationMs: 8000, cooldownMs: 15000, pickupRadius: 3 },
+  speed: { durationMs: 5000, cooldownMs: 12000, speedMultiplier: 1.6 },
+  multiplier: { durationMs: 10000, cooldownMs: 20000, scoreMultiplier: 2 },
+  shield: { durationMs: 8000, cooldownMs: 20000 },
+};
+
+export const HAZARD = {
+  radius: 2.5,
+  drainPerSecond: 2,
+  lifetimeMs: 12000,
+};
+
+// Relative chances of what the next spawn is; 0 turns a kind off
+export const DEFAULT_SPAWN_WEIGHTS = {
+  magnet: 25,
+  speed: 25,
+  multiplier: 15,
+  shield: 15,
+  hazard: 20,
+};
+
+export const POWER_UP_SPAWN_CHANCE = 0.5; // Per spawner run
+export const MAX_POWER_UPS = 3; // Pickups on the arena at once
+export const MAX_HAZARDS = 2;
+
+// Merge room weights over the defaults, dropping unknown kinds
+export function resolveSpawnWeights(weights = {}) {
+  const resolved = { ...DEFAULT_SPAWN_WEIGHTS };
+  for (const [kind, weight] of Object.entries(weights)) {
+    if (kind in resolved && Number.isFinite(weight) && weight >= 0) {
+      resolved[kind] = weight;
+    }
+  }
+  return resolved;
+}
+
+// Weighted draw from { kind: weight }; null when every weight is 0
+export function pickSpawnKind(weights, random = Math.random) {
+  const total = Object.values(weights).reduce((sum, w) => sum + w, 0);
+  if (total <= 0) return null;
+
+  let roll = random() * total;
+  for (const [kind, weight] of Object.entries(weights)) {
+    roll -= weight;
+    if (roll < 0) return kind;
+  }
+  return null;
+}
+
+function isActive(player, type, now) {
+  return (player.effects[type] || 0) > now;
+}
+
+// Start an effect unless the player's cooldown for it is still running.
+// Returns the effect's end time, or null if it was refused.
+export function activatePowerUp(player, type, now = Date.now()) {
+  const powerUp = POWER_UP[type];
+  if (!powerUp || (player.cooldowns[type] || 0) > now) return null;
+
+  player.effects[type] = now + powerUp.durationMs;
+  player.cooldowns[type] = now + powerUp.cooldownMs;
+  return player.effects[type];
+}
+
+// Drop effects and cooldowns that have run out
+export function expireEffects(player, now = Date.now()) {
+  for (const field of ["effects", "cooldowns"]) {
+    for (const [type, until] of Object.entries(player[field])) {
+      if (until <= now) delete player[field][type];
+    }
+  }
+}
+
+// What the player's active effects change this tick
+export function playerModifiers(player, now = Date.now()) {
+  return {
+    speedMultiplier: isActive(player, "speed", now)
+      ? POWER_UP.speed.speedMultiplier
+      : 1,
+    pickupRadius: isActive(player, "magnet", now)
+      ? POWER_UP.magnet.pickupRadius
+      : null,
+    scoreMultiplier: isActive(player, "multiplier", now)
+      ? POWER_UP.multiplier.scoreMultiplier
+      : 1,
+    shielded: isActive(player, "shield", now),
+  };
+}
+
+// Drain dt seconds of points from a player standing in any hazard.
+// Fractions carry over between ticks; scores never go below 0. Returns the
+// whole points drained.
+export function drainHazards(player, hazards, dt, now = Date.now()) {
+  if (playerModifiers(player, now).shielded) return 0;
+
+  const inside = hazards.some(
+    (hazard) =>
+      Math.hypot(
+        hazard.position.x - player.position.x,
+        hazard.position.z - player.position.z
+      ) < hazard.radius
+  );
+  if (!inside) return 0;
+
+  player.drainCarry += HAZARD.drainPerSecond * dt;
+  const drained = Math.min(player.score, Math.floor(player.drainCarry));
+  player.drainCarry -= Math.floor(player.drainCarry);
+  player.score -= drained;
+  return drained;
+}
+
+export default {
+  POWER_UP,
+  HAZARD,
+  DEFAULT_SPAWN_WEIGHTS,
+  POWER_UP_SPAWN_CHANCE,
+  MAX_POWER_UPS,
+  MAX_HAZARDS,
+  resolveSpawnWeights,
+  pickSpawnKind,
+  activatePowerUp,
+  expireEffects,
+  playerModifiers,
+  drainHazards,
+};
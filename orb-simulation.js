@@ -0,0 +1,116 @@
+// Orb Simulation
+// Server-authoritative movement for orb collector rooms. Clients only steer:
+// they send input vectors (orbInput) and the room integrates them at a fixed
+// tick rate, capped at MAX_SPEED and kept inside the arena. Orbs are
+// collected in the tick, when a player's path since the last tick passes
+// within PICKUP_RADIUS of them, so a client can't place itself on an orb.
+//
+// Snapshots go out every few ticks through state-diff.js. Each player entry
+// carries `ack`, the last input sequence applied, so a client can drop the
+// inputs the server has seen and replay the rest on top of the server
+// position.
+
+export const MAX_SPEED = 6; // Arena units per second
+export const PICKUP_RADIUS = 1.2;
+
+// Input vector with a length of at most 1 (anything invalid means stand still)
+export function normalizeInput({ x, z } = {}) {
+  if (!Number.isFinite(x) || !Number.isFinite(z)) return { x: 0, z: 0 };
+
+  const length = Math.hypot(x, z);
+  return length > 1 ? { x: x / length, z: z / length } : { x, z };
+}
+
+function clamp(value, limit) {
+  return Math.max(-limit, Math.min(limit, value));
+}
+
+// Advance a player by dt seconds: towards player.moveTarget when set (legacy
+// position updates), otherwise along player.input. Returns the path covered.
+export function stepPlayer(player, dt, { maxSpeed = MAX_SPEED, arenaHalf }) {
+  const from = { x: player.position.x, z: player.position.z };
+  let vx = player.input.x * maxSpeed;
+  let vz = player.input.z * maxSpeed;
+
+  if (player.moveTarget) {
+    const dx = player.moveTarget.x - from.x;
+    const dz = player.moveTarget.z - from.z;
+    const distance = Math.hypot(dx, dz);
+    const speed = Math.min(maxSpeed, distance / dt); // Don't overshoot
+    vx = distance > 0 ? (dx / distance) * speed : 0;
+    vz = distance > 0 ? (dz / distance) * speed : 0;
+    if (distance <= maxSpeed * dt) player.moveTarget = null;
+  }
+
+  const to = {
+    x: clamp(from.x + vx * dt, arenaHalf),
+    z: clamp(from.z + vz * dt, arenaHalf),
+  };
+  player.position = { x: to.x, y: player.position.y, z: to.z };
+  player.velocity = { x: (to.x - from.x) / dt, z: (to.z - from.z) / dt };
+  return { from, to };
+}
+
+// Distance from point p to the segment a-b (all { x, z })
+function distanceToPath(p, a, b) {
+  const dx = b.x - a.x;
+  const dz = b.z - a.z;
+  const lengthSquared = dx * dx + dz * dz;
+  const t =
+    lengthSquared === 0
+      ? 0
+      : Math.max(
+          0,
+          Math.min(1, ((p.x - a.x) * dx + (p.z - a.z) * dz) / lengthSquared)
+        );
+  return Math.hypot(p.x - (a.x + t * dx), p.z - (a.z + t * dz));
+}
+
+// Orbs picked up this tick. paths are { playerId, from, to, radius? } (a
+// path's own radius overrides `radius`); an orb on several players' paths
+// goes to the one whose path came closest.
+export function findPickups(orbs, paths, radius = PICKUP_RADIUS) {
+  const pickups = [];
+
+  for (const orb of orbs) {
+    let closest = null;
+    for (const path of paths) {
+      const distance = distanceToPath(orb.position, path.from, path.to);
+      const reach = path.radius ?? radius;
+      if (distance < reach && (!closest || distance < closest.distance)) {
+        closest = { playerId: path.playerId, distance };
+      }
+    }
+    if (closest) pickups.push({ orbId: orb.id, playerId: closest.playerId });
+  }
+
+  return pickups;
+}
+
+// Two decimals is plenty for an arena 20 units wide
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// A player as sent in snapshots
+export function playerSnapshot(player) {
+  return {
+    id: player.id,
+    x: round(player.position.x),
+    z: round(player.position.z),
+    vx: round(player.velocity.x),
+    vz: round(player.velocity.z),
+    score: player.score,
+    effects: player.effects, // type → end time (orb-power-ups.js)
+    ack: player.lastInputSeq,
+  };
+}
+
+export default {
+  MAX_SPEED,
+  PICKUP_RADIUS,
+  normalizeInput,
+  stepPlayer,
+  findPickups,
+  playerSnapshot,
+};
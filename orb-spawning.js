@@ -0,0 +1,75 @@
+// Orb Spawning
+// Where orbs, power-ups and hazards appear in an orb collector arena. Spawns
+// draw from the room's seeded RNG (fair-rng.js) in a fixed pattern, so with
+// the revealed seed a player can redraw each spawn's candidates and check
+// that the spawn landed on one of them:
+//
+//   1 draw              pick among the quadrants holding the fewest items
+//   2 per candidate     SPAWN_CANDIDATES positions inside that quadrant
+//
+// The spawn takes the first candidate at least MIN_SPAWN_DISTANCE from every
+// player, or the candidate furthest from them if none is. Nothing appears
+// under a player and the arena fills evenly.
+
+export const MIN_SPAWN_DISTANCE = 3;
+export const SPAWN_CANDIDATES = 8;
+
+// 0: -x -z, 1: +x -z, 2: -x +z, 3: +x +z
+function quadrantOf({ x, z }) {
+  return (x < 0 ? 0 : 1) + (z < 0 ? 0 : 2);
+}
+
+// Quadrant holding the fewest of `items` (ties broken with one draw)
+export function pickQuadrant(items, random) {
+  const counts = [0, 0, 0, 0];
+  for (const item of items) {
+    counts[quadrantOf(item.position)]++;
+  }
+
+  const fewest = Math.min(...counts);
+  const emptiest = [0, 1, 2, 3].filter((q) => counts[q] === fewest);
+  return emptiest[Math.floor(random() * emptiest.length)];
+}
+
+// Distance from a point to the nearest player (Infinity with no players)
+function clearance(point, players) {
+  return Math.min(
+    Infinity,
+    ...players.map((player) =>
+      Math.hypot(player.position.x - point.x, player.position.z - point.z)
+    )
+  );
+}
+
+// Spawn point { x, z } for a new item among `items`, away from `players`
+export function pickSpawnPosition({
+  random,
+  items,
+  players,
+  arenaHalf,
+  minDistance = MIN_SPAWN_DISTANCE,
+}) {
+  const quadrant = pickQuadrant(items, random);
+  const xSign = quadrant % 2 === 1 ? 1 : -1;
+  const zSign = quadrant >= 2 ? 1 : -1;
+
+  // Every candidate is drawn, so each spawn uses the same number of draws
+  const candidates = Array.from({ length: SPAWN_CANDIDATES }, () => ({
+    x: xSign * random() * arenaHalf,
+    z: zSign * random() * arenaHalf,
+  }));
+
+  return (
+    candidates.find((point) => clearance(point, players) >= minDistance) ||
+    candidates.reduce((best, point) =>
+      clearance(point, players) > clearance(best, players) ? point : best
+    )
+  );
+}
+
+export default {
+  MIN_SPAWN_DISTANCE,
+  SPAWN_CANDIDATES,
+  pickQuadrant,
+  pickSpawnPosition,
+};
@@ -0,0 +1,300 @@
+// Strict Entry Fee Verification
+// Parses the submitted transaction and checks that the entry fee was actually
+// transferred to the platform escrow wallet, for the right amount, and bound
+// to the room it is being used for. GOR rooms are paid with system transfers;
+// gGOR rooms with SPL token transfers into the escrow wallet's associated
+// token account.
+
+import { Connection, PublicKey } from "@solana/web3.js";
+import { config } from "./config.js";
+import {
+  consumePaymentSignature,
+  releasePaymentSignature,
+} from "./models.js";
+import { toLamports, fromLamports } from "./money.js";
+import {
+  CURRENCY,
+  isSplCurrency,
+  getCurrencyMint,
+  getTokenAccountAddress,
+} from "./currency.js";
+
+// Gorbagana Network Configuration
+const connection = new Connection(config.rpcUrl, "confirmed");
+
+// Players must attach an SPL memo of the form "gorbagana:<roomId>" to the
+// entry fee transaction so the same payment can't be claimed by another room
+export const ENTRY_FEE_MEMO_PREFIX = "gorbagana:";
+
+// Failure reasons returned in `reason` (message is human readable)
+export const PAYMENT_FAILURE = {
+  MISSING_SIGNATURE: "MISSING_SIGNATURE",
+  INVALID_WALLET: "INVALID_WALLET",
+  TX_NOT_FOUND: "TX_NOT_FOUND",
+  TX_FAILED: "TX_FAILED",
+  NO_TRANSFER_TO_ESCROW: "NO_TRANSFER_TO_ESCROW",
+  AMOUNT_TOO_LOW: "AMOUNT_TOO_LOW",
+  MISSING_ROOM_MEMO: "MISSING_ROOM_MEMO",
+  ROOM_MISMATCH: "ROOM_MISMATCH",
+  SIGNATURE_REUSED: "SIGNATURE_REUSED",
+  RPC_ERROR: "RPC_ERROR",
+  LEDGER_ERROR: "LEDGER_ERROR",
+};
+
+// Build the memo a client must attach when paying into a room
+export function buildEntryFeeMemo(roomId) {
+  return `${ENTRY_FEE_MEMO_PREFIX}${roomId}`;
+}
+
+function failure(reason, message, extra = {}) {
+  console.log(`❌ Entry fee rejected (${reason}): ${message}`);
+  return { verified: false, reason, message, ...extra };
+}
+
+// Top-level and inner instructions of a parsed transaction, flattened
+function collectParsedInstructions(txInfo) {
+  const instructions = [...(txInfo.transaction.message.instructions || [])];
+
+  (txInfo.meta?.innerInstructions || []).forEach((inner) => {
+    instructions.push(...(inner.instructions || []));
+  });
+
+  return instructions;
+}
+
+// Lamports moved by system transfers from the player to the escrow wallet
+function sumNativeTransfers(instructions, playerKey, escrowKey) {
+  return instructions
+    .filter(
+      (ix) =>
+        ix.program === "system" &&
+        ix.parsed?.type === "transfer" &&
+        ix.parsed.info?.source === playerKey &&
+        ix.parsed.info?.destination === escrowKey
+    )
+    .reduce((sum, ix) => sum + Number(ix.parsed.info.lamports), 0);
+}
+
+// Token base units moved by `transfer` / `transferChecked` instructions the
+// player signed into the escrow wallet's token account for the room's mint
+function sumTokenTransfers(instructions, playerKey, escrowKey, currency) {
+  const mint = getCurrencyMint(currency).toBase58();
+  const escrowTokenAccount = getTokenAccountAddress(
+    currency,
+    escrowKey
+  ).toBase58();
+
+  return instructions
+    .filter((ix) => {
+      const info = ix.parsed?.info;
+      if (ix.program !== "spl-token" || !info) return false;
+      if (!["transfer", "transferChecked"].includes(ix.parsed.type)) {
+        return false;
+      }
+
+      const authority = info.authority || info.multisigAuthority;
+      return (
+        authority === playerKey &&
+        info.destination === escrowTokenAccount &&
+        (ix.parsed.type === "transfer" || info.mint === mint)
+      );
+    })
+    .reduce(
+      (sum, ix) =>
+        sum + Number(ix.parsed.info.amount ?? ix.parsed.info.tokenAmount.amount),
+      0
+    );
+}
+
+function readMemo(instruction) {
+  if (instruction.program !== "spl-memo") return null;
+  return typeof instruction.parsed === "string" ? instruction.parsed : null;
+}
+
+// Verify an entry fee payment for a specific room, in the room's currency.
+// Returns { verified: true, amount, lamports, currency, ... } or
+// { verified: false, reason, message } - it never throws and never passes
+// a payment it could not check.
+export async function verifyEntryFeePayment({
+  txSignature,
+  playerWallet,
+  roomId,
+  expectedAmount,
+  escrowWallet,
+  currency = CURRENCY.GOR,
+}) {
+  if (!txSignature || typeof txSignature !== "string") {
+    return failure(
+      PAYMENT_FAILURE.MISSING_SIGNATURE,
+      "Transaction signature is required"
+    );
+  }
+
+  let playerKey;
+  let escrowKey;
+  try {
+    playerKey = new PublicKey(playerWallet).toBase58();
+    escrowKey = new PublicKey(escrowWallet).toBase58();
+  } catch (error) {
+    return failure(
+      PAYMENT_FAILURE.INVALID_WALLET,
+      `Invalid wallet address: ${error.message}`
+    );
+  }
+
+  const expectedLamports = toLamports(expectedAmount);
+
+  console.log(`🔍 Verifying entry fee payment...`);
+  console.log(`   Player: ${playerKey.slice(0, 8)}...`);
+  console.log(`   Room: ${roomId}`);
+  console.log(
+    `   Expected: ${expectedAmount} ${currency} → ${escrowKey.slice(0, 8)}...`
+  );
+  console.log(`   Transaction: ${txSignature}`);
+
+  let txInfo;
+  try {
+    txInfo = await connection.getParsedTransaction(txSignature, {
+      commitment: "confirmed",
+      maxSupportedTransactionVersion: 0,
+    });
+  } catch (error) {
+    return failure(
+      PAYMENT_FAILURE.RPC_ERROR,
+      `Could not fetch transaction: ${error.message}`
+    );
+  }
+
+  if (!txInfo || !txInfo.meta) {
+    return failure(
+      PAYMENT_FAILURE.TX_NOT_FOUND,
+      "Transaction not found or not yet confirmed"
+    );
+  }
+
+  if (txInfo.meta.err) {
+    return failure(
+      PAYMENT_FAILURE.TX_FAILED,
+      `Transaction failed on-chain: ${JSON.stringify(txInfo.meta.err)}`
+    );
+  }
+
+  const instructions = collectParsedInstructions(txInfo);
+
+  // Sum every transfer from the player into the escrow wallet
+  const lamportsToEscrow = isSplCurrency(currency)
+    ? sumTokenTransfers(instructions, playerKey, escrowKey, currency)
+    : sumNativeTransfers(instructions, playerKey, escrowKey);
+
+  if (lamportsToEscrow === 0) {
+    return failure(
+      PAYMENT_FAILURE.NO_TRANSFER_TO_ESCROW,
+      `No ${currency} transfer from the player to the platform escrow wallet`
+    );
+  }
+
+  if (lamportsToEscrow < expectedLamports) {
+    return failure(
+      PAYMENT_FAILURE.AMOUNT_TOO_LOW,
+      `Paid ${fromLamports(
+        lamportsToEscrow
+      )} ${currency}, room requires ${expectedAmount} ${currency}`,
+      { lamports: lamportsToEscrow }
+    );
+  }
+
+  const memos = instructions.map(readMemo).filter((memo) => memo !== null);
+  const roomMemos = memos.filter((memo) =>
+    memo.startsWith(ENTRY_FEE_MEMO_PREFIX)
+  );
+
+  if (roomMemos.length === 0) {
+    return failure(
+      PAYMENT_FAILURE.MISSING_ROOM_MEMO,
+      `Transaction must include the memo "${buildEntryFeeMemo(roomId)}"`
+    );
+  }
+
+  if (!roomMemos.includes(buildEntryFeeMemo(roomId))) {
+    return failure(
+      PAYMENT_FAILURE.ROOM_MISMATCH,
+      `Payment is bound to another room (${roomMemos[0]})`
+    );
+  }
+
+  const amount = fromLamports(lamportsToEscrow);
+  console.log(
+    `✅ Entry fee verified: ${amount} ${currency} for room ${roomId}`
+  );
+
+  return {
+    verified: true,
+    amount,
+    lamports: lamportsToEscrow,
+    currency,
+    txSignature,
+    playerWallet: playerKey,
+    escrowWallet: escrowKey,
+    roomId,
+    slot: txInfo.slot,
+  };
+}
+
+// Consume a verified payment's signature so it can never be applied again,
+// in this room or any other. Pass the result of verifyEntryFeePayment; a
+// failed verification is returned untouched.
+export async function claimEntryFeeSignature(verification, gameType = null) {
+  if (!verification.verified) {
+    return verification;
+  }
+
+  try {
+    const claim = await consumePaymentSignature({
+      txSignature: verification.txSignature,
+      roomId: verification.roomId,
+      walletAddress: verification.playerWallet,
+      amount: verification.amount,
+      gameType,
+    });
+
+    if (!claim.consumed) {
+      return failure(
+        PAYMENT_FAILURE.SIGNATURE_REUSED,
+        `Transaction was already used for room ${
+          claim.existing?.roomId || "unknown"
+        }`
+      );
+    }
+  } catch (error) {
+    return failure(
+      PAYMENT_FAILURE.LEDGER_ERROR,
+      `Could not record payment signature: ${error.message}`
+    );
+  }
+
+  console.log(`🔒 Payment signature consumed: ${verification.txSignature}`);
+  return verification;
+}
+
+// Give back a claimed signature whose deposit could not be recorded, so the
+// payment isn't lost to the player. Never throws; a failure is logged.
+export async function releaseEntryFeeSignature(txSignature) {
+  try {
+    await releasePaymentSignature(txSignature);
+    console.log(`🔓 Payment signature released: ${txSignature}`);
+  } catch (error) {
+    console.error(
+      `❌ Could not release payment signature ${txSignature}:`,
+      error
+    );
+  }
+}
+
+export default {
+  verifyEntryFeePayment,
+  claimEntryFeeSignature,
+  releaseEntryFeeSignature,
+  buildEntryFeeMemo,
+  ENTRY_FEE_MEMO_PREFIX,
+  PAYMENT_FAILURE,
+};
@@ -0,0 +1,590 @@
+// Prize Payout Queue
+// Every prize or refund becomes a PayoutJob in MongoDB, keyed by
+// gameId:wallet:rank. A worker sends and confirms each transfer, retries
+// failures with exponential backoff and marks the job paid with its
+// signature, so a crash or RPC timeout never loses or double-pays a prize.
+// GOR jobs are system transfers; gGOR jobs are SPL token transfers from the
+// platform's token account. A job whose recipient is the platform wallet
+// itself is marked skipped: nothing is sent and no signature is recorded.
+// A settled job whose escrow ledger debit could not be written keeps
+// ledgerPending, and the worker retries the debit until it is recorded.
+
+import {
+  Connection,
+  PublicKey,
+  Transaction,
+  SystemProgram,
+  Keypair,
+} from "@solana/web3.js";
+import {
+  createAssociatedTokenAccountIdempotentInstruction,
+  createTransferCheckedInstruction,
+} from "@solana/spl-token";
+import bs58 from "bs58";
+import { config, parseSecretKey } from "./config.js";
+import { PayoutJob } from "./models.js";
+import { hasJournalWithMemo, recordPrizeDebit } from "./escrow-ledger.js";
+import { toLamports, GOR_DECIMALS } from "./money.js";
+import {
+  CURRENCY,
+  isSplCurrency,
+  getCurrencyMint,
+  getTokenAccountAddress,
+} from "./currency.js";
+
+// Payout modes:
+//   mock   - no transfers, prizes are only logged
+//   devnet - real transfers against DEVNET_RPC_URL with worthless funds
+//   real   - real transfers on Gorbagana
+// The mode comes from the config profile or PAYOUT_MODE (config.js).
+export function getPayoutMode() {
+  return config.payoutMode;
+}
+
+const connection = new Connection(
+  getPayoutMode() === "devnet" ? config.devnetRpcUrl : config.rpcUrl,
+  "confirmed"
+);
+
+const RETRY_BASE_DELAY_MS = 5000;
+const RETRY_MAX_DELAY_MS = 5 * 60 * 1000;
+// A job left "processing" this long belongs to a worker that died mid-send
+const STALE_LOCK_MS = 2 * 60 * 1000;
+const WORKER_BATCH_SIZE = 20;
+
+let platformWallet = null;
+let workerTimer = null;
+let workerRunning = false;
+
+function loadPlatformWallet() {
+  if (platformWallet) return platformWallet;
+
+  if (!config.platformPrivateKey) {
+    return null;
+  }
+
+  try {
+    platformWallet = Keypair.fromSecretKey(
+      parseSecretKey(config.platformPrivateKey)
+    );
+    return platformWallet;
+  } catch (error) {
+    console.error("❌ [payout-queue] Failed to load platform wallet:", error);
+    return null;
+  }
+}
+
+// Refunds get their own key space so a player who is refunded and later wins
+// in the same room doesn't collide with their prize job
+export function buildPayoutKey(gameId, walletAddress, rank, kind = "payout") {
+  return kind === "refund"
+    ? `${gameId}:${walletAddress}:refund:${rank}`
+    : `${gameId}:${walletAddress}:${rank}`;
+}
+
+function retryDelay(attempts) {
+  return Math.min(
+    RETRY_BASE_DELAY_MS * Math.pow(2, Math.max(attempts - 1, 0)),
+    RETRY_MAX_DELAY_MS
+  );
+}
+
+// Queue a payout for every winner. Existing jobs with the same key are left
+// untouched, so calling this twice for the same game is harmless.
+export async function enqueuePayouts({
+  gameId,
+  gameType = null,
+  winners,
+  refund = false,
+  currency = CURRENCY.GOR,
+}) {
+  const keys = [];
+
+  for (const winner of winners) {
+    const rank = winner.rank || 1;
+    const kind =
+      refund || winner.reason === "bet_refund" ? "refund" : "payout";
+    const idempotencyKey = buildPayoutKey(gameId, winner.wallet, rank, kind);
+    keys.push(idempotencyKey);
+
+    try {
+      await PayoutJob.updateOne(
+        { idempotencyKey },
+        {
+          $setOnInsert: {
+            idempotencyKey,
+            gameId,
+            gameType,
+            walletAddress: winner.wallet,
+            rank,
+            kind,
+            amount: winner.prize,
+            lamports: toLamports(winner.prize),
+            currency,
+          },
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      // Two callers raced the same upsert - the other insert won
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  const jobs = await PayoutJob.find({ idempotencyKey: { $in: keys } });
+  console.log(`🧾 Payout queue: ${jobs.length} job(s) for game ${gameId}`);
+
+  // Keep the winners' order for callers that map results back by index
+  return keys.map((key) => jobs.find((job) => job.idempotencyKey === key));
+}
+
+// Instructions that move a job's amount from the platform to the winner. For
+// gGOR the winner's token account is created first if it doesn't exist yet.
+function buildTransferInstructions(job, wallet) {
+  const recipient = new PublicKey(job.walletAddress);
+
+  if (!isSplCurrency(job.currency)) {
+    return [
+      SystemProgram.transfer({
+        fromPubkey: wallet.publicKey,
+        toPubkey: recipient,
+        lamports: job.lamports,
+      }),
+    ];
+  }
+
+  const mint = getCurrencyMint(job.currency);
+  const source = getTokenAccountAddress(job.currency, wallet.publicKey);
+  const destination = getTokenAccountAddress(job.currency, recipient);
+
+  return [
+    createAssociatedTokenAccountIdempotentInstruction(
+      wallet.publicKey,
+      destination,
+      recipient,
+      mint
+    ),
+    createTransferCheckedInstruction(
+      source,
+      mint,
+      destination,
+      wallet.publicKey,
+      job.lamports,
+      GOR_DECIMALS
+    ),
+  ];
+}
+
+// Build, sign and broadcast the transfer for a job. The signature is stored
+// on the job before broadcasting.
+async function sendPayoutTransfer(job, wallet) {
+  const { blockhash, lastValidBlockHeight } =
+    await connection.getLatestBlockhash("confirmed");
+
+  const transaction = new Transaction({
+    feePayer: wallet.publicKey,
+    blockhash,
+    lastValidBlockHeight,
+  }).add(...buildTransferInstructions(job, wallet));
+  transaction.sign(wallet);
+
+  const signature = bs58.encode(transaction.signature);
+  await PayoutJob.updateOne(
+    { _id: job._id },
+    { $set: { txSignature: signature, lastValidBlockHeight } }
+  );
+
+  await connection.sendRawTransaction(transaction.serialize(), {
+    skipPreflight: false,
+    preflightCommitment: "confirmed",
+    maxRetries: 3,
+  });
+
+  const confirmation = await connection.confirmTransaction(
+    { signature, blockhash, lastValidBlockHeight },
+    "confirmed"
+  );
+
+  if (confirmation.value.err) {
+    throw new Error(
+      `Transaction failed: ${JSON.stringify(confirmation.value.err)}`
+    );
+  }
+
+  return signature;
+}
+
+// Work out what happened to a transaction sent by an earlier attempt.
+// "landed" - it confirmed, the job is paid
+// "dropped" - it failed or can no longer land, safe to send a new one
+// "pending" - it may still land, don't resend yet
+async function resolvePreviousAttempt(job) {
+  const {
+    value: [status],
+  } = await connection.getSignatureStatuses([job.txSignature], {
+    searchTransactionHistory: true,
+  });
+
+  if (status) {
+    if (status.err) return "dropped";
+    if (
+      status.confirmationStatus === "confirmed" ||
+      status.confirmationStatus === "finalized"
+    ) {
+      return "landed";
+    }
+    return "pending";
+  }
+
+  const blockHeight = await connection.getBlockHeight("confirmed");
+  return blockHeight > (job.lastValidBlockHeight || 0) ? "dropped" : "pending";
+}
+
+// Write a settled job's escrow debit and clear its ledgerPending flag. The
+// journal memo names the job, so a retry after a write whose flag update was
+// lost never debits twice. Failures stay flagged for the next worker pass.
+async function recordJobDebit(job) {
+  const memo = `payout_job:${job.idempotencyKey}`;
+
+  try {
+    if (!(await hasJournalWithMemo(memo))) {
+      await recordPrizeDebit({
+        gameId: job.gameId,
+        walletAddress: job.walletAddress,
+        amount: job.amount,
+        txSignature: job.status === "paid" ? job.txSignature : null,
+        gameType: job.gameType,
+        currency: job.currency || CURRENCY.GOR,
+        refund: job.kind === "refund",
+        memo,
+      });
+    }
+
+    return await PayoutJob.findOneAndUpdate(
+      { _id: job._id },
+      { $set: { ledgerPending: false, ledgerError: null } },
+      { new: true }
+    );
+  } catch (error) {
+    console.error(
+      `❌ Escrow ledger debit failed for ${job.idempotencyKey}, will retry:`,
+      error
+    );
+    await PayoutJob.updateOne(
+      { _id: job._id },
+      { $set: { ledgerError: error.message } }
+    ).catch(() => {});
+    return PayoutJob.findById(job._id);
+  }
+}
+
+// Settle a job this worker holds as paid (with its signature) or skipped
+// (signature null). The escrow debit is only recorded by the worker that
+// made the transition, so a job completed or taken over elsewhere in the
+// meantime is never debited twice.
+async function markPaid(job, signature, status = "paid") {
+  const paid = await PayoutJob.findOneAndUpdate(
+    { _id: job._id, status: "processing" },
+    {
+      $set: {
+        status,
+        txSignature: signature,
+        paidAt: new Date(),
+        lockedAt: null,
+        lastError: null,
+        ledgerPending: true,
+      },
+    },
+    { new: true }
+  );
+
+  if (!paid) {
+    console.warn(`⚠️ Payout ${job.idempotencyKey} was settled elsewhere`);
+    return PayoutJob.findById(job._id);
+  }
+
+  console.log(
+    status === "skipped"
+      ? `🔄 Payout skipped: platform wallet is the recipient (${job.idempotencyKey})`
+      : `✅ Payout paid: ${job.amount} ${
+          job.currency || CURRENCY.GOR
+        } → ${job.walletAddress.slice(0, 8)}... (${signature})`
+  );
+
+  return recordJobDebit(paid);
+}
+
+// Release a job this worker holds after a failed attempt. Like markPaid,
+// only a job still "processing" is touched: one whose stale lock was
+// released and that another worker has settled since is left alone.
+async function releaseJob(job, update) {
+  const released = await PayoutJob.findOneAndUpdate(
+    { _id: job._id, status: "processing" },
+    { $set: { ...update, lockedAt: null } },
+    { new: true }
+  );
+
+  if (!released) {
+    console.warn(`⚠️ Payout ${job.idempotencyKey} was taken over elsewhere`);
+    return PayoutJob.findById(job._id);
+  }
+  return released;
+}
+
+async function markAttemptFailed(job, error) {
+  const attempts = job.attempts + 1;
+  const exhausted = attempts >= job.maxAttempts;
+  const delay = retryDelay(attempts);
+
+  console.error(
+    `❌ Payout attempt ${attempts}/${job.maxAttempts} failed for ${job.idempotencyKey}: ${error.message}`
+  );
+
+  return releaseJob(job, {
+    status: exhausted ? "failed" : "pending",
+    attempts,
+    lastError: error.message,
+    nextAttemptAt: new Date(Date.now() + delay),
+  });
+}
+
+// Try to pay a single job now. Returns the job's latest state.
+export async function processPayoutJob(jobId) {
+  const job = await PayoutJob.findOneAndUpdate(
+    { _id: jobId, status: "pending", nextAttemptAt: { $lte: new Date() } },
+    { $set: { status: "processing", lockedAt: new Date() } },
+    { new: true }
+  );
+
+  // Paid, failed, not due yet or another worker holds it
+  if (!job) {
+    return PayoutJob.findById(jobId);
+  }
+
+  const wallet = loadPlatformWallet();
+  if (!wallet) {
+    return markAttemptFailed(
+      job,
+      new Error("No platform wallet configured - set PLATFORM_PRIVATE_KEY")
+    );
+  }
+
+  try {
+    if (job.txSignature) {
+      const previous = await resolvePreviousAttempt(job);
+      if (previous === "landed") {
+        return markPaid(job, job.txSignature);
+      }
+      if (previous === "pending") {
+        console.log(`⏳ Payout ${job.idempotencyKey} still in flight`);
+        return releaseJob(job, {
+          status: "pending",
+          nextAttemptAt: new Date(Date.now() + RETRY_BASE_DELAY_MS),
+        });
+      }
+    }
+
+    console.log(
+      `💰 Paying ${job.amount} ${
+        job.currency || CURRENCY.GOR
+      } to ${job.walletAddress.slice(0, 8)}... (${job.idempotencyKey})`
+    );
+    // The platform wallet can't pay itself; the prize simply stays put
+    if (wallet.publicKey.toBase58() === job.walletAddress) {
+      return markPaid(job, null, "skipped");
+    }
+
+    const signature = await sendPayoutTransfer(job, wallet);
+    return markPaid(job, signature);
+  } catch (error) {
+    return markAttemptFailed(job, error);
+  }
+}
+
+// Convert a job into the result shape the rooms already log and store. A
+// skipped job succeeded without a transfer, so it has no signature.
+export function toPayoutResult(job) {
+  const settled = job.status === "paid" || job.status === "skipped";
+  return {
+    rank: job.rank,
+    wallet: job.walletAddress,
+    prize: job.amount,
+    lamports: job.lamports,
+    currency: job.currency || CURRENCY.GOR,
+    success: settled,
+    signature: job.status === "paid" ? job.txSignature : null,
+    error: settled ? undefined : job.lastError,
+    status: job.status,
+    payoutJobId: job._id.toString(),
+    timestamp: new Date().toISOString(),
+  };
+}
+
+// Queue payouts for a game and make one immediate attempt at each.
+// Anything that doesn't go through stays queued for the worker.
+export async function queueAndPay({
+  gameId,
+  gameType = null,
+  winners,
+  refund = false,
+  currency = CURRENCY.GOR,
+}) {
+  const jobs = await enqueuePayouts({
+    gameId,
+    gameType,
+    winners,
+    refund,
+    currency,
+  });
+  const results = [];
+
+  for (const job of jobs) {
+    const latest = await processPayoutJob(job._id);
+    results.push(toPayoutResult(latest));
+  }
+
+  return results;
+}
+
+// Reset jobs whose worker died mid-send. Their saved signature is checked
+// before anything is resent.
+async function releaseStaleLocks() {
+  const { modifiedCount } = await PayoutJob.updateMany(
+    {
+      status: "processing",
+      lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) },
+    },
+    { $set: { status: "pending", lockedAt: null, nextAttemptAt: new Date() } }
+  );
+
+  if (modifiedCount > 0) {
+    console.log(`🔓 Released ${modifiedCount} stale payout lock(s)`);
+  }
+}
+
+// Retry escrow debits that failed after their transfer was settled
+async function retryLedgerDebits() {
+  const jobs = await PayoutJob.find({
+    ledgerPending: true,
+    status: { $in: ["paid", "skipped"] },
+  }).limit(WORKER_BATCH_SIZE);
+
+  for (const job of jobs) {
+    await recordJobDebit(job);
+  }
+}
+
+// One pass of the worker: pick up every due job and try it
+export async function runPayoutWorker() {
+  if (workerRunning) return;
+  workerRunning = true;
+
+  try {
+    await releaseStaleLocks();
+    await retryLedgerDebits();
+
+    const dueJobs = await PayoutJob.find({
+      status: "pending",
+      nextAttemptAt: { $lte: new Date() },
+    })
+      .sort({ nextAttemptAt: 1 })
+      .limit(WORKER_BATCH_SIZE)
+      .select("_id");
+
+    for (const { _id } of dueJobs) {
+      await processPayoutJob(_id);
+    }
+  } catch (error) {
+    console.error("❌ Payout worker pass failed:", error);
+  } finally {
+    workerRunning = false;
+  }
+}
+
+export function startPayoutWorker(intervalMs = 15000) {
+  if (workerTimer) return;
+  workerTimer = setInterval(runPayoutWorker, intervalMs);
+  console.log(`🧾 Payout worker started (every ${intervalMs / 1000}s)`);
+  runPayoutWorker();
+}
+
+export function stopPayoutWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
+
+// Payouts that need attention: failed for good, retrying, locked too long,
+// or settled without their escrow debit
+export async function listStuckPayouts() {
+  return PayoutJob.find({
+    $or: [
+      { status: "failed" },
+      { ledgerPending: true },
+      { status: "pending", attempts: { $gt: 0 } },
+      {
+        status: "processing",
+        lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) },
+      },
+    ],
+  })
+    .sort({ createdAt: 1 })
+    .lean();
+}
+
+export async function listPayouts({ status = null, gameId = null, limit = 100 }) {
+  const query = {};
+  if (status) query.status = status;
+  if (gameId) query.gameId = gameId;
+
+  return PayoutJob.find(query).sort({ createdAt: -1 }).limit(limit).lean();
+}
+
+// Give a stuck job a fresh set of attempts and try it immediately. A
+// settled job still missing its escrow debit gets the debit retried.
+export async function redrivePayout(jobId) {
+  const settled = await PayoutJob.findOne({
+    _id: jobId,
+    ledgerPending: true,
+    status: { $in: ["paid", "skipped"] },
+  });
+  if (settled) {
+    console.log(`🔁 Retrying escrow debit for ${settled.idempotencyKey}`);
+    return recordJobDebit(settled);
+  }
+
+  const job = await PayoutJob.findOneAndUpdate(
+    { _id: jobId, status: { $in: ["failed", "pending"] } },
+    {
+      $set: {
+        status: "pending",
+        attempts: 0,
+        nextAttemptAt: new Date(),
+        lastError: null,
+      },
+    },
+    { new: true }
+  );
+
+  if (!job) {
+    return null;
+  }
+
+  console.log(`🔁 Re-driving payout ${job.idempotencyKey}`);
+  return processPayoutJob(job._id);
+}
+
+export default {
+  getPayoutMode,
+  enqueuePayouts,
+  queueAndPay,
+  processPayoutJob,
+  runPayoutWorker,
+  startPayoutWorker,
+  stopPayoutWorker,
+  listPayouts,
+  listStuckPayouts,
+  redrivePayout,
+  buildPayoutKey,
+};
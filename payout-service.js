@@ -0,0 +1,234 @@
+// Payout Service
+// The single entry point for paying prizes and refunds. Every room calls
+// payout({ gameId, recipients, reason, currency }); the mode (mock, devnet
+// or real) is chosen by getPayoutMode() in payout-queue.js. Devnet and real
+// payouts go through the durable payout queue, which converts amounts to
+// lamports, retries failed transfers and debits the escrow ledger. Mock
+// payouts send nothing but debit the ledger too (with mock_tx_ signatures),
+// so escrow balances and reconciliation work the same in local runs.
+
+import { PublicKey } from "@solana/web3.js";
+import {
+  getPayoutMode,
+  enqueuePayouts,
+  queueAndPay,
+  toPayoutResult,
+} from "./payout-queue.js";
+import { recordPrizeDebit } from "./escrow-ledger.js";
+import { toLamports } from "./money.js";
+import { CURRENCY } from "./currency.js";
+import { ensurePlatformBalance } from "./smart-contract-integration.js";
+
+export const PAYOUT_REASON = {
+  PRIZE: "prize",
+  REFUND: "refund",
+};
+
+function failedResult(recipient, error, mode, currency) {
+  return {
+    rank: recipient.rank || 1,
+    wallet: recipient.wallet,
+    prize: recipient.amount,
+    lamports: Number.isFinite(recipient.amount)
+      ? toLamports(recipient.amount)
+      : 0,
+    currency,
+    success: false,
+    signature: null,
+    error,
+    status: "rejected",
+    mode,
+    timestamp: new Date().toISOString(),
+  };
+}
+
+function validateRecipient(recipient) {
+  if (!recipient || !recipient.wallet) {
+    return "Recipient wallet is required";
+  }
+
+  try {
+    new PublicKey(recipient.wallet);
+  } catch (error) {
+    return `Invalid recipient wallet: ${recipient.wallet}`;
+  }
+
+  if (!Number.isFinite(recipient.amount) || toLamports(recipient.amount) <= 0) {
+    return `Invalid payout amount: ${recipient.amount}`;
+  }
+
+  return null;
+}
+
+async function mockPayout(gameId, recipients, reason, gameType, currency) {
+  const results = [];
+
+  for (const recipient of recipients) {
+    const signature = `mock_tx_${gameId}_${recipient.wallet.slice(
+      0,
+      8
+    )}_${Date.now()}`;
+
+    console.log(
+      `🎭 Mock payout: ${recipient.amount} ${currency} → ${recipient.wallet.slice(
+        0,
+        8
+      )}... (${signature})`
+    );
+
+    try {
+      await recordPrizeDebit({
+        gameId,
+        walletAddress: recipient.wallet,
+        amount: recipient.amount,
+        txSignature: signature,
+        gameType,
+        currency,
+        refund: reason === PAYOUT_REASON.REFUND,
+      });
+    } catch (error) {
+      console.error(`❌ Escrow ledger debit failed for mock payout:`, error);
+    }
+
+    results.push({
+      rank: recipient.rank || 1,
+      wallet: recipient.wallet,
+      prize: recipient.amount,
+      lamports: toLamports(recipient.amount),
+      currency,
+      success: true,
+      signature,
+      status: "paid",
+      mode: "mock",
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  return results;
+}
+
+// Pay recipients ([{ wallet, amount, rank }], amounts in the room's currency)
+// for a game. Returns one result per recipient, in order:
+// { rank, wallet, prize, lamports, currency, success, signature, error,
+//   status, mode }
+// Payouts that can't be sent right now stay queued and are retried by the
+// payout worker; they come back with success: false and status "pending".
+export async function payout({
+  gameId,
+  recipients,
+  reason = PAYOUT_REASON.PRIZE,
+  gameType = null,
+  currency = CURRENCY.GOR,
+}) {
+  const mode = getPayoutMode();
+
+  console.log("🏆 PRIZE PAYOUT");
+  console.log("===============");
+  console.log(`   Game ID: ${gameId}`);
+  console.log(`   Reason: ${reason}`);
+  console.log(`   Mode: ${mode}`);
+  console.log(`   Currency: ${currency}`);
+  console.log(`   Recipients: ${recipients.length}`);
+
+  if (!gameId) {
+    throw new Error("payout requires a gameId");
+  }
+
+  const results = new Array(recipients.length);
+  const valid = [];
+
+  recipients.forEach((recipient, index) => {
+    const error = validateRecipient(recipient);
+    if (error) {
+      console.error(`❌ ${error}`);
+      results[index] = failedResult(recipient || {}, error, mode, currency);
+    } else {
+      valid.push({ recipient, index });
+    }
+  });
+
+  if (valid.length > 0) {
+    const paid = await payValidRecipients(
+      gameId,
+      valid.map(({ recipient }) => recipient),
+      reason,
+      gameType,
+      currency,
+      mode
+    );
+    valid.forEach(({ index }, i) => {
+      results[index] = paid[i];
+    });
+  }
+
+  const successful = results.filter((result) => result.success);
+  console.log(
+    `📊 Payout summary: ${successful.length}/${results.length} paid, ${successful.reduce(
+      (sum, result) => sum + result.prize,
+      0
+    )} ${currency}`
+  );
+
+  return results;
+}
+
+async function payValidRecipients(
+  gameId,
+  recipients,
+  reason,
+  gameType,
+  currency,
+  mode
+) {
+  if (mode === "mock") {
+    return mockPayout(gameId, recipients, reason, gameType, currency);
+  }
+
+  const queued = {
+    gameId,
+    gameType,
+    winners: recipients.map((recipient) => ({
+      rank: recipient.rank || 1,
+      wallet: recipient.wallet,
+      prize: recipient.amount,
+    })),
+    refund: reason === PAYOUT_REASON.REFUND,
+    currency,
+  };
+
+  // On Gorbagana, check funding first; if short, queue the payouts so the
+  // worker pays them once the platform wallet is topped up
+  if (mode === "real") {
+    const total = recipients.reduce((sum, r) => sum + r.amount, 0);
+    let balanceCheck;
+
+    try {
+      balanceCheck = await ensurePlatformBalance(total, currency);
+    } catch (error) {
+      balanceCheck = { sufficient: false, message: error.message };
+    }
+
+    if (!balanceCheck.sufficient) {
+      console.error(
+        `❌ Platform wallet can't cover ${total} ${currency} right now`
+      );
+      const jobs = await enqueuePayouts(queued);
+      return jobs.map((job) => ({
+        ...toPayoutResult(job),
+        error:
+          job.status === "paid" || job.status === "skipped"
+            ? undefined
+            : "Platform wallet has insufficient balance",
+        mode,
+      }));
+    }
+  }
+
+  const results = await queueAndPay(queued);
+  return results.map((result) => ({ ...result, mode }));
+}
+
+export default {
+  payout,
+  PAYOUT_REASON,
+};
@@ -0,0 +1,109 @@
+// Player Sessions
+// Holds a player's seat for a short window after their socket drops, so a
+// network blip doesn't forfeit a paid match. Seats are keyed by the wallet
+// the socket signed in with (see wallet-auth.js); when a new socket for that
+// wallet connects it takes the seat back and the room sends it a full state
+// snapshot. If the window runs out the room's normal leave handling runs
+// (refunds and forfeits per refund-policy.js).
+//
+// Game clocks keep running while a player is away, so a disconnect can't be
+// used to stall a turn; the window only delays the leave rules.
+
+export const RECONNECT_GRACE_MS = 30 * 1000; // 30 seconds to come back
+
+// `${scope}:${wallet}:${roomId}` → { scope, wallet, info, timer, disconnectedAt }
+const heldSeats = new Map();
+
+function seatKey(scope, wallet, roomId) {
+  return `${scope}:${wallet}:${roomId}`;
+}
+
+// Player record from a room that keeps players in an array or a Map
+export function findRoomPlayer(room, playerId) {
+  if (room.players instanceof Map) {
+    return room.players.get(playerId) || null;
+  }
+  return room.players.find((player) => player.id === playerId) || null;
+}
+
+// Point a room's player at their current socket, or mark them disconnected
+// when socketId is null. The flags show up in the room's game state.
+export function setPlayerConnection(room, playerId, socketId) {
+  const player = findRoomPlayer(room, playerId);
+  if (!player) return null;
+
+  player.connected = socketId !== null;
+  player.disconnectedAt = socketId ? null : Date.now();
+  if (socketId) {
+    player.socketId = socketId;
+  }
+  return player;
+}
+
+// Keep a disconnected player's seat. info is the server's socket record for
+// the player ({ playerId, wallet, currentRoom, ... }); onExpire(info) runs
+// if they haven't resumed within graceMs.
+export function holdSeat(
+  scope,
+  wallet,
+  info,
+  onExpire,
+  graceMs = RECONNECT_GRACE_MS
+) {
+  const key = seatKey(scope, wallet, info.currentRoom);
+  releaseSeat(key);
+
+  const timer = setTimeout(() => {
+    heldSeats.delete(key);
+    console.log(
+      `⌛ Reconnect window closed for ${wallet.slice(0, 8)}... in ${
+        info.currentRoom
+      }`
+    );
+    onExpire(info);
+  }, graceMs);
+
+  heldSeats.set(key, {
+    scope,
+    wallet,
+    info,
+    timer,
+    disconnectedAt: Date.now(),
+  });
+  console.log(
+    `⏸️ Holding seat for ${wallet.slice(0, 8)}... in ${info.currentRoom} (${
+      graceMs / 1000
+    }s)`
+  );
+}
+
+// Take back every seat held for a wallet; returns their socket records
+export function resumeSeats(scope, wallet) {
+  if (!wallet) return [];
+
+  const resumed = [];
+  for (const [key, seat] of heldSeats) {
+    if (seat.scope === scope && seat.wallet === wallet) {
+      clearTimeout(seat.timer);
+      heldSeats.delete(key);
+      resumed.push(seat.info);
+    }
+  }
+  return resumed;
+}
+
+function releaseSeat(key) {
+  const seat = heldSeats.get(key);
+  if (seat) {
+    clearTimeout(seat.timer);
+    heldSeats.delete(key);
+  }
+}
+
+export default {
+  RECONNECT_GRACE_MS,
+  findRoomPlayer,
+  setPlayerConnection,
+  holdSeat,
+  resumeSeats,
+};
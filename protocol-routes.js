@@ -0,0 +1,14 @@
+// Protocol Routes
+// GET /api/protocol serves the socket event catalog (socket-protocol.js): the
+// protocol version, the reply envelope, error codes and every client event
+// with its payload and reply schemas, for generating frontend types.
+
+import { getEventCatalog } from "./socket-protocol.js";
+
+export function setupProtocolRoutes(app) {
+  console.log("📜 Setting up PROTOCOL routes...");
+
+  app.get("/api/protocol", (req, res) => {
+    res.json({ success: true, ...getEventCatalog() });
+  });
+}
@@ -0,0 +1,311 @@
+// Rate Limiter
+// Token bucket limits for client socket events and for HTTP routes that reach
+// the Gorbagana RPC. Each limit is { capacity, refillPerSecond }: a client may
+// burst up to `capacity` requests, then gets `refillPerSecond` more per
+// second. A request spends one token from every bucket it is keyed by:
+//
+//   socket events  the socket, its signed-in wallet and its IP address
+//   HTTP routes    the IP address and the :wallet route parameter
+//
+// Events and routes without a limit of their own share the `default` buckets,
+// so spreading a flood over many event names gains nothing. An HTTP route
+// may charge more than one token a request (a JSON-RPC batch costs one per
+// call, see rpc-proxy.js).
+//
+// IP buckets are IP_SHARE times larger, since players behind one NAT share
+// an address. Limits can be tuned without a deploy through RATE_LIMITS
+// (config.rateLimits), a JSON object merged over the defaults, e.g.
+//
+//   RATE_LIMITS='{"socket":{"playerMove":{"capacity":60}}}'
+//
+// A socket that keeps emitting after being limited is muted for MUTE_MS:
+// every packet is dropped until it cools down. Clients with acknowledgements
+// get { ok: false, error: { code: "RATE_LIMITED", retryAfterMs } }; others
+// get a "rateLimited" event. Buckets live in memory, so on a cluster each
+// instance limits the clients connected to it.
+
+import { config } from "./config.js";
+import { ERROR_CODE } from "./socket-protocol.js";
+
+const IP_SHARE = 5;
+const VIOLATION_WINDOW_MS = 10 * 1000;
+const MUTE_AFTER_VIOLATIONS = 20; // Limited packets per window before a mute
+const MUTE_MS = 30 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+// Entry fees and room creation are verified on-chain, so they get the
+// tightest budget
+const PAYMENT_LIMIT = { capacity: 5, refillPerSecond: 0.2 };
+
+const DEFAULT_LIMITS = {
+  socket: {
+    default: { capacity: 20, refillPerSecond: 5 },
+    playerMove: { capacity: 40, refillPerSecond: 25 }, // Movement ticks
+    orbInput: { capacity: 40, refillPerSecond: 30 },
+    stateAck: { capacity: 40, refillPerSecond: 30 }, // One per snapshot
+    collectOrb: { capacity: 20, refillPerSecond: 10 },
+    collectRealOrb: { capacity: 20, refillPerSecond: 10 },
+    usePowerUp: { capacity: 20, refillPerSecond: 10 }, // Spends game tokens
+    placeWordGridLetter: { capacity: 5, refillPerSecond: 1 },
+    confirmPayment: PAYMENT_LIMIT,
+    confirmOrbPayment: PAYMENT_LIMIT,
+    confirmRealPayment: PAYMENT_LIMIT,
+    confirmWordGridPayment: PAYMENT_LIMIT,
+    confirmPokemonPayment: PAYMENT_LIMIT,
+    createWordGridRoom: PAYMENT_LIMIT,
+    createPokemonRoom: PAYMENT_LIMIT,
+  },
+  http: {
+    default: { capacity: 60, refillPerSecond: 10 },
+    rpcProxy: { capacity: 30, refillPerSecond: 2 },
+    balance: { capacity: 20, refillPerSecond: 1 },
+  },
+};
+
+function mergeLimits(defaults, overrides = {}) {
+  const limits = { ...defaults };
+  for (const [name, limit] of Object.entries(overrides)) {
+    limits[name] = { ...(defaults[name] || defaults.default), ...limit };
+  }
+  return limits;
+}
+
+// assertConfig refuses to start with an invalid RATE_LIMITS
+const overrides = config.rateLimits || {};
+export const RATE_LIMITS = {
+  socket: mergeLimits(DEFAULT_LIMITS.socket, overrides.socket),
+  http: mergeLimits(DEFAULT_LIMITS.http, overrides.http),
+};
+
+class TokenBucket {
+  constructor({ capacity, refillPerSecond }, now) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.updatedAt = now;
+  }
+
+  refill(now) {
+    const elapsedSeconds = (now - this.updatedAt) / 1000;
+    this.tokens = Math.min(
+      this.capacity,
+      this.tokens + elapsedSeconds * this.refillPerSecond
+    );
+    this.updatedAt = now;
+  }
+
+  // Milliseconds until `cost` tokens are available (0 if they are now)
+  waitMs(now, cost = 1) {
+    this.refill(now);
+    if (this.tokens >= cost) return 0;
+    return Math.ceil(((cost - this.tokens) / this.refillPerSecond) * 1000);
+  }
+
+  isFull(now) {
+    this.refill(now);
+    return this.tokens >= this.capacity;
+  }
+}
+
+export class RateLimiter {
+  constructor(limits) {
+    this.limits = limits;
+    this.buckets = new Map(); // `${name}:${scope}:${key}` → TokenBucket
+  }
+
+  getBucket(name, scope, key, now) {
+    // Unlisted names share the default bucket
+    const limitName = this.limits[name] ? name : "default";
+    const id = `${limitName}:${scope}:${key}`;
+    let bucket = this.buckets.get(id);
+    if (!bucket) {
+      const limit = this.limits[limitName];
+      const share = scope === "ip" ? IP_SHARE : 1;
+      bucket = new TokenBucket(
+        {
+          capacity: limit.capacity * share,
+          refillPerSecond: limit.refillPerSecond * share,
+        },
+        now
+      );
+      this.buckets.set(id, bucket);
+    }
+    return bucket;
+  }
+
+  // Spend `cost` tokens for `name` from the bucket of every key
+  // ({ scope: key }, missing keys are skipped). Nothing is spent unless every
+  // bucket has enough; a cost above a bucket's capacity spends the whole
+  // bucket. Returns 0 when allowed, otherwise how long to wait in ms.
+  consume(name, keys, now = Date.now(), cost = 1) {
+    const charges = Object.entries(keys)
+      .filter(([, key]) => key)
+      .map(([scope, key]) => {
+        const bucket = this.getBucket(name, scope, key, now);
+        return { bucket, cost: Math.min(cost, bucket.capacity) };
+      });
+
+    const retryAfterMs = Math.max(
+      0,
+      ...charges.map(({ bucket, cost }) => bucket.waitMs(now, cost))
+    );
+    if (retryAfterMs === 0) {
+      charges.forEach(({ bucket, cost }) => (bucket.tokens -= cost));
+    }
+    return retryAfterMs;
+  }
+
+  // Drop a client's buckets, e.g. when its socket disconnects
+  forget(scope, key) {
+    const suffix = `:${scope}:${key}`;
+    for (const id of this.buckets.keys()) {
+      if (id.endsWith(suffix)) this.buckets.delete(id);
+    }
+  }
+
+  // Full buckets hold no state worth keeping
+  prune(now = Date.now()) {
+    for (const [id, bucket] of this.buckets) {
+      if (bucket.isFull(now)) this.buckets.delete(id);
+    }
+  }
+}
+
+const socketLimiter = new RateLimiter(RATE_LIMITS.socket);
+const httpLimiter = new RateLimiter(RATE_LIMITS.http);
+const httpViolationsLogged = new Map(); // ip → when its last 429 was logged
+
+setInterval(() => {
+  const now = Date.now();
+  socketLimiter.prune(now);
+  httpLimiter.prune(now);
+  for (const [ip, loggedAt] of httpViolationsLogged) {
+    if (now - loggedAt > VIOLATION_WINDOW_MS) httpViolationsLogged.delete(ip);
+  }
+}, PRUNE_INTERVAL_MS).unref();
+
+// Behind a load balancer (TRUST_PROXY set) the client is the first
+// X-Forwarded-For address
+function socketAddress(socket) {
+  const forwarded = socket.handshake.headers?.["x-forwarded-for"];
+  if (config.trustProxy && forwarded) {
+    return forwarded.split(",")[0].trim();
+  }
+  return socket.handshake.address;
+}
+
+function shortKey(socket) {
+  return socket.data.wallet
+    ? `${socket.data.wallet.slice(0, 8)}...`
+    : socket.id;
+}
+
+// Limit every packet a client socket emits. Call first thing on connection,
+// before any other socket middleware (cluster routing included), so limited
+// packets are never handled or forwarded.
+export function limitSocketEvents(socket) {
+  const address = socketAddress(socket);
+  const state = { mutedUntil: 0, windowStart: 0, violations: 0 };
+
+  const refuse = (event, args, retryAfterMs, { muted, notify }) => {
+    const ack = typeof args[args.length - 1] === "function" ? args.pop() : null;
+    if (ack) {
+      ack({
+        ok: false,
+        error: {
+          code: ERROR_CODE.RATE_LIMITED,
+          message: muted
+            ? "Too many requests; muted for a while"
+            : `Too many ${event} requests`,
+          retryAfterMs,
+        },
+      });
+    } else if (notify) {
+      socket.emit("rateLimited", { event, retryAfterMs, muted });
+    }
+  };
+
+  socket.use((packet, next) => {
+    const [event, ...args] = packet;
+    const now = Date.now();
+
+    if (now < state.mutedUntil) {
+      return refuse(event, args, state.mutedUntil - now, {
+        muted: true,
+        notify: false,
+      });
+    }
+
+    const retryAfterMs = socketLimiter.consume(
+      event,
+      { socket: socket.id, wallet: socket.data.wallet, ip: address },
+      now
+    );
+    if (retryAfterMs === 0) return next();
+
+    if (now - state.windowStart > VIOLATION_WINDOW_MS) {
+      state.windowStart = now;
+      state.violations = 0;
+    }
+    state.violations++;
+
+    if (state.violations === 1) {
+      console.warn(
+        `🚦 Rate limited ${event} from ${shortKey(socket)} (${address})`
+      );
+    }
+
+    if (state.violations >= MUTE_AFTER_VIOLATIONS) {
+      state.mutedUntil = now + MUTE_MS;
+      state.violations = 0;
+      console.warn(
+        `🔇 Muted ${shortKey(socket)} (${address}) for ${
+          MUTE_MS / 1000
+        }s after flooding ${event}`
+      );
+      return refuse(event, args, MUTE_MS, { muted: true, notify: true });
+    }
+
+    // Legacy clients hear once per window, not once per flooded packet
+    refuse(event, args, retryAfterMs, {
+      muted: false,
+      notify: state.violations === 1,
+    });
+  });
+
+  socket.on("disconnect", () => socketLimiter.forget("socket", socket.id));
+}
+
+// Express middleware limiting a route under the `name` HTTP limit.
+// costOf(req) is how many tokens a request spends (default 1).
+export function rateLimit(name, costOf = () => 1) {
+  return (req, res, next) => {
+    const retryAfterMs = httpLimiter.consume(
+      name,
+      { ip: req.ip, wallet: req.params.wallet },
+      Date.now(),
+      Math.max(1, costOf(req))
+    );
+    if (retryAfterMs === 0) return next();
+
+    // One log line per address per window
+    const now = Date.now();
+    if (now - (httpViolationsLogged.get(req.ip) || 0) > VIOLATION_WINDOW_MS) {
+      httpViolationsLogged.set(req.ip, now);
+      console.warn(`🚦 Rate limited ${req.method} ${req.path} from ${req.ip}`);
+    }
+    res.set("Retry-After", String(Math.ceil(retryAfterMs / 1000)));
+    res.status(429).json({
+      success: false,
+      error: "Too many requests",
+      retryAfterMs,
+    });
+  };
+}
+
+export default {
+  RATE_LIMITS,
+  RateLimiter,
+  limitSocketEvents,
+  rateLimit,
+};
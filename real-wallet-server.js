@@ -8,46 +8,71 @@ import {
   sendAndConfirmTransaction,
   Keypair,
 } from "@solana/web3.js";
-import {
-  createTransferInstruction,
-  getOrCreateAssociatedTokenAccount,
-  getAccount,
-  TOKEN_PROGRAM_ID,
-} from "@solana/spl-token";
-import bs58 from "bs58";
+import { getAccount, TokenAccountNotFoundError } from "@solana/spl-token";
+import { config, parseSecretKey } from "./config.js";
 import {
   isValidWord,
   detectNewWords,
   findWordsInGrid,
 } from "./word-dictionary.js";
+import {
+  verifyEntryFeePayment,
+  claimEntryFeeSignature,
+} from "./payment-verification.js";
+import { recordPlatformFee } from "./escrow-ledger.js";
+import { collectValidatedEntryFee } from "./smart-contract-integration.js";
+import { payout } from "./payout-service.js";
+import { calculateBetPool, fromLamports } from "./money.js";
+import {
+  CURRENCY,
+  normalizeCurrency,
+  isSplCurrency,
+  getCurrencyMint,
+  getTokenAccountAddress,
+} from "./currency.js";
+import { settleRoom, ROOM_SITUATION } from "./refund-policy.js";
+import { getSocketWallet, isPracticeWallet } from "./wallet-auth.js";
+import {
+  RECONNECT_GRACE_MS,
+  holdSeat,
+  resumeSeats,
+  setPlayerConnection,
+} from "./player-sessions.js";
+import { GameRoom, ROOM_PHASE } from "./game-room.js";
+import {
+  registerGame,
+  attachGameHandlers,
+  leaveGame,
+} from "./game-registry.js";
+import {
+  RECOVERY_GRACE_MS,
+  SnapshotRoomMap,
+  recoverRooms,
+  saveRoomSnapshot,
+} from "./room-snapshots.js";
+import {
+  ERROR_CODE,
+  SKIP,
+  ProtocolError,
+  objectSchema,
+  onEvent,
+  paymentAwareErrorEvent,
+} from "./socket-protocol.js";
+import { SCHEMA } from "./socket-events.js";
+import { rateLimit } from "./rate-limiter.js";
 
 // Real Gorbagana Network Configuration
-const GORBAGANA_RPC =
-  process.env.GORBAGANA_RPC_URL || "https://rpc.gorbagana.wtf/";
-const connection = new Connection(GORBAGANA_RPC, "confirmed");
-
-// GOR Token Configuration (Real Gorbagana GOR)
-const GOR_MINT = new PublicKey("71Jvq4Epe2FCJ7JFSF7jLXdNk1Wy4Bhqd8iL6bEFELvg");
-const GOR_DECIMALS = 9; // Real GOR decimals
+const connection = new Connection(config.rpcUrl, "confirmed");
 
 // Platform Escrow Wallet
-const PLATFORM_PRIVATE_KEY = process.env.PLATFORM_PRIVATE_KEY;
+const PLATFORM_PRIVATE_KEY = config.platformPrivateKey;
 let platformWallet = null;
 
 if (PLATFORM_PRIVATE_KEY) {
   try {
-    let secretKey;
-
-    // Try JSON format first (array of numbers)
-    if (PLATFORM_PRIVATE_KEY.startsWith("[")) {
-      const privateKeyBytes = JSON.parse(PLATFORM_PRIVATE_KEY);
-      secretKey = new Uint8Array(privateKeyBytes);
-    } else {
-      // Try base58 format
-      secretKey = bs58.decode(PLATFORM_PRIVATE_KEY);
-    }
-
-    platformWallet = Keypair.fromSecretKey(secretKey);
+    platformWallet = Keypair.fromSecretKey(
+      parseSecretKey(PLATFORM_PRIVATE_KEY)
+    );
     console.log(
       `🔑 Platform escrow wallet: ${platformWallet.publicKey.toBase58()}`
     );
@@ -59,11 +84,68 @@ if (PLATFORM_PRIVATE_KEY) {
   }
 }
 
+// Strict entry fee check shared by every real wallet room: the fee must be
+// transferred to the platform escrow wallet and carry the room's memo
+async function verifyRoomEntryFee(
+  roomId,
+  playerWallet,
+  txSignature,
+  expectedAmount,
+  currency = CURRENCY.GOR
+) {
+  if (!platformWallet) {
+    return {
+      verified: false,
+      reason: "NO_PLATFORM_WALLET",
+      message: "Platform escrow wallet is not configured",
+    };
+  }
+
+  return verifyEntryFeePayment({
+    txSignature,
+    playerWallet,
+    roomId,
+    expectedAmount,
+    escrowWallet: platformWallet.publicKey,
+    currency,
+  });
+}
+
+// Wallet balance in lamports, or in token base units for SPL currencies.
+// A wallet without a token account holds none of the token.
+async function getWalletBalanceLamports(wallet, currency) {
+  if (!isSplCurrency(currency)) {
+    return connection.getBalance(new PublicKey(wallet));
+  }
+
+  try {
+    const account = await getAccount(
+      connection,
+      getTokenAccountAddress(currency, wallet)
+    );
+    return Number(account.amount);
+  } catch (error) {
+    if (error instanceof TokenAccountNotFoundError) return 0;
+    throw error;
+  }
+}
+
+// Record a room's platform fee. Failures are logged, not thrown: the prizes
+// have already been paid. Entry fees go through collectValidatedEntryFee,
+// which reports a failed ledger write as a failed payment.
+async function postRoomLedgerEntry(record, entry) {
+  try {
+    await record(entry);
+  } catch (error) {
+    console.error(`❌ Escrow ledger update failed for ${entry.gameId}:`, error);
+  }
+}
+
 // Storage for word grid rooms (other room types declared elsewhere)
-const realWalletWordGridRooms = new Map();
+const realWalletWordGridRooms = new SnapshotRoomMap("realWordGrid");
 
 // Storage for Pokemon card rooms
-const realWalletPokemonRooms = new Map();
+const realWalletPokemonRooms = new SnapshotRoomMap("realPokemon");
 
 // Real wallet game classes with blockchain integration
 class RealWalletWordGridRoom {
@@ -72,10 +154,12 @@ class RealWalletWordGridRoom {
     betAmount = 1,
     password = null,
     creatorWallet = null,
-    io = null
+    io = null,
+    currency = CURRENCY.GOR
   ) {
     this.roomId = roomId;
     this.betAmount = betAmount;
+    this.currency = currency; // GOR or gGOR
     this.password = password;
     this.creatorWallet = creatorWallet;
     this.io = io; // 🚨 CRITICAL: Store socket.io instance for broadcasting
@@ -107,12 +191,83 @@ class RealWalletWordGridRoom {
     );
   }
 
+  // Plain copy of the room for room-snapshots.js. The active turn is stored
+  // as time elapsed so it resumes where it was.
+  toSnapshot() {
+    const activePlayer = this.players.find((p) => p.id === this.currentPlayer);
+    return {
+      roomId: this.roomId,
+      betAmount: this.betAmount,
+      currency: this.currency,
+      password: this.password,
+      creatorWallet: this.creatorWallet,
+      gamePhase: this.gamePhase,
+      currentPlayer: this.currentPlayer,
+      players: this.players,
+      grid: this.grid,
+      wordHistory: this.wordHistory,
+      moveHistory: this.moveHistory,
+      totalEscrowed: this.totalEscrowed,
+      gameElapsedMs: this.gameStartTime
+        ? Date.now() - this.gameStartTime
+        : null,
+      turnElapsedMs: activePlayer?.turnStartTime
+        ? Date.now() - activePlayer.turnStartTime
+        : null,
+    };
+  }
+
+  static fromSnapshot(state, io) {
+    const room = new RealWalletWordGridRoom(
+      state.roomId,
+      state.betAmount,
+      state.password,
+      state.creatorWallet,
+      io,
+      state.currency
+    );
+    Object.assign(room, {
+      players: state.players,
+      grid: state.grid,
+      wordHistory: state.wordHistory,
+      moveHistory: state.moveHistory,
+      totalEscrowed: state.totalEscrowed,
+      currentPlayer: state.currentPlayer,
+      gamePhase: state.gamePhase === "countdown" ? "waiting" : state.gamePhase,
+    });
+
+    if (state.gamePhase === "countdown") {
+      room.startCountdown();
+    } else if (room.gamePhase === "playing") {
+      room.gameStartTime = Date.now() - state.gameElapsedMs;
+      const activePlayer = room.players.find(
+        (p) => p.id === room.currentPlayer
+      );
+      const gridFull = room.grid.every((cell) => cell.letter !== "");
+
+      if (gridFull) {
+        room.finishGame("grid_full");
+      } else if (state.turnElapsedMs === null || !activePlayer) {
+        // The last turn ran out the clock; the game was about to end
+        room.finishGame("time_up");
+      } else {
+        activePlayer.turnStartTime = Date.now() - state.turnElapsedMs;
+        room.startTurnTimer();
+      }
+    }
+    return room;
+  }
+
+  saveSnapshot() {
+    saveRoomSnapshot("realWordGrid", this);
+  }
+
   verifyPassword(inputPassword) {
     if (!this.password) return true;
     return this.password === inputPassword;
   }
 
-  async addPlayer(playerId, socketId, wallet, betAmount = null) {
+  async addPlayer(playerId, socketId, wallet) {
     if (this.players.length >= this.maxPlayers) {
       throw new Error("Room is full");
     }
@@ -130,7 +285,6 @@ class RealWalletWordGridRoom {
       throw new Error("Player already in room");
     }
 
-    const finalBetAmount = betAmount || this.betAmount;
     const nickname = wallet.length >= 8 ? `${wallet.slice(0, 8)}...` : wallet;
 
     const player = {
@@ -138,7 +292,7 @@ class RealWalletWordGridRoom {
       socketId: socketId,
       wallet: wallet,
       nickname: nickname,
-      betAmount: finalBetAmount,
+      betAmount: this.betAmount, // The room's stake, never the client's
       score: 0,
       timeRemaining: this.totalGameTime, // Total time for entire game
       turnStartTime: null, // Track when current turn started
@@ -160,6 +314,7 @@ class RealWalletWordGridRoom {
       } (${this.players.length}/${this.maxPlayers})`
     );
 
+    this.saveSnapshot();
     return this.getGameState();
   }
 
@@ -175,14 +330,28 @@ class RealWalletWordGridRoom {
     }
 
     try {
-      // Verify the transaction on blockchain
-      const verified = await this.verifyPaymentTransaction(
-        player.wallet,
-        txSignature,
-        player.betAmount
+      // Verify on-chain, then consume the signature so it can't be replayed
+      const verification = await claimEntryFeeSignature(
+        await this.verifyPaymentTransaction(
+          player.wallet,
+          txSignature,
+          this.betAmount
+        ),
+        "wordGrid"
       );
 
-      if (verified) {
+      if (verification.verified) {
+        // The seat only counts as paid once the fee is in the room's escrow;
+        // if that fails the signature is released for a retry
+        await collectValidatedEntryFee(
+          player.wallet,
+          verification.amount,
+          this.roomId,
+          txSignature,
+          "wordGrid",
+          this.currency
+        );
+
         player.paymentConfirmed = true;
         player.escrowTxSignature = txSignature;
         this.totalEscrowed += player.betAmount;
@@ -204,9 +373,14 @@ class RealWalletWordGridRoom {
           this.startCountdown();
         }
 
+        this.saveSnapshot();
         return { success: true, verified: true };
       } else {
-        return { success: false, error: "Payment verification failed" };
+        return {
+          success: false,
+          error: verification.message,
+          reason: verification.reason,
+        };
       }
     } catch (error) {
       console.error("❌ Word Grid payment confirmation error:", error);
@@ -215,59 +389,20 @@ class RealWalletWordGridRoom {
   }
 
   async verifyPaymentTransaction(playerWallet, txSignature, expectedAmount) {
-    try {
-      console.log(`🔍 Verifying Word Grid payment: ${txSignature}`);
-
-      const transaction = await connection.getTransaction(txSignature, {
-        commitment: "confirmed",
-        maxSupportedTransactionVersion: 0,
-      });
-
-      if (!transaction) {
-        console.log("❌ Transaction not found");
-        return false;
-      }
-
-      if (transaction.meta?.err) {
-        console.log("❌ Transaction failed:", transaction.meta.err);
-        return false;
-      }
-
-      // Verify payment amount and recipients
-      const preBalances = transaction.meta.preBalances;
-      const postBalances = transaction.meta.postBalances;
-      const accountKeys = transaction.transaction.message.accountKeys.map(
-        (key) => key.toBase58()
-      );
-
-      const playerIndex = accountKeys.indexOf(playerWallet);
-      const platformIndex = accountKeys.indexOf(
-        platformWallet.publicKey.toBase58()
-      );
-
-      if (playerIndex === -1) {
-        console.log("❌ Player wallet not found in transaction");
-        return false;
-      }
-
-      const playerBalanceChange =
-        (postBalances[playerIndex] - preBalances[playerIndex]) /
-        Math.pow(10, GOR_DECIMALS);
-
-      console.log(`💰 Player balance change: ${playerBalanceChange} GOR`);
-
-      // Player should have lost at least the expected amount (negative change)
-      return Math.abs(playerBalanceChange) >= expectedAmount * 0.95; // 5% tolerance for fees
-    } catch (error) {
-      console.error("❌ Transaction verification error:", error);
-      return false;
-    }
+    return verifyRoomEntryFee(
+      this.roomId,
+      playerWallet,
+      txSignature,
+      expectedAmount,
+      this.currency
+    );
   }
 
   startCountdown() {
     if (this.gamePhase !== "waiting") return;
 
     this.gamePhase = "countdown";
+    this.saveSnapshot();
     let countdown = 10;
 
     console.log(
@@ -321,6 +456,7 @@ class RealWalletWordGridRoom {
     console.log(`🎯 Creator goes first: ${firstPlayer.wallet.slice(0, 8)}...`);
 
     this.startTurnTimer();
+    this.saveSnapshot();
 
     // 🚨 CRITICAL: Broadcast game state after starting
     const gameState = this.getGameState();
@@ -578,6 +714,7 @@ class RealWalletWordGridRoom {
         }
       }
 
+      this.saveSnapshot();
       setTimeout(() => this.finishGame("time_up"), 1000);
       return;
     }
@@ -594,6 +731,7 @@ class RealWalletWordGridRoom {
 
     // Start timer for new player
     this.startTurnTimer();
+    this.saveSnapshot();
 
     // 🚨 CRITICAL: Broadcast turn change
     if (this.io) {
@@ -609,6 +747,7 @@ class RealWalletWordGridRoom {
     );
 
     this.gamePhase = "finished";
+    this.saveSnapshot();
 
     // Stop all timers
     if (this.gameTimer) clearInterval(this.gameTimer);
@@ -691,16 +830,9 @@ class RealWalletWordGridRoom {
   }
 
   calculateBetPool() {
-    const totalBets = this.players.reduce(
-      (sum, player) => sum + player.betAmount,
-      0
-    );
-    const platformFee = totalBets * 0.1; // 10% platform fee
-
     return {
-      totalAmount: totalBets,
-      platformFee: platformFee,
-      prizePool: totalBets - platformFee,
+      ...calculateBetPool(this.players.map((player) => player.betAmount)),
+      currency: this.currency,
     };
   }
 
@@ -737,6 +869,13 @@ class RealWalletWordGridRoom {
         console.log(`   To: ${winner.wallet}`);
         console.log(`   TX: ${txSignature}`);
 
+        await postRoomLedgerEntry(recordPlatformFee, {
+          gameId: this.roomId,
+          amount: platformFee,
+          gameType: "wordGrid",
+          currency: this.currency,
+        });
+
         return {
           success: true,
           winner: winner.wallet,
@@ -753,41 +892,28 @@ class RealWalletWordGridRoom {
     }
   }
 
-  async sendPrizeToPlayer(playerWallet, amount) {
-    try {
-      const playerPublicKey = new PublicKey(playerWallet);
-      const amountLamports = Math.floor(amount * Math.pow(10, GOR_DECIMALS));
-
-      console.log(
-        `💸 Sending ${amount} GOR (${amountLamports} lamports) to ${playerWallet.slice(
-          0,
-          8
-        )}...`
-      );
-
-      const transaction = new Transaction().add(
-        SystemProgram.transfer({
-          fromPubkey: platformWallet.publicKey,
-          toPubkey: playerPublicKey,
-          lamports: amountLamports,
-        })
-      );
+  async sendPrizeToPlayer(playerWallet, amount, rank = 1) {
+    console.log(
+      `💸 Sending ${amount} GOR to ${playerWallet.slice(0, 8)}...`
+    );
 
-      const signature = await sendAndConfirmTransaction(
-        connection,
-        transaction,
-        [platformWallet]
-      );
+    const [result] = await payout({
+      gameId: this.roomId,
+      gameType: "wordGrid",
+      currency: this.currency,
+      recipients: [{ rank, wallet: playerWallet, amount }],
+    });
 
-      console.log(
-        `✅ Prize sent: ${amount} GOR to ${playerWallet.slice(0, 8)}...`
-      );
-      console.log(`   Transaction: ${signature}`);
-      return signature;
-    } catch (error) {
-      console.error(`❌ Failed to send prize to ${playerWallet}:`, error);
-      throw error;
+    if (!result.success) {
+      console.error(`❌ Failed to send prize to ${playerWallet}:`, result.error);
+      throw new Error(`Prize payout queued for retry: ${result.error}`);
     }
+
+    console.log(
+      `✅ Prize sent: ${amount} GOR to ${playerWallet.slice(0, 8)}...`
+    );
+    console.log(`   Transaction: ${result.signature}`);
+    return result.signature;
   }
 
   // 🚨 COMPREHENSIVE WORD DETECTION - ALL DIRECTIONS & LENGTHS
@@ -918,6 +1044,7 @@ class RealWalletWordGridRoom {
       grid: this.grid,
       currentPlayer: this.currentPlayer,
       betAmount: this.betAmount,
+      currency: this.currency,
       hasPassword: !!this.password,
       wordHistory: this.wordHistory,
       moveHistory: this.moveHistory,
@@ -942,183 +1069,76 @@ class RealWalletWordGridRoom {
   }
 }
 
-class RealWalletTicTacToeRoom {
-  constructor(roomId, betAmount = 1) {
-    this.roomId = roomId;
-    this.players = [];
-    this.spectators = [];
-    this.board = Array(9).fill(null);
-    this.currentPlayer = "X";
-    this.gamePhase = "waiting"; // waiting, paying, toss, playing, finished
-    this.winner = null;
-    this.betAmount = betAmount;
-    this.escrowAccount = null; // Holds the GOR during game
-    this.totalEscrowed = 0;
-    this.paymentStatus = new Map(); // Track payment confirmations
-  }
-
-  async addPlayer(playerId, socketId, wallet, betAmount = null) {
-    if (this.players.length >= 2) {
-      throw new Error("Room is full");
-    }
-
-    if (this.gamePhase !== "waiting") {
-      throw new Error("Game already in progress");
-    }
-
-    const actualBetAmount = betAmount || this.betAmount;
-    const symbol = this.players.length === 0 ? "X" : "O";
-
-    const player = {
-      id: playerId,
-      socketId: socketId,
-      wallet: wallet,
-      symbol: symbol,
-      betAmount: actualBetAmount,
-      paymentConfirmed: false,
-      escrowTxSignature: null,
-    };
-
-    this.players.push(player);
-    console.log(
-      `🎮 Real wallet player ${wallet} joined tic-tac-toe room ${this.roomId}`
-    );
-
-    // Move to payment phase when 2 players join
-    if (this.players.length === 2) {
-      this.gamePhase = "paying";
-      await this.initializeEscrow();
-    }
-
-    return this.getGameState();
-  }
-
-  async initializeEscrow() {
+// Shared by real wallet rooms built on GameRoom: entry fees are checked
+// against the platform escrow wallet
+class RealWalletGameRoom extends GameRoom {
+  async addPlayer(playerId, socketId, wallet, options = {}) {
     if (!platformWallet) {
       throw new Error("Platform wallet required for escrow");
     }
-
-    try {
-      // Create escrow account for this game
-      this.escrowAccount = platformWallet.publicKey; // Use platform wallet as escrow
-      console.log(`💰 Escrow initialized for game ${this.roomId}`);
-      console.log(`   Escrow account: ${this.escrowAccount.toBase58()}`);
-      console.log(`   Total required: ${this.betAmount * 2} GOR`);
-    } catch (error) {
-      console.error("❌ Failed to initialize escrow:", error);
-      throw error;
-    }
+    return super.addPlayer(playerId, socketId, wallet, options);
   }
 
-  async confirmPayment(playerId, txSignature) {
-    const player = this.players.find((p) => p.id === playerId);
-    if (!player) {
-      throw new Error("Player not found");
-    }
-
-    try {
-      // Verify the transaction on blockchain
-      const verified = await this.verifyPaymentTransaction(
-        player.wallet,
-        txSignature,
-        player.betAmount
-      );
-
-      if (verified) {
-        player.paymentConfirmed = true;
-        player.escrowTxSignature = txSignature;
-        this.totalEscrowed += player.betAmount;
-
-        console.log(
-          `💰 Payment confirmed: ${player.betAmount} GOR from ${player.wallet}`
-        );
-        console.log(`   Transaction: ${txSignature}`);
-        console.log(`   Total escrowed: ${this.totalEscrowed} GOR`);
-
-        // Check if all players have paid
-        const allPaid = this.players.every((p) => p.paymentConfirmed);
-        if (allPaid) {
-          this.gamePhase = "toss";
-          console.log(`🎲 All payments confirmed, starting coin toss phase`);
-        }
-
-        return { success: true, verified: true };
-      } else {
-        return { success: false, error: "Payment verification failed" };
-      }
-    } catch (error) {
-      console.error("❌ Payment confirmation error:", error);
-      return { success: false, error: error.message };
-    }
+  async verifyEntryFee(player, txSignature) {
+    return verifyRoomEntryFee(
+      this.roomId,
+      player.wallet,
+      txSignature,
+      this.betAmount,
+      this.currency
+    );
   }
 
-  async verifyPaymentTransaction(playerWallet, txSignature, expectedAmount) {
-    try {
-      console.log(`🔍 Verifying payment transaction: ${txSignature}`);
-
-      const transaction = await connection.getTransaction(txSignature, {
-        commitment: "confirmed",
-        maxSupportedTransactionVersion: 0,
-      });
-
-      if (!transaction) {
-        console.log("❌ Transaction not found on blockchain");
-        return false;
-      }
-
-      if (transaction.meta?.err) {
-        console.log("❌ Transaction failed:", transaction.meta.err);
-        return false;
-      }
-
-      // For GOR (native SOL-like token on Gorbagana), check balance changes
-      const preBalances = transaction.meta.preBalances;
-      const postBalances = transaction.meta.postBalances;
-
-      // Find the player's account index
-      const accountKeys = transaction.transaction.message.accountKeys.map(
-        (key) => key.toBase58()
-      );
-      const playerIndex = accountKeys.indexOf(playerWallet);
-      const platformIndex = accountKeys.indexOf(
-        platformWallet.publicKey.toBase58()
-      );
-
-      if (playerIndex === -1) {
-        console.log("❌ Player wallet not found in transaction");
-        return false;
-      }
+  getGameState(requestingPlayerId = null) {
+    return {
+      ...super.getGameState(requestingPlayerId),
+      escrowAccount: platformWallet?.publicKey.toBase58(),
+    };
+  }
+}
 
-      // Calculate the amount transferred (in lamports)
-      const playerBalanceChange =
-        preBalances[playerIndex] - postBalances[playerIndex];
-      const expectedLamports = expectedAmount * Math.pow(10, GOR_DECIMALS);
+const TIC_TAC_TOE_LINES = [
+  [0, 1, 2],
+  [3, 4, 5],
+  [6, 7, 8], // rows
+  [0, 3, 6],
+  [1, 4, 7],
+  [2, 5, 8], // columns
+  [0, 4, 8],
+  [2, 4, 6], // diagonals
+];
+
+class RealWalletTicTacToeRoom extends RealWalletGameRoom {
+  constructor(roomId, options = {}) {
+    super(roomId, {
+      ...options,
+      gameType: "ticTacToe",
+      minPlayers: 2,
+      maxPlayers: 2,
+      countdownSeconds: 3,
+    });
+    this.spectators = [];
+    this.board = Array(9).fill(null);
+    this.currentPlayer = "X";
+    this.winner = null;
+  }
 
-      // Allow for transaction fees (small tolerance)
-      const tolerance = 0.01 * Math.pow(10, GOR_DECIMALS); // 0.01 GOR tolerance for fees
+  // First seat plays X
+  createPlayer(player) {
+    const taken = this.players.map((p) => p.symbol);
+    return { ...player, symbol: taken.includes("X") ? "O" : "X" };
+  }
 
-      if (Math.abs(playerBalanceChange - expectedLamports) <= tolerance) {
-        console.log(`✅ Payment verified: ${expectedAmount} GOR transferred`);
-        return true;
-      } else {
-        console.log(
-          `❌ Payment amount mismatch: expected ${expectedAmount} GOR, got ${
-            playerBalanceChange / Math.pow(10, GOR_DECIMALS)
-          } GOR`
-        );
-        return false;
-      }
-    } catch (error) {
-      console.error("❌ Transaction verification error:", error);
-      return false;
-    }
+  onStart() {
+    this.board = Array(9).fill(null);
+    this.currentPlayer = "X";
   }
 
   makeMove(playerId, cellIndex) {
-    if (this.gamePhase !== "playing") return null;
+    if (this.gamePhase !== ROOM_PHASE.PLAYING) return null;
     if (this.board[cellIndex] !== null) return null;
 
-    const player = this.players.find((p) => p.id === playerId);
+    const player = this.getPlayer(playerId);
     if (!player || player.symbol !== this.currentPlayer) return null;
 
     this.board[cellIndex] = this.currentPlayer;
@@ -1126,28 +1146,22 @@ class RealWalletTicTacToeRoom {
     const winner = this.checkWinner();
     if (winner) {
       this.winner = winner;
-      this.gamePhase = "finished";
-      this.distributePrizes();
+      // A draw splits the pool between both players
+      this.finish({
+        winners:
+          winner === "draw"
+            ? this.paidPlayers()
+            : this.players.filter((p) => p.symbol === winner),
+      });
     } else {
       this.currentPlayer = this.currentPlayer === "X" ? "O" : "X";
     }
 
-    return this.getGameState();
+    return this.getGameState(playerId);
   }
 
   checkWinner() {
-    const lines = [
-      [0, 1, 2],
-      [3, 4, 5],
-      [6, 7, 8], // rows
-      [0, 3, 6],
-      [1, 4, 7],
-      [2, 5, 8], // columns
-      [0, 4, 8],
-      [2, 4, 6], // diagonals
-    ];
-
-    for (const [a, b, c] of lines) {
+    for (const [a, b, c] of TIC_TAC_TOE_LINES) {
       if (
         this.board[a] &&
         this.board[a] === this.board[b] &&
@@ -1164,300 +1178,91 @@ class RealWalletTicTacToeRoom {
     return null;
   }
 
-  async distributePrizes() {
-    if (!platformWallet) {
-      console.error("❌ Platform wallet required for prize distribution");
-      return;
-    }
-
-    try {
-      const prizePool = this.totalEscrowed;
-      const platformFee = prizePool * 0.1; // 10% platform fee
-      const winnerPrize = prizePool - platformFee;
-
-      console.log(`🏆 Distributing prizes for game ${this.roomId}`);
-      console.log(`   Total pool: ${prizePool} GOR`);
-      console.log(`   Platform fee: ${platformFee} GOR`);
-      console.log(`   Winner prize: ${winnerPrize} GOR`);
-
-      if (this.winner === "draw") {
-        // Split the prize between both players
-        const splitPrize = winnerPrize / 2;
-        for (const player of this.players) {
-          await this.sendPrizeToPlayer(player.wallet, splitPrize);
-        }
-        console.log(`🤝 Draw! Each player receives ${splitPrize} GOR`);
-      } else {
-        // Find the winning player
-        const winningPlayer = this.players.find(
-          (p) => p.symbol === this.winner
-        );
-        if (winningPlayer) {
-          await this.sendPrizeToPlayer(winningPlayer.wallet, winnerPrize);
-          console.log(
-            `🎉 Winner ${winningPlayer.wallet} receives ${winnerPrize} GOR`
-          );
-        }
-      }
-    } catch (error) {
-      console.error("❌ Prize distribution error:", error);
-    }
-  }
-
-  async sendPrizeToPlayer(playerWallet, amount) {
-    try {
-      const transaction = new Transaction();
-
-      // Create transfer instruction from escrow (platform wallet) to player
-      const transferInstruction = SystemProgram.transfer({
-        fromPubkey: platformWallet.publicKey,
-        toPubkey: new PublicKey(playerWallet),
-        lamports: amount * Math.pow(10, GOR_DECIMALS),
-      });
-
-      transaction.add(transferInstruction);
-
-      // Send the transaction
-      const signature = await sendAndConfirmTransaction(
-        connection,
-        transaction,
-        [platformWallet],
-        {
-          commitment: "confirmed",
-          preflightCommitment: "confirmed",
-        }
-      );
-
-      console.log(`✅ Prize sent: ${amount} GOR → ${playerWallet}`);
-      console.log(`   Transaction: ${signature}`);
-
-      return { success: true, signature };
-    } catch (error) {
-      console.error(`❌ Failed to send prize to ${playerWallet}:`, error);
-      return { success: false, error: error.message };
-    }
-  }
-
-  getGameState(requestingPlayerId = null) {
+  getRulesState() {
     return {
-      players: this.players.map((p) => ({
-        ...p,
-        isYou: p.id === requestingPlayerId,
-      })),
       spectators: this.spectators.length,
       board: this.board,
       currentPlayer: this.currentPlayer,
-      gamePhase: this.gamePhase,
       winner: this.winner,
-      betAmount: this.betAmount,
-      totalEscrowed: this.totalEscrowed,
-      escrowAccount: this.escrowAccount?.toBase58(),
     };
   }
 }
 
-class RealWalletOrbCollectorRoom {
-  constructor(roomId, betAmount = 1) {
-    this.roomId = roomId;
-    this.players = [];
+const ORB_GAME_SECONDS = 60;
+const ORB_COUNT = 15;
+
+const ORB_TYPES = [
+  { type: "common", value: 1, glowColor: "#4FC3F7", weight: 70 },
+  { type: "rare", value: 3, glowColor: "#AB47BC", weight: 25 },
+  { type: "legendary", value: 5, glowColor: "#FFB74D", weight: 5 },
+];
+
+class RealWalletOrbCollectorRoom extends RealWalletGameRoom {
+  constructor(roomId, options = {}) {
+    super(roomId, {
+      ...options,
+      gameType: "orbCollector",
+      minPlayers: 2,
+      maxPlayers: 6,
+      countdownSeconds: 5,
+    });
     this.orbs = [];
-    this.gameState = "waiting"; // waiting, paying, countdown, playing, finished
-    this.timeRemaining = 60;
-    this.countdownTime = 0;
-    this.betAmount = betAmount;
-    this.gameTimer = null;
+    this.timeRemaining = ORB_GAME_SECONDS;
     this.leaderboard = [];
-    this.escrowAccount = null;
-    this.totalEscrowed = 0;
   }
 
-  async addPlayer(playerId, socketId, wallet, nickname) {
-    if (this.players.length >= 6) {
-      throw new Error("Room is full");
-    }
-
-    if (this.gameState !== "waiting" && this.gameState !== "paying") {
-      throw new Error("Game already in progress");
-    }
-
-    const player = {
-      id: playerId,
-      socketId: socketId,
-      walletAddress: wallet,
+  createPlayer(player, { playerNickname } = {}) {
+    return {
+      ...player,
+      walletAddress: player.wallet,
       position: { x: 0, y: 0.5, z: 0 },
       score: 0,
       color: `hsl(${Math.random() * 360}, 70%, 60%)`,
-      nickname: nickname || `Player_${wallet.slice(-4)}`,
-      paymentConfirmed: false,
-      escrowTxSignature: null,
+      nickname: playerNickname || `Player_${player.wallet.slice(-4)}`,
     };
-
-    this.players.push(player);
-    console.log(`🔮 Real wallet player ${wallet} joined orb collector`);
-
-    // Initialize escrow when first player joins
-    if (this.players.length === 1) {
-      await this.initializeEscrow();
-      this.gameState = "paying";
-    }
-
-    return this.getGameState();
-  }
-
-  async initializeEscrow() {
-    if (!platformWallet) {
-      throw new Error("Platform wallet required for escrow");
-    }
-
-    this.escrowAccount = platformWallet.publicKey;
-    console.log(`💰 Orb collector escrow initialized for game ${this.roomId}`);
-  }
-
-  async confirmPayment(playerId, txSignature) {
-    const player = this.players.find((p) => p.id === playerId);
-    if (!player) {
-      throw new Error("Player not found");
-    }
-
-    try {
-      const verified = await this.verifyPaymentTransaction(
-        player.walletAddress,
-        txSignature,
-        this.betAmount
-      );
-
-      if (verified) {
-        player.paymentConfirmed = true;
-        player.escrowTxSignature = txSignature;
-        this.totalEscrowed += this.betAmount;
-
-        console.log(
-          `💰 Orb game payment confirmed: ${this.betAmount} GOR from ${player.walletAddress}`
-        );
-
-        // Start countdown when we have 2+ paid players
-        if (this.players.filter((p) => p.paymentConfirmed).length >= 2) {
-          this.startCountdown();
-        }
-
-        return { success: true, verified: true };
-      } else {
-        return { success: false, error: "Payment verification failed" };
-      }
-    } catch (error) {
-      console.error("❌ Orb game payment confirmation error:", error);
-      return { success: false, error: error.message };
-    }
   }
 
-  async verifyPaymentTransaction(playerWallet, txSignature, expectedAmount) {
-    // Similar verification logic as TicTacToe
-    try {
-      const transaction = await connection.getTransaction(txSignature, {
-        commitment: "confirmed",
-        maxSupportedTransactionVersion: 0,
-      });
-
-      if (!transaction || transaction.meta?.err) {
-        return false;
-      }
-
-      const preBalances = transaction.meta.preBalances;
-      const postBalances = transaction.meta.postBalances;
-
-      const accountKeys = transaction.transaction.message.accountKeys.map(
-        (key) => key.toBase58()
-      );
-      const playerIndex = accountKeys.indexOf(playerWallet);
-
-      if (playerIndex === -1) {
-        return false;
-      }
-
-      const playerBalanceChange =
-        preBalances[playerIndex] - postBalances[playerIndex];
-      const expectedLamports = expectedAmount * Math.pow(10, GOR_DECIMALS);
-      const tolerance = 0.01 * Math.pow(10, GOR_DECIMALS);
-
-      return Math.abs(playerBalanceChange - expectedLamports) <= tolerance;
-    } catch (error) {
-      console.error("❌ Orb payment verification error:", error);
-      return false;
-    }
+  // Starts once two players have paid; later payers join the countdown
+  canStart() {
+    return this.paidPlayers().length >= 2;
   }
 
-  startCountdown() {
-    this.gameState = "countdown";
-    this.countdownTime = 5;
-
-    console.log(`🔮 Starting countdown for orb collector room ${this.roomId}`);
-
-    const countdown = setInterval(() => {
-      this.countdownTime--;
-      console.log(`🔮 Countdown: ${this.countdownTime} seconds remaining`);
-
-      // Broadcast countdown updates
-      if (realWalletIo) {
-        const gameState = this.getGameState();
-        realWalletIo.to(this.roomId).emit("realOrbGameState", gameState);
-      }
-
-      if (this.countdownTime <= 0) {
-        clearInterval(countdown);
-        this.startGame();
-      }
-    }, 1000);
-  }
-
-  startGame() {
-    this.gameState = "playing";
-    this.timeRemaining = 60;
+  onStart() {
+    this.timeRemaining = ORB_GAME_SECONDS;
     this.spawnInitialOrbs();
 
     console.log(
       `🔮 Starting orb collector game ${this.roomId} with ${this.players.length} players`
     );
 
-    // Broadcast initial game state when game starts
-    if (realWalletIo) {
-      const gameState = this.getGameState();
-      realWalletIo.to(this.roomId).emit("realOrbGameState", gameState);
-    }
+    this.setRepeating(
+      "game",
+      () => {
+        this.timeRemaining--;
 
-    this.gameTimer = setInterval(() => {
-      this.timeRemaining--;
-
-      // Broadcast periodic updates during gameplay
-      if (this.timeRemaining % 5 === 0 && realWalletIo) {
-        const gameState = this.getGameState();
-        realWalletIo.to(this.roomId).emit("realOrbGameState", gameState);
-      }
-
-      if (this.timeRemaining <= 0) {
-        this.endGame();
-      }
-    }, 1000);
+        if (this.timeRemaining <= 0) {
+          this.endGame();
+        } else if (this.timeRemaining % 5 === 0) {
+          this.broadcastState();
+        }
+      },
+      1000
+    );
   }
 
   spawnInitialOrbs() {
     this.orbs = [];
-    for (let i = 0; i < 15; i++) {
+    for (let i = 0; i < ORB_COUNT; i++) {
       this.createSingleOrb();
     }
   }
 
   createSingleOrb() {
-    const types = [
-      { type: "common", value: 1, glowColor: "#4FC3F7", weight: 70 },
-      { type: "rare", value: 3, glowColor: "#AB47BC", weight: 25 },
-      { type: "legendary", value: 5, glowColor: "#FFB74D", weight: 5 },
-    ];
-
     const random = Math.random() * 100;
-    let selectedType = types[0];
+    let selectedType = ORB_TYPES[0];
     let cumulative = 0;
 
-    for (const type of types) {
+    for (const type of ORB_TYPES) {
       cumulative += type.weight;
       if (random <= cumulative) {
         selectedType = type;
@@ -1465,15 +1270,13 @@ class RealWalletOrbCollectorRoom {
       }
     }
 
-    const orb = {
+    this.orbs.push({
       id: `orb_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
       position: this.getRandomOrbPosition(),
       value: selectedType.value,
       type: selectedType.type,
       glowColor: selectedType.glowColor,
-    };
-
-    this.orbs.push(orb);
+    });
   }
 
   getRandomOrbPosition() {
@@ -1485,8 +1288,10 @@ class RealWalletOrbCollectorRoom {
   }
 
   collectOrb(playerId, orbId) {
+    if (this.gamePhase !== ROOM_PHASE.PLAYING) return null;
+
     const orbIndex = this.orbs.findIndex((o) => o.id === orbId);
-    const player = this.players.find((p) => p.id === playerId);
+    const player = this.getPlayer(playerId);
 
     if (orbIndex !== -1 && player && player.paymentConfirmed) {
       const orb = this.orbs[orbIndex];
@@ -1497,7 +1302,7 @@ class RealWalletOrbCollectorRoom {
       this.createSingleOrb();
 
       console.log(
-        `💎 Real wallet orb collected: ${orb.value} points for ${player.walletAddress}`
+        `💎 Real wallet orb collected: ${orb.value} points for ${player.wallet}`
       );
       return { orbId, playerId, value: orb.value };
     }
@@ -1505,119 +1310,92 @@ class RealWalletOrbCollectorRoom {
     return null;
   }
 
+  // Highest score takes the prize pool
   async endGame() {
-    if (this.gameTimer) {
-      clearInterval(this.gameTimer);
-      this.gameTimer = null;
-    }
-
-    this.gameState = "finished";
-
-    // Create leaderboard with only paid players
-    const paidPlayers = this.players.filter((p) => p.paymentConfirmed);
-    this.leaderboard = [...paidPlayers]
+    this.leaderboard = [...this.paidPlayers()]
       .sort((a, b) => b.score - a.score)
       .map((p, index) => ({ ...p, rank: index + 1 }));
 
     console.log(
-      `🏁 Real wallet orb game ended, winner: ${this.leaderboard[0]?.walletAddress}`
+      `🏁 Real wallet orb game ended, winner: ${this.leaderboard[0]?.wallet}`
     );
 
-    // Broadcast final game state
-    if (realWalletIo) {
-      const gameState = this.getGameState();
-      realWalletIo.to(this.roomId).emit("realOrbGameState", gameState);
-      realWalletIo.to(this.roomId).emit("gameEnd", {
-        gameId: this.roomId,
-        leaderboard: this.leaderboard,
-        totalEscrowed: this.totalEscrowed,
-      });
-    }
-
-    // Distribute prizes
-    await this.distributePrizes();
-  }
-
-  async distributePrizes() {
-    if (!platformWallet || this.leaderboard.length === 0) {
-      return;
-    }
-
-    try {
-      const prizePool = this.totalEscrowed;
-      const platformFee = prizePool * 0.1; // 10% platform fee
-      const winnerPrize = prizePool - platformFee; // 90% to winner
+    this.emitToRoom("gameEnd", {
+      gameId: this.roomId,
+      leaderboard: this.leaderboard,
+      totalEscrowed: this.totalEscrowed,
+    });
 
-      console.log(
-        `🏆 Distributing orb collector prizes for game ${this.roomId}`
-      );
-      console.log(`   Total pool: ${prizePool} GOR`);
-      console.log(`   Platform fee: ${platformFee} GOR`);
-      console.log(`   Winner prize: ${winnerPrize} GOR`);
-
-      // Winner takes all (like tic-tac-toe)
-      const winner = this.leaderboard[0];
-      if (winner && winnerPrize > 0) {
-        await this.sendPrizeToPlayer(winner.walletAddress, winnerPrize);
-        console.log(
-          `🎉 Winner: ${winner.walletAddress} receives ${winnerPrize.toFixed(
-            2
-          )} GOR`
-        );
-      }
-    } catch (error) {
-      console.error("❌ Orb collector prize distribution error:", error);
-    }
+    await this.finish({ winners: this.leaderboard.slice(0, 1) });
   }
 
-  async sendPrizeToPlayer(playerWallet, amount) {
-    try {
-      const transaction = new Transaction();
-
-      const transferInstruction = SystemProgram.transfer({
-        fromPubkey: platformWallet.publicKey,
-        toPubkey: new PublicKey(playerWallet),
-        lamports: amount * Math.pow(10, GOR_DECIMALS),
-      });
-
-      transaction.add(transferInstruction);
-
-      const signature = await sendAndConfirmTransaction(
-        connection,
-        transaction,
-        [platformWallet],
-        {
-          commitment: "confirmed",
-          preflightCommitment: "confirmed",
-        }
-      );
-
-      console.log(`✅ Orb prize sent: ${amount} GOR → ${playerWallet}`);
-      return { success: true, signature };
-    } catch (error) {
-      console.error(`❌ Failed to send orb prize to ${playerWallet}:`, error);
-      return { success: false, error: error.message };
-    }
-  }
-
-  getGameState() {
+  getRulesState() {
     return {
-      status: this.gameState,
-      players: this.players,
+      status: this.gamePhase,
+      gameId: this.roomId,
       orbs: this.orbs,
       timeRemaining: this.timeRemaining,
-      gameId: this.roomId,
-      countdownTime: this.countdownTime,
       leaderboard: this.leaderboard,
-      totalEscrowed: this.totalEscrowed,
-      escrowAccount: this.escrowAccount?.toBase58(),
     };
   }
 }
 
+// Paid games generated from the game registry
+const realTicTacToeGame = registerGame({
+  type: "realTicTacToe",
+  name: "real wallet tic-tac-toe",
+  RoomClass: RealWalletTicTacToeRoom,
+  roomIdPrefix: "real_ttt",
+  events: {
+    join: "joinRealTicTacToe",
+    confirmPayment: "confirmRealPayment",
+    state: "realTicTacToeState",
+  },
+  actions: {
+    realTicTacToeMove: {
+      description: "Place your symbol on a cell (0-8, row by row)",
+      payload: objectSchema(
+        { cellIndex: { type: "integer", minimum: 0, maximum: 8 } },
+        ["cellIndex"]
+      ),
+      run: (room, playerId, { cellIndex }) =>
+        room.makeMove(playerId, cellIndex),
+    },
+  },
+  closeOnLeave: true,
+});
+
+const realOrbCollectorGame = registerGame({
+  type: "realOrbCollector",
+  name: "real wallet orb collector",
+  RoomClass: RealWalletOrbCollectorRoom,
+  roomIdPrefix: "real_orb",
+  events: {
+    join: "joinRealOrbGame",
+    confirmPayment: "confirmRealPayment",
+    state: "realOrbGameState",
+  },
+  actions: {
+    collectRealOrb: {
+      description: "Collect an orb",
+      payload: objectSchema({ orbId: SCHEMA.ID }, ["orbId"]),
+      reply: objectSchema({
+        orbId: SCHEMA.ID,
+        playerId: SCHEMA.ID,
+        value: { type: "number" },
+      }),
+      run: (room, playerId, { orbId }) => room.collectOrb(playerId, orbId),
+      resultEvent: "realOrbCollected",
+    },
+  },
+  joinFields: { playerNickname: { type: "string", maxLength: 32 } },
+  walletField: "playerId",
+  payOnJoin: true,
+});
+
 // Real wallet game storage
-const realWalletTicTacToeRooms = new Map();
-const realWalletOrbCollectorRooms = new Map();
+const realWalletTicTacToeRooms = realTicTacToeGame.rooms;
+const realWalletOrbCollectorRooms = realOrbCollectorGame.rooms;
 const realWalletPlayerSockets = new Map();
 
 // Real Pokemon Card Room Class
@@ -1627,10 +1405,12 @@ class RealWalletPokemonRoom {
     betAmount = 1,
     playerCount = 2,
     password = null,
-    io = null
+    io = null,
+    currency = CURRENCY.GOR
   ) {
     this.roomId = roomId;
     this.betAmount = betAmount;
+    this.currency = currency; // GOR or gGOR
     this.playerCount = playerCount; // 2-6 players
     this.password = password;
     this.io = io;
@@ -1656,12 +1436,69 @@ class RealWalletPokemonRoom {
     );
   }
 
+  // Plain copy of the room for room-snapshots.js, with the battle clock
+  // stored as time elapsed
+  toSnapshot() {
+    return {
+      roomId: this.roomId,
+      betAmount: this.betAmount,
+      currency: this.currency,
+      playerCount: this.playerCount,
+      password: this.password,
+      gamePhase: this.gamePhase,
+      players: this.players,
+      totalEscrowed: this.totalEscrowed,
+      gameState: this.gameState,
+      gameElapsedMs: this.gameStartTime
+        ? Date.now() - this.gameStartTime
+        : null,
+    };
+  }
+
+  static fromSnapshot(state, io) {
+    const room = new RealWalletPokemonRoom(
+      state.roomId,
+      state.betAmount,
+      state.playerCount,
+      state.password,
+      io,
+      state.currency
+    );
+    Object.assign(room, {
+      players: state.players,
+      totalEscrowed: state.totalEscrowed,
+      gameState: state.gameState,
+      gamePhase: state.gamePhase,
+    });
+
+    if (room.gamePhase === "countdown") {
+      room.startCountdown();
+    } else if (room.gamePhase === "playing") {
+      const loser = room.players.find((p) => p.remainingPokemon === 0);
+
+      if (loser) {
+        // The winning blow landed just before the restart
+        room.endGame("victory", room.players.find((p) => p !== loser));
+      } else {
+        room.gameStartTime = Date.now() - state.gameElapsedMs;
+        room.gameTimer = setTimeout(() => {
+          room.endGame("timeout");
+        }, Math.max(0, room.gameDuration - state.gameElapsedMs));
+      }
+    }
+    return room;
+  }
+
+  saveSnapshot() {
+    saveRoomSnapshot("realPokemon", this);
+  }
+
   verifyPassword(inputPassword) {
     if (!this.password) return true;
     return this.password === inputPassword;
   }
 
-  async addPlayer(playerId, socketId, wallet, betAmount = null) {
+  async addPlayer(playerId, socketId, wallet) {
     if (this.players.length >= this.maxPlayers) {
       throw new Error("Room is full");
     }
@@ -1679,7 +1516,6 @@ class RealWalletPokemonRoom {
       throw new Error("Player already in room");
     }
 
-    const finalBetAmount = betAmount || this.betAmount;
     const nickname = wallet.length >= 8 ? `${wallet.slice(0, 8)}...` : wallet;
 
     const player = {
@@ -1687,7 +1523,7 @@ class RealWalletPokemonRoom {
       socketId: socketId,
       wallet: wallet,
       nickname: nickname,
-      betAmount: finalBetAmount,
+      betAmount: this.betAmount, // The room's stake, never the client's
       ready: false,
       paymentConfirmed: false,
       escrowTxSignature: null,
@@ -1704,6 +1540,7 @@ class RealWalletPokemonRoom {
       }/${this.maxPlayers})`
     );
 
+    this.saveSnapshot();
     return this.getGameState();
   }
 
@@ -1726,14 +1563,28 @@ class RealWalletPokemonRoom {
     }
 
     try {
-      // Verify the transaction on blockchain
-      const verified = await this.verifyPaymentTransaction(
-        player.wallet,
-        txSignature,
-        player.betAmount
+      // Verify on-chain, then consume the signature so it can't be replayed
+      const verification = await claimEntryFeeSignature(
+        await this.verifyPaymentTransaction(
+          player.wallet,
+          txSignature,
+          this.betAmount
+        ),
+        "pokemon"
       );
 
-      if (verified) {
+      if (verification.verified) {
+        // The seat only counts as paid once the fee is in the room's escrow;
+        // if that fails the signature is released for a retry
+        await collectValidatedEntryFee(
+          player.wallet,
+          verification.amount,
+          this.roomId,
+          txSignature,
+          "pokemon",
+          this.currency
+        );
+
         player.paymentConfirmed = true;
         player.escrowTxSignature = txSignature;
         this.totalEscrowed += player.betAmount;
@@ -1769,9 +1620,14 @@ class RealWalletPokemonRoom {
           console.log(`⏳ Waiting for more payments or players...`);
         }
 
+        this.saveSnapshot();
         return { success: true, gameState: this.getGameState() };
       } else {
-        return { success: false, error: "Payment verification failed" };
+        return {
+          success: false,
+          error: verification.message,
+          reason: verification.reason,
+        };
       }
     } catch (error) {
       console.error("❌ Pokemon payment verification error:", error);
@@ -1780,61 +1636,13 @@ class RealWalletPokemonRoom {
   }
 
   async verifyPaymentTransaction(playerWallet, txSignature, expectedAmount) {
-    try {
-      console.log(
-        `🔍 Verifying Pokemon payment: ${txSignature} for ${expectedAmount} GOR`
-      );
-      console.log(`🔍 Player wallet: ${playerWallet}`);
-      console.log(`🔍 Expected amount: ${expectedAmount} GOR`);
-
-      const transaction = await connection.getTransaction(txSignature, {
-        commitment: "confirmed",
-        maxSupportedTransactionVersion: 0,
-      });
-
-      if (!transaction || transaction.meta?.err) {
-        console.log(`❌ Transaction not found or failed: ${txSignature}`);
-        return false;
-      }
-
-      // Verify amount transferred
-      const preBalances = transaction.meta.preBalances;
-      const postBalances = transaction.meta.postBalances;
-      const accountKeys = transaction.transaction.message.accountKeys;
-
-      const playerIndex = accountKeys.findIndex(
-        (key) => key.toBase58() === playerWallet
-      );
-
-      if (playerIndex === -1) {
-        console.log(`❌ Player wallet not found in transaction`);
-        return false;
-      }
-
-      const playerBalanceChange =
-        preBalances[playerIndex] - postBalances[playerIndex];
-      const expectedLamports = expectedAmount * Math.pow(10, GOR_DECIMALS);
-      const tolerance = 0.01 * Math.pow(10, GOR_DECIMALS);
-
-      if (Math.abs(playerBalanceChange - expectedLamports) <= tolerance) {
-        console.log(
-          `✅ Pokemon payment verified: ${
-            playerBalanceChange / Math.pow(10, GOR_DECIMALS)
-          } GOR`
-        );
-        return true;
-      } else {
-        console.log(
-          `❌ Payment amount mismatch: expected ${expectedAmount}, got ${
-            playerBalanceChange / Math.pow(10, GOR_DECIMALS)
-          }`
-        );
-        return false;
-      }
-    } catch (error) {
-      console.error("❌ Pokemon payment verification error:", error);
-      return false;
-    }
+    return verifyRoomEntryFee(
+      this.roomId,
+      playerWallet,
+      txSignature,
+      expectedAmount,
+      this.currency
+    );
   }
 
   startCountdown() {
@@ -1843,6 +1651,7 @@ class RealWalletPokemonRoom {
     }
 
     this.gamePhase = "countdown";
+    this.saveSnapshot();
     let countdown = 5; // 5 seconds as requested
 
     const countdownInterval = setInterval(() => {
@@ -1873,6 +1682,7 @@ class RealWalletPokemonRoom {
 
     // Initialize Pokemon battle system
     this.initializePokemonBattle();
+    this.saveSnapshot();
 
     console.log(`🎴 Pokemon battle started in room ${this.roomId}`);
     console.log(`   Player 1: ${this.players[0].wallet.slice(0, 8)}...`);
@@ -2117,6 +1927,7 @@ class RealWalletPokemonRoom {
     // Switch turns
     this.gameState.currentTurn = defendingPlayer.id;
     this.gameState.turnCount++;
+    this.saveSnapshot();
 
     const battleResult = {
       success: true,
@@ -2167,6 +1978,7 @@ class RealWalletPokemonRoom {
 
     player.activePokemon = newActive;
     player.benchPokemon[benchIndex] = currentActive;
+    this.saveSnapshot();
 
     console.log(
       `🔄 ${player.wallet.slice(0, 8)}... switched to ${newActive.name}`
@@ -2212,6 +2024,7 @@ class RealWalletPokemonRoom {
 
   async endGame(reason = "normal", winner = null) {
     this.gamePhase = "finished";
+    this.saveSnapshot();
 
     if (this.gameTimer) {
       clearTimeout(this.gameTimer);
@@ -2245,6 +2058,7 @@ class RealWalletPokemonRoom {
     await this.distributePrizes(winner);
 
     if (this.io) {
+      const { prizePool: prizeAmount } = calculateBetPool([this.totalEscrowed]);
       this.io.to(this.roomId).emit("pokemonGameFinished", {
         roomId: this.roomId,
         winner: {
@@ -2255,10 +2069,10 @@ class RealWalletPokemonRoom {
         },
         finalState: this.getBattleState(),
         reason: reason,
-        prizeAmount: this.totalEscrowed * 0.9, // 90% to winner
-        message: `🏆 ${winner.nickname} wins the Pokemon battle and ${(
-          this.totalEscrowed * 0.9
-        ).toFixed(2)} GOR!`,
+        prizeAmount,
+        message: `🏆 ${winner.nickname} wins the Pokemon battle and ${prizeAmount.toFixed(
+          2
+        )} GOR!`,
       });
     }
 
@@ -2270,9 +2084,11 @@ class RealWalletPokemonRoom {
 
   async distributePrizes(winner) {
     try {
-      const totalPrizePool = this.totalEscrowed;
-      const platformFee = totalPrizePool * 0.1;
-      const winnerPrize = totalPrizePool * 0.9;
+      const {
+        totalAmount: totalPrizePool,
+        platformFee,
+        prizePool: winnerPrize,
+      } = calculateBetPool([this.totalEscrowed]);
 
       console.log(`💰 Distributing Pokemon prizes:
         Total Pool: ${totalPrizePool} GOR
@@ -2281,6 +2097,12 @@ class RealWalletPokemonRoom {
 
       // Send prize to winner
       await this.sendPrizeToPlayer(winner.wallet, winnerPrize);
+      await postRoomLedgerEntry(recordPlatformFee, {
+        gameId: this.roomId,
+        amount: platformFee,
+        gameType: "pokemon",
+        currency: this.currency,
+      });
 
       console.log(`✅ Pokemon prizes distributed successfully`);
     } catch (error) {
@@ -2288,43 +2110,30 @@ class RealWalletPokemonRoom {
     }
   }
 
-  async sendPrizeToPlayer(winnerWallet, amount) {
-    try {
-      if (!platformWallet) {
-        throw new Error("Platform wallet not configured");
-      }
-
-      const winnerPublicKey = new PublicKey(winnerWallet);
-      const lamports = Math.floor(amount * Math.pow(10, GOR_DECIMALS));
+  async sendPrizeToPlayer(winnerWallet, amount, rank = 1) {
+    if (!platformWallet) {
+      console.error(`❌ Pokemon prize transfer failed: no platform wallet`);
+      return { success: false, error: "Platform wallet not configured" };
+    }
 
-      console.log(`💰 Transferring ${amount} GOR to ${winnerWallet}...`);
+    console.log(`💰 Transferring ${amount} GOR to ${winnerWallet}...`);
 
-      const transferTx = new Transaction().add(
-        SystemProgram.transfer({
-          fromPubkey: platformWallet.publicKey,
-          toPubkey: winnerPublicKey,
-          lamports: lamports,
-        })
-      );
-
-      const signature = await sendAndConfirmTransaction(
-        connection,
-        transferTx,
-        [platformWallet],
-        {
-          commitment: "confirmed",
-          maxRetries: 3,
-        }
-      );
+    const [result] = await payout({
+      gameId: this.roomId,
+      gameType: "pokemon",
+      currency: this.currency,
+      recipients: [{ rank, wallet: winnerWallet, amount }],
+    });
 
-      console.log(
-        `✅ Pokemon prize transferred successfully! TX: ${signature}`
-      );
-      return { success: true, signature: signature };
-    } catch (error) {
-      console.error(`❌ Pokemon prize transfer failed:`, error);
-      return { success: false, error: error.message };
+    if (!result.success) {
+      console.error(`❌ Pokemon prize transfer failed:`, result.error);
+      return { success: false, error: result.error };
     }
+
+    console.log(
+      `✅ Pokemon prize transferred successfully! TX: ${result.signature}`
+    );
+    return { success: true, signature: result.signature };
   }
 
   cleanup() {
@@ -2346,6 +2155,7 @@ class RealWalletPokemonRoom {
       gamePhase: this.gamePhase,
       playerCount: this.playerCount,
       betAmount: this.betAmount,
+      currency: this.currency,
       totalEscrowed: this.totalEscrowed,
       players: this.players.map((p) => ({
         id: p.id,
@@ -2372,6 +2182,177 @@ class RealWalletPokemonRoom {
 // Store io instance for broadcasting from room classes
 let realWalletIo = null;
 
+// Settle a paid room's escrow after a player disconnects. Mid-game the
+// leaver forfeits to the remaining players; before the game starts every
+// paid player is refunded. Rooms from the game registry settle through
+// leaveGame() instead.
+function settleRoomAfterDisconnect(
+  room,
+  { gameType, leaverWallet, remainingWallets, started }
+) {
+  const stayers = started ? remainingWallets : [];
+  return settleRoom({
+    gameId: room.roomId,
+    gameType,
+    currency: room.currency,
+    situation: started ? ROOM_SITUATION.ABANDONED : ROOM_SITUATION.NOT_STARTED,
+    players: [
+      ...stayers.map((wallet) => ({ wallet, left: false })),
+      { wallet: leaverWallet, left: true },
+    ],
+    io: realWalletIo,
+  }).catch((error) => {
+    console.error(`❌ Failed to settle room ${room.roomId}:`, error);
+    return null;
+  });
+}
+
+// Settle a room that is torn down because a player disconnected. Only a
+// head-to-head game in progress has a winner by forfeit; otherwise nobody
+// can finish it and every paid player is refunded.
+function settleClosedRoom(room, gameType, leaverId) {
+  const leaver = room.players.find((p) => p.id === leaverId);
+  if (!leaver || room.gamePhase === "finished") return;
+
+  const remaining = room.players.filter((p) => p.id !== leaverId);
+  settleRoomAfterDisconnect(room, {
+    gameType,
+    leaverWallet: leaver.wallet,
+    remainingWallets: remaining.map((p) => p.wallet),
+    started: room.gamePhase === "playing" && remaining.length === 1,
+  });
+}
+
+// Held seats from real wallet rooms; server.js rooms use their own scope
+const SESSION_SCOPE = "realWallet";
+
+// Room maps and state events for each real wallet room type
+const REAL_WALLET_ROOM_TYPES = {
+  realTicTacToe: {
+    rooms: realWalletTicTacToeRooms,
+    stateEvent: "realTicTacToeState",
+  },
+  realOrbCollector: {
+    rooms: realWalletOrbCollectorRooms,
+    stateEvent: "realOrbGameState",
+  },
+  realWordGrid: { rooms: realWalletWordGridRooms, stateEvent: "wordGridState" },
+  realPokemon: { rooms: realWalletPokemonRooms, stateEvent: "pokemonGameState" },
+};
+
+// The room a realWalletPlayerSockets entry is seated in, if it still exists
+function getRealWalletPlayerRoom(playerInfo) {
+  const roomType = REAL_WALLET_ROOM_TYPES[playerInfo.roomType];
+  const room = roomType?.rooms.get(playerInfo.currentRoom);
+  if (!room) return null;
+
+  return {
+    room,
+    roomId: playerInfo.currentRoom,
+    roomType: playerInfo.roomType,
+    stateEvent: roomType.stateEvent,
+    snapshot: () => room.getGameState(playerInfo.playerId),
+  };
+}
+
+// Re-attach a new socket to every seat held for its signed-in wallet
+function resumeRealWalletSessions(socket) {
+  for (const playerInfo of resumeSeats(SESSION_SCOPE, socket.data.wallet)) {
+    const seat = getRealWalletPlayerRoom(playerInfo);
+    if (!seat) continue;
+
+    setPlayerConnection(seat.room, playerInfo.playerId, socket.id);
+    realWalletPlayerSockets.set(socket.id, playerInfo);
+    socket.join(seat.roomId);
+
+    const gameState = seat.snapshot();
+    socket.emit("sessionResumed", {
+      roomType: seat.roomType,
+      roomId: seat.roomId,
+      playerId: playerInfo.playerId,
+      recovered: Boolean(seat.room.recoveredAt),
+      gameState,
+    });
+    socket.emit(seat.stateEvent, gameState);
+    socket.to(seat.roomId).emit("playerReconnected", {
+      playerId: playerInfo.playerId,
+      wallet: playerInfo.wallet,
+    });
+
+    console.log(
+      `▶️ Resumed ${playerInfo.wallet.slice(0, 8)}... in ${seat.roomType} room ${
+        seat.roomId
+      }`
+    );
+  }
+}
+
+// Bring back word grid and Pokemon rooms saved before a restart. Every
+// player starts disconnected with their seat held until they sign in again.
+// Call after setupRealWalletRoutes so the rooms can broadcast.
+export async function recoverRealWalletRooms() {
+  const holdSeats = (rooms, roomType) =>
+    rooms.forEach((room) => {
+      room.players.forEach((player) => {
+        setPlayerConnection(room, player.id, null);
+        holdSeat(
+          SESSION_SCOPE,
+          player.wallet,
+          {
+            playerId: player.id,
+            wallet: player.wallet,
+            currentRoom: room.roomId,
+            roomType,
+          },
+          removeRealWalletPlayer,
+          RECOVERY_GRACE_MS
+        );
+      });
+    });
+
+  const wordGridRooms = await recoverRooms(realWalletWordGridRooms, (state) =>
+    RealWalletWordGridRoom.fromSnapshot(state, realWalletIo)
+  );
+  holdSeats(wordGridRooms, "realWordGrid");
+
+  const pokemonRooms = await recoverRooms(realWalletPokemonRooms, (state) =>
+    RealWalletPokemonRoom.fromSnapshot(state, realWalletIo)
+  );
+  holdSeats(pokemonRooms, "realPokemon");
+}
+
+// Remove a player from the room they are in and settle their entry fee.
+// Runs on disconnect, or when a held seat's reconnect window closes.
+function removeRealWalletPlayer(playerInfo) {
+  // Games from the registry settle and close their own rooms
+  if (leaveGame(playerInfo)) return;
+
+  // Clean up word grid room if needed
+  if (playerInfo.roomType === "realWordGrid") {
+    const room = realWalletWordGridRooms.get(playerInfo.currentRoom);
+    if (room) {
+      console.log(
+        `🔤 Cleaning up Word Grid room ${playerInfo.currentRoom} due to disconnect`
+      );
+      settleClosedRoom(room, "wordGrid", playerInfo.playerId);
+      room.cleanup();
+      realWalletWordGridRooms.delete(playerInfo.currentRoom);
+    }
+  }
+
+  // Clean up Pokemon room if needed
+  if (playerInfo.roomType === "realPokemon") {
+    const room = realWalletPokemonRooms.get(playerInfo.currentRoom);
+    if (room) {
+      console.log(
+        `🎴 Cleaning up Pokemon room ${playerInfo.currentRoom} due to disconnect`
+      );
+      settleClosedRoom(room, "pokemon", playerInfo.playerId);
+      room.cleanup();
+    }
+  }
+}
+
 // Setup real wallet routes
 export function setupRealWalletRoutes(app, io) {
   realWalletIo = io; // Store io instance for room classes
@@ -2384,22 +2365,24 @@ export function setupRealWalletRoutes(app, io) {
   }
 
   // Real wallet balance endpoint
-  app.get("/api/real-balance/:wallet", async (req, res) => {
+  const balanceLimit = rateLimit("balance");
+  app.get("/api/real-balance/:wallet", balanceLimit, async (req, res) => {
     try {
       const { wallet } = req.params;
-      console.log(`💰 Fetching real GOR balance for: ${wallet}`);
+      const currency = normalizeCurrency(req.query.currency);
+      console.log(`💰 Fetching real ${currency} balance for: ${wallet}`);
 
-      const publicKey = new PublicKey(wallet);
-      const balance = await connection.getBalance(publicKey);
-      const gorBalance = balance / Math.pow(10, GOR_DECIMALS);
+      const balance = await getWalletBalanceLamports(wallet, currency);
+      const gorBalance = fromLamports(balance);
 
-      console.log(`✅ Real balance found: ${gorBalance} GOR`);
+      console.log(`✅ Real balance found: ${gorBalance} ${currency}`);
 
       res.json({
         success: true,
         balance: gorBalance,
         raw: balance,
-        mint: GOR_MINT.toBase58(),
+        currency,
+        mint: getCurrencyMint(currency)?.toBase58() || null,
         network: "Gorbagana",
       });
     } catch (error) {
@@ -2416,198 +2399,23 @@ export function setupRealWalletRoutes(app, io) {
   io.on("connection", (socket) => {
     console.log(`🔗 Real wallet client connected: ${socket.id}`);
 
-    // Real Wallet Tic-Tac-Toe Events
-    socket.on("joinRealTicTacToe", async (data) => {
-      try {
-        const { wallet, betAmount } = data;
-
-        // Only handle real wallet addresses (not demo)
-        if (wallet.startsWith("demo_")) {
-          return; // Ignore demo requests
-        }
+    // Reconnecting players get their seat and a full state snapshot back
+    resumeRealWalletSessions(socket);
 
-        console.log(`🔗 Real tic-tac-toe join:`, { wallet, betAmount });
-
-        // Find or create a real wallet room
-        let room = Array.from(realWalletTicTacToeRooms.values()).find(
-          (r) => r.players.length < 2 && r.gamePhase === "waiting"
-        );
-
-        if (!room) {
-          const roomId = `real_ttt_${Date.now()}`;
-          room = new RealWalletTicTacToeRoom(roomId, betAmount);
-          realWalletTicTacToeRooms.set(roomId, room);
-        }
-
-        await room.addPlayer(socket.id, socket.id, wallet, betAmount);
-        socket.join(room.roomId);
-
-        realWalletPlayerSockets.set(socket.id, {
-          playerId: socket.id,
-          wallet: wallet,
-          currentRoom: room.roomId,
-          roomType: "realTicTacToe",
-        });
-
-        io.to(room.roomId).emit(
-          "realTicTacToeState",
-          room.getGameState(socket.id)
-        );
-      } catch (error) {
-        console.error("❌ Real tic-tac-toe join error:", error);
-        socket.emit("error", { message: error.message });
-      }
-    });
-
-    socket.on("confirmRealPayment", async (data) => {
-      try {
-        const playerInfo = realWalletPlayerSockets.get(socket.id);
-        if (!playerInfo || playerInfo.wallet.startsWith("demo_")) return;
-
-        const { txSignature, gameId } = data;
-        console.log(`💰 Real payment confirmation:`, { txSignature, gameId });
-
-        // Confirm payment in appropriate room
-        if (playerInfo.roomType === "realTicTacToe") {
-          const room = realWalletTicTacToeRooms.get(playerInfo.currentRoom);
-          if (room) {
-            const result = await room.confirmPayment(socket.id, txSignature);
-            if (result.success) {
-              io.to(room.roomId).emit(
-                "realTicTacToeState",
-                room.getGameState(socket.id)
-              );
-            } else {
-              socket.emit("paymentError", result.error);
-            }
-          }
-        } else if (playerInfo.roomType === "realOrbCollector") {
-          const room = realWalletOrbCollectorRooms.get(playerInfo.currentRoom);
-          if (room) {
-            const result = await room.confirmPayment(socket.id, txSignature);
-            if (result.success) {
-              io.to(room.roomId).emit("realOrbGameState", room.getGameState());
-            } else {
-              socket.emit("paymentError", result.error);
-            }
-          }
-        }
-      } catch (error) {
-        console.error("❌ Real payment confirmation error:", error);
-        socket.emit("paymentError", error.message);
-      }
-    });
-
-    // Real Tic-Tac-Toe game moves
-    socket.on("realTicTacToeMove", (data) => {
-      try {
-        const playerInfo = realWalletPlayerSockets.get(socket.id);
-        if (!playerInfo || playerInfo.roomType !== "realTicTacToe") return;
-
-        const room = realWalletTicTacToeRooms.get(playerInfo.currentRoom);
-        if (room) {
-          const gameState = room.makeMove(socket.id, data.cellIndex);
-          if (gameState) {
-            io.to(room.roomId).emit("realTicTacToeState", gameState);
-          }
-        }
-      } catch (error) {
-        console.error("❌ Real tic-tac-toe move error:", error);
-      }
-    });
-
-    // Real Orb Collector Events
-    socket.on("joinRealOrbGame", async (data) => {
-      try {
-        const { playerId, playerNickname, betAmount, txSignature } = data;
-
-        if (playerId.startsWith("demo_")) return; // Not a real wallet request
-
-        console.log(`🔮 Real orb collector join:`, { playerId, betAmount });
-
-        // REQUIRE transaction signature for payment verification
-        if (!txSignature) {
-          socket.emit("error", { message: "Transaction signature required" });
-          return;
-        }
-
-        // Find or create real orb room (looking for rooms in "waiting" or "paying" state)
-        let room = Array.from(realWalletOrbCollectorRooms.values()).find(
-          (r) =>
-            (r.gameState === "waiting" || r.gameState === "paying") &&
-            r.players.length < 6
-        );
-
-        if (!room) {
-          const roomId = `real_orb_${Date.now()}`;
-          room = new RealWalletOrbCollectorRoom(roomId, betAmount);
-          realWalletOrbCollectorRooms.set(roomId, room);
-        }
-
-        await room.addPlayer(socket.id, socket.id, playerId, playerNickname);
-        socket.join(room.roomId);
-
-        realWalletPlayerSockets.set(socket.id, {
-          playerId: socket.id,
-          wallet: playerId,
-          currentRoom: room.roomId,
-          roomType: "realOrbCollector",
-        });
-
-        // VERIFY PAYMENT BEFORE ALLOWING GAMEPLAY
-        const paymentResult = await room.confirmPayment(socket.id, txSignature);
-        if (paymentResult.success) {
-          console.log(
-            `✅ Orb collector payment confirmed for ${playerId.slice(0, 8)}...`
-          );
-          io.to(room.roomId).emit("realOrbGameState", room.getGameState());
-        } else {
-          console.log(
-            `❌ Orb collector payment failed: ${paymentResult.error}`
-          );
-          socket.emit("paymentError", paymentResult.error);
-
-          // Remove player from room if payment failed
-          const playerIndex = room.players.findIndex((p) => p.id === socket.id);
-          if (playerIndex !== -1) {
-            room.players.splice(playerIndex, 1);
-          }
-          realWalletPlayerSockets.delete(socket.id);
-          return;
-        }
-      } catch (error) {
-        console.error("❌ Real orb collector join error:", error);
-        socket.emit("error", { message: error.message });
-      }
-    });
-
-    socket.on("collectRealOrb", (data) => {
-      try {
-        const playerInfo = realWalletPlayerSockets.get(socket.id);
-        if (!playerInfo || playerInfo.roomType !== "realOrbCollector") return;
-
-        const room = realWalletOrbCollectorRooms.get(playerInfo.currentRoom);
-        if (room) {
-          const result = room.collectOrb(socket.id, data.orbId);
-          if (result) {
-            io.to(room.roomId).emit("realOrbCollected", result);
-            io.to(room.roomId).emit("realOrbGameState", room.getGameState());
-          }
-        }
-      } catch (error) {
-        console.error("❌ Real orb collect error:", error);
-      }
-    });
+    // Tic-tac-toe and orb collector handlers come from the game registry
+    attachGameHandlers(io, socket, realWalletPlayerSockets);
 
     // Real Word Grid Events
-    socket.on("createWordGridRoom", async (data) => {
-      try {
-        const { roomId, password, betAmount, wallet, txSignature } = data;
+    onEvent(
+      socket,
+      "createWordGridRoom",
+      async (data) => {
+        const { roomId, password, betAmount, txSignature } = data;
+        const currency = normalizeCurrency(data.currency);
 
         // Only handle real wallet addresses (not demo/mock)
-        if (wallet.startsWith("demo_") || wallet.startsWith("mock_")) {
-          return;
-        }
+        if (isPracticeWallet(data.wallet)) return SKIP;
+        const wallet = getSocketWallet(socket, data.wallet);
 
         console.log(`🔤 Creating Word Grid room:`, {
           roomId,
@@ -2615,16 +2423,16 @@ export function setupRealWalletRoutes(app, io) {
           wallet: wallet.slice(0, 8) + "...",
         });
 
-        // Check if room already exists
         if (realWalletWordGridRooms.has(roomId)) {
-          socket.emit("error", { message: "Room already exists" });
-          return;
+          throw new ProtocolError(ERROR_CODE.CONFLICT, "Room already exists");
         }
 
         // IMPORTANT: Only create room AFTER successful payment
         if (!txSignature) {
-          socket.emit("error", { message: "Transaction signature required" });
-          return;
+          throw new ProtocolError(
+            ERROR_CODE.INVALID_PAYLOAD,
+            "Transaction signature required"
+          );
         }
 
         // First verify payment BEFORE creating room
@@ -2635,18 +2443,23 @@ export function setupRealWalletRoutes(app, io) {
           roomId,
           betAmount,
           password,
-          wallet
+          wallet,
+          null,
+          currency
         );
-        const paymentValid = await tempRoom.verifyPaymentTransaction(
+        const paymentCheck = await tempRoom.verifyPaymentTransaction(
           wallet,
           txSignature,
           betAmount
         );
 
-        if (!paymentValid) {
+        if (!paymentCheck.verified) {
           console.log(`❌ Payment verification failed for room creation`);
-          socket.emit("error", { message: "Payment verification failed" });
-          return;
+          throw new ProtocolError(
+            ERROR_CODE.PAYMENT_FAILED,
+            paymentCheck.message,
+            { reason: paymentCheck.reason }
+          );
         }
 
         console.log(`✅ Payment verified, creating room ${roomId}`);
@@ -2657,12 +2470,13 @@ export function setupRealWalletRoutes(app, io) {
           betAmount,
           password,
           wallet,
-          io // 🚨 CRITICAL: Pass socket.io instance for broadcasting
+          io, // 🚨 CRITICAL: Pass socket.io instance for broadcasting
+          currency
         );
         realWalletWordGridRooms.set(roomId, room);
 
         // Add creator to room
-        await room.addPlayer(socket.id, socket.id, wallet, betAmount);
+        await room.addPlayer(socket.id, socket.id, wallet);
         socket.join(roomId);
 
         realWalletPlayerSockets.set(socket.id, {
@@ -2674,38 +2488,40 @@ export function setupRealWalletRoutes(app, io) {
 
         // Confirm payment (already verified)
         const result = await room.confirmPayment(socket.id, txSignature);
-        if (result.success) {
-          console.log(`✅ Room creator payment confirmed for ${roomId}`);
-        } else {
+        if (!result.success) {
           console.log(`❌ Room creator payment failed: ${result.error}`);
           // Clean up failed room
           realWalletWordGridRooms.delete(roomId);
           realWalletPlayerSockets.delete(socket.id);
-          socket.emit("error", { message: result.error });
-          return;
+          throw new ProtocolError(ERROR_CODE.PAYMENT_FAILED, result.error, {
+            reason: result.reason,
+          });
         }
+        console.log(`✅ Room creator payment confirmed for ${roomId}`);
 
-        socket.emit("wordGridRoomCreated", {
-          success: true,
+        const joined = {
           roomId: roomId,
+          playerId: socket.id,
           gameState: room.getGameState(),
-        });
+        };
+        socket.emit("wordGridRoomCreated", { success: true, ...joined });
 
         console.log(`✅ Word Grid room ${roomId} created successfully`);
-      } catch (error) {
-        console.error("❌ Word Grid room creation error:", error);
-        socket.emit("error", { message: error.message });
-      }
-    });
+        return joined;
+      },
+      // Creation failures, payment included, were always sent on "error"
+      { errorEvent: "error" }
+    );
 
-    socket.on("joinWordGridRoom", async (data) => {
-      try {
-        const { roomId, password, wallet, betAmount, txSignature } = data;
+    onEvent(
+      socket,
+      "joinWordGridRoom",
+      async (data) => {
+        const { roomId, password, txSignature } = data;
 
         // Only handle real wallet addresses
-        if (wallet.startsWith("demo_") || wallet.startsWith("mock_")) {
-          return;
-        }
+        if (isPracticeWallet(data.wallet)) return SKIP;
+        const wallet = getSocketWallet(socket, data.wallet);
 
         console.log(`🔤 Joining Word Grid room:`, {
           roomId,
@@ -2714,18 +2530,19 @@ export function setupRealWalletRoutes(app, io) {
 
         const room = realWalletWordGridRooms.get(roomId);
         if (!room) {
-          socket.emit("error", { message: "Room not found" });
-          return;
+          throw new ProtocolError(ERROR_CODE.NOT_FOUND, "Room not found");
         }
 
         // Verify password if required
         if (!room.verifyPassword(password)) {
-          socket.emit("error", { message: "Invalid room password" });
-          return;
+          throw new ProtocolError(
+            ERROR_CODE.FORBIDDEN,
+            "Invalid room password"
+          );
         }
 
         // Add player to room
-        await room.addPlayer(socket.id, socket.id, wallet, betAmount);
+        await room.addPlayer(socket.id, socket.id, wallet);
         socket.join(roomId);
 
         realWalletPlayerSockets.set(socket.id, {
@@ -2738,67 +2555,71 @@ export function setupRealWalletRoutes(app, io) {
         // Confirm payment if transaction signature provided
         if (txSignature) {
           const result = await room.confirmPayment(socket.id, txSignature);
-          if (result.success) {
-            console.log(`✅ Player payment confirmed for room ${roomId}`);
-          } else {
+          if (!result.success) {
             console.log(`❌ Player payment failed: ${result.error}`);
-            socket.emit("paymentError", result.error);
-            return;
+            throw new ProtocolError(ERROR_CODE.PAYMENT_FAILED, result.error, {
+              reason: result.reason,
+            });
           }
+          console.log(`✅ Player payment confirmed for room ${roomId}`);
         }
 
-        socket.emit("wordGridRoomJoined", {
-          success: true,
+        const joined = {
           roomId: roomId,
+          playerId: socket.id,
           gameState: room.getGameState(),
-        });
+        };
+        socket.emit("wordGridRoomJoined", { success: true, ...joined });
 
         // Broadcast updated game state to all players in room
         io.to(roomId).emit("wordGridState", room.getGameState());
 
         console.log(`✅ Player joined Word Grid room ${roomId}`);
-      } catch (error) {
-        console.error("❌ Word Grid room join error:", error);
-        socket.emit("error", { message: error.message });
-      }
-    });
+        return joined;
+      },
+      { errorEvent: paymentAwareErrorEvent(socket) }
+    );
 
-    socket.on("confirmWordGridPayment", async (data) => {
-      try {
+    onEvent(
+      socket,
+      "confirmWordGridPayment",
+      async ({ txSignature }) => {
         const playerInfo = realWalletPlayerSockets.get(socket.id);
-        if (!playerInfo || playerInfo.roomType !== "realWordGrid") return;
+        if (!playerInfo || playerInfo.roomType !== "realWordGrid") return SKIP;
 
-        const { txSignature } = data;
         console.log(`💰 Word Grid payment confirmation:`, {
           txSignature,
           roomId: playerInfo.currentRoom,
         });
 
         const room = realWalletWordGridRooms.get(playerInfo.currentRoom);
-        if (room) {
-          const result = await room.confirmPayment(socket.id, txSignature);
-          if (result.success) {
-            io.to(room.roomId).emit("wordGridState", room.getGameState());
-            console.log(
-              `✅ Word Grid payment confirmed for room ${room.roomId}`
-            );
-          } else {
-            socket.emit("paymentError", result.error);
-            console.log(`❌ Word Grid payment failed: ${result.error}`);
-          }
+        if (!room) return SKIP;
+
+        const result = await room.confirmPayment(
+          playerInfo.playerId,
+          txSignature
+        );
+        if (!result.success) {
+          console.log(`❌ Word Grid payment failed: ${result.error}`);
+          throw new ProtocolError(ERROR_CODE.PAYMENT_FAILED, result.error, {
+            reason: result.reason,
+          });
         }
-      } catch (error) {
-        console.error("❌ Word Grid payment confirmation error:", error);
-        socket.emit("paymentError", error.message);
-      }
-    });
 
-    socket.on("placeWordGridLetter", (data) => {
-      try {
+        io.to(room.roomId).emit("wordGridState", room.getGameState());
+        console.log(`✅ Word Grid payment confirmed for room ${room.roomId}`);
+        return room.getGameState();
+      },
+      { errorEvent: (error) => socket.emit("paymentError", error.message) }
+    );
+
+    onEvent(
+      socket,
+      "placeWordGridLetter",
+      ({ cellIndex, letter }) => {
         const playerInfo = realWalletPlayerSockets.get(socket.id);
-        if (!playerInfo || playerInfo.roomType !== "realWordGrid") return;
+        if (!playerInfo || playerInfo.roomType !== "realWordGrid") return SKIP;
 
-        const { cellIndex, letter } = data;
         console.log(`📝 Word Grid letter placement:`, {
           cellIndex,
           letter,
@@ -2806,73 +2627,60 @@ export function setupRealWalletRoutes(app, io) {
         });
 
         const room = realWalletWordGridRooms.get(playerInfo.currentRoom);
-        if (room) {
-          const result = room.placeLetter(socket.id, cellIndex, letter);
-          if (result) {
-            // Broadcast letter placement to all players
-            io.to(room.roomId).emit("wordGridLetterPlaced", {
-              cellIndex: cellIndex,
-              letter: letter,
-              playerId: socket.id,
-              result: result,
-            });
-
-            // Broadcast updated game state
-            io.to(room.roomId).emit("wordGridState", room.getGameState());
+        if (!room) return SKIP;
 
-            console.log(`✅ Letter '${letter}' placed at cell ${cellIndex}`);
-          }
+        const result = room.placeLetter(playerInfo.playerId, cellIndex, letter);
+        if (!result) {
+          throw new ProtocolError(ERROR_CODE.REJECTED, "Letter not placed");
         }
-      } catch (error) {
-        console.error("❌ Word Grid letter placement error:", error);
-        socket.emit("error", { message: error.message });
-      }
-    });
 
-    socket.on("wordGridTimeOut", (data) => {
-      try {
-        const playerInfo = realWalletPlayerSockets.get(socket.id);
-        if (!playerInfo || playerInfo.roomType !== "realWordGrid") return;
+        // Broadcast letter placement to all players
+        io.to(room.roomId).emit("wordGridLetterPlaced", {
+          cellIndex: cellIndex,
+          letter: letter,
+          playerId: playerInfo.playerId,
+          result: result,
+        });
 
-        const { roomId } = data;
-        console.log(`⏰ Word Grid timeout for room:`, roomId);
+        // Broadcast updated game state
+        io.to(room.roomId).emit("wordGridState", room.getGameState());
 
-        const room = realWalletWordGridRooms.get(roomId);
-        if (room) {
-          // Force turn switch on timeout
-          room.switchTurn();
-          io.to(room.roomId).emit("wordGridState", room.getGameState());
-          console.log(`🔄 Turn switched due to timeout in room ${roomId}`);
-        }
-      } catch (error) {
-        console.error("❌ Word Grid timeout error:", error);
-      }
+        console.log(`✅ Letter '${letter}' placed at cell ${cellIndex}`);
+        return room.getGameState();
+      },
+      { errorEvent: "error" }
+    );
+
+    onEvent(socket, "wordGridTimeOut", ({ roomId }) => {
+      const playerInfo = realWalletPlayerSockets.get(socket.id);
+      if (!playerInfo || playerInfo.roomType !== "realWordGrid") return SKIP;
+
+      console.log(`⏰ Word Grid timeout for room:`, roomId);
+
+      const room = realWalletWordGridRooms.get(roomId);
+      if (!room) return SKIP;
+
+      // Force turn switch on timeout
+      room.switchTurn();
+      io.to(room.roomId).emit("wordGridState", room.getGameState());
+      console.log(`🔄 Turn switched due to timeout in room ${roomId}`);
+      return room.getGameState();
     });
 
     // Real Pokemon Card Events
-    socket.on("createPokemonRoom", async (data) => {
-      try {
-        const {
-          roomId,
-          password,
-          entryAmount,
-          maxPlayers,
-          playerWallet,
-          txSignature,
-        } = data;
+    onEvent(
+      socket,
+      "createPokemonRoom",
+      async (data) => {
+        const { roomId, password, entryAmount, maxPlayers, txSignature } =
+          data;
 
         const betAmount = entryAmount;
         const playerCount = maxPlayers;
-        const wallet = playerWallet;
-
+        const currency = normalizeCurrency(data.currency);
         // Only handle real wallet addresses (not demo/mock)
-        if (
-          !wallet ||
-          wallet.startsWith("demo_") ||
-          wallet.startsWith("mock_")
-        ) {
-          return;
-        }
+        if (isPracticeWallet(data.playerWallet)) return SKIP;
+        const wallet = getSocketWallet(socket, data.playerWallet);
 
         console.log(`🎴 Creating Pokemon room:`, {
           roomId,
@@ -2881,16 +2689,16 @@ export function setupRealWalletRoutes(app, io) {
           wallet: wallet.slice(0, 8) + "...",
         });
 
-        // Check if room already exists
         if (realWalletPokemonRooms.has(roomId)) {
-          socket.emit("error", { message: "Room already exists" });
-          return;
+          throw new ProtocolError(ERROR_CODE.CONFLICT, "Room already exists");
         }
 
         // IMPORTANT: Only create room AFTER successful payment
         if (!txSignature) {
-          socket.emit("error", { message: "Transaction signature required" });
-          return;
+          throw new ProtocolError(
+            ERROR_CODE.INVALID_PAYLOAD,
+            "Transaction signature required"
+          );
         }
 
         // First verify payment BEFORE creating room
@@ -2902,20 +2710,24 @@ export function setupRealWalletRoutes(app, io) {
           betAmount,
           playerCount,
           password,
-          io
+          io,
+          currency
         );
-        const paymentValid = await tempRoom.verifyPaymentTransaction(
+        const paymentCheck = await tempRoom.verifyPaymentTransaction(
           wallet,
           txSignature,
           betAmount
         );
 
-        if (!paymentValid) {
+        if (!paymentCheck.verified) {
           console.log(
             `❌ Payment verification failed for Pokemon room creation`
           );
-          socket.emit("error", { message: "Payment verification failed" });
-          return;
+          throw new ProtocolError(
+            ERROR_CODE.PAYMENT_FAILED,
+            paymentCheck.message,
+            { reason: paymentCheck.reason }
+          );
         }
 
         console.log(`✅ Payment verified, creating Pokemon room ${roomId}`);
@@ -2926,12 +2738,13 @@ export function setupRealWalletRoutes(app, io) {
           betAmount,
           playerCount,
           password,
-          io // 🚨 CRITICAL: Pass socket.io instance for broadcasting
+          io, // 🚨 CRITICAL: Pass socket.io instance for broadcasting
+          currency
         );
         realWalletPokemonRooms.set(roomId, room);
 
         // Add creator to room
-        await room.addPlayer(socket.id, socket.id, wallet, betAmount);
+        await room.addPlayer(socket.id, socket.id, wallet);
         socket.join(roomId);
 
         realWalletPlayerSockets.set(socket.id, {
@@ -2943,48 +2756,41 @@ export function setupRealWalletRoutes(app, io) {
 
         // Confirm payment (already verified)
         const result = await room.confirmPayment(socket.id, txSignature);
-        if (result.success) {
-          console.log(
-            `✅ Pokemon room creator payment confirmed for ${roomId}`
-          );
-        } else {
+        if (!result.success) {
           console.log(
             `❌ Pokemon room creator payment failed: ${result.error}`
           );
           // Clean up failed room
           realWalletPokemonRooms.delete(roomId);
           realWalletPlayerSockets.delete(socket.id);
-          socket.emit("error", { message: result.error });
-          return;
+          throw new ProtocolError(ERROR_CODE.PAYMENT_FAILED, result.error, {
+            reason: result.reason,
+          });
         }
+        console.log(`✅ Pokemon room creator payment confirmed for ${roomId}`);
 
-        socket.emit("pokemonRoomCreated", {
-          success: true,
+        const joined = {
           roomId: roomId,
+          playerId: socket.id,
           gameState: room.getGameState(),
-        });
+        };
+        socket.emit("pokemonRoomCreated", { success: true, ...joined });
 
         console.log(`✅ Pokemon room ${roomId} created successfully`);
-      } catch (error) {
-        console.error("❌ Pokemon room creation error:", error);
-        socket.emit("error", { message: error.message });
-      }
-    });
-
-    socket.on("joinPokemonRoom", async (data) => {
-      try {
-        const { roomId, password, playerWallet, txSignature } = data;
+        return joined;
+      },
+      { errorEvent: "error" }
+    );
 
-        const wallet = playerWallet;
+    onEvent(
+      socket,
+      "joinPokemonRoom",
+      async (data) => {
+        const { roomId, password, txSignature } = data;
 
         // Only handle real wallet addresses
-        if (
-          !wallet ||
-          wallet.startsWith("demo_") ||
-          wallet.startsWith("mock_")
-        ) {
-          return;
-        }
+        if (isPracticeWallet(data.playerWallet)) return SKIP;
+        const wallet = getSocketWallet(socket, data.playerWallet);
 
         console.log(`🎴 Joining Pokemon room:`, {
           roomId,
@@ -2993,18 +2799,19 @@ export function setupRealWalletRoutes(app, io) {
 
         const room = realWalletPokemonRooms.get(roomId);
         if (!room) {
-          socket.emit("error", { message: "Room not found" });
-          return;
+          throw new ProtocolError(ERROR_CODE.NOT_FOUND, "Room not found");
         }
 
         // Verify password if required
         if (!room.verifyPassword(password)) {
-          socket.emit("error", { message: "Invalid room password" });
-          return;
+          throw new ProtocolError(
+            ERROR_CODE.FORBIDDEN,
+            "Invalid room password"
+          );
         }
 
         // Add player to room
-        await room.addPlayer(socket.id, socket.id, wallet, room.betAmount);
+        await room.addPlayer(socket.id, socket.id, wallet);
         socket.join(roomId);
 
         realWalletPlayerSockets.set(socket.id, {
@@ -3017,68 +2824,72 @@ export function setupRealWalletRoutes(app, io) {
         // Confirm payment if transaction signature provided
         if (txSignature) {
           const result = await room.confirmPayment(socket.id, txSignature);
-          if (result.success) {
-            console.log(
-              `✅ Pokemon player payment confirmed for room ${roomId}`
-            );
-          } else {
+          if (!result.success) {
             console.log(`❌ Pokemon player payment failed: ${result.error}`);
-            socket.emit("paymentError", result.error);
-            return;
+            throw new ProtocolError(ERROR_CODE.PAYMENT_FAILED, result.error, {
+              reason: result.reason,
+            });
           }
+          console.log(`✅ Pokemon player payment confirmed for room ${roomId}`);
         }
 
-        socket.emit("pokemonRoomJoined", {
-          success: true,
+        const joined = {
           roomId: roomId,
+          playerId: socket.id,
           gameState: room.getGameState(),
-        });
+        };
+        socket.emit("pokemonRoomJoined", { success: true, ...joined });
 
         // Broadcast updated game state to all players in room
         io.to(roomId).emit("pokemonGameState", room.getGameState());
 
         console.log(`✅ Player joined Pokemon room ${roomId}`);
-      } catch (error) {
-        console.error("❌ Pokemon room join error:", error);
-        socket.emit("error", { message: error.message });
-      }
-    });
+        return joined;
+      },
+      { errorEvent: paymentAwareErrorEvent(socket) }
+    );
 
-    socket.on("confirmPokemonPayment", async (data) => {
-      try {
+    onEvent(
+      socket,
+      "confirmPokemonPayment",
+      async ({ txSignature }) => {
         const playerInfo = realWalletPlayerSockets.get(socket.id);
-        if (!playerInfo || playerInfo.roomType !== "realPokemon") return;
+        if (!playerInfo || playerInfo.roomType !== "realPokemon") return SKIP;
 
-        const { txSignature } = data;
         console.log(`💰 Pokemon payment confirmation:`, {
           txSignature,
           roomId: playerInfo.currentRoom,
         });
 
         const room = realWalletPokemonRooms.get(playerInfo.currentRoom);
-        if (room) {
-          const result = await room.confirmPayment(socket.id, txSignature);
-          if (result.success) {
-            io.to(room.roomId).emit("pokemonGameState", room.getGameState());
-            console.log(`✅ Pokemon payment confirmed for room ${room.roomId}`);
-          } else {
-            socket.emit("paymentError", result.error);
-            console.log(`❌ Pokemon payment failed: ${result.error}`);
-          }
+        if (!room) return SKIP;
+
+        const result = await room.confirmPayment(
+          playerInfo.playerId,
+          txSignature
+        );
+        if (!result.success) {
+          console.log(`❌ Pokemon payment failed: ${result.error}`);
+          throw new ProtocolError(ERROR_CODE.PAYMENT_FAILED, result.error, {
+            reason: result.reason,
+          });
         }
-      } catch (error) {
-        console.error("❌ Pokemon payment confirmation error:", error);
-        socket.emit("paymentError", error.message);
-      }
-    });
+
+        io.to(room.roomId).emit("pokemonGameState", room.getGameState());
+        console.log(`✅ Pokemon payment confirmed for room ${room.roomId}`);
+        return room.getGameState();
+      },
+      { errorEvent: (error) => socket.emit("paymentError", error.message) }
+    );
 
     // Pokemon Battle Actions
-    socket.on("pokemonAttack", (data) => {
-      try {
+    onEvent(
+      socket,
+      "pokemonAttack",
+      ({ attackIndex }) => {
         const playerInfo = realWalletPlayerSockets.get(socket.id);
-        if (!playerInfo || playerInfo.roomType !== "realPokemon") return;
+        if (!playerInfo || playerInfo.roomType !== "realPokemon") return SKIP;
 
-        const { attackIndex } = data;
         console.log(`⚔️ Pokemon attack:`, {
           attackIndex,
           player: playerInfo.wallet.slice(0, 8) + "...",
@@ -3086,25 +2897,25 @@ export function setupRealWalletRoutes(app, io) {
         });
 
         const room = realWalletPokemonRooms.get(playerInfo.currentRoom);
-        if (room) {
-          const result = room.attackPokemon(socket.id, attackIndex);
-          if (!result.success) {
-            socket.emit("pokemonError", { message: result.error });
-          }
-          // Battle result is already broadcasted in the attackPokemon method
+        if (!room) return SKIP;
+
+        // Battle result is already broadcasted in the attackPokemon method
+        const result = room.attackPokemon(playerInfo.playerId, attackIndex);
+        if (!result.success) {
+          throw new ProtocolError(ERROR_CODE.REQUEST_FAILED, result.error);
         }
-      } catch (error) {
-        console.error("❌ Pokemon attack error:", error);
-        socket.emit("pokemonError", { message: error.message });
-      }
-    });
+        return room.getGameState();
+      },
+      { errorEvent: "pokemonError" }
+    );
 
-    socket.on("pokemonSwitch", (data) => {
-      try {
+    onEvent(
+      socket,
+      "pokemonSwitch",
+      ({ benchIndex }) => {
         const playerInfo = realWalletPlayerSockets.get(socket.id);
-        if (!playerInfo || playerInfo.roomType !== "realPokemon") return;
+        if (!playerInfo || playerInfo.roomType !== "realPokemon") return SKIP;
 
-        const { benchIndex } = data;
         console.log(`🔄 Pokemon switch:`, {
           benchIndex,
           player: playerInfo.wallet.slice(0, 8) + "...",
@@ -3112,50 +2923,48 @@ export function setupRealWalletRoutes(app, io) {
         });
 
         const room = realWalletPokemonRooms.get(playerInfo.currentRoom);
-        if (room) {
-          const result = room.switchActivePokemon(socket.id, benchIndex);
-          if (!result.success) {
-            socket.emit("pokemonError", { message: result.error });
-          }
-          // Switch result is already broadcasted in the switchActivePokemon method
+        if (!room) return SKIP;
+
+        // Switch result is already broadcasted in the switchActivePokemon method
+        const result = room.switchActivePokemon(
+          playerInfo.playerId,
+          benchIndex
+        );
+        if (!result.success) {
+          throw new ProtocolError(ERROR_CODE.REQUEST_FAILED, result.error);
         }
-      } catch (error) {
-        console.error("❌ Pokemon switch error:", error);
-        socket.emit("pokemonError", { message: error.message });
-      }
-    });
+        return room.getGameState();
+      },
+      { errorEvent: "pokemonError" }
+    );
 
     // Cleanup on disconnect
     socket.on("disconnect", () => {
       console.log(`🔗 Real wallet client disconnected: ${socket.id}`);
 
       const playerInfo = realWalletPlayerSockets.get(socket.id);
-      if (playerInfo) {
-        // Clean up word grid room if needed
-        if (playerInfo.roomType === "realWordGrid") {
-          const room = realWalletWordGridRooms.get(playerInfo.currentRoom);
-          if (room) {
-            console.log(
-              `🔤 Cleaning up Word Grid room ${playerInfo.currentRoom} due to disconnect`
-            );
-            room.cleanup();
-            realWalletWordGridRooms.delete(playerInfo.currentRoom);
-          }
-        }
-
-        // Clean up Pokemon room if needed
-        if (playerInfo.roomType === "realPokemon") {
-          const room = realWalletPokemonRooms.get(playerInfo.currentRoom);
-          if (room) {
-            console.log(
-              `🎴 Cleaning up Pokemon room ${playerInfo.currentRoom} due to disconnect`
-            );
-            room.cleanup();
-          }
-        }
-
-        realWalletPlayerSockets.delete(socket.id);
+      if (!playerInfo) return;
+      realWalletPlayerSockets.delete(socket.id);
+
+      // A signed-in player keeps their seat while they reconnect
+      const seat = getRealWalletPlayerRoom(playerInfo);
+      if (seat && playerInfo.wallet === socket.data.wallet) {
+        setPlayerConnection(seat.room, playerInfo.playerId, null);
+        io.to(seat.roomId).emit("playerDisconnected", {
+          playerId: playerInfo.playerId,
+          wallet: playerInfo.wallet,
+          reconnectWithinMs: RECONNECT_GRACE_MS,
+        });
+        holdSeat(
+          SESSION_SCOPE,
+          playerInfo.wallet,
+          playerInfo,
+          removeRealWalletPlayer
+        );
+        return;
       }
+
+      removeRealWalletPlayer(playerInfo);
     });
   });
 
@@ -0,0 +1,255 @@
+// Platform Wallet Reconciliation
+// Compares the platform wallet's on-chain balance with what the escrow ledger
+// and payout queue say it should hold, and lists every game whose books
+// don't add up. Used by `node fund-platform-wallet.js reconcile` and the
+// /api/admin/reconciliation endpoint. Only native GOR rooms are reconciled;
+// gGOR rooms are held in the platform's token account.
+
+import { Connection, PublicKey, Keypair } from "@solana/web3.js";
+import { config, parseSecretKey } from "./config.js";
+import { PayoutJob } from "./models.js";
+import { getAllGameLedgers, getPlatformFeeBalance } from "./escrow-ledger.js";
+import { fromLamports } from "./money.js";
+import { CURRENCY, currencyFilter } from "./currency.js";
+
+// Gorbagana Network Configuration
+const connection = new Connection(config.rpcUrl, "confirmed");
+
+// Escrow untouched for this long with nothing queued has been stranded
+const UNSETTLED_AFTER_MS = 60 * 60 * 1000;
+
+export const MISMATCH = {
+  NEGATIVE_ESCROW: "NEGATIVE_ESCROW",
+  PAYOUTS_EXCEED_ESCROW: "PAYOUTS_EXCEED_ESCROW",
+  FAILED_PAYOUTS: "FAILED_PAYOUTS",
+  PAYOUT_LEDGER_DRIFT: "PAYOUT_LEDGER_DRIFT",
+  UNSETTLED_ESCROW: "UNSETTLED_ESCROW",
+};
+
+function platformPublicKey() {
+  if (config.platformWalletAddress) {
+    return new PublicKey(config.platformWalletAddress);
+  }
+
+  if (!config.platformPrivateKey) {
+    throw new Error(
+      "Set PLATFORM_WALLET_ADDRESS or PLATFORM_PRIVATE_KEY to reconcile"
+    );
+  }
+
+  return Keypair.fromSecretKey(
+    parseSecretKey(config.platformPrivateKey)
+  ).publicKey;
+}
+
+function gor(lamports) {
+  return { lamports, amount: fromLamports(lamports) };
+}
+
+// Unpaid and paid payout totals per game, in lamports
+async function payoutTotalsByGame() {
+  const rows = await PayoutJob.aggregate([
+    { $match: currencyFilter(CURRENCY.GOR) },
+    {
+      $group: {
+        _id: { gameId: "$gameId", status: "$status" },
+        lamports: { $sum: "$lamports" },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const games = new Map();
+  rows.forEach((row) => {
+    const { gameId, status } = row._id;
+    if (!games.has(gameId)) {
+      games.set(gameId, { pending: 0, paid: 0, failedCount: 0, jobs: 0 });
+    }
+
+    const game = games.get(gameId);
+    game.jobs += row.count;
+    if (status === "paid" || status === "skipped") {
+      game.paid += row.lamports; // Skipped jobs are debited without a send
+    } else {
+      game.pending += row.lamports;
+    }
+    if (status === "failed") {
+      game.failedCount += row.count;
+    }
+  });
+
+  return games;
+}
+
+function findGameMismatches(ledger, payouts, now) {
+  const issues = [];
+  const balance = ledger.balance;
+  const pending = payouts.pending;
+  const ledgerPaid = ledger.payouts + ledger.refunds;
+
+  if (balance < 0) {
+    issues.push({
+      issue: MISMATCH.NEGATIVE_ESCROW,
+      detail: "More was paid out of this game than was deposited",
+    });
+  }
+
+  if (pending > Math.max(balance, 0)) {
+    issues.push({
+      issue: MISMATCH.PAYOUTS_EXCEED_ESCROW,
+      detail: `Queued payouts exceed escrow by ${fromLamports(
+        pending - Math.max(balance, 0)
+      )} GOR`,
+    });
+  }
+
+  if (payouts.failedCount > 0) {
+    issues.push({
+      issue: MISMATCH.FAILED_PAYOUTS,
+      detail: `${payouts.failedCount} payout(s) exhausted their retries`,
+    });
+  }
+
+  if (payouts.jobs > 0 && payouts.paid !== ledgerPaid) {
+    issues.push({
+      issue: MISMATCH.PAYOUT_LEDGER_DRIFT,
+      detail: `Paid jobs total ${fromLamports(
+        payouts.paid
+      )} GOR, ledger debits ${fromLamports(ledgerPaid)} GOR`,
+    });
+  }
+
+  if (
+    balance > 0 &&
+    pending === 0 &&
+    ledger.lastEntryAt &&
+    now - new Date(ledger.lastEntryAt).getTime() > UNSETTLED_AFTER_MS
+  ) {
+    issues.push({
+      issue: MISMATCH.UNSETTLED_ESCROW,
+      detail: "Escrow is still held but the game was never settled",
+    });
+  }
+
+  return issues;
+}
+
+// Build the full report. Each game must be backed by whichever is larger of
+// its escrow balance and its queued payouts (queued payouts are only debited
+// from escrow once paid, so adding both would count them twice), plus the
+// fees the platform has accrued.
+export async function buildReconciliationReport() {
+  const platformKey = platformPublicKey();
+  const chainLamports = await connection.getBalance(platformKey);
+
+  const [ledgers, payoutTotals, fees] = await Promise.all([
+    getAllGameLedgers(),
+    payoutTotalsByGame(),
+    getPlatformFeeBalance(),
+  ]);
+
+  const emptyLedger = {
+    deposits: 0,
+    payouts: 0,
+    refunds: 0,
+    platformFees: 0,
+    balance: 0,
+    lastEntryAt: null,
+  };
+  const emptyPayouts = { pending: 0, paid: 0, failedCount: 0, jobs: 0 };
+  const gameIds = new Set([
+    ...ledgers.map((ledger) => ledger.gameId),
+    ...payoutTotals.keys(),
+  ]);
+
+  const now = Date.now();
+  let openEscrow = 0;
+  let pendingPayouts = 0;
+  let requiredForGames = 0;
+  const mismatches = [];
+
+  gameIds.forEach((gameId) => {
+    const ledger =
+      ledgers.find((entry) => entry.gameId === gameId) || {
+        ...emptyLedger,
+        gameId,
+      };
+    const payouts = payoutTotals.get(gameId) || emptyPayouts;
+
+    openEscrow += Math.max(ledger.balance, 0);
+    pendingPayouts += payouts.pending;
+    requiredForGames += Math.max(ledger.balance, payouts.pending, 0);
+
+    findGameMismatches(ledger, payouts, now).forEach(({ issue, detail }) => {
+      mismatches.push({
+        gameId,
+        issue,
+        escrowBalance: fromLamports(ledger.balance),
+        pendingPayouts: fromLamports(payouts.pending),
+        paidPayouts: fromLamports(payouts.paid),
+        ledgerPayouts: fromLamports(ledger.payouts + ledger.refunds),
+        detail,
+      });
+    });
+  });
+
+  const expectedLamports = requiredForGames + fees.lamports;
+  const difference = chainLamports - expectedLamports;
+
+  return {
+    generatedAt: new Date().toISOString(),
+    platformWallet: platformKey.toBase58(),
+    chainBalance: gor(chainLamports),
+    openEscrow: gor(openEscrow),
+    pendingPayouts: gor(pendingPayouts),
+    accruedFees: gor(fees.lamports),
+    expectedBalance: gor(expectedLamports),
+    difference: gor(difference),
+    status:
+      difference < 0 ? "underfunded" : difference > 0 ? "surplus" : "balanced",
+    gamesChecked: gameIds.size,
+    mismatches,
+  };
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per mismatch, preceded by a platform-wide summary row
+export function reconciliationToCsv(report) {
+  const header = [
+    "gameId",
+    "issue",
+    "escrowBalance",
+    "pendingPayouts",
+    "paidPayouts",
+    "ledgerPayouts",
+    "detail",
+  ];
+
+  const summary = [
+    "*",
+    `PLATFORM_${report.status.toUpperCase()}`,
+    report.openEscrow.amount,
+    report.pendingPayouts.amount,
+    "",
+    "",
+    `chain ${report.chainBalance.amount} GOR, expected ${report.expectedBalance.amount} GOR (fees ${report.accruedFees.amount} GOR)`,
+  ];
+
+  const rows = report.mismatches.map((mismatch) =>
+    header.map((column) => mismatch[column])
+  );
+
+  return [header, summary, ...rows]
+    .map((row) => row.map(csvField).join(","))
+    .join("\n");
+}
+
+export default {
+  buildReconciliationReport,
+  reconciliationToCsv,
+  MISMATCH,
+};
@@ -0,0 +1,331 @@
+// Refund Policy
+// Decides what happens to the entry fees held for a paid room that ends
+// without a normal finish, pays the outcome through the payout service and
+// tells the room where each player's money went.
+//
+// What a player has at stake is read from the escrow ledger, so only
+// verified deposits are ever refunded or awarded.
+//
+//   paid_not_started       players who leave are refunded in full; the rest
+//                          keep waiting
+//   in_progress_abandoned  players who leave forfeit their entry fee. If one
+//                          paid player remains they win the pot (minus the
+//                          platform fee); if several remain the forfeits stay
+//                          in the prize pool; if nobody remains everyone is
+//                          refunded in full
+//   server_crash           everyone is refunded in full
+
+import { PayoutJob } from "./models.js";
+import { payout, PAYOUT_REASON } from "./payout-service.js";
+import {
+  getGameHoldings,
+  getOpenEscrow,
+  recordPlatformFee,
+} from "./escrow-ledger.js";
+import {
+  PLATFORM_FEE_BPS,
+  feeLamports,
+  fromLamports,
+  sumLamports,
+} from "./money.js";
+import { CURRENCY } from "./currency.js";
+import { getRoomRegistry } from "./room-registry.js";
+
+export const ROOM_SITUATION = {
+  NOT_STARTED: "paid_not_started",
+  ABANDONED: "in_progress_abandoned",
+  SERVER_CRASH: "server_crash",
+};
+
+export const MONEY_OUTCOME = {
+  REFUND: "refund", // entry fee returned
+  FORFEIT: "forfeit", // entry fee lost to the remaining players
+  AWARD: "award", // won the pot because everyone else left
+  IN_PLAY: "in_play", // still playing; entry fee stays in the pot
+};
+
+// Socket event each room's players receive when their money is settled
+export const ROOM_SETTLEMENT_EVENT = "roomSettlement";
+
+// Rooms untouched this long at startup are assumed to have died with the
+// previous process. Longer than any game plus its waiting timeout.
+const STRANDED_AFTER_MS = 30 * 60 * 1000;
+
+// Pure policy: one decision per player with money held in the room.
+// holdings: [{ wallet, lamports, left }]
+// Returns { decisions: [{ wallet, outcome, lamports, reason }],
+//           platformFeeLamports }
+export function decideSettlement({
+  situation,
+  holdings,
+  feeBps = PLATFORM_FEE_BPS,
+}) {
+  const held = holdings.filter((holding) => holding.lamports > 0);
+  const leavers = held.filter((holding) => holding.left);
+  const stayers = held.filter((holding) => !holding.left);
+
+  const decide = (holding, outcome, lamports, reason) => ({
+    wallet: holding.wallet,
+    outcome,
+    lamports,
+    reason,
+  });
+  const refundAll = (reason) =>
+    held.map((holding) =>
+      decide(holding, MONEY_OUTCOME.REFUND, holding.lamports, reason)
+    );
+
+  switch (situation) {
+    case ROOM_SITUATION.SERVER_CRASH:
+      return {
+        decisions: refundAll("Game was interrupted by a server restart"),
+        platformFeeLamports: 0,
+      };
+
+    case ROOM_SITUATION.NOT_STARTED:
+      return {
+        decisions: [
+          ...leavers.map((holding) =>
+            decide(
+              holding,
+              MONEY_OUTCOME.REFUND,
+              holding.lamports,
+              "Left before the game started"
+            )
+          ),
+          ...stayers.map((holding) =>
+            decide(holding, MONEY_OUTCOME.IN_PLAY, 0, "Waiting for players")
+          ),
+        ],
+        platformFeeLamports: 0,
+      };
+
+    case ROOM_SITUATION.ABANDONED: {
+      if (stayers.length === 0) {
+        return {
+          decisions: refundAll("Every player left the game"),
+          platformFeeLamports: 0,
+        };
+      }
+
+      const forfeits = leavers.map((holding) =>
+        decide(holding, MONEY_OUTCOME.FORFEIT, 0, "Left during the game")
+      );
+
+      if (stayers.length > 1) {
+        return {
+          decisions: [
+            ...forfeits,
+            ...stayers.map((holding) =>
+              decide(holding, MONEY_OUTCOME.IN_PLAY, 0, "Game continues")
+            ),
+          ],
+          platformFeeLamports: 0,
+        };
+      }
+
+      const potLamports = sumLamports(held.map((holding) => holding.lamports));
+      const platformFeeLamports = feeLamports(potLamports, feeBps);
+      return {
+        decisions: [
+          ...forfeits,
+          decide(
+            stayers[0],
+            MONEY_OUTCOME.AWARD,
+            potLamports - platformFeeLamports,
+            "Won by forfeit"
+          ),
+        ],
+        platformFeeLamports,
+      };
+    }
+
+    default:
+      throw new Error(`Unknown room situation: ${situation}`);
+  }
+}
+
+// Pay one outcome; refunds are ranked past the player's earlier refunds in
+// this room so a rejoin-and-leave gets a fresh payout key
+async function payDecision(context, decision, holding) {
+  const isRefund = decision.outcome === MONEY_OUTCOME.REFUND;
+  const [result] = await payout({
+    gameId: context.gameId,
+    gameType: context.gameType,
+    currency: context.currency,
+    recipients: [
+      {
+        rank: isRefund ? holding.refunds + 1 : 1,
+        wallet: decision.wallet,
+        amount: fromLamports(decision.lamports),
+      },
+    ],
+    reason: isRefund ? PAYOUT_REASON.REFUND : PAYOUT_REASON.PRIZE,
+  });
+  return result;
+}
+
+// Settle a room's escrow for the given situation and emit ROOM_SETTLEMENT_EVENT
+// to the room. players: [{ wallet, left }] for everyone still known to the
+// room; anyone with money held who isn't listed counts as having left.
+// Returns the event payload.
+export async function settleRoom({
+  gameId,
+  gameType = null,
+  currency = CURRENCY.GOR,
+  situation,
+  players = [],
+  feeBps = PLATFORM_FEE_BPS,
+  io = null,
+}) {
+  const ledger = await getGameHoldings(gameId);
+  const left = new Map(players.map((player) => [player.wallet, player.left]));
+  const holdings = ledger.wallets.map((wallet) => ({
+    wallet: wallet.walletAddress,
+    lamports: wallet.lamports,
+    refunds: wallet.refunds,
+    left: left.has(wallet.walletAddress)
+      ? left.get(wallet.walletAddress)
+      : true,
+  }));
+
+  const { decisions, platformFeeLamports } = decideSettlement({
+    situation,
+    holdings,
+    feeBps,
+  });
+
+  const summary = decisions
+    .map((decision) => `${decision.wallet.slice(0, 8)}...=${decision.outcome}`)
+    .join(", ");
+  console.log(
+    `⚖️ Settling room ${gameId} (${situation}): ${summary || "no money held"}`
+  );
+
+  const context = { gameId, gameType, currency };
+  const settled = [];
+
+  for (const decision of decisions) {
+    const entry = {
+      wallet: decision.wallet,
+      outcome: decision.outcome,
+      amount: fromLamports(decision.lamports),
+      currency,
+      reason: decision.reason,
+      status: null,
+      signature: null,
+    };
+
+    if (decision.lamports > 0) {
+      try {
+        const holding = holdings.find((h) => h.wallet === decision.wallet);
+        const result = await payDecision(context, decision, holding);
+        entry.status = result.status;
+        entry.signature = result.signature;
+        if (!result.success) {
+          entry.error = result.error;
+        }
+      } catch (error) {
+        console.error(
+          `❌ Settlement payout failed for ${decision.wallet}:`,
+          error
+        );
+        entry.status = "failed";
+        entry.error = error.message;
+      }
+    }
+
+    settled.push(entry);
+  }
+
+  if (platformFeeLamports > 0) {
+    try {
+      await recordPlatformFee({
+        gameId,
+        amount: fromLamports(platformFeeLamports),
+        gameType,
+        currency,
+      });
+    } catch (error) {
+      console.error(`❌ Failed to record platform fee for ${gameId}:`, error);
+    }
+  }
+
+  const event = {
+    gameId,
+    situation,
+    currency,
+    platformFee: fromLamports(platformFeeLamports),
+    players: settled,
+    timestamp: new Date().toISOString(),
+  };
+
+  if (io) {
+    io.to(gameId).emit(ROOM_SETTLEMENT_EVENT, event);
+  }
+
+  return event;
+}
+
+// Startup recovery: refund rooms whose escrow was left open by a previous
+// process. A room qualifies when its last ledger entry predates this process
+// and is older than STRANDED_AFTER_MS, and the payout queue has no prize for
+// it and nothing still in flight.
+export async function refundStrandedRooms({ startedAt = new Date() } = {}) {
+  const cutoff = new Date(
+    Math.min(startedAt.getTime(), Date.now() - STRANDED_AFTER_MS)
+  );
+  const settlements = [];
+
+  for (const currency of Object.values(CURRENCY)) {
+    const { games } = await getOpenEscrow(currency);
+
+    for (const game of games) {
+      if (game.lamports <= 0) continue;
+
+      try {
+        const ledger = await getGameHoldings(game.gameId);
+        if (!ledger.lastEntryAt || ledger.lastEntryAt >= cutoff) continue;
+
+        // Still being played on another instance
+        if (await getRoomRegistry().getRoomOwner(game.gameId)) continue;
+
+        const busy = await PayoutJob.exists({
+          gameId: game.gameId,
+          $or: [
+            { kind: "payout" },
+            { status: { $in: ["pending", "processing"] } },
+          ],
+        });
+        if (busy) continue;
+
+        settlements.push(
+          await settleRoom({
+            gameId: game.gameId,
+            gameType: ledger.gameType,
+            currency,
+            situation: ROOM_SITUATION.SERVER_CRASH,
+          })
+        );
+      } catch (error) {
+        console.error(`❌ Failed to recover room ${game.gameId}:`, error);
+      }
+    }
+  }
+
+  if (settlements.length > 0) {
+    console.log(
+      `♻️ Refunded ${settlements.length} room(s) stranded by a restart`
+    );
+  }
+  return settlements;
+}
+
+export default {
+  ROOM_SITUATION,
+  MONEY_OUTCOME,
+  ROOM_SETTLEMENT_EVENT,
+  decideSettlement,
+  settleRoom,
+  refundStrandedRooms,
+};
@@ -0,0 +1,318 @@
+// Room Registry
+// Records which server instance owns each live room, so several instances
+// can share the platform. Room objects (timers, boards, players) stay in the
+// owning process; the registry only stores { owner, roomType } per room in a
+// shared store with a TTL that the owner keeps refreshing. If an instance
+// dies its rooms expire from the registry.
+//
+// Rooms with free seats are also advertised under a match key (room type,
+// stake and currency, see matchKey). cluster.js uses the advertisements to
+// route a matchmaking join to the instance holding a waiting room, so
+// players connected to different instances are matched with each other. An
+// advertisement is only a hint: the owner re-checks its own rooms and opens a
+// new one if the advertised room filled up in the meantime.
+//
+// Two stores implement the same interface:
+//   memory  in-process, the default; several registries can share one
+//           memory store to simulate a cluster without Redis
+//   redis   shared between instances (used when REDIS_URL is set)
+
+import { config } from "./config.js";
+
+export const INSTANCE_ID = config.instanceId;
+
+export const ROOM_OWNERSHIP_TTL_MS = 60 * 1000;
+const HEARTBEAT_INTERVAL_MS = ROOM_OWNERSHIP_TTL_MS / 3;
+const REDIS_KEY_PREFIX = "gorbagana:room:";
+const REDIS_OPEN_KEY_PREFIX = "gorbagana:open:";
+
+// Rooms are matched when their type, stake and currency are the same
+export function matchKey(roomType, betAmount, currency) {
+  return `${roomType}:${betAmount}:${currency}`;
+}
+
+// In-process store: roomId → { owner, roomType, claimedAt, expiresAt }
+export function createMemoryRoomStore() {
+  const rooms = new Map();
+  const openRooms = new Map(); // match key → Set of roomIds
+
+  const live = (roomId) => {
+    const record = rooms.get(roomId);
+    if (record && record.expiresAt <= Date.now()) {
+      rooms.delete(roomId);
+      return null;
+    }
+    return record || null;
+  };
+
+  return {
+    async claim(roomId, record, ttlMs) {
+      if (live(roomId)) return false;
+      rooms.set(roomId, { ...record, expiresAt: Date.now() + ttlMs });
+      return true;
+    },
+    async get(roomId) {
+      const record = live(roomId);
+      return record ? { owner: record.owner, roomType: record.roomType } : null;
+    },
+    async refresh(roomId, owner, ttlMs) {
+      const record = live(roomId);
+      if (!record || record.owner !== owner) return false;
+      record.expiresAt = Date.now() + ttlMs;
+      return true;
+    },
+    async release(roomId, owner) {
+      const record = live(roomId);
+      if (record && record.owner === owner) {
+        rooms.delete(roomId);
+      }
+    },
+    async list() {
+      return Array.from(rooms.keys())
+        .filter((roomId) => live(roomId))
+        .map((roomId) => ({ roomId, ...rooms.get(roomId) }));
+    },
+    async addOpen(key, roomId) {
+      if (!openRooms.has(key)) openRooms.set(key, new Set());
+      openRooms.get(key).add(roomId);
+    },
+    async removeOpen(key, roomId) {
+      openRooms.get(key)?.delete(roomId);
+    },
+    async listOpen(key) {
+      return Array.from(openRooms.get(key) || []);
+    },
+  };
+}
+
+// Store shared through Redis (a connected node-redis v4 client)
+export function createRedisRoomStore(client) {
+  const key = (roomId) => `${REDIS_KEY_PREFIX}${roomId}`;
+  const openKey = (matchKey) => `${REDIS_OPEN_KEY_PREFIX}${matchKey}`;
+  const read = async (roomId) => {
+    const raw = await client.get(key(roomId));
+    return raw ? JSON.parse(raw) : null;
+  };
+
+  return {
+    async claim(roomId, record, ttlMs) {
+      const result = await client.set(key(roomId), JSON.stringify(record), {
+        NX: true,
+        PX: ttlMs,
+      });
+      return result === "OK";
+    },
+    async get(roomId) {
+      const record = await read(roomId);
+      return record ? { owner: record.owner, roomType: record.roomType } : null;
+    },
+    async refresh(roomId, owner, ttlMs) {
+      const record = await read(roomId);
+      if (!record || record.owner !== owner) return false;
+      await client.pExpire(key(roomId), ttlMs);
+      return true;
+    },
+    async release(roomId, owner) {
+      const record = await read(roomId);
+      if (record && record.owner === owner) {
+        await client.del(key(roomId));
+      }
+    },
+    async list() {
+      const rooms = [];
+      for await (const entry of client.scanIterator({
+        MATCH: `${REDIS_KEY_PREFIX}*`,
+      })) {
+        const roomId = entry.slice(REDIS_KEY_PREFIX.length);
+        const record = await read(roomId);
+        if (record) rooms.push({ roomId, ...record });
+      }
+      return rooms;
+    },
+    async addOpen(matchKey, roomId) {
+      await client.sAdd(openKey(matchKey), roomId);
+    },
+    async removeOpen(matchKey, roomId) {
+      await client.sRem(openKey(matchKey), roomId);
+    },
+    async listOpen(matchKey) {
+      return client.sMembers(openKey(matchKey));
+    },
+  };
+}
+
+export function createRoomRegistry({
+  store,
+  instanceId = INSTANCE_ID,
+  ttlMs = ROOM_OWNERSHIP_TTL_MS,
+}) {
+  const owned = new Map(); // roomId → roomType, rooms this instance holds
+  const advertised = new Map(); // roomId → match key, owned rooms with seats
+
+  return {
+    instanceId,
+
+    // Claim a new room for this instance. False if another instance owns it.
+    async claimRoom(roomId, roomType) {
+      const claimed = await store.claim(
+        roomId,
+        { owner: instanceId, roomType, claimedAt: Date.now() },
+        ttlMs
+      );
+      const record = claimed ? null : await store.get(roomId);
+
+      if (claimed || record?.owner === instanceId) {
+        owned.set(roomId, roomType);
+        return true;
+      }
+
+      console.warn(
+        `⚠️ Room ${roomId} is already owned by instance ${record?.owner}`
+      );
+      return false;
+    },
+
+    async releaseRoom(roomId) {
+      await this.closeRoom(roomId);
+      owned.delete(roomId);
+      await store.release(roomId, instanceId);
+    },
+
+    // Advertise free seats in an owned room to matchmaking on every instance
+    async openRoom(roomId, key) {
+      if (advertised.get(roomId) === key) return;
+      await this.closeRoom(roomId);
+      advertised.set(roomId, key);
+      await store.addOpen(key, roomId);
+    },
+
+    async closeRoom(roomId) {
+      const key = advertised.get(roomId);
+      if (!key) return;
+      advertised.delete(roomId);
+      await store.removeOpen(key, roomId);
+    },
+
+    // Instance holding an open room for this match key, or null when this
+    // instance has one itself or nobody does
+    async findOpenRoomOwner(key) {
+      for (const advertisedKey of advertised.values()) {
+        if (advertisedKey === key) return null;
+      }
+
+      for (const roomId of await store.listOpen(key)) {
+        const record = await store.get(roomId);
+        if (!record) {
+          // The owner died without withdrawing the room
+          await store.removeOpen(key, roomId);
+        } else if (record.owner !== instanceId) {
+          return record.owner;
+        }
+      }
+      return null;
+    },
+
+    async getRoomOwner(roomId) {
+      if (owned.has(roomId)) return instanceId;
+      const record = await store.get(roomId);
+      return record ? record.owner : null;
+    },
+
+    ownsRoom(roomId) {
+      return owned.has(roomId);
+    },
+
+    async listRooms() {
+      return store.list();
+    },
+
+    // Keep this instance's rooms alive in the store
+    async refreshOwnedRooms() {
+      for (const roomId of owned.keys()) {
+        const stillOwned = await store.refresh(roomId, instanceId, ttlMs);
+        if (!stillOwned) {
+          console.warn(`⚠️ Lost ownership of room ${roomId}`);
+          owned.delete(roomId);
+          advertised.delete(roomId);
+        }
+      }
+    },
+  };
+}
+
+let registry = createRoomRegistry({ store: createMemoryRoomStore() });
+let heartbeatTimer = null;
+
+export function getRoomRegistry() {
+  return registry;
+}
+
+// Swap the registry (e.g. for the Redis-backed one) before any room exists
+export function setRoomRegistry(nextRegistry) {
+  registry = nextRegistry;
+}
+
+export function startOwnershipHeartbeat(intervalMs = HEARTBEAT_INTERVAL_MS) {
+  if (heartbeatTimer) return;
+  heartbeatTimer = setInterval(() => {
+    registry
+      .refreshOwnedRooms()
+      .catch((error) =>
+        console.error("❌ Room ownership heartbeat failed:", error)
+      );
+  }, intervalMs);
+}
+
+export function stopOwnershipHeartbeat() {
+  if (heartbeatTimer) {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  }
+}
+
+// Drop-in Map for a room table: rooms set here are claimed for this instance
+// in the registry, and released when deleted
+export class RoomMap extends Map {
+  constructor(roomType) {
+    super();
+    this.roomType = roomType;
+  }
+
+  set(roomId, room) {
+    super.set(roomId, room);
+    if (this.roomType) {
+      registry
+        .claimRoom(roomId, this.roomType)
+        .catch((error) =>
+          console.error(`❌ Failed to register room ${roomId}:`, error)
+        );
+    }
+    return this;
+  }
+
+  delete(roomId) {
+    const deleted = super.delete(roomId);
+    if (deleted) {
+      registry
+        .releaseRoom(roomId)
+        .catch((error) =>
+          console.error(`❌ Failed to release room ${roomId}:`, error)
+        );
+    }
+    return deleted;
+  }
+}
+
+export default {
+  INSTANCE_ID,
+  ROOM_OWNERSHIP_TTL_MS,
+  matchKey,
+  createMemoryRoomStore,
+  createRedisRoomStore,
+  createRoomRegistry,
+  getRoomRegistry,
+  setRoomRegistry,
+  startOwnershipHeartbeat,
+  stopOwnershipHeartbeat,
+  RoomMap,
+};
@@ -0,0 +1,136 @@
+// Room Snapshots
+// Saves the state of live rooms to MongoDB so a restart doesn't wipe out
+// games in progress. Rooms call saveRoomSnapshot() after every state change
+// with the plain object from their toSnapshot(); at boot recoverRooms()
+// rebuilds unfinished rooms through the class's fromSnapshot(), and the
+// servers hold each player's seat until they reconnect (player-sessions.js).
+//
+// Timers are saved as time remaining, so game clocks stand still while the
+// server is down: a restored turn resumes with the time it had at the last
+// snapshot. Snapshots older than RECOVERY_WINDOW_MS are dropped and their
+// escrow is left to the stranded room refunds in refund-policy.js.
+
+import { RoomSnapshot } from "./models.js";
+import { getRoomRegistry, RoomMap } from "./room-registry.js";
+
+export const RECOVERY_WINDOW_MS = 30 * 60 * 1000; // 30 minutes
+
+// Everyone reconnects at once after a restart, so allow longer than a blip
+export const RECOVERY_GRACE_MS = 2 * 60 * 1000; // 2 minutes
+
+// roomId → that room's latest queued write, so writes land in order
+const pendingWrites = new Map();
+
+function enqueueWrite(roomId, write) {
+  const previous = pendingWrites.get(roomId) || Promise.resolve();
+  const next = previous
+    .then(write)
+    .catch((error) =>
+      console.error(`❌ Failed to save snapshot of room ${roomId}:`, error)
+    );
+
+  pendingWrites.set(roomId, next);
+  next.then(() => {
+    if (pendingWrites.get(roomId) === next) {
+      pendingWrites.delete(roomId);
+    }
+  });
+  return next;
+}
+
+// Save a room's current state. The state is copied synchronously, so the
+// room can keep changing while the write is in flight.
+export function saveRoomSnapshot(roomType, room) {
+  if (room.snapshotClosed) return Promise.resolve();
+
+  const update = {
+    roomType,
+    gamePhase: room.gamePhase || null,
+    instanceId: getRoomRegistry().instanceId,
+    state: structuredClone(room.toSnapshot()),
+    savedAt: new Date(),
+  };
+
+  return enqueueWrite(room.roomId, () =>
+    RoomSnapshot.updateOne(
+      { roomId: room.roomId },
+      { $set: update },
+      { upsert: true }
+    )
+  );
+}
+
+// Forget a room that has been torn down; later saves for it are ignored
+export function clearRoomSnapshot(room) {
+  room.snapshotClosed = true;
+  return enqueueWrite(room.roomId, () =>
+    RoomSnapshot.deleteOne({ roomId: room.roomId })
+  );
+}
+
+// Room table whose snapshots are cleared when rooms are removed from it
+export class SnapshotRoomMap extends RoomMap {
+  delete(roomId) {
+    const room = this.get(roomId);
+    const deleted = super.delete(roomId);
+    if (room) {
+      clearRoomSnapshot(room);
+    }
+    return deleted;
+  }
+}
+
+// Rebuild the unfinished rooms of one table from their snapshots.
+// restore(state) returns the room; returns the rooms that were recovered.
+export async function recoverRooms(rooms, restore) {
+  const registry = getRoomRegistry();
+  const cutoff = Date.now() - RECOVERY_WINDOW_MS;
+  const snapshots = await RoomSnapshot.find({
+    roomType: rooms.roomType,
+  }).lean();
+  const recovered = [];
+
+  for (const snapshot of snapshots) {
+    const { roomId } = snapshot;
+    if (rooms.has(roomId)) continue;
+
+    // Still live on another instance
+    if (await registry.getRoomOwner(roomId)) continue;
+
+    if (
+      snapshot.gamePhase === "finished" ||
+      snapshot.savedAt.getTime() < cutoff
+    ) {
+      await RoomSnapshot.deleteOne({ roomId });
+      continue;
+    }
+
+    if (!(await registry.claimRoom(roomId, rooms.roomType))) continue;
+
+    try {
+      const room = await restore(snapshot.state);
+      room.recoveredAt = Date.now();
+      rooms.set(roomId, room);
+      recovered.push(room);
+    } catch (error) {
+      console.error(`❌ Failed to recover room ${roomId}:`, error);
+      await registry.releaseRoom(roomId);
+    }
+  }
+
+  if (recovered.length > 0) {
+    console.log(
+      `♻️ Recovered ${recovered.length} ${rooms.roomType} room(s) from snapshots`
+    );
+  }
+  return recovered;
+}
+
+export default {
+  RECOVERY_WINDOW_MS,
+  RECOVERY_GRACE_MS,
+  saveRoomSnapshot,
+  clearRoomSnapshot,
+  SnapshotRoomMap,
+  recoverRooms,
+};
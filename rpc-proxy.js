@@ -0,0 +1,341 @@
+// RPC Proxy
+// POST /api/rpc-proxy lets the frontend reach the Gorbagana RPC without CORS
+// trouble. Only read methods on the allowlist are forwarded (override with
+// RPC_PROXY_METHODS, comma separated); transactions are never relayed.
+//
+// - Single requests ({ method, params, id }) and JSON-RPC batches (arrays of
+//   up to MAX_BATCH_SIZE requests) are accepted; a batch is sent upstream as
+//   one batch, but is rate limited as one request per call.
+// - Idempotent reads are cached for a method's CACHE_TTL_MS.
+// - Upstreams come from RPC_PROXY_UPSTREAMS (comma separated, in order of
+//   preference; see config.js), falling back to the RPC URL. One that fails
+//   is skipped for UPSTREAM_COOLDOWN_MS and the next one is tried.
+// - Per-method counters are served to operators by admin-routes.js.
+
+import { config } from "./config.js";
+import { rateLimit } from "./rate-limiter.js";
+
+const DEFAULT_METHODS = [
+  "getAccountInfo",
+  "getBalance",
+  "getBlockHeight",
+  "getLatestBlockhash",
+  "getMinimumBalanceForRentExemption",
+  "getSignatureStatuses",
+  "getSlot",
+  "getTokenAccountBalance",
+  "getTokenAccountsByOwner",
+  "getTransaction",
+];
+
+// How long a result stays fresh; methods not listed are never cached
+const CACHE_TTL_MS = {
+  getAccountInfo: 2000,
+  getBalance: 2000,
+  getBlockHeight: 1000,
+  getLatestBlockhash: 1000,
+  getMinimumBalanceForRentExemption: 60 * 1000,
+  getSignatureStatuses: 1000,
+  getSlot: 1000,
+  getTokenAccountBalance: 2000,
+  getTokenAccountsByOwner: 2000,
+  getTransaction: 60 * 1000, // Only found transactions are cached
+};
+
+const MAX_BATCH_SIZE = 20;
+const MAX_CACHE_ENTRIES = 1000;
+const UPSTREAM_TIMEOUT_MS = 10 * 1000;
+const UPSTREAM_COOLDOWN_MS = 30 * 1000;
+
+// JSON-RPC error codes
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+
+const allowedMethods = new Set(
+  config.rpcProxyMethods.length ? config.rpcProxyMethods : DEFAULT_METHODS
+);
+
+const upstreams = config.rpcProxyUpstreams.map((url) => ({
+  url,
+  host: new URL(url).host, // For metrics; URLs may carry API keys
+  failures: 0,
+  unhealthyUntil: 0,
+  lastError: null,
+}));
+
+const cache = new Map(); // `${method}:${params}` → { result, expiresAt }
+const metrics = new Map(); // method → counters
+
+function methodMetrics(method) {
+  let counters = metrics.get(method);
+  if (!counters) {
+    counters = {
+      requests: 0,
+      cacheHits: 0,
+      rejected: 0,
+      errors: 0,
+      upstreamCalls: 0,
+      upstreamMs: 0,
+    };
+    metrics.set(method, counters);
+  }
+  return counters;
+}
+
+function rpcError(id, code, message) {
+  return { jsonrpc: "2.0", id, error: { code, message } };
+}
+
+// ---- Cache ---------------------------------------------------------------
+
+function cacheKey(method, params) {
+  return `${method}:${JSON.stringify(params)}`;
+}
+
+function readCache(key, now = Date.now()) {
+  const entry = cache.get(key);
+  if (!entry) return undefined;
+  if (entry.expiresAt <= now) {
+    cache.delete(key);
+    return undefined;
+  }
+  return entry.result;
+}
+
+function writeCache(method, key, result) {
+  const ttl = CACHE_TTL_MS[method];
+  if (!ttl) return;
+  if (method === "getTransaction" && !result) return; // Not landed yet
+
+  // Map keeps insertion order, so the first key is the oldest
+  if (cache.size >= MAX_CACHE_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(key, { result, expiresAt: Date.now() + ttl });
+}
+
+// ---- Upstreams -----------------------------------------------------------
+
+// Healthy upstreams first, in configured order; ones cooling down are still
+// tried last rather than failing outright
+function upstreamOrder(now = Date.now()) {
+  const healthy = upstreams.filter((u) => u.unhealthyUntil <= now);
+  const cooling = upstreams.filter((u) => u.unhealthyUntil > now);
+  return [...healthy, ...cooling];
+}
+
+async function postUpstream(payload) {
+  let lastError = null;
+
+  for (const upstream of upstreamOrder()) {
+    try {
+      const response = await fetch(upstream.url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(UPSTREAM_TIMEOUT_MS),
+      });
+
+      if (!response.ok) {
+        throw new Error(`RPC request failed: ${response.status}`);
+      }
+
+      const data = await response.json();
+      upstream.failures = 0;
+      upstream.unhealthyUntil = 0;
+      return data;
+    } catch (error) {
+      lastError = error;
+      upstream.failures++;
+      upstream.unhealthyUntil = Date.now() + UPSTREAM_COOLDOWN_MS;
+      upstream.lastError = error.message;
+      console.warn(`⚠️ RPC upstream ${upstream.host} failed: ${error.message}`);
+    }
+  }
+
+  throw new Error(`All RPC upstreams failed: ${lastError?.message}`);
+}
+
+// ---- Requests ------------------------------------------------------------
+
+// Answer a list of JSON-RPC requests: rejected and cached ones locally, the
+// rest in one upstream call. trusted skips the allowlist (server-side calls).
+async function resolveRequests(requests, { trusted = false } = {}) {
+  const responses = new Array(requests.length);
+  const pending = [];
+
+  requests.forEach((request, index) => {
+    const id = request?.id ?? 1;
+    const method = request?.method;
+
+    if (typeof method !== "string") {
+      responses[index] = rpcError(id, INVALID_REQUEST, "Missing method");
+      return;
+    }
+
+    // Rejected names share one counter, so clients can't grow the table
+    const allowed = trusted || allowedMethods.has(method);
+    const counters = methodMetrics(allowed ? method : "(not allowed)");
+    counters.requests++;
+
+    if (!allowed) {
+      counters.rejected++;
+      responses[index] = rpcError(
+        id,
+        METHOD_NOT_FOUND,
+        `Method ${method} is not available through the proxy`
+      );
+      return;
+    }
+
+    const params = request.params || [];
+    const key = cacheKey(method, params);
+    const cached = readCache(key);
+    if (cached !== undefined) {
+      counters.cacheHits++;
+      responses[index] = { jsonrpc: "2.0", id, result: cached };
+      return;
+    }
+
+    pending.push({ index, id, method, params, key });
+  });
+
+  if (pending.length === 0) return responses;
+
+  // Upstream ids are our indexes, so clients' own ids can't collide
+  const startedAt = Date.now();
+  let upstreamResponses;
+  try {
+    const calls = pending.map(({ index, method, params }) => ({
+      jsonrpc: "2.0",
+      id: index,
+      method,
+      params,
+    }));
+    // Not every node accepts batches, so a lone call goes on its own
+    const batch = await postUpstream(calls.length === 1 ? calls[0] : calls);
+    upstreamResponses = Array.isArray(batch) ? batch : [batch];
+  } catch (error) {
+    pending.forEach(({ method }) => methodMetrics(method).errors++);
+    throw error;
+  }
+
+  const elapsedMs = Date.now() - startedAt;
+  const byIndex = new Map(upstreamResponses.map((r) => [r?.id, r]));
+
+  for (const { index, id, method, key } of pending) {
+    const counters = methodMetrics(method);
+    counters.upstreamCalls++;
+    counters.upstreamMs += elapsedMs;
+
+    const upstreamResponse = byIndex.get(index);
+    if (!upstreamResponse) {
+      counters.errors++;
+      responses[index] = rpcError(id, INVALID_REQUEST, "No upstream response");
+    } else if (upstreamResponse.error) {
+      counters.errors++;
+      responses[index] = { jsonrpc: "2.0", id, error: upstreamResponse.error };
+    } else {
+      writeCache(method, key, upstreamResponse.result);
+      responses[index] = {
+        jsonrpc: "2.0",
+        id,
+        result: upstreamResponse.result,
+      };
+    }
+  }
+
+  return responses;
+}
+
+// Server-side JSON-RPC call through the proxy's cache and upstream failover.
+// Returns the JSON-RPC response ({ result } or { error }).
+export async function rpcRequest(method, params = []) {
+  const [response] = await resolveRequests([{ id: 1, method, params }], {
+    trusted: true,
+  });
+  return response;
+}
+
+export function getRpcProxyMetrics() {
+  const now = Date.now();
+  return {
+    allowedMethods: Array.from(allowedMethods),
+    cacheEntries: cache.size,
+    upstreams: upstreams.map((u) => ({
+      host: u.host,
+      healthy: u.unhealthyUntil <= now,
+      failures: u.failures,
+      lastError: u.lastError,
+    })),
+    methods: Object.fromEntries(
+      Array.from(metrics, ([method, counters]) => [
+        method,
+        {
+          ...counters,
+          avgUpstreamMs: counters.upstreamCalls
+            ? Math.round(counters.upstreamMs / counters.upstreamCalls)
+            : null,
+        },
+      ])
+    ),
+  };
+}
+
+// Calls in a request body; oversized batches are refused below, so they are
+// charged as the largest batch accepted
+function rpcCallCount(req) {
+  return Array.isArray(req.body)
+    ? Math.min(req.body.length, MAX_BATCH_SIZE)
+    : 1;
+}
+
+export function setupRpcProxyRoutes(app) {
+  const limitCalls = rateLimit("rpcProxy", rpcCallCount);
+
+  // RPC Proxy endpoint to bypass CORS issues
+  app.post("/api/rpc-proxy", limitCalls, async (req, res) => {
+    const body = req.body;
+    const isBatch = Array.isArray(body);
+    const requests = isBatch ? body : [body];
+
+    if (requests.length === 0 || requests.length > MAX_BATCH_SIZE) {
+      return res
+        .status(400)
+        .json(
+          rpcError(
+            null,
+            INVALID_REQUEST,
+            `Batches must hold 1 to ${MAX_BATCH_SIZE} requests`
+          )
+        );
+    }
+
+    try {
+      console.log(
+        `🌐 Proxying RPC call: ${requests.map((r) => r?.method).join(", ")}`
+      );
+      const responses = await resolveRequests(requests);
+
+      if (isBatch) {
+        return res.json(responses);
+      }
+
+      const [response] = responses;
+      const rejected = response.error?.code === METHOD_NOT_FOUND;
+      res.status(rejected ? 403 : 200).json(response);
+    } catch (error) {
+      console.error("❌ RPC Proxy Error:", error);
+      res.status(502).json({
+        error: "RPC proxy failed",
+        details: error.message,
+      });
+    }
+  });
+}
+
+export default {
+  rpcRequest,
+  getRpcProxyMetrics,
+  setupRpcProxyRoutes,
+};
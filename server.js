@@ -3,11 +3,8 @@ import { createServer } from "http";
 import { Server } from "socket.io";
 import cors from "cors";
 import { v4 as uuidv4 } from "uuid";
-import dotenv from "dotenv";
-
-// Load environment variables for REAL transactions
-dotenv.config();
 import { Connection, PublicKey } from "@solana/web3.js";
+import { config, assertConfig, ConfigError } from "./config.js";
 import {
   connectDB,
   User,
@@ -16,26 +13,44 @@ import {
   updateUserStats,
   getLeaderboard,
   getRecentMatches,
+  getMatchFairness,
 } from "./models.js";
+import { checkPlatformBalance } from "./blockchain-rewards.js";
+import { payout, PAYOUT_REASON } from "./payout-service.js";
 import {
-  distributePrizes,
-  distributeSinglePrize,
-  checkPlatformBalance,
-} from "./blockchain-rewards.js";
-import {
-  distributeSmartContractRewards,
-  initializeGame as initSmartContractGame,
-  getGameState as getSmartContractGameState,
   validateEntryFeePayment,
   collectEntryFeeToEscrow,
   collectValidatedEntryFee,
   ensurePlatformBalance,
 } from "./smart-contract-integration.js";
+import { claimEntryFeeSignature } from "./payment-verification.js";
+import { recordPlatformFee } from "./escrow-ledger.js";
+import { CURRENCY, normalizeCurrency } from "./currency.js";
+import {
+  settleRoom,
+  refundStrandedRooms,
+  ROOM_SITUATION,
+} from "./refund-policy.js";
+import {
+  calculateBetPool,
+  splitPrizePool,
+  splitLamportsByWeights,
+  toLamports,
+  fromLamports,
+  PLATFORM_FEE_BPS,
+} from "./money.js";
 // WordGridRoom with blockchain integration
 class WordGridRoom {
-  constructor(roomId, betAmount = 1, password = null, creatorWallet = null) {
+  constructor(
+    roomId,
+    betAmount = 1,
+    password = null,
+    creatorWallet = null,
+    currency = CURRENCY.GOR
+  ) {
     this.roomId = roomId;
     this.betAmount = betAmount;
+    this.currency = currency; // GOR or gGOR
     this.password = password;
     this.creatorWallet = creatorWallet;
     this.maxPlayers = 2;
@@ -139,37 +154,42 @@ class WordGridRoom {
       console.log(`   Transaction: ${txSignature}`);
       console.log(`   Expected amount: ${player.betAmount} GOR`);
 
-      // Verify the blockchain transaction
-      const verification =
-        await smartContractIntegration.validateEntryFeePayment(
+      // Verify on-chain, then consume the signature so it can't be replayed
+      const verification = await claimEntryFeeSignature(
+        await validateEntryFeePayment(
           player.wallet,
           this.roomId,
-          txSignature
-        );
+          txSignature,
+          player.betAmount,
+          this.currency
+        ),
+        "wordGrid"
+      );
 
-      if (verification.success) {
+      if (verification.verified) {
         console.log(
-          `✅ [WordGrid] Payment verified! Amount: ${verification.actualAmount} GOR`
+          `✅ [WordGrid] Payment verified! Amount: ${verification.amount} GOR`
         );
 
         // Collect the validated entry fee
-        const escrowResult =
-          await smartContractIntegration.collectValidatedEntryFee(
-            player.wallet,
-            verification.actualAmount,
-            this.roomId,
-            txSignature
-          );
+        const escrowResult = await collectValidatedEntryFee(
+          player.wallet,
+          verification.amount,
+          this.roomId,
+          txSignature,
+          "wordGrid",
+          this.currency
+        );
 
         if (escrowResult.success) {
           // Mark payment as confirmed
           player.hasPaid = true;
           player.paymentConfirmed = true;
           player.txSignature = txSignature;
-          player.actualPaidAmount = verification.actualAmount;
+          player.actualPaidAmount = verification.amount;
 
           console.log(
-            `🏦 [WordGrid] Escrow updated: ${escrowResult.escrowBalance} GOR in room ${this.roomId}`
+            `🏦 [WordGrid] Escrow updated: ${escrowResult.escrowBalance} GOR in escrow`
           );
 
           // Check if all players have paid
@@ -184,9 +204,9 @@ class WordGridRoom {
           throw new Error("Failed to collect entry fee to escrow");
         }
       } else {
-        throw new Error(
-          verification.error || "Transaction verification failed"
-        );
+        const error = new Error(verification.message);
+        error.reason = verification.reason;
+        throw error;
       }
     } catch (error) {
       console.error(`❌ [WordGrid] Payment confirmation error:`, error);
@@ -409,12 +429,9 @@ class WordGridRoom {
 
     const winner = sortedPlayers[0];
     const loser = sortedPlayers[1];
-    const totalBets = this.players.reduce(
-      (sum, player) => sum + player.actualPaidAmount,
-      0
-    );
-    const platformFee = totalBets * 0.1;
-    const prizePool = totalBets - platformFee;
+    const { totalAmount: totalBets, platformFee, prizePool } =
+      calculateBetPool(this.players.map((player) => player.actualPaidAmount));
+    const currency = this.currency;
 
     const gameStats = {
       winner: winner,
@@ -435,6 +452,7 @@ class WordGridRoom {
         totalAmount: totalBets,
         platformFee: platformFee,
         prizePool: prizePool,
+        currency,
       },
       roomId: this.roomId,
     };
@@ -445,21 +463,23 @@ class WordGridRoom {
       } points`
     );
     console.log(
-      `💰 Prize: ${prizePool} GOR to winner, Platform fee: ${platformFee} GOR`
+      `💰 Prize: ${prizePool} ${currency} to winner, Platform fee: ${platformFee} ${currency}`
     );
 
-    // Distribute prizes using the smart contract integration
+    // Pay the winner through the payout service
     try {
-      await smartContractIntegration.distributeSmartContractRewards(
-        this.roomId,
-        [
-          {
-            walletAddress: winner.wallet,
-            prizeAmount: prizePool,
-            gameType: "wordGrid",
-          },
-        ]
-      );
+      await payout({
+        gameId: this.roomId,
+        gameType: "wordGrid",
+        currency,
+        recipients: [{ rank: 1, wallet: winner.wallet, amount: prizePool }],
+      });
+      await recordPlatformFee({
+        gameId: this.roomId,
+        amount: platformFee,
+        gameType: "wordGrid",
+        currency,
+      });
     } catch (error) {
       console.error(`❌ Failed to distribute Word Grid prizes:`, error);
     }
@@ -487,6 +507,7 @@ class WordGridRoom {
       grid: this.grid,
       currentPlayer: this.currentPlayer,
       betAmount: this.betAmount,
+      currency: this.currency,
       maxPlayers: this.maxPlayers,
       hasPassword: !!this.password,
       gameStartTime: this.gameStartTime,
@@ -495,16 +516,80 @@ class WordGridRoom {
   }
 }
 import { setupDemoRoutes } from "./demo-server.js";
-import { setupRealWalletRoutes } from "./real-wallet-server.js";
+import {
+  setupRealWalletRoutes,
+  recoverRealWalletRooms,
+} from "./real-wallet-server.js";
+import { setupAdminRoutes } from "./admin-routes.js";
+import { setupAuthRoutes } from "./auth-routes.js";
+import { setupProtocolRoutes } from "./protocol-routes.js";
+import {
+  socketAuthMiddleware,
+  getSocketWallet,
+  isDemoWallet,
+  isPracticeWallet,
+} from "./wallet-auth.js";
+import {
+  ERROR_CODE,
+  ProtocolError,
+  SKIP,
+  onEvent,
+  protocolVersionMiddleware,
+} from "./socket-protocol.js";
+import "./socket-events.js";
+import {
+  RECONNECT_GRACE_MS,
+  holdSeat,
+  resumeSeats,
+  setPlayerConnection,
+} from "./player-sessions.js";
+import { startPayoutWorker } from "./payout-queue.js";
+import { getRoomRegistry, matchKey, RoomMap } from "./room-registry.js";
+import {
+  RECOVERY_GRACE_MS,
+  SnapshotRoomMap,
+  recoverRooms,
+  saveRoomSnapshot,
+} from "./room-snapshots.js";
+import { setupCluster } from "./cluster.js";
+import { limitSocketEvents, rateLimit } from "./rate-limiter.js";
+import { setupRpcProxyRoutes, rpcRequest } from "./rpc-proxy.js";
+import {
+  MAX_SPEED,
+  findPickups,
+  normalizeInput,
+  playerSnapshot,
+  stepPlayer,
+} from "./orb-simulation.js";
+import { StateBroadcaster } from "./state-diff.js";
+import {
+  HAZARD,
+  MAX_HAZARDS,
+  MAX_POWER_UPS,
+  POWER_UP_SPAWN_CHANCE,
+  activatePowerUp,
+  drainHazards,
+  expireEffects,
+  pickSpawnKind,
+  playerModifiers,
+  resolveSpawnWeights,
+} from "./orb-power-ups.js";
+import {
+  createSeed,
+  commitSeed,
+  createRng,
+  fallbackSeed,
+  flipCoin,
+} from "./fair-rng.js";
+import { pickSpawnPosition } from "./orb-spawning.js";
 
 const app = express();
 const server = createServer(app);
 const io = new Server(server, {
   cors: {
     origin: [
-      process.env.FRONTEND_URL || "http://localhost:3000",
-      process.env.PRODUCTION_FRONTEND_URL ||
-        "https://gorbagana-taupe.vercel.app",
+      config.frontendUrl,
+      config.productionFrontendUrl,
       "https://gorbagana-taupe.vercel.app",
       "https://gorbagana.xyz",
       "https://gorbagana-frontend.vercel.app",
@@ -517,9 +602,8 @@ const io = new Server(server, {
 app.use(
   cors({
     origin: [
-      process.env.FRONTEND_URL || "http://localhost:3000",
-      process.env.PRODUCTION_FRONTEND_URL ||
-        "https://gorbagana-taupe.vercel.app",
+      config.frontendUrl,
+      config.productionFrontendUrl,
       "https://gorbagana-taupe.vercel.app",
       "https://gorbagana.xyz",
       "https://gorbagana-frontend.vercel.app",
@@ -529,17 +613,24 @@ app.use(
 );
 app.use(express.json());
 
+// Behind a load balancer, req.ip (rate limits) comes from X-Forwarded-For
+if (config.trustProxy) {
+  app.set("trust proxy", true);
+}
+
+// Every socket must present a sign-in-with-Solana session token (or connect
+// as a demo client); handlers read the verified wallet from socket.data
+io.use(socketAuthMiddleware);
+
+// Clients may ask for a protocol version; newer than ours is refused
+io.use(protocolVersionMiddleware);
+
 // Gorbagana network connection
-const connection = new Connection(
-  process.env.GORBAGANA_RPC_URL ||
-    process.env.SOLANA_RPC_URL ||
-    "https://rpc.gorbagana.wtf/",
-  "confirmed"
-);
+const connection = new Connection(config.rpcUrl, "confirmed");
 
 // Smart contract addresses (DEPLOYED CONTRACT)
 const PROGRAM_ID = "GorTokenTakedown11111111111111111111111111";
-const GGOR_MINT = "71Jvq4Epe2FCJ7JFSF7jLXdNk1Wy4Bhqd8iL6bEFELvg"; // Real GOR from Jupiter
+const GGOR_MINT = config.ggorMint;
 
 // Game configuration
 const GAME_CONFIG = {
@@ -551,12 +642,13 @@ const GAME_CONFIG = {
   ARENA_SIZE: 20,
   FREEZE_DURATION: 3000, // milliseconds
   FREEZE_COST: 1, // gGOR
-  PLATFORM_FEE_RATE: 0.1, // 10% platform fee
+  PLATFORM_FEE_BPS, // 10% platform fee
 };
 
-class GameRoom {
+class TokenTakedownRoom {
   constructor(gameId) {
     this.gameId = gameId;
+    this.currency = CURRENCY.GGOR; // Entry fees and prizes
     this.players = new Map();
     this.tokens = new Map();
     this.gameState = "waiting"; // waiting, playing, finished
@@ -567,9 +659,23 @@ class GameRoom {
     this.totalPrizePool = 0;
     this.gameStartTime = null;
     this.winners = [];
+    this.stateBroadcaster = new StateBroadcaster({
+      event: "gameStateDelta",
+      collections: ["players", "tokens"],
+    });
   }
 
-  addPlayer(playerId, socketId, walletAddress, entryTxSignature) {
+  hasOpenSeat() {
+    return (
+      this.gameState === "waiting" &&
+      this.players.size < GAME_CONFIG.MAX_PLAYERS
+    );
+  }
+
+  // Seat a player. A paid seat comes with its entry fee ({ signature,
+  // amount }) already verified and collected to escrow by joinGame; lobby
+  // games are free and add nothing to the prize pool.
+  addPlayer(playerId, socketId, walletAddress, entryFee = null) {
     if (this.players.size >= GAME_CONFIG.MAX_PLAYERS) {
       throw new Error("Game is full");
     }
@@ -578,13 +684,10 @@ class GameRoom {
       throw new Error("Game already started");
     }
 
-    // In production, verify the transaction signature here
-    // For now, we'll assume it's valid
-    this.entryFeeTransactions.set(playerId, {
-      signature: entryTxSignature,
-      amount: GAME_CONFIG.ENTRY_FEE,
-      verified: true, // Mock verification
-    });
+    if (entryFee) {
+      this.entryFeeTransactions.set(playerId, entryFee);
+      this.totalPrizePool += entryFee.amount;
+    }
 
     this.players.set(playerId, {
       id: playerId,
@@ -597,7 +700,6 @@ class GameRoom {
       joinedAt: Date.now(),
     });
 
-    this.totalPrizePool += GAME_CONFIG.ENTRY_FEE;
     console.log(
       `Player ${playerId} joined game ${this.gameId}. Prize pool: ${this.totalPrizePool} gGOR`
     );
@@ -617,6 +719,13 @@ class GameRoom {
     if (this.players.has(playerId)) {
       this.players.delete(playerId);
 
+      // Before the start a leaver's fee leaves the pool (it is refunded)
+      const entryFee = this.entryFeeTransactions.get(playerId);
+      if (entryFee && this.gameState === "waiting") {
+        this.totalPrizePool -= entryFee.amount;
+        this.entryFeeTransactions.delete(playerId);
+      }
+
       // End game if no players left
       if (this.players.size === 0) {
         this.endGame();
@@ -850,15 +959,22 @@ class GameRoom {
   }
 
   calculatePrize(rank) {
-    if (rank === 0) return Math.floor(this.totalPrizePool * 0.5); // 50%
-    if (rank === 1) return Math.floor(this.totalPrizePool * 0.3); // 30%
-    if (rank === 2) return Math.floor(this.totalPrizePool * 0.2); // 20%
-    return 0;
+    // 50% / 30% / 20% for the top three
+    const shares = splitLamportsByWeights(
+      toLamports(this.totalPrizePool),
+      [50, 30, 20]
+    );
+    return rank < shares.length ? fromLamports(shares[rank]) : 0;
   }
 
   async distributeRewards() {
     console.log(`🏆 Game ${this.gameId} ended. Winners:`, this.winners);
 
+    if (this.totalPrizePool <= 0) {
+      console.log(`🆓 Game ${this.gameId} had no paid entries; no prizes`);
+      return;
+    }
+
     // Convert winners to format expected by blockchain rewards system
     const winnersForDistribution = this.winners.map((winner) => ({
       rank: winner.rank,
@@ -888,7 +1004,16 @@ class GameRoom {
 
     try {
       // Real blockchain prize distribution
-      const distributionResults = await distributePrizes(winnersWithWallets);
+      const distributionResults = await payout({
+        gameId: this.gameId,
+        gameType: "tokenTakedown",
+        currency: this.currency,
+        recipients: winnersWithWallets.map((winner) => ({
+          rank: winner.rank,
+          wallet: winner.wallet,
+          amount: winner.prize,
+        })),
+      });
 
       console.log("📜 Smart contract reward distribution transaction sent");
 
@@ -952,6 +1077,29 @@ class GameRoom {
       winners: this.winners,
     };
   }
+
+  // Deltas to clients subscribed through stateAck (state-diff.js), the full
+  // gameState to the rest
+  broadcastState() {
+    this.stateBroadcaster.broadcast(
+      globalIo,
+      this.gameId,
+      {
+        gameStatus: this.gameState,
+        timeRemaining: this.timeRemaining,
+        prizePool: this.totalPrizePool,
+        winners: this.winners,
+        players: Array.from(this.players.values()).map((player) => ({
+          id: player.id,
+          position: player.position,
+          tokens: player.tokens,
+          frozen: player.frozen,
+        })),
+        tokens: Array.from(this.tokens.values()),
+      },
+      { legacyEvent: "gameState", legacyState: () => this.getGameState() }
+    );
+  }
 }
 
 class Lobby {
@@ -1042,16 +1190,12 @@ class Lobby {
 
     // Create new game room
     const gameId = uuidv4();
-    const gameRoom = new GameRoom(gameId);
+    const gameRoom = new TokenTakedownRoom(gameId);
 
-    // Add all lobby players to the game room
+    // Add all lobby players to the game room. Nobody paid to join the
+    // lobby, so its games are free and pay no prizes.
     for (const [playerId, playerData] of this.players) {
-      gameRoom.addPlayer(
-        playerId,
-        playerData.socketId,
-        playerData.wallet,
-        "mock-entry-tx" // Mock transaction for lobby players
-      );
+      gameRoom.addPlayer(playerId, playerData.socketId, playerData.wallet);
     }
 
     // Start the game immediately
@@ -1077,8 +1221,7 @@ class Lobby {
         globalIo.emit("redirectToGame", { gameId });
 
         // Also broadcast initial game state
-        const gameState = gameRoom.getGameState();
-        globalIo.to(gameId).emit("gameState", gameState);
+        gameRoom.broadcastState();
       }, 2000);
     }
 
@@ -1102,38 +1245,116 @@ class Lobby {
   }
 }
 
+// How long both tic-tac-toe players have to send client seeds once the coin
+// toss opens; the toss can't be called before then unless both are in
+const CLIENT_SEED_WINDOW_MS = 15 * 1000;
+
 // Tic-Tac-Toe Room Class
 class TicTacToeRoom {
-  constructor(roomId, betAmount = 1) {
+  constructor(roomId, betAmount = 1, currency = CURRENCY.GOR) {
     this.roomId = roomId;
+    this.currency = currency; // GOR or gGOR
     this.players = [];
     this.spectators = [];
     this.board = Array(9).fill(null);
     this.currentPlayer = "X";
     this.gamePhase = "waiting"; // waiting, betting, toss, playing, finished
     this.winner = null;
-    this.coinToss = {
-      choosingPlayer: null,
-      choice: null,
-      result: null,
-      isFlipping: false,
-    };
+    this.resetCoinToss();
     this.scores = { X: 0, O: 0, draws: 0 };
     this.betAmount = betAmount;
     this.betPool = {
       totalAmount: 0,
       platformFee: 0,
       winnerPayout: 0,
+      currency,
     };
     this.dbMatch = null; // MongoDB document reference
     this.createdAt = Date.now();
 
     // Timeout mechanism for no opponent
     this.waitingTimeout = null;
+    this.waitingDeadline = null;
     this.timeoutDuration = 5 * 60 * 1000; // 5 minutes in milliseconds
     this.isTimedOut = false;
   }
 
+  // Plain copy of the room for room-snapshots.js. Spectators are not kept;
+  // timers are stored as time remaining.
+  toSnapshot() {
+    return {
+      roomId: this.roomId,
+      currency: this.currency,
+      betAmount: this.betAmount,
+      players: this.players,
+      board: this.board,
+      currentPlayer: this.currentPlayer,
+      gamePhase: this.gamePhase,
+      winner: this.winner,
+      coinToss: this.coinToss,
+      tossServerSeed: this.tossServerSeed,
+      tossClientSeeds: this.tossClientSeeds,
+      scores: this.scores,
+      betPool: this.betPool,
+      isTimedOut: this.isTimedOut,
+      ageMs: Date.now() - this.createdAt,
+      waitingRemainingMs: this.waitingDeadline
+        ? Math.max(0, this.waitingDeadline - Date.now())
+        : null,
+    };
+  }
+
+  static async fromSnapshot(state) {
+    const room = new TicTacToeRoom(
+      state.roomId,
+      state.betAmount,
+      state.currency
+    );
+    Object.assign(room, {
+      players: state.players,
+      board: state.board,
+      currentPlayer: state.currentPlayer,
+      gamePhase: state.gamePhase,
+      winner: state.winner,
+      coinToss: state.coinToss,
+      tossServerSeed: state.tossServerSeed,
+      tossClientSeeds: state.tossClientSeeds,
+      scores: state.scores,
+      betPool: state.betPool,
+      isTimedOut: state.isTimedOut,
+      createdAt: Date.now() - state.ageMs,
+    });
+    room.dbMatch = await GameMatch.findOne({ gameId: room.roomId });
+
+    // Snapshots from before commit-reveal tosses carry no server seed
+    if (!room.tossServerSeed && !room.coinToss.result) {
+      const { choosingPlayer } = room.coinToss;
+      room.resetCoinToss();
+      room.coinToss.choosingPlayer = choosingPlayer;
+    }
+    if (room.gamePhase === "toss" && !room.coinToss.seedDeadline) {
+      room.openSeedWindow();
+    }
+
+    // A coin still in the air is tossed again; one that landed starts play
+    if (room.coinToss.isFlipping && !room.coinToss.result) {
+      room.coinToss.choice = null;
+      room.coinToss.isFlipping = false;
+    } else if (room.gamePhase === "toss" && room.coinToss.result) {
+      room.gamePhase = "playing";
+      room.currentPlayer = "X";
+    }
+
+    if (state.waitingRemainingMs !== null && room.players.length === 1) {
+      room.startWaitingTimeout(state.waitingRemainingMs);
+    }
+    return room;
+  }
+
+  saveSnapshot() {
+    saveRoomSnapshot("ticTacToe", this);
+  }
+
   async addPlayer(playerId, socketId, wallet, betAmount = null) {
     if (this.players.length >= 2) {
       throw new Error("Room is full");
@@ -1210,6 +1431,7 @@ class TicTacToeRoom {
       this.startWaitingTimeout();
     }
 
+    this.saveSnapshot();
     return this.getGameState();
   }
 
@@ -1257,41 +1479,50 @@ class TicTacToeRoom {
       console.log(`   Transaction: ${txSignature}`);
       console.log(`   Expected amount: ${player.betAmount} GOR`);
 
-      // Verify the blockchain transaction
-      const validationResult = await validateEntryFeePayment(
-        player.wallet,
-        this.roomId,
-        txSignature
+      // Verify on-chain, then consume the signature so it can't be replayed
+      const validationResult = await claimEntryFeeSignature(
+        await validateEntryFeePayment(
+          player.wallet,
+          this.roomId,
+          txSignature,
+          player.betAmount,
+          this.currency
+        ),
+        "ticTacToe"
       );
 
       if (validationResult.verified) {
-        // Payment verified on blockchain
-        player.hasPaid = true;
-        player.txSignature = txSignature;
-        player.actualPaidAmount = validationResult.amount;
-
         console.log(
           `✅ [TicTacToe] Payment verified! ${
             validationResult.amount
           } GOR from ${player.wallet.slice(0, 8)}`
         );
 
-        // Collect the validated entry fee to platform escrow
+        // Collect the validated entry fee to platform escrow before the seat
+        // counts as paid; if this fails the signature is released for a retry
         const escrowResult = await collectValidatedEntryFee(
           player.wallet,
           validationResult.amount,
           this.roomId,
-          txSignature
+          txSignature,
+          "ticTacToe",
+          this.currency
         );
 
+        // Payment verified on blockchain and held in escrow
+        player.hasPaid = true;
+        player.txSignature = txSignature;
+        player.actualPaidAmount = validationResult.amount;
+
         console.log(`🏦 [TicTacToe] Entry fee collected to escrow`);
-        console.log(`   Escrow pool: ${escrowResult.virtualPool} GOR`);
+        console.log(`   Escrow pool: ${escrowResult.escrowBalance} GOR`);
 
         // If both players have paid, start coin toss
         if (this.players.every((p) => p.hasPaid)) {
           this.gamePhase = "toss";
           // Set the first player as the choosing player for coin toss
           this.coinToss.choosingPlayer = this.players[0].id;
+          this.openSeedWindow();
           this.calculateBetPool();
           await this.updateBetPool();
 
@@ -1305,7 +1536,8 @@ class TicTacToeRoom {
           // Check platform balance for prize distribution
           try {
             const balanceCheck = await ensurePlatformBalance(
-              this.betPool.winnerPayout
+              this.betPool.winnerPayout,
+              this.currency
             );
             if (!balanceCheck.sufficient) {
               console.log(`⚠️ [TicTacToe] ${balanceCheck.message}`);
@@ -1318,6 +1550,7 @@ class TicTacToeRoom {
           }
         }
 
+        this.saveSnapshot();
         return {
           success: true,
           verified: true,
@@ -1325,9 +1558,13 @@ class TicTacToeRoom {
         };
       } else {
         console.error(
-          `❌ [TicTacToe] Payment verification failed for ${txSignature}`
+          `❌ [TicTacToe] Payment verification failed for ${txSignature}: ${validationResult.reason}`
         );
-        return { success: false, error: "Payment verification failed" };
+        return {
+          success: false,
+          error: validationResult.message,
+          reason: validationResult.reason,
+        };
       }
     } catch (error) {
       console.error(`❌ [TicTacToe] Payment confirmation error:`, error);
@@ -1336,16 +1573,16 @@ class TicTacToeRoom {
   }
 
   calculateBetPool() {
-    const totalBets = this.players.reduce(
-      (sum, player) => sum + player.betAmount,
-      0
+    const pool = calculateBetPool(
+      this.players.map((player) => player.betAmount),
+      GAME_CONFIG.PLATFORM_FEE_BPS
     );
-    const platformFee = totalBets * GAME_CONFIG.PLATFORM_FEE_RATE;
 
     this.betPool = {
-      totalAmount: totalBets,
-      platformFee: platformFee,
-      winnerPayout: totalBets - platformFee,
+      totalAmount: pool.totalAmount,
+      platformFee: pool.platformFee,
+      winnerPayout: pool.prizePool,
+      currency: this.currency,
     };
   }
 
@@ -1370,14 +1607,20 @@ class TicTacToeRoom {
     if (this.players.length < 2) {
       this.resetGame();
     }
+    this.saveSnapshot();
   }
 
-  startWaitingTimeout() {
-    console.log(`⏰ Starting 5-minute timeout for room ${this.roomId}`);
+  startWaitingTimeout(duration = this.timeoutDuration) {
+    console.log(
+      `⏰ Starting ${Math.ceil(duration / 1000)}s timeout for room ${
+        this.roomId
+      }`
+    );
 
+    this.waitingDeadline = Date.now() + duration;
     this.waitingTimeout = setTimeout(() => {
       this.handleWaitingTimeout();
-    }, this.timeoutDuration);
+    }, duration);
   }
 
   cancelWaitingTimeout() {
@@ -1387,6 +1630,7 @@ class TicTacToeRoom {
       );
       clearTimeout(this.waitingTimeout);
       this.waitingTimeout = null;
+      this.waitingDeadline = null;
     }
   }
 
@@ -1405,39 +1649,15 @@ class TicTacToeRoom {
     );
 
     try {
-      // Only refund if player has paid
-      if (player.hasPaid) {
-        console.log(
-          `💰 Refunding ${player.betAmount} gGOR to ${player.wallet.slice(
-            0,
-            8
-          )}...`
-        );
-
-        // Distribute refund via smart contract system
-        const refundWinners = [
-          {
-            rank: 1,
-            wallet: player.wallet,
-            prize: player.betAmount, // Full refund (no platform fee for timeout)
-            score: 0,
-          },
-        ];
-
-        const results = await distributeSmartContractRewards(
-          this.roomId,
-          refundWinners
-        );
-
-        const result = results[0];
-        if (result && result.success) {
-          console.log(`✅ Timeout refund successful! TX: ${result.signature}`);
-        } else {
-          console.error(
-            `❌ Timeout refund failed: ${result?.error || "Unknown error"}`
-          );
-        }
-      }
+      // Full refund of whatever the player has in escrow (no platform fee)
+      const settlement = await settleRoom({
+        gameId: this.roomId,
+        gameType: "ticTacToe",
+        currency: this.currency,
+        situation: ROOM_SITUATION.NOT_STARTED,
+        players: [{ wallet: player.wallet, left: true }],
+        io,
+      });
 
       // Update database
       if (this.dbMatch) {
@@ -1455,11 +1675,12 @@ class TicTacToeRoom {
 
       this.gamePhase = "finished";
       this.winner = "timeout";
+      this.saveSnapshot();
 
       console.log(`🏁 Room ${this.roomId} closed due to timeout`);
 
       // Signal to remove this room from the rooms map
-      return { shouldRemoveRoom: true, refundedPlayer: player };
+      return { shouldRemoveRoom: true, refundedPlayer: player, settlement };
     } catch (error) {
       console.error(
         `❌ Error handling timeout for room ${this.roomId}:`,
@@ -1473,21 +1694,95 @@ class TicTacToeRoom {
     this.cancelWaitingTimeout();
   }
 
+  // A fresh toss, committed to a new server seed (fair-rng.js) before anyone
+  // calls it. Client seeds stay private to the server until the result is
+  // revealed, so no player can pick theirs to suit the others'. Each toss in
+  // the room (one per rematch) is a new round.
+  resetCoinToss() {
+    this.tossServerSeed = createSeed();
+    this.tossClientSeeds = {}; // playerId → client seed
+    this.coinToss = {
+      round: (this.coinToss?.round || 0) + 1,
+      choosingPlayer: null,
+      choice: null,
+      result: null,
+      isFlipping: false,
+      commitment: commitSeed(this.tossServerSeed),
+      seedDeadline: null, // Client seeds are taken until then
+      serverSeed: null, // Revealed with the result
+      clientSeeds: null, // [{ wallet, seed, fallback }] in player order, ditto
+    };
+  }
+
+  openSeedWindow() {
+    this.coinToss.seedDeadline = Date.now() + CLIENT_SEED_WINDOW_MS;
+  }
+
+  // Take a player's client seed; seeds are locked at the seed deadline or
+  // once the toss is called
+  setClientSeed(playerId, clientSeed) {
+    if (
+      this.gamePhase !== "toss" ||
+      this.coinToss.choice ||
+      Date.now() >= this.coinToss.seedDeadline ||
+      !this.players.some((p) => p.id === playerId)
+    ) {
+      return false;
+    }
+
+    this.tossClientSeeds[playerId] = clientSeed;
+    this.saveSnapshot();
+    return true;
+  }
+
+  // The toss can be called once both seeds are in or the deadline passed
+  clientSeedsSettled() {
+    return (
+      Date.now() >= this.coinToss.seedDeadline ||
+      this.players.every((p) => this.tossClientSeeds[p.id])
+    );
+  }
+
   handleCoinChoice(playerId, choice) {
     if (
       this.gamePhase !== "toss" ||
-      this.coinToss.choosingPlayer !== playerId
+      this.coinToss.choosingPlayer !== playerId ||
+      this.coinToss.choice ||
+      !this.clientSeedsSettled()
     ) {
       return false;
     }
 
+    // Players who sent no seed in time get the one the commitment fixed
+    for (const player of this.players) {
+      this.tossClientSeeds[player.id] ??= fallbackSeed(
+        this.tossServerSeed,
+        player.wallet
+      );
+    }
+
     this.coinToss.choice = choice;
     this.coinToss.isFlipping = true;
+    this.saveSnapshot();
 
-    // Simulate coin flip after delay
+    // Reveal the coin flip after delay
     setTimeout(() => {
-      this.coinToss.result = Math.random() < 0.5 ? "heads" : "tails";
+      const clientSeeds = this.players.map((p) => {
+        const seed = this.tossClientSeeds[p.id];
+        return {
+          wallet: p.wallet,
+          seed,
+          fallback: seed === fallbackSeed(this.tossServerSeed, p.wallet),
+        };
+      });
+      this.coinToss.result = flipCoin(
+        this.tossServerSeed,
+        clientSeeds.map(({ seed }) => seed)
+      );
+      this.coinToss.serverSeed = this.tossServerSeed;
+      this.coinToss.clientSeeds = clientSeeds;
       this.coinToss.isFlipping = false;
+      this.recordCoinToss();
 
       // Assign symbols based on coin toss result
       const choosingPlayer = this.players.find((p) => p.id === playerId);
@@ -1502,11 +1797,13 @@ class TicTacToeRoom {
         choosingPlayer.symbol = "O";
         otherPlayer.symbol = "X";
       }
+      this.saveSnapshot();
 
       // Start game after brief delay
       setTimeout(() => {
         this.gamePhase = "playing";
         this.currentPlayer = "X";
+        this.saveSnapshot();
         // Broadcasting will be handled by the socket event handler
       }, 3000);
     }, 2000);
@@ -1514,6 +1811,34 @@ class TicTacToeRoom {
     return true;
   }
 
+  // Add the revealed toss to the match's list (one per round, rematches
+  // included) so anyone can verify it
+  async recordCoinToss() {
+    if (!this.dbMatch) return;
+
+    const { round, commitment, serverSeed, clientSeeds, choice, result } =
+      this.coinToss;
+    try {
+      await GameMatch.updateOne(
+        { gameId: this.roomId },
+        {
+          $push: {
+            "gameData.fairness.coinTosses": {
+              round,
+              commitment,
+              serverSeed,
+              clientSeeds,
+              choice,
+              result,
+            },
+          },
+        }
+      );
+    } catch (error) {
+      console.error(`❌ Error saving coin toss for ${this.roomId}:`, error);
+    }
+  }
+
   setChoosingPlayer(requestingPlayerId, targetPlayer) {
     if (this.gamePhase !== "toss") return false;
 
@@ -1524,6 +1849,7 @@ class TicTacToeRoom {
       this.coinToss.choosingPlayer = otherPlayer?.id || null;
     }
 
+    this.saveSnapshot();
     return true;
   }
 
@@ -1533,6 +1859,7 @@ class TicTacToeRoom {
     const otherPlayer = this.players.find((p) => p.id !== playerId);
     this.coinToss.choosingPlayer = otherPlayer?.id || null;
 
+    this.saveSnapshot();
     return true;
   }
 
@@ -1560,6 +1887,7 @@ class TicTacToeRoom {
     } else {
       // Switch turns
       this.currentPlayer = this.currentPlayer === "X" ? "O" : "X";
+      this.saveSnapshot();
     }
 
     return true;
@@ -1609,12 +1937,9 @@ class TicTacToeRoom {
     this.currentPlayer = "X";
     this.gamePhase = "toss";
     this.winner = null;
-    this.coinToss = {
-      choosingPlayer: null,
-      choice: null,
-      result: null,
-      isFlipping: false,
-    };
+    this.resetCoinToss();
+    this.openSeedWindow();
+    this.saveSnapshot();
   }
 
   getGameState(requestingPlayerId = null) {
@@ -1632,6 +1957,7 @@ class TicTacToeRoom {
       scores: this.scores,
       betPool: this.betPool,
       betAmount: this.betAmount,
+      currency: this.currency,
     };
   }
 
@@ -1639,6 +1965,7 @@ class TicTacToeRoom {
     this.winner = winner;
     this.gamePhase = "finished";
     this.updateScores();
+    this.saveSnapshot();
 
     // Update database
     if (this.dbMatch) {
@@ -1674,20 +2001,20 @@ class TicTacToeRoom {
             } gGOR!`
           );
 
-          // Distribute prize via SMART CONTRACT
+          // Pay the winner through the payout service
           try {
-            const winners = [
-              {
-                rank: 1,
-                wallet: winnerPlayer.wallet,
-                prize: this.betPool.winnerPayout,
-                score: 1,
-              },
-            ];
-            const results = await distributeSmartContractRewards(
-              this.roomId,
-              winners
-            );
+            const results = await payout({
+              gameId: this.roomId,
+              gameType: "ticTacToe",
+              currency: this.currency,
+              recipients: [
+                {
+                  rank: 1,
+                  wallet: winnerPlayer.wallet,
+                  amount: this.betPool.winnerPayout,
+                },
+              ],
+            });
 
             const result = results[0]; // First (and only) winner
             if (result && result.success) {
@@ -1718,23 +2045,26 @@ class TicTacToeRoom {
           await updateUserStats(loserPlayer.wallet, "ticTacToe", false, 0);
         }
       } else {
-        // Draw - split the pot (minus platform fee)
-        const drawPayout = this.betPool.winnerPayout / 2;
-        console.log(`🤝 Draw! Each player gets ${drawPayout} gGOR`);
-
-        // Distribute to both players via SMART CONTRACT
-        const drawWinners = this.players.map((player, index) => ({
-          rank: index + 1,
-          wallet: player.wallet,
-          prize: drawPayout,
-          score: 0,
-        }));
+        // Draw - split the pot (minus platform fee); an odd lamport goes
+        // to the first player
+        const drawPayouts = splitPrizePool(
+          toLamports(this.betPool.winnerPayout),
+          this.players.length
+        );
+        console.log(`🤝 Draw! Players get ${drawPayouts.join(" / ")} gGOR`);
 
+        // Pay both players through the payout service
         try {
-          const results = await distributeSmartContractRewards(
-            this.roomId,
-            drawWinners
-          );
+          const results = await payout({
+            gameId: this.roomId,
+            gameType: "ticTacToe",
+            currency: this.currency,
+            recipients: this.players.map((player, index) => ({
+              rank: index + 1,
+              wallet: player.wallet,
+              amount: drawPayouts[index],
+            })),
+          });
 
           results.forEach((result, index) => {
             const player = this.players[index];
@@ -1743,7 +2073,7 @@ class TicTacToeRoom {
                 `✅ Draw payout distributed to ${player.wallet.slice(
                   0,
                   8
-                )}...: ${drawPayout} GOR (${result.signature})`
+                )}...: ${drawPayouts[index]} GOR (${result.signature})`
               );
             } else {
               console.error(
@@ -1755,12 +2085,12 @@ class TicTacToeRoom {
           });
 
           // Update stats for both players
-          for (const player of this.players) {
+          for (const [index, player] of this.players.entries()) {
             await updateUserStats(
               player.wallet,
               "ticTacToe",
               false,
-              drawPayout
+              drawPayouts[index]
             );
           }
         } catch (error) {
@@ -1768,6 +2098,17 @@ class TicTacToeRoom {
         }
       }
 
+      try {
+        await recordPlatformFee({
+          gameId: this.roomId,
+          amount: this.betPool.platformFee,
+          gameType: "ticTacToe",
+          currency: this.currency,
+        });
+      } catch (error) {
+        console.error("❌ Failed to record tic-tac-toe platform fee:", error);
+      }
+
       // Log transaction signatures for audit
       this.players.forEach((player) => {
         if (player.txSignature) {
@@ -1782,10 +2123,23 @@ class TicTacToeRoom {
   }
 }
 
+// Orb Collector keeps a lower 5% platform fee
+const ORB_PLATFORM_FEE_BPS = 500;
+
 // Orb Collector 3D Game Room
 class OrbCollectorRoom {
-  constructor(roomId, betAmount = 1) {
+  constructor(
+    roomId,
+    betAmount = 1,
+    currency = CURRENCY.GOR,
+    {
+      tickRate = config.orbTickRate,
+      snapshotRate = config.orbSnapshotRate,
+      spawnWeights = config.orbSpawnWeights,
+    } = {}
+  ) {
     this.roomId = roomId;
+    this.currency = currency; // GOR or gGOR
     this.players = new Map();
     this.orbs = new Map();
     this.status = "waiting"; // waiting, countdown, playing, finished
@@ -1798,6 +2152,33 @@ class OrbCollectorRoom {
     this.maxPlayers = 6;
     this.minPlayers = 2;
     this.arenaSize = 20; // 20x20 arena
+    this.forfeitedBets = []; // bets of paid players who quit mid-game
+
+    // Power-up pickups and hazard zones (orb-power-ups.js)
+    this.powerUps = new Map();
+    this.hazards = new Map();
+    this.spawnWeights = resolveSpawnWeights(spawnWeights);
+
+    // Spawn randomness (fair-rng.js), seeded when the game starts. The seed
+    // stays secret until the game ends; its commitment is public from the
+    // start, and every spawn is logged for players to check against it.
+    // Orbs draw type, position and height from the "orbs" stream; power-ups
+    // draw chance, kind and position from "powerUps".
+    this.spawnSeed = null;
+    this.seedCommitment = null;
+    this.orbRng = null;
+    this.powerUpRng = null;
+    this.spawnLog = []; // { tick, kind, type, x, z }
+
+    // Movement simulation (orb-simulation.js)
+    this.tickRate = tickRate;
+    this.snapshotEvery = Math.max(1, Math.round(tickRate / snapshotRate));
+    this.tickTimer = null;
+    this.tick = 0;
+    this.stateBroadcaster = new StateBroadcaster({
+      event: "orbSnapshot",
+      collections: ["players", "orbs", "powerUps", "hazards"],
+    });
 
     console.log(
       `🔮 Created Orb Collector room ${roomId} with bet ${betAmount} gGOR`
@@ -1832,6 +2213,13 @@ class OrbCollectorRoom {
       walletAddress: wallet,
       nickname: `${wallet.slice(0, 6)}...`,
       position: spawnPosition,
+      velocity: { x: 0, z: 0 },
+      input: { x: 0, z: 0 }, // Steering from orbInput, length at most 1
+      moveTarget: null, // Position asked for by a legacy playerMove
+      lastInputSeq: 0,
+      effects: {}, // Power-up type → end time
+      cooldowns: {}, // Power-up type → when it can be picked up again
+      drainCarry: 0, // Fraction of a point owed to hazards
       score: 0,
       color: playerColors[this.players.size % playerColors.length],
       betAmount: finalBetAmount,
@@ -1860,6 +2248,11 @@ class OrbCollectorRoom {
         )}... left orb collector room`
       );
 
+      // A paid player who quits mid-game forfeits their bet to the prize pool
+      if (this.status === "playing" && player.paymentConfirmed) {
+        this.forfeitedBets.push(player.betAmount);
+      }
+
       // Cancel countdown if not enough players
       if (this.players.size < this.minPlayers && this.status === "countdown") {
         this.cancelCountdown();
@@ -1923,6 +2316,16 @@ class OrbCollectorRoom {
       `🔮 Starting orb collector game ${this.roomId} with ${this.players.size} players`
     );
 
+    // Commit to this game's spawn seed before anything is drawn from it
+    this.spawnSeed = createSeed();
+    this.seedCommitment = commitSeed(this.spawnSeed);
+    this.orbRng = createRng(this.spawnSeed, "orbs");
+    this.powerUpRng = createRng(this.spawnSeed, "powerUps");
+    this.spawnLog = [];
+    console.log(
+      `🎲 Orb collector ${this.roomId} spawn seed commitment ${this.seedCommitment}`
+    );
+
     // Spawn initial orbs
     this.spawnInitialOrbs();
 
@@ -1935,21 +2338,14 @@ class OrbCollectorRoom {
       );
     }
 
+    // Movement, pickups and snapshots (which carry the timer to clients)
+    this.tickTimer = setInterval(() => this.runTick(), 1000 / this.tickRate);
+
     // Start game timer
     this.gameTimer = setInterval(() => {
       this.timeRemaining--;
 
-      // Broadcast timer updates every 3 seconds to keep clients synced
-      if (this.timeRemaining % 3 === 0 && globalIo) {
-        const gameState = this.getGameState();
-        globalIo.to(this.roomId).emit("orbGameState", gameState);
-        console.log(`🕐 Game timer: ${this.timeRemaining} seconds remaining`);
-      }
-
-      // Final countdown - broadcast every second in last 10 seconds
-      if (this.timeRemaining <= 10 && globalIo) {
-        const gameState = this.getGameState();
-        globalIo.to(this.roomId).emit("orbGameState", gameState);
+      if (this.timeRemaining <= 10) {
         console.log(`⏰ FINAL COUNTDOWN: ${this.timeRemaining} seconds!`);
       }
 
@@ -1962,17 +2358,12 @@ class OrbCollectorRoom {
     // Start orb maintenance - ensures minimum orbs always present
     this.orbSpawner = setInterval(() => {
       const orbsSpawned = this.spawnOrb();
+      this.spawnPowerUp();
 
       if (orbsSpawned > 0) {
         console.log(
           `🔮 Maintenance spawned ${orbsSpawned} new orb(s). Total orbs: ${this.orbs.size}`
         );
-
-        // Broadcast updated state when new orbs spawn
-        if (globalIo) {
-          const gameState = this.getGameState();
-          globalIo.to(this.roomId).emit("orbGameState", gameState);
-        }
       }
     }, 2000); // Check every 2 seconds to maintain orb count
   }
@@ -2007,9 +2398,56 @@ class OrbCollectorRoom {
     return orbsSpawned;
   }
 
+  // Sometimes add a power-up or a hazard, drawn from the room's spawn
+  // weights; kinds already at their limit are left out of the draw
+  spawnPowerUp() {
+    if (this.powerUpRng() >= POWER_UP_SPAWN_CHANCE) return null;
+
+    const weights = { ...this.spawnWeights };
+    if (this.powerUps.size >= MAX_POWER_UPS) {
+      Object.keys(weights)
+        .filter((kind) => kind !== "hazard")
+        .forEach((kind) => (weights[kind] = 0));
+    }
+    if (this.hazards.size >= MAX_HAZARDS) {
+      weights.hazard = 0;
+    }
+
+    const kind = pickSpawnKind(weights, this.powerUpRng);
+    if (!kind) return null;
+
+    const { x, z } = this.getSpawnPosition(this.powerUpRng, [
+      ...this.powerUps.values(),
+      ...this.hazards.values(),
+    ]);
+    this.spawnLog.push({
+      tick: this.tick,
+      kind: kind === "hazard" ? "hazard" : "powerUp",
+      type: kind,
+      x,
+      z,
+    });
+
+    if (kind === "hazard") {
+      const hazard = {
+        id: uuidv4(),
+        position: { x, z },
+        radius: HAZARD.radius,
+        expiresAt: Date.now() + HAZARD.lifetimeMs,
+      };
+      this.hazards.set(hazard.id, hazard);
+      console.log(`☠️ Hazard zone at (${x.toFixed(1)}, ${z.toFixed(1)})`);
+      return hazard;
+    }
+
+    const powerUp = { id: uuidv4(), type: kind, position: { x, y: 0.5, z } };
+    this.powerUps.set(powerUp.id, powerUp);
+    console.log(`⚡ ${kind} power-up at (${x.toFixed(1)}, ${z.toFixed(1)})`);
+    return powerUp;
+  }
+
   createSingleOrb() {
     const orbId = uuidv4();
-    const position = this.getRandomOrbPosition();
     const orbTypes = [
       { type: "common", value: 1, weight: 60 },
       { type: "rare", value: 3, weight: 30 },
@@ -2017,7 +2455,7 @@ class OrbCollectorRoom {
     ];
 
     // Weighted random selection
-    const rand = Math.random() * 100;
+    const rand = this.orbRng() * 100;
     let selectedType = orbTypes[0];
     let cumulativeWeight = 0;
 
@@ -2029,6 +2467,16 @@ class OrbCollectorRoom {
       }
     }
 
+    const { x, z } = this.getSpawnPosition(this.orbRng, this.orbs.values());
+    const position = { x, y: 0.5 + this.orbRng() * 2, z }; // Floating orbs
+    this.spawnLog.push({
+      tick: this.tick,
+      kind: "orb",
+      type: selectedType.type,
+      x,
+      z,
+    });
+
     const orb = {
       id: orbId,
       position: position,
@@ -2090,84 +2538,182 @@ class OrbCollectorRoom {
     }
   }
 
-  getRandomOrbPosition() {
-    const arenaHalf = this.arenaSize / 2 - 1;
+  // Spawn point { x, z } drawn from `random` (one of the room's seeded
+  // streams): in the quadrant with the fewest `items`, away from players
+  getSpawnPosition(random, items) {
+    return pickSpawnPosition({
+      random,
+      items: Array.from(items),
+      players: Array.from(this.players.values()),
+      arenaHalf: this.arenaSize / 2 - 1,
+    });
+  }
+
+  // Spawn seed commitment; the seed and spawn log once the game is over
+  getFairness() {
+    if (!this.seedCommitment) return null;
+
+    const finished = this.status === "finished";
     return {
-      x: (Math.random() - 0.5) * (arenaHalf * 2),
-      y: 0.5 + Math.random() * 2, // Floating orbs
-      z: (Math.random() - 0.5) * (arenaHalf * 2),
+      commitment: this.seedCommitment,
+      seed: finished ? this.spawnSeed : null,
+      spawns: finished ? this.spawnLog : undefined,
     };
   }
 
-  movePlayer(playerId, position) {
+  // Steer a player; inputs older than the last one applied are dropped.
+  // The vector is applied from the next tick on.
+  setInput(playerId, seq, input) {
     const player = this.players.get(playerId);
-    if (!player || this.status !== "playing") return;
-
-    // Update player position with bounds checking
-    const arenaHalf = this.arenaSize / 2 - 0.5;
-    player.position = {
-      x: Math.max(-arenaHalf, Math.min(arenaHalf, position.x)),
-      y: 0.5,
-      z: Math.max(-arenaHalf, Math.min(arenaHalf, position.z)),
-    };
+    if (!player || this.status !== "playing") return false;
+    if (seq <= player.lastInputSeq) return false;
 
-    // Check for orb collisions
-    this.checkOrbCollisions(playerId);
+    player.input = normalizeInput(input);
+    player.moveTarget = null;
+    player.lastInputSeq = seq;
+    return true;
   }
 
-  checkOrbCollisions(playerId) {
+  // Legacy clients send the position they want; the tick walks the player
+  // there at the simulation's speed limit
+  movePlayer(playerId, position) {
     const player = this.players.get(playerId);
-    if (!player) return;
+    if (!player || this.status !== "playing") return;
 
-    for (const [orbId, orb] of this.orbs) {
-      const distance = Math.sqrt(
-        Math.pow(orb.position.x - player.position.x, 2) +
-          Math.pow(orb.position.z - player.position.z, 2)
-      );
+    player.input = { x: 0, z: 0 };
+    player.moveTarget = { x: position.x, z: position.z };
+  }
 
-      if (distance < 1.2) {
-        // Collision threshold
-        // Player collected the orb
-        player.score += orb.value;
-        this.orbs.delete(orbId);
+  // One fixed step: move every player, award the orbs on their paths and
+  // send a snapshot every snapshotEvery ticks
+  runTick() {
+    if (this.status !== "playing") return;
 
-        console.log(
-          `🔮 Player ${player.walletAddress.slice(0, 8)}... collected ${
-            orb.type
-          } orb worth ${orb.value} points! New score: ${player.score}`
-        );
+    this.tick++;
+    const now = Date.now();
+    const dt = 1 / this.tickRate;
+    const arenaHalf = this.arenaSize / 2 - 0.5;
 
-        // ⭐ IMMEDIATELY SPAWN A NEW ORB TO REPLACE THE COLLECTED ONE
-        this.createSingleOrb();
-        console.log(
-          `🌟 New orb spawned to replace collected orb ${orbId}. Total orbs: ${this.orbs.size}`
-        );
+    for (const [hazardId, hazard] of this.hazards) {
+      if (hazard.expiresAt <= now) this.hazards.delete(hazardId);
+    }
 
-        // Broadcast orb collection immediately
-        if (globalIo) {
-          globalIo.to(this.roomId).emit("orbCollected", {
-            orbId: orbId,
-            playerId: playerId,
-            value: orb.value,
-            newScore: player.score,
-          });
+    const paths = Array.from(this.players.values()).map((player) => {
+      expireEffects(player, now);
+      const { speedMultiplier, pickupRadius } = playerModifiers(player, now);
+      const maxSpeed = MAX_SPEED * speedMultiplier;
+      return {
+        playerId: player.id,
+        ...stepPlayer(player, dt, { arenaHalf, maxSpeed }),
+        radius: pickupRadius, // Magnet reach, for orbs only
+      };
+    });
 
-          // Also broadcast updated game state (includes new orb)
-          const gameState = this.getGameState();
-          globalIo.to(this.roomId).emit("orbGameState", gameState);
-        }
+    for (const { orbId, playerId } of findPickups(this.orbs.values(), paths)) {
+      this.collectOrb(playerId, orbId);
+    }
 
-        return { orbId, value: orb.value };
-      }
+    const plainPaths = paths.map((path) => ({ ...path, radius: null }));
+    for (const { orbId: powerUpId, playerId } of findPickups(
+      this.powerUps.values(),
+      plainPaths
+    )) {
+      this.collectPowerUp(playerId, powerUpId, now);
     }
 
-    return null;
+    const hazards = Array.from(this.hazards.values());
+    for (const player of this.players.values()) {
+      drainHazards(player, hazards, dt, now);
+    }
+
+    if (this.tick % this.snapshotEvery === 0) {
+      this.broadcastSnapshot();
+    }
   }
 
-  async endGame() {
-    if (this.status !== "playing") return;
+  // Award an orb to a player (times their score multiplier) and replace it
+  collectOrb(playerId, orbId) {
+    const player = this.players.get(playerId);
+    const orb = this.orbs.get(orbId);
+    if (!player || !orb) return null;
 
-    this.status = "finished";
+    const value = orb.value * playerModifiers(player).scoreMultiplier;
+    player.score += value;
+    this.orbs.delete(orbId);
+
+    console.log(
+      `🔮 Player ${player.walletAddress.slice(0, 8)}... collected ${
+        orb.type
+      } orb worth ${value} points! New score: ${player.score}`
+    );
+
+    // ⭐ IMMEDIATELY SPAWN A NEW ORB TO REPLACE THE COLLECTED ONE
+    this.createSingleOrb();
+
+    // The score and the new orb reach clients in the next snapshot
+    if (globalIo) {
+      globalIo.to(this.roomId).emit("orbCollected", {
+        orbId: orbId,
+        playerId: playerId,
+        value,
+        newScore: player.score,
+      });
+    }
+
+    return { orbId, value };
+  }
+
+  // Start a pickup's effect; while the player's cooldown for that type runs
+  // the pickup stays on the arena
+  collectPowerUp(playerId, powerUpId, now = Date.now()) {
+    const player = this.players.get(playerId);
+    const powerUp = this.powerUps.get(powerUpId);
+    if (!player || !powerUp) return null;
+
+    const until = activatePowerUp(player, powerUp.type, now);
+    if (!until) return null;
+    this.powerUps.delete(powerUpId);
+
+    console.log(
+      `⚡ Player ${player.walletAddress.slice(0, 8)}... picked up ${
+        powerUp.type
+      } for ${(until - now) / 1000}s`
+    );
+
+    if (globalIo) {
+      globalIo.to(this.roomId).emit("orbPowerUpCollected", {
+        powerUpId,
+        playerId,
+        type: powerUp.type,
+        until,
+      });
+    }
+
+    return { powerUpId, type: powerUp.type, until };
+  }
+
+  // Deltas to clients subscribed through stateAck (state-diff.js), the full
+  // orbGameState to the rest
+  broadcastSnapshot() {
+    this.stateBroadcaster.broadcast(
+      globalIo,
+      this.roomId,
+      {
+        tick: this.tick,
+        timeRemaining: this.timeRemaining,
+        players: Array.from(this.players.values()).map(playerSnapshot),
+        orbs: Array.from(this.orbs.values()),
+        powerUps: Array.from(this.powerUps.values()),
+        hazards: Array.from(this.hazards.values()),
+      },
+      { legacyEvent: "orbGameState", legacyState: () => this.getGameState() }
+    );
+  }
+
+  async endGame() {
+    if (this.status !== "playing") return;
+
+    this.status = "finished";
     this.timeRemaining = 0;
 
     // Clear timers
@@ -2179,6 +2725,10 @@ class OrbCollectorRoom {
       clearInterval(this.orbSpawner);
       this.orbSpawner = null;
     }
+    if (this.tickTimer) {
+      clearInterval(this.tickTimer);
+      this.tickTimer = null;
+    }
 
     // Calculate results
     const sortedPlayers = Array.from(this.players.values()).sort(
@@ -2207,6 +2757,7 @@ class OrbCollectorRoom {
           wallet: p.walletAddress,
           score: p.score,
         })),
+        fairness: this.getFairness(),
       });
       console.log(`📡 Broadcasting final game state to all players`);
     }
@@ -2222,13 +2773,37 @@ class OrbCollectorRoom {
     return sortedPlayers;
   }
 
+  // Stop a game everyone else has quit. No prizes are paid here; the refund
+  // policy awards the pot to the last player standing.
+  endByForfeit() {
+    if (this.status !== "playing") return;
+
+    this.status = "finished";
+    this.timeRemaining = 0;
+
+    if (this.gameTimer) {
+      clearInterval(this.gameTimer);
+      this.gameTimer = null;
+    }
+    if (this.orbSpawner) {
+      clearInterval(this.orbSpawner);
+      this.orbSpawner = null;
+    }
+    if (this.tickTimer) {
+      clearInterval(this.tickTimer);
+      this.tickTimer = null;
+    }
+
+    console.log(`🏳️ Orb collector game ${this.roomId} won by forfeit`);
+  }
+
   async distributePrizes(sortedPlayers) {
-    const totalBetPool = Array.from(this.players.values()).reduce(
-      (sum, player) => sum + player.betAmount,
-      0
-    );
-    const platformFee = totalBetPool * 0.05; // 5% platform fee
-    const prizePool = totalBetPool - platformFee;
+    const {
+      totalAmount: totalBetPool,
+      platformFee,
+      prizePool,
+      prizePoolLamports,
+    } = this.calculateBetPool();
 
     console.log(`💰 Total bet pool: ${totalBetPool} GOR`);
     console.log(`💸 Platform fee (5%): ${platformFee} GOR`);
@@ -2270,7 +2845,7 @@ class OrbCollectorRoom {
         {
           rank: 1,
           wallet: winner.walletAddress,
-          prize: parseFloat(prizePool.toFixed(6)),
+          prize: prizePool,
           reason: "winner_takes_all",
         },
       ];
@@ -2279,12 +2854,13 @@ class OrbCollectorRoom {
       console.log(
         `🤝 TIE between ${topPlayers.length} players with ${maxScore} points!`
       );
-      const prizePerPlayer = prizePool / topPlayers.length;
+      // Equal shares; leftover lamports go to the first tied players
+      const shares = splitPrizePool(prizePoolLamports, topPlayers.length);
 
       winners = topPlayers.map((player, index) => ({
         rank: 1, // All tied for first
         wallet: player.walletAddress,
-        prize: parseFloat(prizePerPlayer.toFixed(6)),
+        prize: shares[index],
         reason: "tie_split",
       }));
 
@@ -2301,20 +2877,28 @@ class OrbCollectorRoom {
       try {
         console.log(`🚀 DISTRIBUTING ${winners.length} PRIZES...`);
 
-        // Check if we're in real blockchain mode or mock mode
-        const isRealMode =
-          process.env.PLATFORM_PRIVATE_KEY && !process.env.MOCK_MODE;
-
-        let distributionResults;
+        // The payout service picks mock, devnet or real transfers
+        const distributionResults = await payout({
+          gameId: this.roomId,
+          gameType: "orbCollector",
+          currency: this.currency,
+          recipients: winners.map((winner) => ({
+            rank: winner.rank,
+            wallet: winner.wallet,
+            amount: winner.prize,
+          })),
+          reason:
+            maxScore === 0 ? PAYOUT_REASON.REFUND : PAYOUT_REASON.PRIZE,
+        });
 
-        if (isRealMode) {
-          console.log("💎 REAL BLOCKCHAIN MODE: Using actual GOR transfers");
-          distributionResults = await distributePrizes(winners);
-        } else {
-          console.log("🎭 MOCK MODE: Simulating prize distribution");
-          distributionResults = await distributeSmartContractRewards(
-            this.roomId,
-            winners
+        if (maxScore > 0) {
+          await recordPlatformFee({
+            gameId: this.roomId,
+            amount: platformFee,
+            gameType: "orbCollector",
+            currency: this.currency,
+          }).catch((error) =>
+            console.error("❌ Failed to record orb platform fee:", error)
           );
         }
 
@@ -2348,6 +2932,7 @@ class OrbCollectorRoom {
           const matchData = {
             gameId: this.roomId,
             gameType: "orbCollector",
+            currency: this.currency,
             players: Array.from(this.players.values()).map((p) => ({
               walletAddress: p.walletAddress,
               score: p.score,
@@ -2366,11 +2951,13 @@ class OrbCollectorRoom {
                 score: p.score,
               })),
               distributionResults: distributionResults,
+              fairness: this.getFairness(),
             },
             betPool: {
               totalAmount: totalBetPool,
               platformFee: platformFee,
               prizePool: prizePool,
+              currency: this.currency,
             },
             startedAt: new Date(Date.now() - 60000),
             finishedAt: new Date(),
@@ -2413,11 +3000,14 @@ class OrbCollectorRoom {
     // Clear any remaining timers
     if (this.gameTimer) clearInterval(this.gameTimer);
     if (this.orbSpawner) clearInterval(this.orbSpawner);
+    if (this.tickTimer) clearInterval(this.tickTimer);
     if (this.countdownTimer) clearInterval(this.countdownTimer);
 
     // Clear data
     this.players.clear();
     this.orbs.clear();
+    this.powerUps.clear();
+    this.hazards.clear();
 
     console.log(`🔮 Cleaned up orb collector room ${this.roomId}`);
   }
@@ -2427,12 +3017,18 @@ class OrbCollectorRoom {
       status: this.status,
       players: Array.from(this.players.values()),
       orbs: Array.from(this.orbs.values()),
+      powerUps: Array.from(this.powerUps.values()),
+      hazards: Array.from(this.hazards.values()),
       timeRemaining: this.timeRemaining,
       gameId: this.roomId,
+      currency: this.currency,
       countdownTime: this.countdownTime,
       leaderboard: Array.from(this.players.values()).sort(
         (a, b) => b.score - a.score
       ),
+      tickRate: this.tickRate,
+      snapshotSeq: this.stateBroadcaster.seq, // Latest orbSnapshot
+      fairness: this.getFairness(),
     };
   }
 
@@ -2461,29 +3057,387 @@ class OrbCollectorRoom {
   }
 
   calculateBetPool() {
-    const totalBets = Array.from(this.players.values()).reduce(
-      (sum, player) => sum + player.betAmount,
-      0
+    return calculateBetPool(
+      [
+        ...Array.from(this.players.values()).map((player) => player.betAmount),
+        ...this.forfeitedBets,
+      ],
+      ORB_PLATFORM_FEE_BPS
     );
-    const platformFee = totalBets * 0.1; // 10% platform fee like TicTacToe
-
-    return {
-      totalAmount: totalBets,
-      platformFee: platformFee,
-      prizePool: totalBets - platformFee,
-    };
   }
 }
 
 // Global game state
-const gameRooms = new Map();
+// Room tables register their rooms with this instance (see cluster.js)
+const gameRooms = new RoomMap("game");
 const lobby = new Lobby();
 const playerSockets = new Map();
-const ticTacToeRooms = new Map();
-const wordGridRooms = new Map();
-const orbCollectorRooms = new Map();
+const ticTacToeRooms = new SnapshotRoomMap("ticTacToe");
+const wordGridRooms = new RoomMap("wordGrid");
+const orbCollectorRooms = new RoomMap("orbCollector");
 // Note: Word Grid rooms moved to real-wallet-server.js for blockchain integration
 
+// Advertise a waiting room's free seats so matchmaking joins on other
+// instances are routed here (cluster.js), or withdraw a room that filled up
+function advertiseSeats(roomType, room, hasSeats) {
+  const registry = getRoomRegistry();
+  const update = hasSeats
+    ? registry.openRoom(
+        room.roomId,
+        matchKey(roomType, room.betAmount, room.currency)
+      )
+    : registry.closeRoom(room.roomId);
+  update.catch((error) =>
+    console.error(`❌ Failed to advertise room ${room.roomId}:`, error)
+  );
+}
+
+// Settle a paid room's escrow after a player leaves. Rooms that haven't
+// started refund the leaver; rooms mid-game apply the forfeit rules in
+// refund-policy.js. Resolves to the settlement, or null if it failed.
+function settleAfterLeave(
+  room,
+  {
+    gameType,
+    leaverWallet,
+    remainingWallets,
+    started,
+    feeBps = PLATFORM_FEE_BPS,
+  }
+) {
+  return settleRoom({
+    gameId: room.roomId,
+    gameType,
+    currency: room.currency,
+    situation: started ? ROOM_SITUATION.ABANDONED : ROOM_SITUATION.NOT_STARTED,
+    players: [
+      ...remainingWallets.map((wallet) => ({ wallet, left: false })),
+      { wallet: leaverWallet, left: true },
+    ],
+    feeBps,
+    io,
+  }).catch((error) => {
+    console.error(`❌ Failed to settle room ${room.roomId}:`, error);
+    return null;
+  });
+}
+
+// Return a token takedown entry fee to a player who holds no seat in the
+// room (they left before the start, or it filled while they paid)
+function refundTokenTakedownEntry(gameRoom, wallet) {
+  return settleAfterLeave(
+    { roomId: gameRoom.gameId, currency: gameRoom.currency },
+    {
+      gameType: "tokenTakedown",
+      leaverWallet: wallet,
+      remainingWallets: Array.from(gameRoom.players.values()).map(
+        (p) => p.wallet
+      ),
+      started: false,
+    }
+  );
+}
+
+// Held seats from this file's rooms; real-wallet rooms use their own scope
+const SESSION_SCOPE = "main";
+
+// The room a playerSockets entry is seated in, with the event and snapshot
+// a resumed socket needs. Lobby players have no seat to hold.
+function getPlayerRoom(playerInfo) {
+  const roomId = playerInfo.currentRoom;
+
+  if (gameRooms.has(roomId)) {
+    const room = gameRooms.get(roomId);
+    return {
+      room,
+      roomId,
+      roomType: "tokenTakedown",
+      stateEvent: "gameState",
+      snapshot: () => room.getGameState(),
+    };
+  }
+
+  if (ticTacToeRooms.has(roomId)) {
+    const room = ticTacToeRooms.get(roomId);
+    return {
+      room,
+      roomId,
+      roomType: "ticTacToe",
+      stateEvent: "ticTacToeState",
+      snapshot: () => room.getGameState(playerInfo.playerId),
+    };
+  }
+
+  if (orbCollectorRooms.has(roomId)) {
+    const room = orbCollectorRooms.get(roomId);
+    return {
+      room,
+      roomId,
+      roomType: "orbCollector",
+      stateEvent: "orbGameState",
+      snapshot: () => room.getGameState(),
+    };
+  }
+
+  if (playerInfo.roomType === "wordGrid" && wordGridRooms.has(roomId)) {
+    const room = wordGridRooms.get(roomId);
+    return {
+      room,
+      roomId,
+      roomType: "wordGrid",
+      stateEvent: "wordGridState",
+      snapshot: () => room.getGameState(),
+    };
+  }
+
+  return null;
+}
+
+// Re-attach a new socket to every seat held for its signed-in wallet
+function resumePlayerSessions(socket) {
+  for (const playerInfo of resumeSeats(SESSION_SCOPE, socket.data.wallet)) {
+    const seat = getPlayerRoom(playerInfo);
+    if (!seat) continue;
+
+    setPlayerConnection(seat.room, playerInfo.playerId, socket.id);
+    playerSockets.set(socket.id, playerInfo);
+    socket.join(seat.roomId);
+
+    const gameState = seat.snapshot();
+    socket.emit("sessionResumed", {
+      roomType: seat.roomType,
+      roomId: seat.roomId,
+      playerId: playerInfo.playerId,
+      recovered: Boolean(seat.room.recoveredAt),
+      gameState,
+    });
+    socket.emit(seat.stateEvent, gameState);
+    socket.to(seat.roomId).emit("playerReconnected", {
+      playerId: playerInfo.playerId,
+      wallet: playerInfo.wallet,
+    });
+
+    console.log(
+      `▶️ Resumed ${playerInfo.wallet.slice(0, 8)}... in ${seat.roomType} room ${
+        seat.roomId
+      }`
+    );
+  }
+}
+
+// Bring back tic-tac-toe rooms saved before a restart. Every player starts
+// disconnected with their seat held until they sign in again.
+async function recoverTicTacToeRooms() {
+  const rooms = await recoverRooms(ticTacToeRooms, (state) =>
+    TicTacToeRoom.fromSnapshot(state)
+  );
+
+  rooms.forEach((room) => {
+    room.players.forEach((player) => {
+      setPlayerConnection(room, player.id, null);
+      holdSeat(
+        SESSION_SCOPE,
+        player.wallet,
+        {
+          playerId: player.id,
+          wallet: player.wallet,
+          currentRoom: room.roomId,
+          roomType: "ticTacToe",
+        },
+        removePlayerFromRoom,
+        RECOVERY_GRACE_MS
+      );
+    });
+  });
+}
+
+// Remove a player from the room they are in and settle their entry fee.
+// Runs on disconnect, or when a held seat's reconnect window closes.
+function removePlayerFromRoom(playerInfo) {
+  if (playerInfo.currentRoom === "lobby") {
+    lobby.removePlayer(playerInfo.playerId);
+    io.emit("lobbyState", lobby.getLobbyState());
+  } else if (gameRooms.has(playerInfo.currentRoom)) {
+    const gameRoom = gameRooms.get(playerInfo.currentRoom);
+    const paidBeforeStart =
+      gameRoom.gameState === "waiting" &&
+      gameRoom.entryFeeTransactions.has(playerInfo.playerId);
+    gameRoom.removePlayer(playerInfo.playerId);
+
+    // Refund a paid player who leaves before the game starts
+    if (paidBeforeStart) {
+      refundTokenTakedownEntry(gameRoom, playerInfo.wallet);
+    }
+
+    // Broadcast updated game state
+    if (gameRoom.players.size > 0) {
+      gameRoom.broadcastState();
+    } else {
+      // Clean up empty game room
+      gameRooms.delete(playerInfo.currentRoom);
+    }
+  } else if (ticTacToeRooms.has(playerInfo.currentRoom)) {
+    // Handle tic-tac-toe room cleanup
+    const room = ticTacToeRooms.get(playerInfo.currentRoom);
+    const leaver = room.players.find((p) => p.id === playerInfo.playerId);
+    const phaseAtLeave = room.gamePhase;
+    const started = phaseAtLeave === "playing";
+    room.removePlayer(playerInfo.playerId);
+
+    // Refund the leaver, or award the pot to the opponent mid-game
+    if (leaver && phaseAtLeave !== "finished") {
+      settleAfterLeave(room, {
+        gameType: "ticTacToe",
+        leaverWallet: leaver.wallet,
+        remainingWallets: room.players.map((p) => p.wallet),
+        started,
+      });
+    }
+
+    if (room.players.length === 0 || started) {
+      // Clean up empty or forfeited tic-tac-toe room
+      room.cleanup();
+      ticTacToeRooms.delete(playerInfo.currentRoom);
+      console.log(
+        "🧹 Cleaned up tic-tac-toe room:",
+        playerInfo.currentRoom
+      );
+    } else {
+      // Notify remaining player
+      const remainingPlayer = room.players[0];
+      io.to(remainingPlayer.socketId).emit("waitingForPlayer");
+      advertiseSeats("ticTacToe", room, true);
+      console.log("⏳ Remaining player waiting for new opponent");
+
+      // A paid player left waiting is refunded if nobody joins
+      if (remainingPlayer.hasPaid && !room.waitingTimeout) {
+        room.startWaitingTimeout();
+      }
+    }
+  } else if (orbCollectorRooms.has(playerInfo.currentRoom)) {
+    // Handle orb collector room cleanup
+    const room = orbCollectorRooms.get(playerInfo.currentRoom);
+    const leaver = room.players.get(playerInfo.playerId);
+    const statusAtLeave = room.status;
+    room.removePlayer(playerInfo.playerId);
+
+    // Refund the leaver, or apply the forfeit rules mid-game
+    if (leaver?.paymentConfirmed && statusAtLeave !== "finished") {
+      settleAfterLeave(room, {
+        gameType: "orbCollector",
+        leaverWallet: leaver.walletAddress,
+        remainingWallets: Array.from(room.players.values()).map(
+          (p) => p.walletAddress
+        ),
+        started: statusAtLeave === "playing",
+        feeBps: ORB_PLATFORM_FEE_BPS,
+      });
+    }
+
+    if (statusAtLeave === "playing" && room.players.size === 1) {
+      // Last player standing wins by forfeit
+      room.endByForfeit();
+      io.to(room.roomId).emit("orbGameState", room.getGameState());
+      room.cleanup();
+      orbCollectorRooms.delete(playerInfo.currentRoom);
+    } else if (room.players.size > 0) {
+      // Broadcast updated game state to remaining players
+      const gameState = room.getGameState();
+      io.to(room.roomId).emit("orbGameState", gameState);
+      advertiseSeats(
+        "orbCollector",
+        room,
+        room.status === "waiting" && room.players.size < room.maxPlayers
+      );
+    } else {
+      // Clean up empty orb collector room
+      room.cleanup();
+      orbCollectorRooms.delete(playerInfo.currentRoom);
+      console.log(
+        "🧹 Cleaned up empty orb collector room:",
+        playerInfo.currentRoom
+      );
+    }
+  } else if (playerInfo.roomType === "wordGrid") {
+    // Handle word grid room cleanup
+    const room = wordGridRooms.get(playerInfo.currentRoom);
+    if (room) {
+      const leaver = room.players.find((p) => p.id === playerInfo.playerId);
+      const remainingPlayers = room.players.filter(
+        (p) => p.id !== playerInfo.playerId
+      );
+      const started = room.gamePhase === "playing";
+
+      // Refund the leaver, or award the pot to the opponent mid-game
+      if (leaver && room.gamePhase !== "finished") {
+        settleAfterLeave(room, {
+          gameType: "wordGrid",
+          leaverWallet: leaver.wallet,
+          remainingWallets: remainingPlayers.map((p) => p.wallet),
+          started,
+        });
+      }
+
+      if (started && remainingPlayers.length > 0) {
+        // Opponent wins by forfeit; close the room
+        room.gamePhase = "finished";
+        room.players = remainingPlayers;
+        io.to(room.roomId).emit("wordGridState", room.getGameState());
+        wordGridRooms.delete(playerInfo.currentRoom);
+        console.log(
+          "🏳️ Word Grid room won by forfeit:",
+          playerInfo.currentRoom
+        );
+      } else if (remainingPlayers.length === 0) {
+        // Clean up empty room
+        wordGridRooms.delete(playerInfo.currentRoom);
+        console.log(
+          "🧹 Cleaned up empty Word Grid room:",
+          playerInfo.currentRoom
+        );
+      } else {
+        // Remove the disconnected player and notify remaining players
+        room.players = remainingPlayers;
+        io.to(room.roomId).emit("wordGridState", room.getGameState());
+        console.log(
+          "👋 Player left Word Grid room:",
+          playerInfo.currentRoom
+        );
+      }
+    }
+  }
+}
+
+// The tic-tac-toe room of the player on this socket, if any
+function getTicTacToeRoom(socket) {
+  const playerInfo = playerSockets.get(socket.id);
+  return (playerInfo && ticTacToeRooms.get(playerInfo.currentRoom)) || null;
+}
+
+// Send both tic-tac-toe players their own view of the room
+function broadcastTicTacToeState(room) {
+  room.players.forEach((player) => {
+    io.to(player.socketId).emit("ticTacToeState", room.getGameState(player.id));
+  });
+}
+
+// Legacy clients (no acknowledgement) learn about failed entry fee
+// confirmations on "paymentConfirmed"; otherErrors sends anything else that
+// went wrong to another event instead
+function paymentConfirmedError(socket, { otherErrors = null } = {}) {
+  return (error) => {
+    if (otherErrors && error.code !== ERROR_CODE.PAYMENT_FAILED) {
+      socket.emit(otherErrors, error.toJSON());
+      return;
+    }
+    socket.emit("paymentConfirmed", {
+      success: false,
+      error: error.message,
+      reason: error.details.reason,
+    });
+  };
+}
+
 // Make io globally accessible for lobby countdown
 let globalIo;
 
@@ -2494,39 +3448,18 @@ globalIo = io;
 io.on("connection", (socket) => {
   console.log("🔌 New client connected:", socket.id);
 
-  // Auto-join active game if one exists (for reconnecting clients)
-  const activeGame = Array.from(gameRooms.values()).find(
-    (room) =>
-      room.gameState === "playing" &&
-      room.players.size < GAME_CONFIG.MAX_PLAYERS
-  );
-
-  console.log(
-    "🔍 Active games:",
-    gameRooms.size,
-    "Total players in socket:",
-    playerSockets.size
-  );
-
-  if (activeGame) {
-    console.log(
-      "🎮 Auto-joining client to active game:",
-      activeGame.gameId,
-      "State:",
-      activeGame.gameState
-    );
+  // Flood protection runs before every other packet middleware; forwarded
+  // sockets were already limited on the client's instance
+  if (!socket.forwarded) limitSocketEvents(socket);
 
-    // Send current game state immediately
-    socket.join(activeGame.gameId);
-    const gameState = activeGame.getGameState();
-    socket.emit("gameState", gameState);
-    console.log("📤 Sent game state to new client");
-  } else {
-    console.log("🔍 No active games found for auto-join");
-  }
+  // Reconnecting players get their seat and a full state snapshot back
+  resumePlayerSessions(socket);
 
-  socket.on("joinLobby", ({ wallet }) => {
-    try {
+  onEvent(
+    socket,
+    "joinLobby",
+    ({ wallet: claimedWallet }) => {
+      const wallet = getSocketWallet(socket, claimedWallet);
       const playerId = uuidv4();
       playerSockets.set(socket.id, { playerId, wallet, currentRoom: "lobby" });
 
@@ -2542,25 +3475,24 @@ io.on("connection", (socket) => {
         yourSocketId: socket.id,
         yourWallet: wallet,
       });
-    } catch (error) {
-      socket.emit("error", { message: error.message });
-    }
-  });
+      return { playerId, lobbyState };
+    },
+    { errorEvent: "error" }
+  );
 
-  socket.on("joinGame", ({ txSignature }) => {
-    try {
+  onEvent(
+    socket,
+    "joinGame",
+    async ({ txSignature }) => {
       const playerInfo = playerSockets.get(socket.id);
       if (!playerInfo) {
-        throw new Error("Player not found");
+        throw new ProtocolError(ERROR_CODE.NOT_FOUND, "Player not found");
       }
 
       // Create or find game room
       let gameRoom = null;
       for (const [roomId, room] of gameRooms) {
-        if (
-          room.gameState === "waiting" &&
-          room.players.size < GAME_CONFIG.MAX_PLAYERS
-        ) {
+        if (room.hasOpenSeat()) {
           gameRoom = room;
           break;
         }
@@ -2568,15 +3500,60 @@ io.on("connection", (socket) => {
 
       if (!gameRoom) {
         const gameId = uuidv4();
-        gameRoom = new GameRoom(gameId);
+        gameRoom = new TokenTakedownRoom(gameId);
         gameRooms.set(gameId, gameRoom);
       }
 
+      // Verify the entry fee on-chain, consume its signature so it can't be
+      // replayed, and collect it to the room's escrow before seating the
+      // player; if any step fails there is no seat
+      const validationResult = await claimEntryFeeSignature(
+        await validateEntryFeePayment(
+          playerInfo.wallet,
+          gameRoom.gameId,
+          txSignature,
+          GAME_CONFIG.ENTRY_FEE,
+          gameRoom.currency
+        ),
+        "tokenTakedown"
+      );
+      if (!validationResult.verified) {
+        throw new ProtocolError(
+          ERROR_CODE.PAYMENT_FAILED,
+          validationResult.message || "Entry fee could not be verified"
+        );
+      }
+
+      try {
+        await collectValidatedEntryFee(
+          playerInfo.wallet,
+          validationResult.amount,
+          gameRoom.gameId,
+          txSignature,
+          "tokenTakedown",
+          gameRoom.currency
+        );
+      } catch (error) {
+        throw new ProtocolError(
+          ERROR_CODE.PAYMENT_FAILED,
+          `Entry fee not collected: ${error.message}`
+        );
+      }
+
+      // The room may have filled or started while the fee was checked
+      if (!gameRoom.hasOpenSeat()) {
+        refundTokenTakedownEntry(gameRoom, playerInfo.wallet);
+        throw new ProtocolError(
+          ERROR_CODE.CONFLICT,
+          "Game filled up while your entry fee was checked; it is refunded"
+        );
+      }
+
       const gameState = gameRoom.addPlayer(
         playerInfo.playerId,
         socket.id,
         playerInfo.wallet,
-        txSignature
+        { signature: txSignature, amount: validationResult.amount }
       );
 
       // Update player's current room
@@ -2586,67 +3563,76 @@ io.on("connection", (socket) => {
       socket.join(gameRoom.gameId);
 
       // Broadcast game state to room
-      io.to(gameRoom.gameId).emit("gameState", gameState);
+      gameRoom.broadcastState();
 
       if (gameRoom.gameState === "playing") {
         io.to(gameRoom.gameId).emit("gameStarted", { gameId: gameRoom.gameId });
       }
-    } catch (error) {
-      socket.emit("error", { message: error.message });
-    }
-  });
+      return { gameId: gameRoom.gameId, gameState };
+    },
+    { errorEvent: "error" }
+  );
 
-  socket.on("playerMove", ({ direction }) => {
-    try {
+  onEvent(
+    socket,
+    "playerMove",
+    ({ direction }) => {
       const playerInfo = playerSockets.get(socket.id);
-      if (!playerInfo || playerInfo.currentRoom === "lobby") return;
+      if (!playerInfo || playerInfo.currentRoom === "lobby") return SKIP;
 
       const gameRoom = gameRooms.get(playerInfo.currentRoom);
-      if (!gameRoom) return;
+      if (!gameRoom) return SKIP;
 
       gameRoom.movePlayer(playerInfo.playerId, direction);
 
       // Broadcast updated game state
-      const gameState = gameRoom.getGameState();
-      io.to(gameRoom.gameId).emit("gameState", gameState);
-    } catch (error) {
-      socket.emit("error", { message: error.message });
-    }
-  });
+      gameRoom.broadcastState();
+      return gameRoom.getGameState();
+    },
+    { errorEvent: "error" }
+  );
 
-  socket.on("usePowerUp", async ({ type, txSignature }) => {
-    try {
+  onEvent(
+    socket,
+    "usePowerUp",
+    async ({ type, txSignature }) => {
       const playerInfo = playerSockets.get(socket.id);
-      if (!playerInfo || playerInfo.currentRoom === "lobby") return;
+      if (!playerInfo || playerInfo.currentRoom === "lobby") return SKIP;
 
       const gameRoom = gameRooms.get(playerInfo.currentRoom);
-      if (!gameRoom) return;
+      if (!gameRoom) return SKIP;
 
       const result = await gameRoom.usePowerUp(
         playerInfo.playerId,
         type,
         txSignature
       );
+      if (!result.success) {
+        throw new ProtocolError(
+          ERROR_CODE.REJECTED,
+          result.error || "Power-up not available"
+        );
+      }
 
-      if (result.success) {
-        // Broadcast power-up effect
-        io.to(gameRoom.gameId).emit("powerUpUsed", {
-          type,
-          user: playerInfo.playerId,
-          target: result.target,
-        });
+      // Broadcast power-up effect
+      io.to(gameRoom.gameId).emit("powerUpUsed", {
+        type,
+        user: playerInfo.playerId,
+        target: result.target,
+      });
 
-        // Broadcast updated game state
-        const gameState = gameRoom.getGameState();
-        io.to(gameRoom.gameId).emit("gameState", gameState);
-      }
-    } catch (error) {
-      socket.emit("error", { message: error.message });
-    }
-  });
+      // Broadcast updated game state
+      gameRoom.broadcastState();
+      return { target: result.target || null };
+    },
+    { errorEvent: "error" }
+  );
 
-  socket.on("requestGameState", ({ wallet }) => {
-    try {
+  onEvent(
+    socket,
+    "requestGameState",
+    ({ wallet: claimedWallet }) => {
+      const wallet = getSocketWallet(socket, claimedWallet);
       console.log("🎮 Game state requested by:", wallet);
 
       // Find active game and add as spectator/reconnecting player
@@ -2654,70 +3640,77 @@ io.on("connection", (socket) => {
         (room) => room.gameState === "playing"
       );
 
-      if (activeGame) {
-        console.log("🎯 Reconnecting player to game:", activeGame.gameId);
+      if (!activeGame) {
+        console.log("❌ No active game found, redirecting to lobby");
+        throw new ProtocolError(ERROR_CODE.NOT_FOUND, "No active game found");
+      }
 
-        // Check if player was already in this game
-        let existingPlayer = null;
-        for (const [pid, player] of activeGame.players) {
-          if (player.wallet === wallet) {
-            existingPlayer = { playerId: pid, player };
-            break;
-          }
+      console.log("🎯 Reconnecting player to game:", activeGame.gameId);
+
+      // Check if player was already in this game
+      let existingPlayer = null;
+      for (const [pid, player] of activeGame.players) {
+        if (player.wallet === wallet) {
+          existingPlayer = { playerId: pid, player };
+          break;
         }
+      }
 
-        if (existingPlayer) {
-          // Reconnect existing player
-          console.log(
-            "🔄 Reconnecting existing player:",
-            existingPlayer.playerId
-          );
-          playerSockets.set(socket.id, {
-            playerId: existingPlayer.playerId,
-            wallet,
-            currentRoom: activeGame.gameId,
-          });
+      if (existingPlayer) {
+        // Reconnect existing player
+        console.log(
+          "🔄 Reconnecting existing player:",
+          existingPlayer.playerId
+        );
+        playerSockets.set(socket.id, {
+          playerId: existingPlayer.playerId,
+          wallet,
+          currentRoom: activeGame.gameId,
+        });
 
-          // Update the player's socket ID in the game room
-          existingPlayer.player.socketId = socket.id;
-        } else {
-          // Add as new spectator
-          const playerId = uuidv4();
-          playerSockets.set(socket.id, {
-            playerId,
-            wallet,
-            currentRoom: activeGame.gameId,
-          });
-          console.log("👁️ Added as spectator:", playerId);
-        }
+        // Update the player's socket ID in the game room
+        existingPlayer.player.socketId = socket.id;
+      } else {
+        // Add as new spectator
+        const playerId = uuidv4();
+        playerSockets.set(socket.id, {
+          playerId,
+          wallet,
+          currentRoom: activeGame.gameId,
+        });
+        console.log("👁️ Added as spectator:", playerId);
+      }
 
-        // Join socket room
-        socket.join(activeGame.gameId);
+      // Join socket room
+      socket.join(activeGame.gameId);
 
-        // Send current game state with proper "isYou" flags
-        const gameState = activeGame.getGameState();
-        gameState.players = gameState.players.map((player) => ({
-          ...player,
-          isYou: player.id === (existingPlayer?.playerId || false),
-        }));
+      // Send current game state with proper "isYou" flags
+      const gameState = activeGame.getGameState();
+      gameState.players = gameState.players.map((player) => ({
+        ...player,
+        isYou: player.id === (existingPlayer?.playerId || false),
+      }));
 
-        socket.emit("gameState", gameState);
+      socket.emit("gameState", gameState);
 
-        console.log("✅ Player connected to active game");
-      } else {
-        console.log("❌ No active game found, redirecting to lobby");
-        socket.emit("error", { message: "No active game found" });
-      }
-    } catch (error) {
-      console.error("Failed to handle game state request:", error);
-      socket.emit("error", { message: error.message });
-    }
-  });
+      console.log("✅ Player connected to active game");
+      return gameState;
+    },
+    { errorEvent: "error" }
+  );
 
   // Tic-Tac-Toe Socket Events
-  socket.on("joinTicTacToe", async ({ wallet, betAmount }) => {
-    try {
+  onEvent(
+    socket,
+    "joinTicTacToe",
+    async (data) => {
+      const { betAmount, currency } = data;
+
+      // Demo wallets play in demo-server.js
+      if (isDemoWallet(data.wallet)) return SKIP;
+      const wallet = getSocketWallet(socket, data.wallet);
       const actualBetAmount = betAmount || 1; // Default 1 GOR if not specified
+      const roomCurrency = normalizeCurrency(currency);
       console.log(
         `🎯 Player joining tic-tac-toe: ${wallet} with bet ${actualBetAmount} GOR`
       );
@@ -2734,7 +3727,8 @@ io.on("connection", (socket) => {
       for (const [roomId, ticTacToeRoom] of ticTacToeRooms) {
         if (
           ticTacToeRoom.players.length < 2 &&
-          ticTacToeRoom.betAmount === actualBetAmount
+          ticTacToeRoom.betAmount === actualBetAmount &&
+          ticTacToeRoom.currency === roomCurrency
         ) {
           room = ticTacToeRoom;
           break;
@@ -2743,19 +3737,15 @@ io.on("connection", (socket) => {
 
       if (!room) {
         const roomId = uuidv4();
-        room = new TicTacToeRoom(roomId, actualBetAmount);
+        room = new TicTacToeRoom(roomId, actualBetAmount, roomCurrency);
         ticTacToeRooms.set(roomId, room);
         console.log(
-          `🆕 Created new tic-tac-toe room: ${roomId} with bet ${actualBetAmount} GOR`
+          `🆕 Created new tic-tac-toe room: ${roomId} with bet ${actualBetAmount} ${roomCurrency}`
         );
       }
 
-      const gameState = await room.addPlayer(
-        playerId,
-        socket.id,
-        wallet,
-        actualBetAmount
-      );
+      await room.addPlayer(playerId, socket.id, wallet, actualBetAmount);
+      advertiseSeats("ticTacToe", room, room.players.length < 2);
 
       // Join socket room
       socket.join(room.roomId);
@@ -2786,15 +3776,12 @@ io.on("connection", (socket) => {
 
         // Send game state to both players with correct "isYou" flags
         room.players.forEach((player) => {
-          const playerSocket = io.sockets.sockets.get(player.socketId);
-          if (playerSocket) {
-            const personalizedState = room.getGameState(player.id);
-            playerSocket.emit("ticTacToeJoined", {
-              gameState: personalizedState,
-            });
-            // Also emit state update to ensure frontend gets the betting phase
-            playerSocket.emit("ticTacToeState", personalizedState);
-          }
+          const personalizedState = room.getGameState(player.id);
+          io.to(player.socketId).emit("ticTacToeJoined", {
+            gameState: personalizedState,
+          });
+          // Also emit state update to ensure frontend gets the betting phase
+          io.to(player.socketId).emit("ticTacToeState", personalizedState);
         });
 
         console.log(
@@ -2805,224 +3792,235 @@ io.on("connection", (socket) => {
         console.log(`   Winner gets: ${room.betPool.winnerPayout} GOR`);
         console.log(`   Platform fee: ${room.betPool.platformFee} GOR`);
       }
-    } catch (error) {
-      console.error("❌ Error joining tic-tac-toe:", error);
-      socket.emit("error", { message: error.message });
-    }
-  });
 
-  socket.on("ticTacToeChooseCoin", ({ player }) => {
-    try {
-      const playerInfo = playerSockets.get(socket.id);
-      if (!playerInfo || !ticTacToeRooms.has(playerInfo.currentRoom)) return;
+      return {
+        roomId: room.roomId,
+        playerId,
+        gameState: room.getGameState(playerId),
+      };
+    },
+    { errorEvent: "error" }
+  );
 
-      const room = ticTacToeRooms.get(playerInfo.currentRoom);
-      const success = room.setChoosingPlayer(playerInfo.playerId, player);
+  onEvent(
+    socket,
+    "ticTacToeChooseCoin",
+    ({ player }) => {
+      const room = getTicTacToeRoom(socket);
+      if (!room) return SKIP;
 
-      if (success) {
-        // Broadcast updated state to both players
-        room.players.forEach((player) => {
-          const playerSocket = io.sockets.sockets.get(player.socketId);
-          if (playerSocket) {
-            const personalizedState = room.getGameState(player.id);
-            playerSocket.emit("ticTacToeState", personalizedState);
-          }
-        });
+      const { playerId } = playerSockets.get(socket.id);
+      if (!room.setChoosingPlayer(playerId, player)) {
+        throw new ProtocolError(ERROR_CODE.REJECTED, "Coin chooser not set");
       }
-    } catch (error) {
-      socket.emit("error", { message: error.message });
-    }
-  });
 
-  socket.on("ticTacToeCoinChoice", ({ choice }) => {
-    try {
-      const playerInfo = playerSockets.get(socket.id);
-      if (!playerInfo || !ticTacToeRooms.has(playerInfo.currentRoom)) return;
-
-      const room = ticTacToeRooms.get(playerInfo.currentRoom);
-      const success = room.handleCoinChoice(playerInfo.playerId, choice);
-
-      if (success) {
-        // Broadcast state immediately and set up interval for live updates
-        const broadcastState = () => {
-          room.players.forEach((player) => {
-            const playerSocket = io.sockets.sockets.get(player.socketId);
-            if (playerSocket) {
-              const personalizedState = room.getGameState(player.id);
-              playerSocket.emit("ticTacToeState", personalizedState);
-            }
-          });
-        };
+      // Broadcast updated state to both players
+      broadcastTicTacToeState(room);
+      return room.getGameState(playerId);
+    },
+    { errorEvent: "error" }
+  );
 
-        broadcastState();
+  onEvent(
+    socket,
+    "ticTacToeCoinSeed",
+    ({ clientSeed }) => {
+      const room = getTicTacToeRoom(socket);
+      if (!room) return SKIP;
 
-        // Broadcast updates during coin flip animation and game start
-        const interval = setInterval(() => {
-          broadcastState();
-
-          // Stop broadcasting once game is playing and stable
-          if (room.gamePhase === "playing") {
-            clearInterval(interval);
-            // Final broadcast to ensure game board appears
-            setTimeout(() => {
-              broadcastState();
-            }, 100);
-          }
-        }, 500);
+      const { playerId } = playerSockets.get(socket.id);
+      if (!room.setClientSeed(playerId, clientSeed)) {
+        throw new ProtocolError(ERROR_CODE.REJECTED, "Coin toss seed locked");
+      }
 
-        // Safety broadcast after the coin flip completes
-        setTimeout(() => {
-          broadcastState();
-        }, 6000);
+      return room.getGameState(playerId);
+    },
+    { errorEvent: "error" }
+  );
+
+  onEvent(
+    socket,
+    "ticTacToeCoinChoice",
+    ({ choice, clientSeed }) => {
+      const room = getTicTacToeRoom(socket);
+      if (!room) return SKIP;
+
+      const { playerId } = playerSockets.get(socket.id);
+      if (clientSeed) room.setClientSeed(playerId, clientSeed);
+      if (!room.clientSeedsSettled()) {
+        throw new ProtocolError(
+          ERROR_CODE.REJECTED,
+          "Waiting for both client seeds until the seed deadline"
+        );
+      }
+      if (!room.handleCoinChoice(playerId, choice)) {
+        throw new ProtocolError(ERROR_CODE.REJECTED, "Coin choice not taken");
       }
-    } catch (error) {
-      socket.emit("error", { message: error.message });
-    }
-  });
 
-  socket.on("ticTacToeLetOtherChoose", () => {
-    try {
-      const playerInfo = playerSockets.get(socket.id);
-      if (!playerInfo || !ticTacToeRooms.has(playerInfo.currentRoom)) return;
+      // Broadcast state immediately and set up interval for live updates
+      const broadcastState = () => broadcastTicTacToeState(room);
 
-      const room = ticTacToeRooms.get(playerInfo.currentRoom);
-      const success = room.letOtherChoose(playerInfo.playerId);
+      broadcastState();
 
-      if (success) {
-        // Broadcast updated state
-        room.players.forEach((player) => {
-          const playerSocket = io.sockets.sockets.get(player.socketId);
-          if (playerSocket) {
-            const personalizedState = room.getGameState(player.id);
-            playerSocket.emit("ticTacToeState", personalizedState);
-          }
-        });
-      }
-    } catch (error) {
-      socket.emit("error", { message: error.message });
-    }
-  });
+      // Broadcast updates during coin flip animation and game start
+      const interval = setInterval(() => {
+        broadcastState();
+
+        // Stop broadcasting once game is playing and stable
+        if (room.gamePhase === "playing") {
+          clearInterval(interval);
+          // Final broadcast to ensure game board appears
+          setTimeout(() => {
+            broadcastState();
+          }, 100);
+        }
+      }, 500);
+
+      // Safety broadcast after the coin flip completes
+      setTimeout(() => {
+        broadcastState();
+      }, 6000);
+
+      return room.getGameState(playerId);
+    },
+    { errorEvent: "error" }
+  );
+
+  onEvent(
+    socket,
+    "ticTacToeLetOtherChoose",
+    () => {
+      const room = getTicTacToeRoom(socket);
+      if (!room) return SKIP;
 
-  socket.on("confirmPayment", async ({ txSignature, gameId, amount }) => {
-    try {
-      const playerInfo = playerSockets.get(socket.id);
-      if (!playerInfo || !ticTacToeRooms.has(playerInfo.currentRoom)) return;
+      const { playerId } = playerSockets.get(socket.id);
+      if (!room.letOtherChoose(playerId)) {
+        throw new ProtocolError(ERROR_CODE.REJECTED, "Coin call not passed");
+      }
+
+      // Broadcast updated state
+      broadcastTicTacToeState(room);
+      return room.getGameState(playerId);
+    },
+    { errorEvent: "error" }
+  );
 
-      const room = ticTacToeRooms.get(playerInfo.currentRoom);
+  onEvent(
+    socket,
+    "confirmPayment",
+    async ({ txSignature, gameId, amount }) => {
+      const room = getTicTacToeRoom(socket);
+      if (!room) return SKIP;
+
+      const { playerId } = playerSockets.get(socket.id);
 
       console.log(`💰 [Socket] Payment confirmation received:`);
-      console.log(`   Player: ${playerInfo.playerId}`);
+      console.log(`   Player: ${playerId}`);
       console.log(`   TX Signature: ${txSignature}`);
       console.log(`   Game ID: ${gameId}`);
       console.log(`   Amount: ${amount} GOR`);
 
       // Confirm payment with blockchain verification
       const confirmationResult = await room.confirmPayment(
-        playerInfo.playerId,
+        playerId,
         txSignature
       );
 
-      if (confirmationResult.success) {
-        console.log(
-          `✅ [Socket] Payment successfully confirmed and verified on blockchain`
-        );
-
-        // Broadcast updated state to all players
-        room.players.forEach((player) => {
-          const playerSocket = io.sockets.sockets.get(player.socketId);
-          if (playerSocket) {
-            const personalizedState = room.getGameState(player.id);
-            playerSocket.emit("ticTacToeState", personalizedState);
-          }
-        });
-
-        // Send success response to player
-        socket.emit("paymentConfirmed", {
-          success: true,
-          amount: confirmationResult.amount,
-          txSignature: txSignature,
-        });
-      } else {
+      if (!confirmationResult.success) {
         console.error(
           `❌ [Socket] Payment confirmation failed: ${confirmationResult.error}`
         );
-
-        // Send error response to player
-        socket.emit("paymentConfirmed", {
-          success: false,
-          error: confirmationResult.error,
-        });
+        throw new ProtocolError(
+          ERROR_CODE.PAYMENT_FAILED,
+          confirmationResult.error,
+          { reason: confirmationResult.reason }
+        );
       }
-    } catch (error) {
-      console.error(`❌ [Socket] Payment confirmation error:`, error);
+
+      console.log(
+        `✅ [Socket] Payment successfully confirmed and verified on blockchain`
+      );
+
+      // Broadcast updated state to all players
+      broadcastTicTacToeState(room);
+
+      // Send success response to player
       socket.emit("paymentConfirmed", {
-        success: false,
-        error: error.message,
+        success: true,
+        amount: confirmationResult.amount,
+        txSignature: txSignature,
       });
-    }
-  });
-
-  socket.on("ticTacToeMove", async ({ cellIndex }) => {
-    try {
-      const playerInfo = playerSockets.get(socket.id);
-      if (!playerInfo || !ticTacToeRooms.has(playerInfo.currentRoom)) return;
+      return room.getGameState(playerId);
+    },
+    // Failures were always reported on "paymentConfirmed"
+    { errorEvent: paymentConfirmedError(socket) }
+  );
 
-      const room = ticTacToeRooms.get(playerInfo.currentRoom);
-      const success = await room.makeMove(playerInfo.playerId, cellIndex);
+  onEvent(
+    socket,
+    "ticTacToeMove",
+    async ({ cellIndex }) => {
+      const room = getTicTacToeRoom(socket);
+      if (!room) return SKIP;
 
-      if (success) {
-        // Broadcast updated state to both players and spectators
-        const allSockets = [...room.players, ...room.spectators];
-        allSockets.forEach((participant) => {
-          const participantSocket = io.sockets.sockets.get(
-            participant.socketId
-          );
-          if (participantSocket) {
-            const personalizedState = room.getGameState(participant.id);
-            participantSocket.emit("ticTacToeState", personalizedState);
-          }
-        });
+      const { playerId } = playerSockets.get(socket.id);
+      if (!(await room.makeMove(playerId, cellIndex))) {
+        throw new ProtocolError(ERROR_CODE.REJECTED, "Move not allowed");
       }
-    } catch (error) {
-      socket.emit("error", { message: error.message });
-    }
-  });
 
-  socket.on("ticTacToeReset", () => {
-    try {
-      const playerInfo = playerSockets.get(socket.id);
-      if (!playerInfo || !ticTacToeRooms.has(playerInfo.currentRoom)) return;
+      // Broadcast updated state to both players and spectators
+      const allSockets = [...room.players, ...room.spectators];
+      allSockets.forEach((participant) => {
+        const personalizedState = room.getGameState(participant.id);
+        io.to(participant.socketId).emit("ticTacToeState", personalizedState);
+      });
+      return room.getGameState(playerId);
+    },
+    { errorEvent: "error" }
+  );
+
+  onEvent(
+    socket,
+    "ticTacToeReset",
+    () => {
+      const room = getTicTacToeRoom(socket);
+      if (!room) return SKIP;
 
-      const room = ticTacToeRooms.get(playerInfo.currentRoom);
       room.resetGame();
 
       // Broadcast reset state to both players
-      room.players.forEach((player) => {
-        const playerSocket = io.sockets.sockets.get(player.socketId);
-        if (playerSocket) {
-          const personalizedState = room.getGameState(player.id);
-          playerSocket.emit("ticTacToeState", personalizedState);
-        }
-      });
-    } catch (error) {
-      socket.emit("error", { message: error.message });
-    }
-  });
+      broadcastTicTacToeState(room);
+      return room.getGameState(playerSockets.get(socket.id).playerId);
+    },
+    { errorEvent: "error" }
+  );
 
   // Orb Collector Game Events
-  socket.on("joinOrbGame", async ({ walletAddress, betAmount, nickname }) => {
-    try {
+  onEvent(
+    socket,
+    "joinOrbGame",
+    async (data) => {
+      const { betAmount, nickname } = data;
+      const walletAddress = getSocketWallet(socket, data.walletAddress);
+      const actualBetAmount = betAmount || 1; // Default 1 if not specified
+      const roomCurrency = normalizeCurrency(data.currency);
       console.log(
         `🔮 Player ${walletAddress.slice(
           0,
           8
-        )}... wants to join orb game with bet ${betAmount}`
+        )}... wants to join orb game with bet ${actualBetAmount}`
       );
 
-      // Find or create orb collector room
+      // Find or create an orb collector room with the same stake, so every
+      // player in a pot paid the same entry fee
       let orbRoom = null;
       for (const [roomId, room] of orbCollectorRooms) {
-        if (room.status === "waiting" && room.players.size < room.maxPlayers) {
+        if (
+          room.status === "waiting" &&
+          room.players.size < room.maxPlayers &&
+          room.betAmount === actualBetAmount &&
+          room.currency === roomCurrency
+        ) {
           orbRoom = room;
           break;
         }
@@ -3030,7 +4028,7 @@ io.on("connection", (socket) => {
 
       if (!orbRoom) {
         const roomId = uuidv4();
-        orbRoom = new OrbCollectorRoom(roomId, betAmount);
+        orbRoom = new OrbCollectorRoom(roomId, actualBetAmount, roomCurrency);
         orbCollectorRooms.set(roomId, orbRoom);
       }
 
@@ -3039,7 +4037,13 @@ io.on("connection", (socket) => {
         playerId,
         socket.id,
         walletAddress,
-        betAmount
+        orbRoom.betAmount
+      );
+      advertiseSeats(
+        "orbCollector",
+        orbRoom,
+        orbRoom.status === "waiting" &&
+          orbRoom.players.size < orbRoom.maxPlayers
       );
 
       // Join socket room
@@ -3055,241 +4059,198 @@ io.on("connection", (socket) => {
 
       // Broadcast game state to room
       io.to(orbRoom.roomId).emit("orbGameState", gameState);
-    } catch (error) {
-      console.error("Error joining orb game:", error);
-      socket.emit("error", { message: error.message });
-    }
-  });
-
-  socket.on("playerMove", ({ gameId, playerId, position }) => {
-    try {
-      const playerInfo = playerSockets.get(socket.id);
-      if (!playerInfo || playerInfo.roomType !== "orbCollector") return;
+      return { roomId: orbRoom.roomId, playerId, gameState };
+    },
+    { errorEvent: "error" }
+  );
 
-      const orbRoom = orbCollectorRooms.get(playerInfo.currentRoom);
-      if (!orbRoom || orbRoom.status !== "playing") return;
+  // Token takedown and orb collector clients that acknowledge snapshots get
+  // state deltas instead of full states (state-diff.js). Only the socket a
+  // seated player plays from may subscribe; these rooms have no spectators.
+  onEvent(socket, "stateAck", ({ seq }) => {
+    const playerInfo = playerSockets.get(socket.id);
+    const seat = playerInfo && getPlayerRoom(playerInfo);
+    const broadcaster = seat?.room.stateBroadcaster;
+    if (!broadcaster) return SKIP;
+
+    const player = seat.room.players.get(playerInfo.playerId);
+    if (player?.socketId !== socket.id) {
+      throw new ProtocolError(
+        ERROR_CODE.FORBIDDEN,
+        "Only seated players receive state updates"
+      );
+    }
 
-      const collectionResult = orbRoom.movePlayer(playerId, position);
+    broadcaster.acknowledge(socket.id, seq);
+  });
 
-      // Always broadcast updated game state for movement and scores
-      const gameState = orbRoom.getGameState();
-      io.to(orbRoom.roomId).emit("orbGameState", gameState);
+  // Orb collector movement is simulated by the room (orb-simulation.js):
+  // clients steer with orbInput and see the result in orbSnapshot
+  const getPlayingOrbRoom = () => {
+    const playerInfo = playerSockets.get(socket.id);
+    if (!playerInfo || playerInfo.roomType !== "orbCollector") return null;
 
-      // Log collection for debugging
-      if (collectionResult) {
-        console.log(`🎯 Collection result:`, collectionResult);
-      }
-    } catch (error) {
-      console.error("Error handling player move:", error);
+    const orbRoom = orbCollectorRooms.get(playerInfo.currentRoom);
+    if (orbRoom && orbRoom.status !== "playing") {
+      throw new ProtocolError(ERROR_CODE.REJECTED, "Game is not running");
     }
-  });
-
-  socket.on("collectOrb", ({ gameId, playerId, orbId }) => {
-    try {
-      const playerInfo = playerSockets.get(socket.id);
-      if (!playerInfo || playerInfo.roomType !== "orbCollector") return;
+    return orbRoom ? { orbRoom, playerId: playerInfo.playerId } : null;
+  };
 
-      const orbRoom = orbCollectorRooms.get(playerInfo.currentRoom);
-      if (!orbRoom || orbRoom.status !== "playing") return;
+  onEvent(socket, "orbInput", ({ seq, x, z }) => {
+    const seat = getPlayingOrbRoom();
+    if (!seat) return SKIP;
 
-      // Manual orb collection (for click-to-collect)
-      const player = orbRoom.players.get(playerId);
-      const orb = orbRoom.orbs.get(orbId);
+    seat.orbRoom.setInput(seat.playerId, seq, { x, z });
+    return { ack: seat.orbRoom.players.get(seat.playerId)?.lastInputSeq };
+  });
 
-      if (player && orb) {
-        const distance = Math.sqrt(
-          Math.pow(orb.position.x - player.position.x, 2) +
-            Math.pow(orb.position.z - player.position.z, 2)
-        );
+  // Legacy clients send a position; it is only a target to walk towards
+  onEvent(socket, "playerMove", ({ position }) => {
+    if (!position) return SKIP; // A token takedown move
+    const seat = getPlayingOrbRoom();
+    if (!seat) return SKIP;
 
-        if (distance < 1.5) {
-          // Slightly larger threshold for clicks
-          player.score += orb.value;
-          orbRoom.orbs.delete(orbId);
+    seat.orbRoom.movePlayer(seat.playerId, position);
+  });
 
-          console.log(
-            `🔮 Player ${player.walletAddress.slice(
-              0,
-              8
-            )}... manually collected ${orb.type} orb`
-          );
+  onEvent(socket, "collectOrb", ({ orbId }) => {
+    const seat = getPlayingOrbRoom();
+    if (!seat) return SKIP;
+
+    // Manual orb collection (for click-to-collect), measured from the
+    // server's position of the sender's own player
+    const { orbRoom, playerId } = seat;
+    const player = orbRoom.players.get(playerId);
+    const orb = orbRoom.orbs.get(orbId);
+    if (!player || !orb) {
+      throw new ProtocolError(ERROR_CODE.REJECTED, "Orb already collected");
+    }
 
-          // Broadcast collection
-          io.to(orbRoom.roomId).emit("orbCollected", {
-            orbId: orbId,
-            playerId: playerId,
-            value: orb.value,
-          });
+    const distance = Math.sqrt(
+      Math.pow(orb.position.x - player.position.x, 2) +
+        Math.pow(orb.position.z - player.position.z, 2)
+    );
 
-          // Broadcast updated game state
-          const gameState = orbRoom.getGameState();
-          io.to(orbRoom.roomId).emit("orbGameState", gameState);
-        }
-      }
-    } catch (error) {
-      console.error("Error handling orb collection:", error);
+    // Slightly larger threshold for clicks
+    if (distance >= 1.5) {
+      throw new ProtocolError(ERROR_CODE.REJECTED, "Orb is out of reach");
     }
-  });
 
-  // Word Grid Game Events - MOVED TO real-wallet-server.js for blockchain integration
+    return orbRoom.collectOrb(playerId, orbId);
+  });
 
   socket.on("disconnect", () => {
     console.log("🔌 Client disconnected:", socket.id);
 
     const playerInfo = playerSockets.get(socket.id);
-    if (playerInfo) {
-      if (playerInfo.currentRoom === "lobby") {
-        lobby.removePlayer(playerInfo.playerId);
-        io.emit("lobbyState", lobby.getLobbyState());
-      } else if (gameRooms.has(playerInfo.currentRoom)) {
-        const gameRoom = gameRooms.get(playerInfo.currentRoom);
-        gameRoom.removePlayer(playerInfo.playerId);
-
-        // Broadcast updated game state
-        if (gameRoom.players.size > 0) {
-          const gameState = gameRoom.getGameState();
-          io.to(gameRoom.gameId).emit("gameState", gameState);
-        } else {
-          // Clean up empty game room
-          gameRooms.delete(playerInfo.currentRoom);
-        }
-      } else if (ticTacToeRooms.has(playerInfo.currentRoom)) {
-        // Handle tic-tac-toe room cleanup
-        const room = ticTacToeRooms.get(playerInfo.currentRoom);
-        room.removePlayer(playerInfo.playerId);
-
-        if (room.players.length === 0) {
-          // Clean up empty tic-tac-toe room
-          ticTacToeRooms.delete(playerInfo.currentRoom);
-          console.log(
-            "🧹 Cleaned up empty tic-tac-toe room:",
-            playerInfo.currentRoom
-          );
-        } else {
-          // Notify remaining player
-          const remainingPlayer = room.players[0];
-          const playerSocket = io.sockets.sockets.get(remainingPlayer.socketId);
-          if (playerSocket) {
-            playerSocket.emit("waitingForPlayer");
-            console.log("⏳ Remaining player waiting for new opponent");
-          }
-        }
-      } else if (orbCollectorRooms.has(playerInfo.currentRoom)) {
-        // Handle orb collector room cleanup
-        const room = orbCollectorRooms.get(playerInfo.currentRoom);
-        room.removePlayer(playerInfo.playerId);
-
-        // Broadcast updated game state to remaining players
-        if (room.players.size > 0) {
-          const gameState = room.getGameState();
-          io.to(room.roomId).emit("orbGameState", gameState);
-        } else {
-          // Clean up empty orb collector room
-          room.cleanup();
-          orbCollectorRooms.delete(playerInfo.currentRoom);
-          console.log(
-            "🧹 Cleaned up empty orb collector room:",
-            playerInfo.currentRoom
-          );
-        }
-      } else if (playerInfo.roomType === "wordGrid") {
-        // Handle word grid room cleanup
-        const room = wordGridRooms.get(playerInfo.currentRoom);
-        if (room) {
-          const remainingPlayers = room.players.filter(
-            (p) => p.id !== playerInfo.playerId
-          );
+    if (!playerInfo) return;
+    playerSockets.delete(socket.id);
 
-          if (remainingPlayers.length === 0) {
-            // Clean up empty room
-            wordGridRooms.delete(playerInfo.currentRoom);
-            console.log(
-              "🧹 Cleaned up empty Word Grid room:",
-              playerInfo.currentRoom
-            );
-          } else {
-            // Remove the disconnected player and notify remaining players
-            room.players = remainingPlayers;
-            io.to(room.roomId).emit("wordGridState", room.getGameState());
-            console.log(
-              "👋 Player left Word Grid room:",
-              playerInfo.currentRoom
-            );
-          }
-        }
-      }
+    const seat = getPlayerRoom(playerInfo);
+    seat?.room.stateBroadcaster?.removeClient(socket.id); // No more deltas
 
-      playerSockets.delete(socket.id);
+    // A signed-in player keeps their seat while they reconnect
+    if (seat && playerInfo.wallet === socket.data.wallet) {
+      setPlayerConnection(seat.room, playerInfo.playerId, null);
+      io.to(seat.roomId).emit("playerDisconnected", {
+        playerId: playerInfo.playerId,
+        wallet: playerInfo.wallet,
+        reconnectWithinMs: RECONNECT_GRACE_MS,
+      });
+      holdSeat(
+        SESSION_SCOPE,
+        playerInfo.wallet,
+        playerInfo,
+        removePlayerFromRoom
+      );
+      return;
     }
+
+    removePlayerFromRoom(playerInfo);
   });
 
   // NEW: Orb Collector Payment Confirmation Handler
-  socket.on("confirmOrbPayment", async ({ txSignature, gameId, amount }) => {
-    try {
+  onEvent(
+    socket,
+    "confirmOrbPayment",
+    async ({ txSignature, gameId, amount }) => {
       const playerInfo = playerSockets.get(socket.id);
-      if (!playerInfo || playerInfo.roomType !== "orbCollector") return;
+      if (!playerInfo || playerInfo.roomType !== "orbCollector") return SKIP;
 
       const orbRoom = orbCollectorRooms.get(playerInfo.currentRoom);
-      if (!orbRoom) return;
+      if (!orbRoom) return SKIP;
 
-      // Store transaction details
       const player = Array.from(orbRoom.players.values()).find(
         (p) => p.id === playerInfo.playerId
       );
-      if (player) {
-        player.txSignature = txSignature;
-        player.gameId = gameId;
-        player.actualPaidAmount = amount;
-      }
-
-      orbRoom.confirmPayment(playerInfo.playerId);
-
-      // Broadcast updated state to all players
-      const gameState = orbRoom.getGameState();
-      io.to(orbRoom.roomId).emit("orbGameState", gameState);
+      if (!player) return SKIP;
 
       console.log(
-        `💰 Orb game payment confirmed for player: ${playerInfo.playerId}`
+        `💰 Orb game payment submitted by player: ${playerInfo.playerId}`
       );
       console.log(`📝 TX Signature: ${txSignature}`);
       console.log(`💵 Amount: ${amount} GOR`);
 
-      // Validate and collect entry fee with transaction verification
-      try {
-        console.log(`🔍 Validating orb game transaction: ${txSignature}`);
-        const validationResult = await validateEntryFeePayment(
+      // Verify the transaction against the room's stake (not the player's
+      // own bet) and consume its signature BEFORE marking the player as
+      // paid, so it can't be replayed here or in another room
+      const validationResult = await claimEntryFeeSignature(
+        await validateEntryFeePayment(
           playerInfo.wallet,
           orbRoom.roomId,
-          txSignature
-        );
-
-        if (validationResult.verified) {
-          console.log(
-            `✅ Orb game transaction validated! Amount detected: ${validationResult.amount} GOR`
-          );
+          txSignature,
+          orbRoom.betAmount,
+          orbRoom.currency
+        ),
+        "orbCollector"
+      );
 
-          // Collect the validated entry fee
-          const escrowResult = await collectValidatedEntryFee(
-            playerInfo.wallet,
-            validationResult.amount,
-            orbRoom.roomId,
-            txSignature
-          );
-          console.log(
-            `✅ Orb game validated entry fee collected: ${escrowResult.signature}`
-          );
-        } else {
-          console.error(
-            `❌ Orb game transaction validation failed for ${txSignature}`
-          );
-        }
-      } catch (error) {
+      if (!validationResult.verified) {
         console.error(
-          `❌ Failed to validate/collect orb game entry fee:`,
-          error
+          `❌ Orb game transaction validation failed for ${txSignature}: ${validationResult.reason}`
+        );
+        throw new ProtocolError(
+          ERROR_CODE.PAYMENT_FAILED,
+          validationResult.message,
+          { reason: validationResult.reason }
         );
       }
 
+      console.log(
+        `✅ Orb game transaction validated! Amount detected: ${validationResult.amount} GOR`
+      );
+
+      // Collect the validated entry fee
+      const escrowResult = await collectValidatedEntryFee(
+        playerInfo.wallet,
+        validationResult.amount,
+        orbRoom.roomId,
+        txSignature,
+        "orbCollector",
+        orbRoom.currency
+      );
+      console.log(
+        `✅ Orb game validated entry fee collected: ${escrowResult.signature}`
+      );
+
+      // Store transaction details
+      player.txSignature = txSignature;
+      player.gameId = gameId;
+      player.actualPaidAmount = validationResult.amount;
+
+      orbRoom.confirmPayment(playerInfo.playerId);
+
+      socket.emit("paymentConfirmed", {
+        success: true,
+        amount: validationResult.amount,
+        txSignature: txSignature,
+      });
+
+      // Broadcast updated state to all players
+      const gameState = orbRoom.getGameState();
+      io.to(orbRoom.roomId).emit("orbGameState", gameState);
+
       // If all players have paid, check platform balance
       const allPaid = Array.from(orbRoom.players.values()).every(
         (p) => p.paymentConfirmed
@@ -3301,7 +4262,10 @@ io.on("connection", (socket) => {
         console.log(`💸 Platform fee: ${betPool.platformFee} GOR`);
 
         try {
-          const balanceCheck = await ensurePlatformBalance(betPool.prizePool);
+          const balanceCheck = await ensurePlatformBalance(
+            betPool.prizePool,
+            orbRoom.currency
+          );
           if (!balanceCheck.sufficient) {
             console.log(`⚠️ ${balanceCheck.message}`);
           }
@@ -3312,28 +4276,36 @@ io.on("connection", (socket) => {
           );
         }
       }
-    } catch (error) {
-      socket.emit("error", { message: error.message });
-    }
-  });
+      return gameState;
+    },
+    { errorEvent: paymentConfirmedError(socket, { otherErrors: "error" }) }
+  );
 
-  // Word Grid Game Events
-  socket.on("createWordGridRoom", async (data) => {
-    try {
+  // Word Grid Game Events (demo and mock wallets; real wallets play in
+  // real-wallet-server.js)
+  onEvent(
+    socket,
+    "createWordGridRoom",
+    async (data) => {
+      if (!isPracticeWallet(data.wallet)) return SKIP;
       console.log("🔤 Creating Word Grid room:", data);
 
-      const { roomId, password, betAmount, wallet, txSignature } = data;
-
-      if (!roomId || !wallet) {
-        throw new Error("Room ID and wallet are required");
-      }
+      const { roomId, password, betAmount, txSignature } = data;
+      const wallet = getSocketWallet(socket, data.wallet);
+      const currency = normalizeCurrency(data.currency);
 
       if (wordGridRooms.has(roomId)) {
-        throw new Error("Room ID already exists");
+        throw new ProtocolError(ERROR_CODE.CONFLICT, "Room ID already exists");
       }
 
       // Create new Word Grid room
-      const room = new WordGridRoom(roomId, betAmount, password, wallet);
+      const room = new WordGridRoom(
+        roomId,
+        betAmount,
+        password,
+        wallet,
+        currency
+      );
       wordGridRooms.set(roomId, room);
 
       const playerId = uuidv4();
@@ -3363,29 +4335,28 @@ io.on("connection", (socket) => {
         await room.confirmPayment(playerId, txSignature);
         socket.emit("wordGridState", room.getGameState());
       }
-    } catch (error) {
-      console.error("❌ Word Grid room creation error:", error);
-      socket.emit("error", { message: error.message });
-    }
-  });
+      return { roomId, playerId, gameState: room.getGameState() };
+    },
+    { errorEvent: "error" }
+  );
 
-  socket.on("joinWordGridRoom", async (data) => {
-    try {
+  onEvent(
+    socket,
+    "joinWordGridRoom",
+    async (data) => {
+      if (!isPracticeWallet(data.wallet)) return SKIP;
       console.log("🔤 Joining Word Grid room:", data);
 
-      const { roomId, password, betAmount, wallet, txSignature } = data;
-
-      if (!roomId || !wallet) {
-        throw new Error("Room ID and wallet are required");
-      }
+      const { roomId, password, betAmount, txSignature } = data;
+      const wallet = getSocketWallet(socket, data.wallet);
 
       const room = wordGridRooms.get(roomId);
       if (!room) {
-        throw new Error("Room not found");
+        throw new ProtocolError(ERROR_CODE.NOT_FOUND, "Room not found");
       }
 
       if (!room.verifyPassword(password)) {
-        throw new Error("Invalid password");
+        throw new ProtocolError(ERROR_CODE.FORBIDDEN, "Invalid password");
       }
 
       const playerId = uuidv4();
@@ -3418,39 +4389,37 @@ io.on("connection", (socket) => {
         await room.confirmPayment(playerId, txSignature);
         io.to(roomId).emit("wordGridState", room.getGameState());
       }
-    } catch (error) {
-      console.error("❌ Word Grid room join error:", error);
-      socket.emit("error", { message: error.message });
-    }
-  });
+      return { roomId, playerId, gameState: room.getGameState() };
+    },
+    { errorEvent: "error" }
+  );
 
-  socket.on("confirmWordGridPayment", async (data) => {
-    try {
-      const { txSignature } = data;
+  onEvent(
+    socket,
+    "confirmWordGridPayment",
+    async ({ txSignature }) => {
       const playerInfo = playerSockets.get(socket.id);
-
-      if (!playerInfo || playerInfo.roomType !== "wordGrid") return;
+      if (!playerInfo || playerInfo.roomType !== "wordGrid") return SKIP;
 
       const room = wordGridRooms.get(playerInfo.currentRoom);
-      if (!room) return;
+      if (!room) return SKIP;
 
       await room.confirmPayment(playerInfo.playerId, txSignature);
       io.to(room.roomId).emit("wordGridState", room.getGameState());
-    } catch (error) {
-      console.error("❌ Word Grid payment confirmation error:", error);
-      socket.emit("error", { message: error.message });
-    }
-  });
+      return room.getGameState();
+    },
+    { errorEvent: "error" }
+  );
 
-  socket.on("placeWordGridLetter", (data) => {
-    try {
-      const { cellIndex, letter } = data;
+  onEvent(
+    socket,
+    "placeWordGridLetter",
+    ({ cellIndex, letter }) => {
       const playerInfo = playerSockets.get(socket.id);
-
-      if (!playerInfo || playerInfo.roomType !== "wordGrid") return;
+      if (!playerInfo || playerInfo.roomType !== "wordGrid") return SKIP;
 
       const room = wordGridRooms.get(playerInfo.currentRoom);
-      if (!room) return;
+      if (!room) return SKIP;
 
       room.placeLetter(playerInfo.playerId, cellIndex, letter);
 
@@ -3470,103 +4439,38 @@ io.on("connection", (socket) => {
         const gameStats = room.finishGame("time_up");
         io.to(room.roomId).emit("wordGridGameFinished", gameStats);
       }
-    } catch (error) {
-      console.error("❌ Word Grid letter placement error:", error);
-      socket.emit("error", { message: error.message });
-    }
-  });
-
-  socket.on("wordGridTimeOut", (data) => {
-    try {
-      const { roomId } = data;
-      const playerInfo = playerSockets.get(socket.id);
+      return room.getGameState();
+    },
+    { errorEvent: "error" }
+  );
 
-      if (!playerInfo || playerInfo.roomType !== "wordGrid") return;
+  onEvent(socket, "wordGridTimeOut", ({ roomId }) => {
+    const playerInfo = playerSockets.get(socket.id);
+    if (!playerInfo || playerInfo.roomType !== "wordGrid") return SKIP;
 
-      const room = wordGridRooms.get(roomId);
-      if (!room) return;
+    const room = wordGridRooms.get(roomId);
+    if (!room) return SKIP;
 
-      const gameStats = room.finishGame("time_up");
-      io.to(room.roomId).emit("wordGridGameFinished", gameStats);
-    } catch (error) {
-      console.error("❌ Word Grid timeout error:", error);
-    }
+    const gameStats = room.finishGame("time_up");
+    io.to(room.roomId).emit("wordGridGameFinished", gameStats);
+    return room.getGameState();
   });
 });
 
-// RPC Proxy endpoints to bypass CORS issues
-app.post("/api/rpc-proxy", async (req, res) => {
-  try {
-    const { method, params } = req.body;
-
-    const rpcRequest = {
-      jsonrpc: "2.0",
-      id: 1,
-      method: method,
-      params: params || [],
-    };
-
-    console.log(`🌐 Proxying RPC call: ${method}`);
-
-    const response = await fetch(
-      process.env.GORBAGANA_RPC_URL || "https://rpc.gorbagana.wtf/",
-      {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify(rpcRequest),
-      }
-    );
-
-    if (!response.ok) {
-      throw new Error(`RPC request failed: ${response.status}`);
-    }
-
-    const data = await response.json();
-    res.json(data);
-  } catch (error) {
-    console.error("❌ RPC Proxy Error:", error);
-    res.status(500).json({
-      error: "RPC proxy failed",
-      details: error.message,
-    });
-  }
-});
+// RPC Proxy endpoints to bypass CORS issues (read methods only)
+setupRpcProxyRoutes(app);
 
 // Get balance endpoint (server-side)
-app.get("/api/balance/:wallet", async (req, res) => {
+app.get("/api/balance/:wallet", rateLimit("balance"), async (req, res) => {
   try {
     const { wallet } = req.params;
     console.log(`💰 Fetching balance for: ${wallet}`);
 
-    // Try native balance (GOR)
-    const balanceRequest = {
-      jsonrpc: "2.0",
-      id: 1,
-      method: "getBalance",
-      params: [wallet],
-    };
-
-    const response = await fetch(
-      process.env.GORBAGANA_RPC_URL || "https://rpc.gorbagana.wtf/",
-      {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify(balanceRequest),
-      }
-    );
-
-    if (!response.ok) {
-      throw new Error(`Balance request failed: ${response.status}`);
-    }
-
-    const data = await response.json();
+    // Try native balance (GOR), through the RPC proxy's cache and failover
+    const data = await rpcRequest("getBalance", [wallet]);
 
     if (data.result !== undefined) {
-      const gorBalance = data.result.value / Math.pow(10, 9); // Convert lamports to GOR
+      const gorBalance = fromLamports(data.result.value);
       console.log(`✅ Found balance: ${gorBalance} GOR`);
 
       res.json({
@@ -3690,6 +4594,20 @@ app.get("/matches/:gameType?", async (req, res) => {
   }
 });
 
+// Revealed spawn seeds of a finished match, checkable with fair-rng.js
+app.get("/matches/:gameId/fairness", async (req, res) => {
+  try {
+    const fairness = await getMatchFairness(req.params.gameId);
+    if (!fairness) {
+      return res.status(404).json({ error: "No fairness record for match" });
+    }
+
+    res.json({ fairness });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // User stats endpoint
 app.get("/user/:wallet", async (req, res) => {
   try {
@@ -3706,7 +4624,7 @@ app.get("/user/:wallet", async (req, res) => {
   }
 });
 
-const PORT = process.env.PORT || 3001;
+const PORT = config.port;
 
 // Timeout management for tic-tac-toe rooms
 function checkForTimeouts() {
@@ -3734,19 +4652,19 @@ function checkForTimeouts() {
               // Notify the player about the timeout and refund
               const player = result.refundedPlayer;
               if (player && player.socketId) {
-                const playerSocket = io.sockets.sockets.get(player.socketId);
-                if (playerSocket) {
-                  playerSocket.emit("ticTacToeTimeout", {
-                    reason: "no_opponent",
-                    message:
-                      "No opponent found within 5 minutes. You have been refunded.",
-                    refundAmount: player.betAmount,
-                    redirectTo: "/games", // Redirect back to games list
-                  });
-
-                  // Remove player from room
-                  playerSocket.leave(roomId);
-                }
+                io.to(player.socketId).emit("ticTacToeTimeout", {
+                  reason: "no_opponent",
+                  message:
+                    "No opponent found within 5 minutes. You have been refunded.",
+                  refundAmount: result.settlement.players.reduce(
+                    (sum, entry) => sum + entry.amount,
+                    0
+                  ),
+                  redirectTo: "/games", // Redirect back to games list
+                });
+
+                // Remove player from room
+                io.in(player.socketId).socketsLeave(roomId);
               }
 
               // Mark room for removal
@@ -3780,15 +4698,43 @@ setInterval(checkForTimeouts, 30000);
 // Initialize server with MongoDB connection
 const startServer = async () => {
   try {
+    // Refuse to start with missing or malformed settings (config.js)
+    assertConfig();
+
     // Connect to MongoDB
     await connectDB();
 
+    // Share rooms and broadcasts with other instances when REDIS_URL is set
+    await setupCluster(io);
+
     // Setup demo routes (completely separate from real wallet games)
     setupDemoRoutes(app, io);
 
     // Setup real wallet routes (blockchain-integrated games)
     setupRealWalletRoutes(app, io);
 
+    // Setup admin routes (payout queue operations)
+    setupAdminRoutes(app);
+
+    // Setup sign-in-with-Solana routes (socket session tokens)
+    setupAuthRoutes(app);
+
+    // Setup the socket event catalog (generated frontend types)
+    setupProtocolRoutes(app);
+
+    // Retry queued prize payouts in the background
+    startPayoutWorker();
+
+    // Restore rooms saved before a restart, then refund the escrow of any
+    // room that couldn't be restored
+    await Promise.all([
+      recoverTicTacToeRooms(),
+      recoverRealWalletRooms(),
+    ]).catch((error) => console.error("❌ Room recovery failed:", error));
+    refundStrandedRooms().catch((error) =>
+      console.error("❌ Stranded room recovery failed:", error)
+    );
+
     // Start the server
     server.listen(PORT, () => {
       console.log(`🚀 Gaming Platform server running on port ${PORT}`);
@@ -3799,7 +4745,10 @@ const startServer = async () => {
       console.log(`🎭 Demo routes initialized for mock gameplay`);
     });
   } catch (error) {
-    console.error("❌ Failed to start server:", error);
+    console.error(
+      "❌ Failed to start server:",
+      error instanceof ConfigError ? error.message : error
+    );
     process.exit(1);
   }
 };
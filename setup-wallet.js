@@ -13,12 +13,12 @@ import bs58 from "bs58";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
 import { writeFileSync } from "fs";
+import { config } from "./config.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-const GORBAGANA_RPC = "https://rpc.gorbagana.wtf/";
-const connection = new Connection(GORBAGANA_RPC, "processed");
+const connection = new Connection(config.rpcUrl, "processed");
 
 console.log("🔧 PLATFORM WALLET SETUP FOR REAL GOR TRANSACTIONS");
 console.log("==================================================");
@@ -1,9 +1,6 @@
 // Smart Contract Integration for Gorbagana Game Platform
 // Uses the DEPLOYED Token Takedown contract for proper game mechanics
 
-import dotenv from "dotenv";
-dotenv.config(); // Load environment variables
-
 import {
   Connection,
   PublicKey,
@@ -13,23 +10,42 @@ import {
 } from "@solana/web3.js";
 import pkg from "@coral-xyz/anchor";
 const { Program, AnchorProvider, web3, utils, BN } = pkg;
-import bs58 from "bs58";
+import { config, parseSecretKey } from "./config.js";
+import {
+  verifyEntryFeePayment,
+  releaseEntryFeeSignature,
+} from "./payment-verification.js";
+import {
+  recordDeposit,
+  getGameEscrowBalance,
+  getOpenEscrow,
+} from "./escrow-ledger.js";
+import { toLamports, fromLamports } from "./money.js";
+import {
+  CURRENCY,
+  GGOR_MINT,
+  isSplCurrency,
+  getTokenAccountAddress,
+} from "./currency.js";
+import {
+  createGameVaultClient,
+  findGamePDA,
+  findGameVaultPDA,
+  GAME_VAULT_PROGRAM_ID,
+} from "./game-vault-client.js";
+import { gameIdSeed } from "./game-pda.js";
+import { LegacyGamePda } from "./models.js";
 
 // Gorbagana Network Configuration
-const GORBAGANA_RPC =
-  process.env.GORBAGANA_RPC_URL || "https://rpc.gorbagana.wtf/";
-const connection = new Connection(GORBAGANA_RPC, "processed");
+const connection = new Connection(config.rpcUrl, "processed");
 
-// DEPLOYED Smart Contract Program ID (valid Solana address for demo)
-const PROGRAM_ID = new PublicKey("11111111111111111111111111111112");
-
-// GOR Token Mint (using valid demo address)
-const GGOR_MINT = new PublicKey("11111111111111111111111111111113");
+// Game vault program ID (GAME_VAULT_PROGRAM_ID); the placeholder only keeps
+// PDA logging working while no program is deployed
+const PROGRAM_ID =
+  GAME_VAULT_PROGRAM_ID || new PublicKey("11111111111111111111111111111112");
 
 // Platform authority wallet (for game management)
-const PLATFORM_PRIVATE_KEY =
-  process.env.PLATFORM_PRIVATE_KEY ||
-  "2sHDQ2Zrt3C8byRyELNPetNM5ccS5SNYUD98h6RaxU8A4y3hpJfeH2TpxmtuwzKD5xsTP9kz32h1UiEXF8qyKmwj";
+const PLATFORM_PRIVATE_KEY = config.platformPrivateKey;
 let platformWallet = null;
 
 // Initialize platform wallet as authority
@@ -42,18 +58,9 @@ function initializePlatformWallet() {
   }
 
   try {
-    let secretKey;
-
-    // Try JSON format first (array of numbers)
-    if (PLATFORM_PRIVATE_KEY.startsWith("[")) {
-      const privateKeyBytes = JSON.parse(PLATFORM_PRIVATE_KEY);
-      secretKey = new Uint8Array(privateKeyBytes);
-    } else {
-      // Try base58 format
-      secretKey = bs58.decode(PLATFORM_PRIVATE_KEY);
-    }
-
-    platformWallet = Keypair.fromSecretKey(secretKey);
+    platformWallet = Keypair.fromSecretKey(
+      parseSecretKey(PLATFORM_PRIVATE_KEY)
+    );
     console.log(
       `🔑 Platform escrow wallet: ${platformWallet.publicKey.toBase58()}`
     );
@@ -69,50 +76,54 @@ function initializePlatformWallet() {
 
 // Get Program Data Account addresses
 function getGamePDA(gameId) {
-  // Convert UUID string to a numeric hash for BigInt
-  const gameIdHash = gameId
-    .toString()
-    .split("")
-    .reduce((a, b) => {
-      a = (a << 5) - a + b.charCodeAt(0);
-      return a & a;
-    }, 0);
-
-  const gameIdBuffer = Buffer.allocUnsafe(8);
-  gameIdBuffer.writeBigUInt64LE(BigInt(Math.abs(gameIdHash)));
-
-  const [pda, bump] = PublicKey.findProgramAddressSync(
-    [Buffer.from("game"), gameIdBuffer],
-    PROGRAM_ID
-  );
-
-  return [pda, bump];
+  return findGamePDA(gameIdSeed(gameId), PROGRAM_ID);
 }
 
 function getGameVaultPDA(gameId) {
-  // Convert UUID string to a numeric hash for BigInt
-  const gameIdHash = gameId
-    .toString()
-    .split("")
-    .reduce((a, b) => {
-      a = (a << 5) - a + b.charCodeAt(0);
-      return a & a;
-    }, 0);
-
-  const gameIdBuffer = Buffer.allocUnsafe(8);
-  gameIdBuffer.writeBigUInt64LE(BigInt(Math.abs(gameIdHash)));
-
-  const [pda, bump] = PublicKey.findProgramAddressSync(
-    [Buffer.from("game_vault"), gameIdBuffer],
-    PROGRAM_ID
-  );
+  return findGameVaultPDA(gameIdSeed(gameId), PROGRAM_ID);
+}
 
-  return [pda, bump];
+// Seed for an existing game's vault: the legacy hash seed if the migration
+// recorded one for this game, otherwise the sha256 seed
+const legacySeedCache = new Map();
+
+async function resolveGameSeed(gameId) {
+  if (!legacySeedCache.has(gameId)) {
+    const legacy = await LegacyGamePda.findOne({ gameId }).lean();
+    legacySeedCache.set(gameId, legacy ? Buffer.from(legacy.seed, "hex") : null);
+  }
+
+  return legacySeedCache.get(gameId) || gameIdSeed(gameId);
 }
 
-// Convert GOR to lamports (assuming 6 decimals like most SPL tokens)
-function gorToLamports(gorAmount) {
-  return Math.floor(gorAmount * Math.pow(10, 6));
+let vaultClient = null;
+
+// Anchor client for the game vault program, signed by the platform wallet.
+// Only vault setup and reads go through it: entry fees are still paid to the
+// platform escrow wallet and prizes and refunds still leave through the
+// payout service, so nothing here settles or refunds a vault.
+function getVaultClient() {
+  if (vaultClient) return vaultClient;
+
+  if (!GAME_VAULT_PROGRAM_ID) {
+    throw new Error(
+      "Game vault program not configured - set GAME_VAULT_PROGRAM_ID"
+    );
+  }
+
+  if (!platformWallet) {
+    platformWallet = initializePlatformWallet();
+    if (!platformWallet) {
+      throw new Error("Platform wallet required for the game vault program");
+    }
+  }
+
+  vaultClient = createGameVaultClient(
+    connection,
+    platformWallet,
+    GAME_VAULT_PROGRAM_ID
+  );
+  return vaultClient;
 }
 
 // Initialize a new game on the smart contract
@@ -127,31 +138,31 @@ export async function initializeGame(gameId, entryFee, maxPlayers = 6) {
   }
 
   try {
-    const [gamePDA, gameBump] = getGamePDA(gameId);
-    const [vaultPDA, vaultBump] = getGameVaultPDA(gameId);
+    const client = getVaultClient();
 
-    console.log(`   Game PDA: ${gamePDA.toBase58()}`);
-    console.log(`   Vault PDA: ${vaultPDA.toBase58()}`);
     console.log(`   Entry Fee: ${entryFee} GOR`);
     console.log(`   Max Players: ${maxPlayers}`);
 
-    // Create initialize instruction (simplified for now)
-    const transaction = new Transaction();
-
-    // For hackathon demo - we'll simulate the initialization
-    // In production, you'd create the actual Anchor instruction here
+    const { signature, game, vault } = await client.initializeVault({
+      gameSeed: gameIdSeed(gameId),
+      entryFee: toLamports(entryFee),
+      maxPlayers,
+    });
 
+    console.log(`   Game PDA: ${game.toBase58()}`);
+    console.log(`   Vault PDA: ${vault.toBase58()}`);
     console.log(`✅ Game ${gameId} initialized on smart contract`);
     console.log(`   📝 Players can now join by paying ${entryFee} GOR`);
-    console.log(`   🏆 Prize pool will be distributed automatically`);
+    console.log(`   🔗 TX: ${signature}`);
 
     return {
       success: true,
       gameId: gameId,
-      gamePDA: gamePDA.toBase58(),
-      vaultPDA: vaultPDA.toBase58(),
+      gamePDA: game.toBase58(),
+      vaultPDA: vault.toBase58(),
       entryFee: entryFee,
       maxPlayers: maxPlayers,
+      signature,
     };
   } catch (error) {
     console.error(`❌ Failed to initialize game ${gameId}:`, error);
@@ -159,420 +170,129 @@ export async function initializeGame(gameId, entryFee, maxPlayers = 6) {
   }
 }
 
-// Distribute rewards using smart contract OR mock system
-export async function distributeSmartContractRewards(gameId, winners) {
-  console.log("🏆 SMART CONTRACT PRIZE DISTRIBUTION");
-  console.log("===================================");
-  console.log(`   Game ID: ${gameId}`);
-  console.log(`   Winners: ${winners.length}`);
-
-  // Check if we're in mock mode or real mode
-  const isDevMode =
-    process.env.NODE_ENV === "development" && !process.env.PLATFORM_PRIVATE_KEY;
-
-  if (isDevMode) {
-    console.log("🎭 MOCK MODE: Simulating prize distribution");
-    return await distributeRewardsInMockMode(gameId, winners);
-  } else {
-    console.log("🚀 REAL MODE: Using blockchain prize distribution");
-    return await distributeRewardsInRealMode(gameId, winners);
-  }
-}
-
-// Mock mode prize distribution - updates fake balances
-async function distributeRewardsInMockMode(gameId, winners) {
-  console.log("💰 Distributing mock prizes...");
-
-  const results = [];
-
-  for (const winner of winners) {
-    try {
-      // Simulate processing time
-      await new Promise((resolve) => setTimeout(resolve, 500));
-
-      // Generate mock transaction signature
-      const signature = `mock_tx_${gameId}_${winner.wallet.slice(
-        0,
-        8
-      )}_${Date.now()}`;
-
-      console.log(
-        `✅ Mock prize distributed: ${winner.prize} GOR → ${winner.wallet.slice(
-          0,
-          8
-        )}... (${signature})`
-      );
-
-      results.push({
-        rank: winner.rank,
-        wallet: winner.wallet,
-        prize: winner.prize,
-        success: true,
-        signature: signature,
-        timestamp: new Date().toISOString(),
-      });
-    } catch (error) {
-      console.error(
-        `❌ Mock distribution failed for ${winner.wallet.slice(0, 8)}...:`,
-        error
-      );
-
-      results.push({
-        rank: winner.rank,
-        wallet: winner.wallet,
-        prize: winner.prize,
-        success: false,
-        error: error.message,
-        timestamp: new Date().toISOString(),
-      });
-    }
-  }
-
-  console.log(
-    `🎭 Mock distribution complete: ${
-      results.filter((r) => r.success).length
-    }/${results.length} successful`
-  );
-  return results;
-}
-
-// Real mode prize distribution - actual blockchain transactions
-async function distributeRewardsInRealMode(gameId, winners) {
-  if (!platformWallet) {
-    platformWallet = initializePlatformWallet();
-    if (!platformWallet) {
-      throw new Error("Platform wallet required for reward distribution");
-    }
-  }
-
-  // Calculate total amount needed for distribution
-  const totalPrizeAmount = winners.reduce(
-    (sum, winner) => sum + winner.prize,
-    0
-  );
-
-  // Check platform wallet balance before distributing
-  try {
-    const balanceCheck = await ensurePlatformBalance(totalPrizeAmount);
-    if (!balanceCheck.sufficient) {
-      console.error(`❌ Insufficient platform balance for prize distribution!`);
-      console.error(`   Required: ${totalPrizeAmount} GOR`);
-      console.error(`   Available: ${balanceCheck.currentBalance} GOR`);
-      console.error(`   Deficit: ${balanceCheck.deficit} GOR`);
-
-      // Return failed distribution results
-      return winners.map((winner) => ({
-        rank: winner.rank,
-        wallet: winner.wallet,
-        prize: winner.prize,
-        success: false,
-        error: "Platform wallet has insufficient balance",
-        timestamp: new Date().toISOString(),
-      }));
-    } else {
-      console.log(
-        `✅ Platform wallet has sufficient balance: ${balanceCheck.currentBalance} GOR`
-      );
-    }
-  } catch (error) {
-    console.error(`❌ Failed to check platform balance:`, error);
-    return winners.map((winner) => ({
-      rank: winner.rank,
-      wallet: winner.wallet,
-      prize: winner.prize,
-      success: false,
-      error: "Balance verification failed",
-      timestamp: new Date().toISOString(),
-    }));
-  }
-
-  try {
-    const [gamePDA] = getGamePDA(gameId);
-    const [vaultPDA] = getGameVaultPDA(gameId);
-
-    console.log(`   Game PDA: ${gamePDA.toBase58()}`);
-    console.log(`   Vault PDA: ${vaultPDA.toBase58()}`);
-
-    // Prepare winners array for smart contract (max 3)
-    const winnersArray = new Array(3).fill(PublicKey.default);
-    const scoresArray = new Array(3).fill(0);
-
-    winners.slice(0, 3).forEach((winner, index) => {
-      try {
-        winnersArray[index] = new PublicKey(winner.wallet);
-        scoresArray[index] = winner.score || 0;
-        console.log(
-          `   Winner ${index + 1}: ${winner.wallet.slice(0, 8)}... (${
-            winner.score
-          } points)`
-        );
-      } catch (error) {
-        console.warn(`   Invalid winner wallet: ${winner.wallet}`);
-      }
-    });
-
-    // Execute REAL blockchain transfers for each winner
-    const results = [];
-
-    for (const winner of winners) {
-      try {
-        console.log(
-          `💰 Transferring ${winner.prize} GOR to ${winner.wallet.slice(
-            0,
-            8
-          )}...`
-        );
-
-        // SPECIAL CASE: If platform wallet and winner are the same address
-        if (platformWallet.publicKey.toBase58() === winner.wallet) {
-          console.log(
-            `🔄 Platform wallet IS the winner - simulating prize distribution`
-          );
-          console.log(
-            `💡 Platform collected ${winner.prize * 2} GOR entry fees, paying ${
-              winner.prize
-            } GOR prize`
-          );
-          console.log(
-            `💰 Net effect: Platform keeps ${(
-              winner.prize * 2 -
-              winner.prize
-            ).toFixed(3)} GOR platform fee`
-          );
-
-          // Generate a mock transaction signature to maintain consistency
-          const mockSignature = `platform_self_${gameId.slice(
-            0,
-            8
-          )}_${Date.now()}`;
-
-          console.log(
-            `✅ Prize "distributed" successfully! Mock TX: ${mockSignature}`
-          );
-          console.log(
-            `🎯 Winner balance effectively increased by entry fees collected`
-          );
-
-          results.push({
-            rank: winner.rank,
-            wallet: winner.wallet,
-            prize: winner.prize,
-            success: true,
-            signature: mockSignature,
-            timestamp: new Date().toISOString(),
-            method: "platform_self_distribution",
-          });
-
-          continue; // Skip actual blockchain transfer
-        }
-
-        // NORMAL CASE: Different wallets - do real blockchain transfer
-        const transaction = new Transaction();
-        const winnerPubkey = new PublicKey(winner.wallet);
-        const transferAmount = winner.prize * Math.pow(10, 9); // Convert GOR to lamports
-
-        // Create transfer instruction from platform wallet to winner
-        const transferInstruction = SystemProgram.transfer({
-          fromPubkey: platformWallet.publicKey,
-          toPubkey: winnerPubkey,
-          lamports: transferAmount,
-        });
-
-        transaction.add(transferInstruction);
-
-        // Get recent blockhash
-        const { blockhash } = await connection.getLatestBlockhash("processed");
-        transaction.recentBlockhash = blockhash;
-        transaction.feePayer = platformWallet.publicKey;
-
-        // Sign and send transaction
-        transaction.sign(platformWallet);
-        const signature = await connection.sendRawTransaction(
-          transaction.serialize(),
-          {
-            skipPreflight: false,
-            preflightCommitment: "processed",
-            maxRetries: 3,
-          }
-        );
-
-        // Confirm transaction
-        await connection.confirmTransaction(signature, "processed");
-
-        console.log(`✅ Prize transferred successfully! TX: ${signature}`);
-        console.log(
-          `🔗 Explorer: https://explorer.gorbagana.wtf/tx/${signature}`
-        );
-
-        results.push({
-          rank: winner.rank,
-          wallet: winner.wallet,
-          prize: winner.prize,
-          success: true,
-          signature: signature,
-          timestamp: new Date().toISOString(),
-          method: "real_blockchain_transfer",
-        });
-      } catch (error) {
-        console.error(
-          `❌ Prize transfer failed for ${winner.wallet.slice(0, 8)}:`,
-          error
-        );
-
-        results.push({
-          rank: winner.rank,
-          wallet: winner.wallet,
-          prize: winner.prize,
-          success: false,
-          error: error.message,
-          timestamp: new Date().toISOString(),
-          method: "real_blockchain_transfer",
-        });
-      }
-    }
-
-    return results;
-  } catch (error) {
-    console.error(`❌ Smart contract reward distribution failed:`, error);
-    throw error;
-  }
-}
-
 // Check game state from smart contract
 export async function getGameState(gameId) {
   try {
-    const [gamePDA] = getGamePDA(gameId);
+    const client = getVaultClient();
+    const gameSeed = await resolveGameSeed(gameId);
+    const { game: gamePDA } = client.addresses(gameSeed);
 
     console.log(`📊 Fetching game ${gameId} state from smart contract...`);
     console.log(`   Game PDA: ${gamePDA.toBase58()}`);
 
-    // For hackathon demo - return mock state
-    // In production, you'd fetch actual account data
-    const gameState = {
-      gameId: gameId,
-      entryFee: 5000000, // 5 GOR in lamports
-      maxPlayers: 6,
-      currentPlayers: 2,
-      status: "active",
-      totalPool: 10000000, // 10 GOR in vault
-      gamePDA: gamePDA.toBase58(),
-    };
+    const gameState = await client.fetchGame(gameSeed);
+    if (!gameState) {
+      console.log(`   No vault on chain for game ${gameId}`);
+      return { gameId, status: "not_initialized", gamePDA: gamePDA.toBase58() };
+    }
 
     console.log(`   Status: ${gameState.status}`);
     console.log(
-      `   Players: ${gameState.currentPlayers}/${gameState.maxPlayers}`
+      `   Players: ${gameState.playerCount}/${gameState.maxPlayers}`
     );
-    console.log(`   Pool: ${gameState.totalPool / 1000000} GOR`);
+    console.log(`   Pool: ${fromLamports(gameState.vaultLamports)} GOR`);
 
-    return gameState;
+    return { gameId, ...gameState };
   } catch (error) {
     console.error(`❌ Failed to get game state:`, error);
-    return null;
+    throw error;
   }
 }
 
-// Validate entry fee payment (for verification)
+
+// Validate entry fee payment against the room it is being used for
 export async function validateEntryFeePayment(
   playerWallet,
   gameId,
-  txSignature
+  txSignature,
+  expectedAmount,
+  currency = CURRENCY.GOR
 ) {
-  console.log(`🔍 Validating entry fee payment...`);
-  console.log(`   Player: ${playerWallet.slice(0, 8)}...`);
-  console.log(`   Game: ${gameId}`);
-  console.log(`   Transaction: ${txSignature}`);
-
-  try {
-    // Verify transaction on Gorbagana network
-    const txInfo = await connection.getTransaction(txSignature, {
-      commitment: "confirmed",
-      maxSupportedTransactionVersion: 0,
-    });
-
-    if (txInfo && txInfo.meta && !txInfo.meta.err) {
-      console.log(`✅ Entry fee payment verified!`);
-
-      // NEW: Extract the actual amount from the transaction
-      const preBalances = txInfo.meta.preBalances;
-      const postBalances = txInfo.meta.postBalances;
-      const playerPubkey = new PublicKey(playerWallet);
-
-      // Find player's account in the transaction
-      const playerAccountIndex =
-        txInfo.transaction.message.accountKeys.findIndex((key) =>
-          key.equals(playerPubkey)
-        );
-
-      if (playerAccountIndex !== -1) {
-        const amountDeducted =
-          (preBalances[playerAccountIndex] - postBalances[playerAccountIndex]) /
-          Math.pow(10, 9);
-        console.log(
-          `💰 Detected payment: ${amountDeducted} GOR deducted from player`
-        );
-
-        // Now we need to ensure this gets to the platform wallet
-        return { verified: true, amount: amountDeducted, txSignature };
-      }
-
-      return { verified: true, amount: 1, txSignature }; // Default fallback
-    } else {
-      console.log(`❌ Entry fee payment verification failed`);
-      return { verified: false };
+  if (!platformWallet) {
+    platformWallet = initializePlatformWallet();
+    if (!platformWallet) {
+      return {
+        verified: false,
+        reason: "NO_PLATFORM_WALLET",
+        message: "Platform escrow wallet is not configured",
+      };
     }
-  } catch (error) {
-    console.warn(`⚠️ Transaction verification failed:`, error.message);
-    // For hackathon - accept if transaction exists
-    return { verified: true, amount: 1, txSignature };
   }
-}
 
-// Virtual prize pool tracking (since we can't access player private keys for escrow)
-let virtualPrizePool = 0;
-let collectedFees = new Map(); // gameId -> { totalPool, platformFee, collected }
+  return verifyEntryFeePayment({
+    txSignature,
+    playerWallet,
+    roomId: gameId,
+    expectedAmount,
+    escrowWallet: platformWallet.publicKey,
+    currency,
+  });
+}
 
-// Collect entry fees from players to platform wallet (REAL ESCROW)
-export async function collectEntryFeeToEscrow(playerWallet, amount, gameId) {
+// Record an entry fee in the escrow ledger
+export async function collectEntryFeeToEscrow(
+  playerWallet,
+  amount,
+  gameId,
+  gameType = null,
+  currency = CURRENCY.GOR
+) {
   console.log(
-    `🏦 Virtual escrow: Tracking ${amount} GOR entry fee from ${playerWallet.slice(
+    `🏦 Escrow: Recording ${amount} ${currency} entry fee from ${playerWallet.slice(
       0,
       8
     )}...`
   );
 
-  // Track the virtual prize pool
-  if (!collectedFees.has(gameId)) {
-    collectedFees.set(gameId, { totalPool: 0, platformFee: 0, collected: [] });
-  }
-
-  const gamePool = collectedFees.get(gameId);
-  gamePool.totalPool += amount;
-  gamePool.collected.push({
-    playerWallet,
+  const journal = await recordDeposit({
+    gameId,
+    walletAddress: playerWallet,
     amount,
-    timestamp: new Date().toISOString(),
+    gameType,
+    currency,
   });
+  const escrow = await getGameEscrowBalance(gameId);
 
-  virtualPrizePool += amount;
-
-  console.log(`✅ Virtual escrow updated:`);
+  console.log(`✅ Escrow updated:`);
   console.log(
-    `   Game ${gameId.slice(0, 8)}: ${gamePool.totalPool} GOR collected`
+    `   Game ${gameId.slice(0, 8)}: ${escrow.amount} ${currency} held`
   );
-  console.log(`   Total virtual pool: ${virtualPrizePool} GOR`);
 
   return {
     success: true,
-    signature: `virtual_escrow_${gameId.slice(0, 8)}_${Date.now()}`,
+    signature: `escrow_${journal._id}`,
     amount: amount,
     playerWallet: playerWallet,
-    virtualPool: virtualPrizePool,
+    escrowBalance: escrow.amount,
     timestamp: new Date().toISOString(),
   };
 }
 
+// Platform wallet balance in lamports (token base units for SPL currencies).
+// A token account that doesn't exist yet holds nothing.
+async function getPlatformBalanceLamports(currency) {
+  if (!isSplCurrency(currency)) {
+    return connection.getBalance(platformWallet.publicKey);
+  }
+
+  const tokenAccount = getTokenAccountAddress(
+    currency,
+    platformWallet.publicKey
+  );
+  const accountInfo = await connection.getAccountInfo(tokenAccount);
+  if (!accountInfo) {
+    return 0;
+  }
+
+  const { value } = await connection.getTokenAccountBalance(tokenAccount);
+  return Number(value.amount);
+}
+
 // Check if platform wallet has enough balance for prize distribution
-export async function ensurePlatformBalance(requiredAmount) {
+export async function ensurePlatformBalance(
+  requiredAmount,
+  currency = CURRENCY.GOR
+) {
   if (!platformWallet) {
     platformWallet = initializePlatformWallet();
     if (!platformWallet) {
@@ -582,24 +302,32 @@ export async function ensurePlatformBalance(requiredAmount) {
 
   try {
     // Check platform wallet balance
-    const balance = await connection.getBalance(platformWallet.publicKey);
-    const balanceGOR = balance / Math.pow(10, 9);
+    const balance = await getPlatformBalanceLamports(currency);
+    const balanceGOR = fromLamports(balance);
 
-    console.log(`💰 Platform wallet balance: ${balanceGOR} GOR`);
-    console.log(`💰 Required for prizes: ${requiredAmount} GOR`);
-    console.log(`💰 Virtual pool collected: ${virtualPrizePool} GOR`);
+    console.log(`💰 Platform wallet balance: ${balanceGOR} ${currency}`);
+    console.log(`💰 Required for prizes: ${requiredAmount} ${currency}`);
+    try {
+      const openEscrow = await getOpenEscrow(currency);
+      console.log(
+        `💰 Open escrow owed: ${openEscrow.totalAmount} ${currency}`
+      );
+    } catch (error) {
+      console.warn(`⚠️ Could not read escrow ledger: ${error.message}`);
+    }
 
     if (balanceGOR < requiredAmount) {
       console.log(`⚠️ Platform wallet needs funding!`);
-      console.log(`   Current: ${balanceGOR} GOR`);
-      console.log(`   Needed: ${requiredAmount} GOR`);
+      console.log(`   Current: ${balanceGOR} ${currency}`);
+      console.log(`   Needed: ${requiredAmount} ${currency}`);
       console.log(
-        `   Deficit: ${(requiredAmount - balanceGOR).toFixed(6)} GOR`
+        `   Deficit: ${(requiredAmount - balanceGOR).toFixed(6)} ${currency}`
       );
 
       // For now, we'll allow the transaction but warn about funding
       return {
         sufficient: false,
+        currency,
         currentBalance: balanceGOR,
         requiredAmount: requiredAmount,
         deficit: requiredAmount - balanceGOR,
@@ -609,6 +337,7 @@ export async function ensurePlatformBalance(requiredAmount) {
 
     return {
       sufficient: true,
+      currency,
       currentBalance: balanceGOR,
       requiredAmount: requiredAmount,
       message: "Platform wallet has sufficient balance",
@@ -624,10 +353,12 @@ export async function collectValidatedEntryFee(
   playerWallet,
   amount,
   gameId,
-  txSignature
+  txSignature,
+  gameType = null,
+  currency = CURRENCY.GOR
 ) {
   console.log(
-    `🏦 REAL ESCROW: Collecting ${amount} GOR from validated transaction`
+    `🏦 REAL ESCROW: Collecting ${amount} ${currency} from validated transaction`
   );
   console.log(`   Player: ${playerWallet.slice(0, 8)}...`);
   console.log(`   Original TX: ${txSignature}`);
@@ -640,53 +371,38 @@ export async function collectValidatedEntryFee(
   }
 
   try {
-    // Since the player already paid (validated transaction),
-    // we need to ensure the platform wallet receives the equivalent amount
-    // This could be done by:
-    // 1. Having players send directly to platform wallet (requires UI change)
-    // 2. Having a sweep mechanism (complex)
-    // 3. For now, track virtual escrow until we implement proper on-chain escrow
-
-    console.log(`📊 Tracking validated payment in escrow system...`);
-
-    // Track the virtual prize pool (representing real GOR that was paid)
-    if (!collectedFees.has(gameId)) {
-      collectedFees.set(gameId, {
-        totalPool: 0,
-        platformFee: 0,
-        collected: [],
-      });
-    }
+    console.log(`📊 Recording validated payment in escrow ledger...`);
 
-    const gamePool = collectedFees.get(gameId);
-    gamePool.totalPool += amount;
-    gamePool.collected.push({
-      playerWallet,
+    const journal = await recordDeposit({
+      gameId,
+      walletAddress: playerWallet,
       amount,
       txSignature,
-      timestamp: new Date().toISOString(),
+      gameType,
+      currency,
     });
-
-    virtualPrizePool += amount;
+    const escrow = await getGameEscrowBalance(gameId);
 
     console.log(`✅ Escrow updated with VALIDATED payment:`);
     console.log(
-      `   Game ${gameId.slice(0, 8)}: ${gamePool.totalPool} GOR collected`
+      `   Game ${gameId.slice(0, 8)}: ${escrow.amount} ${currency} held`
     );
-    console.log(`   Total validated pool: ${virtualPrizePool} GOR`);
     console.log(`   Platform wallet: ${platformWallet.publicKey.toBase58()}`);
 
     return {
       success: true,
-      signature: `validated_escrow_${gameId.slice(0, 8)}_${Date.now()}`,
+      signature: `escrow_${journal._id}`,
       amount: amount,
       playerWallet: playerWallet,
       originalTx: txSignature,
-      virtualPool: virtualPrizePool,
+      escrowBalance: escrow.amount,
       timestamp: new Date().toISOString(),
     };
   } catch (error) {
+    // The payment never reached the room's escrow, so its signature must
+    // stay usable for a retry
     console.error(`❌ Failed to collect validated entry fee:`, error);
+    await releaseEntryFeeSignature(txSignature);
     throw error;
   }
 }
@@ -694,7 +410,6 @@ export async function collectValidatedEntryFee(
 // Export the smart contract integration
 export default {
   initializeGame,
-  distributeSmartContractRewards,
   getGameState,
   validateEntryFeePayment,
   getGamePDA,
@@ -0,0 +1,324 @@
+// Socket Events
+// Payload schemas for the client events handled in server.js,
+// real-wallet-server.js and demo-server.js. Games from the game registry
+// declare their own events when they register (game-registry.js), built from
+// the shared SCHEMA fragments below. Events that several modules handle are
+// declared once here with a payload that covers all of them.
+
+import { CURRENCY } from "./currency.js";
+import { defineEvent, objectSchema } from "./socket-protocol.js";
+
+const WALLET = {
+  type: "string",
+  minLength: 1,
+  maxLength: 128,
+  description: "Wallet address, or a demo_ wallet for demo games",
+};
+const TX_SIGNATURE = {
+  type: "string",
+  minLength: 1,
+  maxLength: 128,
+  description: "Signature of the entry fee transfer",
+};
+const CURRENCY_FIELD = { type: "string", enum: Object.values(CURRENCY) };
+const AMOUNT = { type: "number", minimum: 0 };
+const ID = { type: "string", minLength: 1, maxLength: 128 };
+const PASSWORD = { type: "string", maxLength: 128 };
+const GAME_STATE = { type: "object", description: "The room's game state" };
+const CLIENT_SEED = {
+  type: "string",
+  minLength: 1,
+  maxLength: 128,
+  description: "Player-chosen randomness for a provably fair result",
+};
+
+const ROOM_JOINED = objectSchema(
+  { roomId: ID, playerId: ID, gameState: GAME_STATE },
+  ["roomId", "gameState"]
+);
+
+export const SCHEMA = {
+  WALLET,
+  TX_SIGNATURE,
+  CURRENCY: CURRENCY_FIELD,
+  AMOUNT,
+  ID,
+  PASSWORD,
+  GAME_STATE,
+  ROOM_JOINED,
+};
+
+// ---- Token takedown (server.js) -------------------------------------------
+
+defineEvent("joinLobby", {
+  description: "Enter the token takedown lobby",
+  payload: objectSchema({ wallet: WALLET }),
+  reply: objectSchema({ playerId: ID, lobbyState: { type: "object" } }),
+});
+
+defineEvent("joinGame", {
+  description:
+    "Join or open a token takedown game, paying the entry fee in txSignature",
+  payload: objectSchema({ txSignature: TX_SIGNATURE }, ["txSignature"]),
+  reply: objectSchema({ gameId: ID, gameState: GAME_STATE }),
+});
+
+defineEvent("playerMove", {
+  description:
+    "Move in token takedown (direction) or orb collector (legacy position)",
+  payload: objectSchema({
+    direction: { type: "string", minLength: 1, maxLength: 16 },
+    gameId: ID,
+    playerId: ID,
+    position: objectSchema({ x: { type: "number" }, z: { type: "number" } }, [
+      "x",
+      "z",
+    ]),
+  }),
+});
+
+defineEvent("usePowerUp", {
+  description: "Spend tokens on a token takedown power-up",
+  payload: objectSchema(
+    { type: { type: "string", enum: ["freeze"] }, txSignature: TX_SIGNATURE },
+    ["type"]
+  ),
+  reply: objectSchema({ target: { type: ["string", "null"] } }),
+});
+
+defineEvent("requestGameState", {
+  description: "Rejoin the token takedown game in progress",
+  payload: objectSchema({ wallet: WALLET }),
+  reply: GAME_STATE,
+});
+
+defineEvent("stateAck", {
+  description:
+    "Acknowledge a gameStateDelta or orbSnapshot; seq 0 subscribes to deltas",
+  payload: objectSchema({ seq: { type: "integer", minimum: 0 } }, ["seq"]),
+});
+
+// ---- Tic-tac-toe (server.js, demo-server.js) ------------------------------
+
+defineEvent("joinTicTacToe", {
+  description: "Join or open a tic-tac-toe room",
+  payload: objectSchema(
+    { wallet: WALLET, betAmount: AMOUNT, currency: CURRENCY_FIELD },
+    ["wallet"]
+  ),
+  reply: ROOM_JOINED,
+});
+
+defineEvent("ticTacToeChooseCoin", {
+  description: "Pick who calls the coin toss: me, or the other player",
+  payload: objectSchema({ player: { type: "string", maxLength: 16 } }, [
+    "player",
+  ]),
+  reply: GAME_STATE,
+});
+
+defineEvent("ticTacToeCoinSeed", {
+  description: "Add your client seed to the coin toss before its seed deadline",
+  payload: objectSchema({ clientSeed: CLIENT_SEED }, ["clientSeed"]),
+  reply: GAME_STATE,
+});
+
+defineEvent("ticTacToeCoinChoice", {
+  description:
+    "Call the coin toss once both client seeds are in or the deadline passed",
+  payload: objectSchema(
+    {
+      choice: { type: "string", enum: ["heads", "tails"] },
+      clientSeed: CLIENT_SEED,
+    },
+    ["choice"]
+  ),
+  reply: GAME_STATE,
+});
+
+defineEvent("ticTacToeLetOtherChoose", {
+  description: "Hand the coin toss call to the other player",
+  reply: GAME_STATE,
+});
+
+defineEvent("confirmPayment", {
+  description: "Confirm the tic-tac-toe entry fee transfer",
+  payload: objectSchema(
+    { txSignature: TX_SIGNATURE, gameId: ID, amount: AMOUNT },
+    ["txSignature"]
+  ),
+  reply: GAME_STATE,
+});
+
+defineEvent("ticTacToeMove", {
+  description: "Place your symbol on a cell (0-8, row by row)",
+  payload: objectSchema(
+    { cellIndex: { type: "integer", minimum: 0, maximum: 8 } },
+    ["cellIndex"]
+  ),
+  reply: GAME_STATE,
+});
+
+defineEvent("ticTacToeReset", {
+  description: "Start a new board in the same room",
+  reply: GAME_STATE,
+});
+
+// ---- Orb collector (server.js) --------------------------------------------
+
+defineEvent("joinOrbGame", {
+  description: "Join or open an orb collector room",
+  payload: objectSchema({
+    walletAddress: WALLET,
+    betAmount: AMOUNT,
+    nickname: { type: "string", maxLength: 32 },
+    currency: CURRENCY_FIELD,
+  }),
+  reply: ROOM_JOINED,
+});
+
+defineEvent("orbInput", {
+  description: "Steer in orb collector (direction x, z; seq always increases)",
+  payload: objectSchema(
+    {
+      seq: { type: "integer", minimum: 1 },
+      x: { type: "number", minimum: -1, maximum: 1 },
+      z: { type: "number", minimum: -1, maximum: 1 },
+    },
+    ["seq", "x", "z"]
+  ),
+  reply: objectSchema({ ack: { type: "integer" } }),
+});
+
+defineEvent("collectOrb", {
+  description: "Collect an orb next to your player",
+  payload: objectSchema({ gameId: ID, playerId: ID, orbId: ID }, ["orbId"]),
+  reply: objectSchema({ orbId: ID, value: { type: "number" } }),
+});
+
+defineEvent("confirmOrbPayment", {
+  description: "Confirm the orb collector entry fee transfer",
+  payload: objectSchema(
+    { txSignature: TX_SIGNATURE, gameId: ID, amount: AMOUNT },
+    ["txSignature"]
+  ),
+  reply: GAME_STATE,
+});
+
+// ---- Word grid (server.js, real-wallet-server.js) -------------------------
+
+defineEvent("createWordGridRoom", {
+  description: "Open a word grid room; real wallets pay on creation",
+  payload: objectSchema(
+    {
+      roomId: ID,
+      wallet: WALLET,
+      password: PASSWORD,
+      betAmount: AMOUNT,
+      txSignature: TX_SIGNATURE,
+      currency: CURRENCY_FIELD,
+    },
+    ["roomId", "wallet"]
+  ),
+  reply: ROOM_JOINED,
+});
+
+defineEvent("joinWordGridRoom", {
+  description: "Join a word grid room by id",
+  payload: objectSchema(
+    {
+      roomId: ID,
+      wallet: WALLET,
+      password: PASSWORD,
+      betAmount: AMOUNT,
+      txSignature: TX_SIGNATURE,
+    },
+    ["roomId", "wallet"]
+  ),
+  reply: ROOM_JOINED,
+});
+
+defineEvent("confirmWordGridPayment", {
+  description: "Confirm the word grid entry fee transfer",
+  payload: objectSchema({ txSignature: TX_SIGNATURE }, ["txSignature"]),
+  reply: GAME_STATE,
+});
+
+defineEvent("placeWordGridLetter", {
+  description: "Place a letter on the 8x8 grid (cells 0-63, row by row)",
+  payload: objectSchema(
+    {
+      cellIndex: { type: "integer", minimum: 0, maximum: 63 },
+      letter: { type: "string", pattern: "^[A-Za-z]$" },
+    },
+    ["cellIndex", "letter"]
+  ),
+  reply: GAME_STATE,
+});
+
+defineEvent("wordGridTimeOut", {
+  description: "Report that the current turn ran out of time",
+  payload: objectSchema({ roomId: ID }, ["roomId"]),
+  reply: GAME_STATE,
+});
+
+// ---- Pokemon cards (real-wallet-server.js) --------------------------------
+
+defineEvent("createPokemonRoom", {
+  description: "Open a Pokemon card room and pay its entry fee",
+  payload: objectSchema(
+    {
+      roomId: ID,
+      playerWallet: WALLET,
+      password: PASSWORD,
+      entryAmount: AMOUNT,
+      maxPlayers: { type: "integer", minimum: 2, maximum: 6 },
+      txSignature: TX_SIGNATURE,
+      currency: CURRENCY_FIELD,
+    },
+    ["roomId", "playerWallet"]
+  ),
+  reply: ROOM_JOINED,
+});
+
+defineEvent("joinPokemonRoom", {
+  description: "Join a Pokemon card room by id",
+  payload: objectSchema(
+    {
+      roomId: ID,
+      playerWallet: WALLET,
+      password: PASSWORD,
+      txSignature: TX_SIGNATURE,
+    },
+    ["roomId", "playerWallet"]
+  ),
+  reply: ROOM_JOINED,
+});
+
+defineEvent("confirmPokemonPayment", {
+  description: "Confirm the Pokemon card entry fee transfer",
+  payload: objectSchema({ txSignature: TX_SIGNATURE }, ["txSignature"]),
+  reply: GAME_STATE,
+});
+
+defineEvent("pokemonAttack", {
+  description: "Use one of your active Pokemon's attacks",
+  payload: objectSchema(
+    { attackIndex: { type: "integer", minimum: 0 } },
+    ["attackIndex"]
+  ),
+  reply: GAME_STATE,
+});
+
+defineEvent("pokemonSwitch", {
+  description: "Swap your active Pokemon with one from the bench",
+  payload: objectSchema(
+    { benchIndex: { type: "integer", minimum: 0 } },
+    ["benchIndex"]
+  ),
+  reply: GAME_STATE,
+});
+
+export default {
+  SCHEMA,
+};
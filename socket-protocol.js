@@ -0,0 +1,360 @@
+// Socket Protocol
+// Versioned request/reply protocol for client socket events. Every event a
+// client may send is declared with defineEvent() and a JSON Schema for its
+// payload; handlers are attached with onEvent() instead of socket.on():
+//
+//   socket.emit("ticTacToeMove", { cellIndex: 4 }, (reply) => ...)
+//   reply = { ok: true, data } | { ok: false, error: { code, message } }
+//
+// The payload is validated once per event before any handler runs. Several
+// modules may handle the same event (demo and real wallet rooms share event
+// names); a handler returns SKIP when the event isn't for it, and the client
+// gets the reply of the first handler that took it.
+//
+// Clients that don't pass an acknowledgement keep the old behaviour: errors
+// are emitted on the handler's legacy error event, except refusals that used
+// to be ignored silently. The catalog (GET /api/protocol, protocol-routes.js)
+// lists every event with its schemas so the frontend can generate types.
+
+export const PROTOCOL_VERSION = 1;
+
+export const ERROR_CODE = {
+  INVALID_PAYLOAD: "INVALID_PAYLOAD",
+  UNSUPPORTED_VERSION: "UNSUPPORTED_VERSION",
+  NOT_HANDLED: "NOT_HANDLED", // No handler took the event (not in a room)
+  NOT_FOUND: "NOT_FOUND",
+  CONFLICT: "CONFLICT", // e.g. the room id is taken
+  FORBIDDEN: "FORBIDDEN", // e.g. wrong room password
+  REJECTED: "REJECTED", // The room refused the action (not your turn...)
+  PAYMENT_FAILED: "PAYMENT_FAILED",
+  RATE_LIMITED: "RATE_LIMITED", // See rate-limiter.js
+  REQUEST_FAILED: "REQUEST_FAILED",
+  ROUTING_FAILED: "ROUTING_FAILED",
+};
+
+// Failures that clients without acknowledgements were never told about
+const QUIET_CODES = new Set([ERROR_CODE.NOT_HANDLED, ERROR_CODE.REJECTED]);
+
+// Returned by a handler when the event belongs to another handler
+export const SKIP = Symbol("skip");
+
+export class ProtocolError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = "ProtocolError";
+    this.code = code;
+    this.details = details; // Extra fields for the reply, e.g. { reason }
+  }
+
+  get quiet() {
+    return QUIET_CODES.has(this.code);
+  }
+
+  toJSON() {
+    return { code: this.code, message: this.message, ...this.details };
+  }
+}
+
+function toProtocolError(error) {
+  if (error instanceof ProtocolError) return error;
+  return new ProtocolError(
+    ERROR_CODE.REQUEST_FAILED,
+    error?.message || "Request failed",
+    error?.reason ? { reason: error.reason } : {}
+  );
+}
+
+// ---- Catalog --------------------------------------------------------------
+
+const REPLY_SCHEMA = {
+  oneOf: [
+    {
+      type: "object",
+      properties: { ok: { const: true }, data: {} },
+      required: ["ok", "data"],
+    },
+    {
+      type: "object",
+      properties: {
+        ok: { const: false },
+        error: {
+          type: "object",
+          properties: {
+            code: { type: "string", enum: Object.values(ERROR_CODE) },
+            message: { type: "string" },
+            reason: { type: "string" },
+            retryAfterMs: { type: "integer" },
+          },
+          required: ["code", "message"],
+        },
+      },
+      required: ["ok", "error"],
+    },
+  ],
+};
+
+const events = new Map(); // name → { name, description, payload, reply }
+
+// Declare a client event. payload and reply are JSON Schemas (the subset
+// validatePayload() understands); reply describes `data` in a success reply.
+export function defineEvent(
+  name,
+  { description, payload = null, reply = null }
+) {
+  if (events.has(name)) {
+    throw new Error(`Socket event ${name} is already defined`);
+  }
+  events.set(name, { name, description, payload, reply });
+}
+
+export function isEventDefined(name) {
+  return events.has(name);
+}
+
+export function getEventCatalog() {
+  return {
+    version: PROTOCOL_VERSION,
+    reply: REPLY_SCHEMA,
+    errorCodes: Object.values(ERROR_CODE),
+    events: Array.from(events.values()).sort((a, b) =>
+      a.name.localeCompare(b.name)
+    ),
+  };
+}
+
+// Shorthand for object schemas; extra properties are allowed so older
+// clients that send additional fields keep working
+export function objectSchema(properties, required = []) {
+  return { type: "object", properties, required };
+}
+
+// ---- Validation -----------------------------------------------------------
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+// Check a value against a JSON Schema subset: type, enum, const, minimum,
+// maximum, minLength, maxLength, pattern, properties, required,
+// additionalProperties (false), items, maxItems. Returns a list of problems.
+export function validatePayload(schema, value, path = "payload") {
+  if (!schema) return [];
+
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some((type) => matchesType(value, type))) {
+    return [`${path} must be ${types.join(" or ")}`];
+  }
+
+  const problems = [];
+  if (schema.const !== undefined && value !== schema.const) {
+    problems.push(`${path} must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push(`${path} must be one of ${schema.enum.join(", ")}`);
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      problems.push(`${path} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      problems.push(`${path} must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      problems.push(`${path} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      problems.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      problems.push(`${path} has an invalid format`);
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        problems.push(`${path}.${key} is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(
+      schema.properties || {}
+    )) {
+      if (value[key] !== undefined && value[key] !== null) {
+        problems.push(
+          ...validatePayload(propertySchema, value[key], `${path}.${key}`)
+        );
+      }
+    }
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value)) {
+        if (!schema.properties?.[key]) {
+          problems.push(`${path}.${key} is not allowed`);
+        }
+      }
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      problems.push(`${path} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) =>
+        problems.push(
+          ...validatePayload(schema.items, item, `${path}[${index}]`)
+        )
+      );
+    }
+  }
+
+  return problems;
+}
+
+// ---- Handlers -------------------------------------------------------------
+
+const socketHandlers = new WeakMap(); // socket → Map(event → [handler])
+
+function emitLegacyError(socket, errorEvent, error) {
+  if (!errorEvent || error.quiet) return;
+
+  if (typeof errorEvent === "function") {
+    errorEvent(error);
+  } else {
+    socket.emit(errorEvent, error.toJSON());
+  }
+}
+
+async function dispatch(socket, event, handlers, args) {
+  const ack = typeof args[args.length - 1] === "function" ? args.pop() : null;
+  const payload = args[0] === undefined ? {} : args[0];
+  const reply = (response) => {
+    if (ack) ack(response);
+  };
+
+  const problems = validatePayload(events.get(event).payload, payload);
+  if (problems.length > 0) {
+    const error = new ProtocolError(
+      ERROR_CODE.INVALID_PAYLOAD,
+      `Invalid ${event}: ${problems.join("; ")}`
+    );
+    console.warn(`⚠️ Rejected ${event} from ${socket.id}: ${error.message}`);
+    if (!ack) {
+      const legacy = handlers.find((entry) => entry.errorEvent);
+      if (legacy) emitLegacyError(socket, legacy.errorEvent, error);
+    }
+    return reply({ ok: false, error: error.toJSON() });
+  }
+
+  let response = null;
+  for (const { handler, errorEvent } of handlers) {
+    try {
+      const data = await handler(payload);
+      if (data === SKIP) continue;
+      response = response || {
+        ok: true,
+        data: data === undefined ? null : data,
+      };
+    } catch (caught) {
+      const error = toProtocolError(caught);
+      if (!error.quiet) {
+        console.error(`❌ ${event} error:`, caught);
+      }
+      if (!ack) emitLegacyError(socket, errorEvent, error);
+      response = response || { ok: false, error: error.toJSON() };
+    }
+  }
+
+  reply(
+    response || {
+      ok: false,
+      error: new ProtocolError(
+        ERROR_CODE.NOT_HANDLED,
+        `Nothing to do for ${event}; join a room first`
+      ).toJSON(),
+    }
+  );
+}
+
+// errorEvent for handlers that used to report payment failures on
+// "paymentError" (message only) and everything else on "error"
+export function paymentAwareErrorEvent(socket) {
+  return (error) => {
+    if (error.code === ERROR_CODE.PAYMENT_FAILED) {
+      socket.emit("paymentError", error.message);
+    } else {
+      socket.emit("error", error.toJSON());
+    }
+  };
+}
+
+// Handle a declared client event. handler(payload) returns the reply data,
+// SKIP if the event isn't for it, or throws (ProtocolError for a specific
+// code). errorEvent is where clients without acknowledgements get errors:
+// an event name (payload { code, message }) or a function(error).
+export function onEvent(socket, event, handler, { errorEvent = null } = {}) {
+  if (!events.has(event)) {
+    throw new Error(`Socket event ${event} is not defined`);
+  }
+
+  let handlers = socketHandlers.get(socket);
+  if (!handlers) {
+    handlers = new Map();
+    socketHandlers.set(socket, handlers);
+  }
+
+  if (!handlers.has(event)) {
+    const list = [];
+    handlers.set(event, list);
+    socket.on(event, (...args) => dispatch(socket, event, list, args));
+  }
+  handlers.get(event).push({ handler, errorEvent });
+}
+
+// Handshake check: clients may send auth.protocolVersion; a version newer
+// than the server's is refused. Clients that send none are treated as v1.
+export function protocolVersionMiddleware(socket, next) {
+  const requested = socket.handshake.auth?.protocolVersion;
+  const version = requested === undefined ? 1 : Number(requested);
+
+  if (
+    !Number.isInteger(version) ||
+    version < 1 ||
+    version > PROTOCOL_VERSION
+  ) {
+    const error = new Error(
+      `Unsupported protocol version ${requested}; server speaks ${PROTOCOL_VERSION}`
+    );
+    error.data = { code: ERROR_CODE.UNSUPPORTED_VERSION };
+    return next(error);
+  }
+
+  socket.data.protocolVersion = version;
+  next();
+}
+
+export default {
+  PROTOCOL_VERSION,
+  ERROR_CODE,
+  SKIP,
+  ProtocolError,
+  defineEvent,
+  isEventDefined,
+  getEventCatalog,
+  objectSchema,
+  validatePayload,
+  onEvent,
+  paymentAwareErrorEvent,
+  protocolVersionMiddleware,
+};
@@ -0,0 +1,147 @@
+// State Diff
+// Delta-compressed state broadcasts for real-time rooms. A room hands its
+// state to a StateBroadcaster on every update; the broadcaster numbers it
+// (seq), remembers the last HISTORY_SIZE snapshots and sends each client
+// only what changed since the snapshot that client last acknowledged:
+//
+//   { seq, baseSeq, keyframe, serverTime, timeRemaining: 41,
+//     players: { changed: [{ id, ... }], removed: ["id"] }, ... }
+//
+// Plain fields are sent when their value changed; collections (arrays of
+// entities with an `id`) list only the entities that changed or went away.
+// A diff applies on top of the client's state at baseSeq, so clients keep
+// the states they applied until a later one is acknowledged. A keyframe
+// (baseSeq null) holds everything and replaces the client's state; clients
+// get one when they have no usable baseline, and at least every
+// KEYFRAME_EVERY snapshots.
+//
+// Clients opt in by sending stateAck { seq: 0 } and then acknowledge each
+// snapshot they apply. Everyone else in the room keeps getting the room's
+// full state on its legacy event.
+
+export const KEYFRAME_EVERY = 30;
+export const HISTORY_SIZE = 32;
+
+// Snapshot in comparable form: fields and entities as JSON strings
+function encode(state, collections) {
+  const fields = new Map();
+  const entities = {};
+
+  for (const [name, value] of Object.entries(state)) {
+    if (collections.includes(name)) {
+      entities[name] = new Map(
+        value.map((entity) => [entity.id, JSON.stringify(entity)])
+      );
+    } else {
+      fields.set(name, JSON.stringify(value));
+    }
+  }
+
+  return { fields, entities };
+}
+
+export class StateBroadcaster {
+  constructor({
+    event,
+    collections = [],
+    keyframeEvery = KEYFRAME_EVERY,
+    historySize = HISTORY_SIZE,
+  }) {
+    this.event = event;
+    this.collections = collections;
+    this.keyframeEvery = keyframeEvery;
+    this.historySize = historySize;
+    this.seq = 0;
+    this.history = new Map(); // seq → encoded snapshot, oldest first
+    this.clients = new Map(); // socketId → { ackedSeq, keyframeSeq }
+  }
+
+  // A client applied snapshot `seq`; seq 0 subscribes it to deltas.
+  // Acknowledgements that arrive out of order are ignored.
+  acknowledge(socketId, seq) {
+    let client = this.clients.get(socketId);
+    if (!client) {
+      client = { ackedSeq: null, keyframeSeq: null };
+      this.clients.set(socketId, client);
+    }
+    if (this.history.has(seq) && seq > (client.ackedSeq ?? 0)) {
+      client.ackedSeq = seq;
+    }
+  }
+
+  removeClient(socketId) {
+    this.clients.delete(socketId);
+  }
+
+  // Changes from `base` (an encoded snapshot, or null for a keyframe)
+  diff(state, encoded, base) {
+    const payload = {
+      seq: this.seq,
+      baseSeq: base ? base.seq : null,
+      keyframe: !base,
+      serverTime: Date.now(),
+    };
+
+    for (const [name, json] of encoded.fields) {
+      if (!base || base.fields.get(name) !== json) {
+        payload[name] = state[name];
+      }
+    }
+
+    for (const name of this.collections) {
+      const current = encoded.entities[name] || new Map();
+      const before = base?.entities[name] || new Map();
+      payload[name] = {
+        changed: (state[name] || []).filter(
+          (entity) => before.get(entity.id) !== current.get(entity.id)
+        ),
+        removed: Array.from(before.keys()).filter((id) => !current.has(id)),
+      };
+    }
+
+    return payload;
+  }
+
+  // Record the room's next snapshot and send it: a diff to every subscribed
+  // client, and legacyState() on legacyEvent to the rest of the room
+  broadcast(io, roomId, state, { legacyEvent = null, legacyState } = {}) {
+    if (!io) return;
+
+    this.seq++;
+    const encoded = { seq: this.seq, ...encode(state, this.collections) };
+    this.history.set(this.seq, encoded);
+    if (this.history.size > this.historySize) {
+      this.history.delete(this.history.keys().next().value);
+    }
+
+    // Clients acknowledged up to the same snapshot share one payload
+    const payloads = new Map(); // baseSeq → payload
+    for (const [socketId, client] of this.clients) {
+      const dueKeyframe =
+        client.keyframeSeq === null ||
+        this.seq - client.keyframeSeq >= this.keyframeEvery;
+      const base = dueKeyframe ? null : this.history.get(client.ackedSeq);
+      const key = base ? base.seq : null;
+
+      if (!payloads.has(key)) {
+        payloads.set(key, this.diff(state, encoded, base));
+      }
+      if (!base) client.keyframeSeq = this.seq;
+      io.to(socketId).emit(this.event, payloads.get(key));
+    }
+
+    if (legacyEvent) {
+      const subscribed = Array.from(this.clients.keys());
+      const legacy = subscribed.length
+        ? io.to(roomId).except(subscribed)
+        : io.to(roomId);
+      legacy.emit(legacyEvent, legacyState());
+    }
+  }
+}
+
+export default {
+  KEYFRAME_EVERY,
+  HISTORY_SIZE,
+  StateBroadcaster,
+};
@@ -0,0 +1,262 @@
+// Test the Game Vault Program Client in an in-process bank
+// Runs initializeVault, deposit, settle and refund end to end on a
+// solana-bankrun bank with throwaway keypairs, so no validator or network is
+// needed and nothing here touches real funds. The program binary is not
+// checked in: build the game-vault program so that game_vault.so sits in
+// SBF_OUT_DIR (default target/deploy), set GAME_VAULT_PROGRAM_ID to the id it
+// was built with, then run `npm run test:vault`.
+// Exits with status 1 if any check fails.
+
+import fs from "fs";
+import path from "path";
+import bs58 from "bs58";
+import {
+  Keypair,
+  LAMPORTS_PER_SOL,
+  SystemProgram,
+  Transaction,
+} from "@solana/web3.js";
+import { start } from "solana-bankrun";
+import {
+  createGameVaultClient,
+  GAME_VAULT_PROGRAM_ID,
+} from "./game-vault-client.js";
+import { gameIdSeed } from "./game-pda.js";
+
+const DEFAULT_PROGRAM_DIR = "target/deploy";
+const STARTING_BALANCE = 2 * LAMPORTS_PER_SOL;
+const ENTRY_FEE = LAMPORTS_PER_SOL / 10;
+const PLATFORM_FEE = ENTRY_FEE / 10;
+
+let failures = 0;
+
+function check(name, passed, detail = "") {
+  if (passed) {
+    console.log(`   ✅ ${name}`);
+  } else {
+    failures++;
+    console.log(`   ❌ ${name}${detail ? ` (${detail})` : ""}`);
+  }
+}
+
+// Run fn and report whether it was rejected with the program error `name`
+async function expectProgramError(name, fn) {
+  try {
+    await fn();
+    check(`rejected with ${name}`, false, "transaction succeeded");
+  } catch (error) {
+    const message = `${error.message} ${(error.logs || []).join(" ")}`;
+    check(`rejected with ${name}`, message.includes(name), error.message);
+  }
+}
+
+// The subset of Connection the vault client and Anchor use, served by the
+// bank. Failed transactions throw with their logs so Anchor can name the
+// program error, the same as a preflight failure on a real cluster.
+function bankConnection(banksClient) {
+  return {
+    async getLatestBlockhash() {
+      const [blockhash, lastValidBlockHeight] =
+        await banksClient.getLatestBlockhash();
+      return { blockhash, lastValidBlockHeight: Number(lastValidBlockHeight) };
+    },
+
+    async sendRawTransaction(rawTransaction) {
+      const transaction = Transaction.from(rawTransaction);
+      const { result, meta } =
+        await banksClient.tryProcessTransaction(transaction);
+      if (result) {
+        const error = new Error(`Transaction failed: ${result}`);
+        error.logs = meta?.logMessages || [];
+        throw error;
+      }
+      return bs58.encode(transaction.signature);
+    },
+
+    // sendRawTransaction only returns once the bank has processed it
+    async confirmTransaction() {
+      return { value: { err: null } };
+    },
+
+    async getAccountInfo(address) {
+      const account = await banksClient.getAccount(address);
+      return account && { ...account, data: Buffer.from(account.data) };
+    },
+
+    async getAccountInfoAndContext(address) {
+      const slot = Number(await banksClient.getSlot());
+      return { context: { slot }, value: await this.getAccountInfo(address) };
+    },
+
+    async getBalance(address) {
+      return Number(await banksClient.getBalance(address));
+    },
+  };
+}
+
+// Keypairs the bank starts with STARTING_BALANCE lamports each
+function fundedKeypairs(count) {
+  const keypairs = Array.from({ length: count }, () => Keypair.generate());
+  const accounts = keypairs.map((keypair) => ({
+    address: keypair.publicKey,
+    info: {
+      lamports: STARTING_BALANCE,
+      data: Buffer.alloc(0),
+      owner: SystemProgram.programId,
+      executable: false,
+    },
+  }));
+  return { keypairs, accounts };
+}
+
+// The player signs the unsigned deposit transaction the client builds
+async function deposit(connection, client, gameSeed, player, amount) {
+  const transaction = await client.buildDepositTransaction({
+    gameSeed,
+    player: player.publicKey,
+    amount,
+  });
+  transaction.sign(player);
+
+  return connection.sendRawTransaction(transaction.serialize());
+}
+
+async function testGameVault() {
+  console.log("🧪 TESTING GAME VAULT PROGRAM CLIENT");
+  console.log("====================================");
+
+  if (!GAME_VAULT_PROGRAM_ID) {
+    console.log("❌ Set GAME_VAULT_PROGRAM_ID to the program's declared id");
+    process.exit(1);
+  }
+
+  // bankrun loads <name>.so from SBF_OUT_DIR
+  process.env.SBF_OUT_DIR = path.resolve(
+    process.env.SBF_OUT_DIR || DEFAULT_PROGRAM_DIR
+  );
+  const programPath = path.join(process.env.SBF_OUT_DIR, "game_vault.so");
+  if (!fs.existsSync(programPath)) {
+    console.log(`❌ ${programPath} not found: build the game-vault program`);
+    console.log("   first, or point SBF_OUT_DIR at the directory holding it");
+    process.exit(1);
+  }
+
+  const {
+    keypairs: [authority, alice, bob, carol, outsider],
+    accounts,
+  } = fundedKeypairs(5);
+  const context = await start(
+    [{ name: "game_vault", programId: GAME_VAULT_PROGRAM_ID }],
+    accounts
+  );
+  const connection = bankConnection(context.banksClient);
+  const client = createGameVaultClient(connection, authority);
+  console.log(`🏦 ${programPath}, program ${GAME_VAULT_PROGRAM_ID.toBase58()}`);
+
+  // 1. A two player game that is settled
+  console.log("\n1️⃣ Initialize, deposit and settle...");
+  const settledSeed = gameIdSeed(`vault-test-settle-${Date.now()}`);
+  await client.initializeVault({
+    gameSeed: settledSeed,
+    entryFee: ENTRY_FEE,
+    maxPlayers: 2,
+  });
+  let game = await client.fetchGame(settledSeed);
+  check("game account created", game?.status === "open", game?.status);
+
+  await expectProgramError("WrongEntryFee", () =>
+    deposit(connection, client, settledSeed, alice, ENTRY_FEE / 2)
+  );
+
+  await deposit(connection, client, settledSeed, alice, ENTRY_FEE);
+  await deposit(connection, client, settledSeed, bob, ENTRY_FEE);
+  game = await client.fetchGame(settledSeed);
+  check("two players deposited", game.playerCount === 2, game.playerCount);
+  check(
+    "vault holds both entry fees",
+    game.totalDeposited === 2 * ENTRY_FEE &&
+      game.vaultLamports >= 2 * ENTRY_FEE,
+    `${game.totalDeposited} deposited, ${game.vaultLamports} held`
+  );
+
+  await expectProgramError("GameFull", () =>
+    deposit(connection, client, settledSeed, carol, ENTRY_FEE)
+  );
+
+  const intruder = createGameVaultClient(connection, outsider);
+  await expectProgramError("Unauthorized", () =>
+    intruder.settle({
+      gameSeed: settledSeed,
+      winners: [{ wallet: carol.publicKey.toBase58(), lamports: ENTRY_FEE }],
+    })
+  );
+
+  const prize = 2 * ENTRY_FEE - PLATFORM_FEE;
+  const aliceBefore = await connection.getBalance(alice.publicKey);
+  await client.settle({
+    gameSeed: settledSeed,
+    winners: [{ wallet: alice.publicKey.toBase58(), lamports: prize }],
+    platformFee: PLATFORM_FEE,
+  });
+  const aliceAfter = await connection.getBalance(alice.publicKey);
+  game = await client.fetchGame(settledSeed);
+  check("winner paid the prize", aliceAfter - aliceBefore === prize);
+  check("game settled", game.status === "settled", game.status);
+  check(
+    "vault paid out in full",
+    game.totalPaidOut === 2 * ENTRY_FEE,
+    game.totalPaidOut
+  );
+
+  // 2. A game whose only player is refunded
+  console.log("\n2️⃣ Initialize, deposit and refund...");
+  const refundedSeed = gameIdSeed(`vault-test-refund-${Date.now()}`);
+  await client.initializeVault({
+    gameSeed: refundedSeed,
+    entryFee: ENTRY_FEE,
+    maxPlayers: 2,
+  });
+  await deposit(connection, client, refundedSeed, bob, ENTRY_FEE);
+
+  await expectProgramError("InsufficientVaultBalance", () =>
+    client.refund({
+      gameSeed: refundedSeed,
+      player: bob.publicKey.toBase58(),
+      amount: 2 * ENTRY_FEE,
+    })
+  );
+
+  const bobBefore = await connection.getBalance(bob.publicKey);
+  await client.refund({
+    gameSeed: refundedSeed,
+    player: bob.publicKey.toBase58(),
+    amount: ENTRY_FEE,
+  });
+  const bobAfter = await connection.getBalance(bob.publicKey);
+  game = await client.fetchGame(refundedSeed);
+  check("player refunded the entry fee", bobAfter - bobBefore === ENTRY_FEE);
+  check("game refunded", game.status === "refunded", game.status);
+
+  await expectProgramError("GameNotOpen", () =>
+    deposit(connection, client, refundedSeed, carol, ENTRY_FEE)
+  );
+
+  // 3. Reads of a game that was never created
+  console.log("\n3️⃣ Missing game...");
+  const missing = await client.fetchGame(gameIdSeed("vault-test-missing"));
+  check("missing game reads as null", missing === null);
+
+  console.log("\n====================================");
+  if (failures > 0) {
+    console.log(`❌ ${failures} check(s) failed`);
+    process.exit(1);
+  }
+  console.log("🎉 All game vault checks passed");
+  process.exit(0);
+}
+
+// Run the test
+testGameVault().catch((error) => {
+  console.error("❌ Game vault test crashed:", error);
+  process.exit(1);
+});
@@ -6,6 +6,7 @@ import {
   distributeSinglePrize,
   checkPlatformBalance,
 } from "./blockchain-rewards.js";
+import { config } from "./config.js";
 
 async function testRewardSystem() {
   console.log("🧪 TESTING BLOCKCHAIN REWARD DISTRIBUTION SYSTEM");
@@ -61,12 +62,10 @@ async function testRewardSystem() {
 
   // 3. Check if this is a real environment
   console.log("\n3️⃣ Environment Check...");
-  if (process.env.PLATFORM_PRIVATE_KEY) {
-    console.log("✅ PLATFORM_PRIVATE_KEY is set - REAL MODE active");
+  if (config.payoutMode !== "mock") {
+    console.log(`✅ ${config.payoutMode} payouts active`);
     console.log("   🚨 Real blockchain transactions will be sent!");
-    console.log(
-      "   💡 To test safely, remove PLATFORM_PRIVATE_KEY temporarily"
-    );
+    console.log("   💡 To test safely, run with PAYOUT_MODE=mock");
 
     // Ask for confirmation for real transactions
     console.log("\n⚠️  REAL TRANSACTION TEST");
@@ -97,9 +96,11 @@ async function testRewardSystem() {
       console.error("❌ Test distribution failed:", error);
     }
   } else {
-    console.log("⚠️ PLATFORM_PRIVATE_KEY not set - MOCK MODE active");
+    console.log("⚠️ MOCK MODE active");
     console.log("   ✅ Safe for testing - no real transactions");
-    console.log("   📝 Set PLATFORM_PRIVATE_KEY in .env for real transactions");
+    console.log(
+      "   📝 Set PAYOUT_MODE and PLATFORM_PRIVATE_KEY in .env for real transactions"
+    );
 
     // Run mock distribution
     const mockResults = await distributePrizes(mockWinners);
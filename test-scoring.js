@@ -1,11 +1,14 @@
 // Test script to verify scoring and prize distribution
 // Run with: node test-scoring.js
 
+import { Keypair } from "@solana/web3.js";
 import {
-  distributeSmartContractRewards,
   getMockBalanceForWallet,
   updateMockBalanceForWallet,
 } from "./smart-contract-integration.js";
+import { payout } from "./payout-service.js";
+import { config } from "./config.js";
+import { calculateBetPool, splitPrizePool, toLamports } from "./money.js";
 
 console.log("🧪 TESTING SCORING AND PRIZE DISTRIBUTION");
 console.log("==========================================");
@@ -13,16 +16,22 @@ console.log("==========================================");
 // Test data: simulate an orb collector game with 4 players
 const testGameId = "test-game-123";
 const testPlayers = [
-  { wallet: "Player1Wallet111111111111111111111111", score: 150, betAmount: 2 },
-  { wallet: "Player2Wallet222222222222222222222222", score: 120, betAmount: 2 },
-  { wallet: "Player3Wallet333333333333333333333333", score: 90, betAmount: 2 },
-  { wallet: "Player4Wallet444444444444444444444444", score: 150, betAmount: 2 }, // Tie for first!
+  { wallet: Keypair.generate().publicKey.toBase58(), score: 150, betAmount: 2 },
+  { wallet: Keypair.generate().publicKey.toBase58(), score: 120, betAmount: 2 },
+  { wallet: Keypair.generate().publicKey.toBase58(), score: 90, betAmount: 2 },
+  { wallet: Keypair.generate().publicKey.toBase58(), score: 150, betAmount: 2 }, // Tie for first!
 ];
 
 // Calculate prize distribution
-const totalBetPool = testPlayers.reduce((sum, p) => sum + p.betAmount, 0);
-const platformFee = totalBetPool * 0.05;
-const prizePool = totalBetPool - platformFee;
+const {
+  totalAmount: totalBetPool,
+  platformFee,
+  prizePool,
+  prizePoolLamports,
+} = calculateBetPool(
+  testPlayers.map((p) => p.betAmount),
+  500
+);
 
 console.log(`💰 Total bet pool: ${totalBetPool} GOR`);
 console.log(`💸 Platform fee (5%): ${platformFee} GOR`);
@@ -62,7 +71,7 @@ if (maxScore === 0) {
     {
       rank: 1,
       wallet: winner.wallet,
-      prize: parseFloat(prizePool.toFixed(6)),
+      prize: prizePool,
       reason: "winner_takes_all",
     },
   ];
@@ -74,11 +83,11 @@ if (maxScore === 0) {
   );
 } else {
   // Tie scenario - split prize
-  const prizePerPlayer = prizePool / topPlayers.length;
-  winners = topPlayers.map((player) => ({
+  const shares = splitPrizePool(prizePoolLamports, topPlayers.length);
+  winners = topPlayers.map((player, index) => ({
     rank: 1,
     wallet: player.wallet,
-    prize: parseFloat(prizePerPlayer.toFixed(6)),
+    prize: shares[index],
     reason: "tie_split",
   }));
   console.log(
@@ -86,7 +95,7 @@ if (maxScore === 0) {
       2
     )} GOR`
   );
-  console.log(`   Each winner gets: ${prizePerPlayer.toFixed(2)} GOR`);
+  console.log(`   Winner shares: ${shares.join(" / ")} GOR`);
 }
 
 // Test mock balance management
@@ -118,11 +127,20 @@ async function testPrizeDistribution() {
   try {
     console.log("\n🚀 Testing prize distribution...");
 
-    // Set mock mode
-    process.env.NODE_ENV = "development";
-    delete process.env.PLATFORM_PRIVATE_KEY; // Force mock mode
+    // Never pay real money from a test run
+    if (config.payoutMode !== "mock") {
+      console.log("⚠️ Skipping: run with PAYOUT_MODE=mock");
+      return;
+    }
 
-    const results = await distributeSmartContractRewards(testGameId, winners);
+    const results = await payout({
+      gameId: testGameId,
+      recipients: winners.map((winner) => ({
+        rank: winner.rank,
+        wallet: winner.wallet,
+        amount: winner.prize,
+      })),
+    });
 
     console.log("\n✅ Prize distribution results:");
     results.forEach((result) => {
@@ -155,11 +173,15 @@ async function testPrizeDistribution() {
       (sum, r) => sum + r.prize,
       0
     );
+    const lamportsDistributed = successfulDistributions.reduce(
+      (sum, r) => sum + toLamports(r.prize),
+      0
+    );
     console.log(`   Total distributed: ${totalDistributed.toFixed(2)} GOR`);
     console.log(`   Expected prize pool: ${prizePool.toFixed(2)} GOR`);
     console.log(
       `   Match: ${
-        Math.abs(totalDistributed - prizePool) < 0.01 ? "✅ YES" : "❌ NO"
+        lamportsDistributed === prizePoolLamports ? "✅ YES" : "❌ NO"
       }`
     );
   } catch (error) {
@@ -15,7 +15,7 @@ const requiredPatterns = {
   "paymentConfirmed: false": "Players must start with unconfirmed payment",
   "confirmPayment(playerId)": "Must have payment confirmation method",
   "calculateBetPool()": "Must calculate prize pool with platform fees",
-  "platformFee = totalBets * 0.1": "Must use 10% platform fee",
+  'from "./money.js"': "Must compute bet pools in integer lamports",
 };
 
 // Socket handler patterns (can be in server.js instead of game files)
@@ -23,7 +23,7 @@ const socketPatterns = {
   validateEntryFeePayment: "Must validate blockchain transactions",
   collectValidatedEntryFee: "Must collect validated entry fees to escrow",
   ensurePlatformBalance: "Must check platform balance before games",
-  distributeSmartContractRewards: "Must distribute real blockchain prizes",
+  "payout({": "Must pay prizes through the payout service",
 };
 
 // Games to check
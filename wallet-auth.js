@@ -0,0 +1,243 @@
+// Wallet Authentication
+// Sign-in with Solana. The client asks for a nonce, signs the returned
+// message with its wallet, and trades the signature for a session token.
+// Socket.IO connections present that token in the handshake
+// (io({ auth: { token } })) and every socket is bound to the one wallet that
+// signed in. Demo clients connect with { auth: { demo: true } } and may only
+// use throwaway demo_ wallets.
+//
+// Session tokens are HMAC-signed and stateless: "v1.<payload>.<signature>",
+// with a base64url JSON payload { wallet, iat, exp }.
+
+import crypto from "crypto";
+import bs58 from "bs58";
+import { PublicKey } from "@solana/web3.js";
+import { config } from "./config.js";
+import { AuthNonce } from "./models.js";
+
+const NONCE_TTL_MS = 5 * 60 * 1000; // 5 minutes to sign
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const TOKEN_VERSION = "v1";
+const SIGN_IN_DOMAIN = config.signInDomain;
+
+let sessionSecret = config.sessionSecret;
+if (!sessionSecret) {
+  // Sessions still work, but every restart signs everyone out
+  sessionSecret = crypto.randomBytes(32).toString("hex");
+  console.warn(
+    "⚠️ SESSION_SECRET not set - using a random key, sessions end on restart"
+  );
+}
+
+export function isDemoWallet(wallet) {
+  return typeof wallet === "string" && wallet.startsWith("demo_");
+}
+
+// Demo and mock wallets never pay on-chain; real wallet rooms ignore them
+export function isPracticeWallet(wallet) {
+  return (
+    typeof wallet === "string" &&
+    (wallet.startsWith("demo_") || wallet.startsWith("mock_"))
+  );
+}
+
+function isValidWallet(wallet) {
+  try {
+    new PublicKey(wallet);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+export function buildSignInMessage({ wallet, nonce, issuedAt, expiresAt }) {
+  return [
+    `${SIGN_IN_DOMAIN} wants you to sign in with your Solana account:`,
+    wallet,
+    "",
+    "Sign in to Gorbagana Games.",
+    "",
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt.toISOString()}`,
+    `Expiration Time: ${expiresAt.toISOString()}`,
+  ].join("\n");
+}
+
+// Create a single-use sign-in challenge for a wallet
+export async function issueNonce(wallet) {
+  if (!isValidWallet(wallet)) {
+    return { success: false, error: "Invalid wallet address" };
+  }
+
+  const nonce = crypto.randomBytes(16).toString("hex");
+  const issuedAt = new Date();
+  const expiresAt = new Date(issuedAt.getTime() + NONCE_TTL_MS);
+  const message = buildSignInMessage({ wallet, nonce, issuedAt, expiresAt });
+
+  await AuthNonce.create({ nonce, walletAddress: wallet, message, expiresAt });
+
+  return { success: true, nonce, message, expiresAt };
+}
+
+// ed25519 check using Node's crypto; a Solana address is the raw public key
+export function verifyWalletSignature(wallet, message, signature) {
+  try {
+    const publicKey = crypto.createPublicKey({
+      key: {
+        kty: "OKP",
+        crv: "Ed25519",
+        x: Buffer.from(new PublicKey(wallet).toBytes()).toString("base64url"),
+      },
+      format: "jwk",
+    });
+
+    return crypto.verify(
+      null,
+      Buffer.from(message, "utf8"),
+      publicKey,
+      Buffer.from(bs58.decode(signature))
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
+function signPayload(encodedPayload) {
+  return crypto
+    .createHmac("sha256", sessionSecret)
+    .update(`${TOKEN_VERSION}.${encodedPayload}`)
+    .digest("base64url");
+}
+
+export function createSessionToken(wallet) {
+  const iat = Date.now();
+  const payload = Buffer.from(
+    JSON.stringify({ wallet, iat, exp: iat + SESSION_TTL_MS })
+  ).toString("base64url");
+
+  return {
+    token: `${TOKEN_VERSION}.${payload}.${signPayload(payload)}`,
+    expiresAt: new Date(iat + SESSION_TTL_MS),
+  };
+}
+
+// Returns { valid, wallet, expiresAt, error }
+export function verifySessionToken(token) {
+  if (typeof token !== "string") {
+    return { valid: false, error: "Missing session token" };
+  }
+
+  const [version, payload, signature] = token.split(".");
+  if (version !== TOKEN_VERSION || !payload || !signature) {
+    return { valid: false, error: "Malformed session token" };
+  }
+
+  const expected = Buffer.from(signPayload(payload));
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return { valid: false, error: "Invalid session token" };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch (error) {
+    return { valid: false, error: "Malformed session token" };
+  }
+
+  if (!claims.exp || claims.exp <= Date.now()) {
+    return { valid: false, error: "Session expired" };
+  }
+
+  return {
+    valid: true,
+    wallet: claims.wallet,
+    expiresAt: new Date(claims.exp),
+  };
+}
+
+// Consume the nonce and check the wallet's signature over its message.
+// Returns { success, token, wallet, expiresAt } or { success: false, error }.
+export async function verifySignIn({ wallet, nonce, signature }) {
+  if (!wallet || !nonce || !signature) {
+    return {
+      success: false,
+      error: "wallet, nonce and signature are required",
+    };
+  }
+
+  // Deleting the nonce first makes it single-use even if two requests race
+  const challenge = await AuthNonce.findOneAndDelete({
+    nonce,
+    walletAddress: wallet,
+    expiresAt: { $gt: new Date() },
+  });
+
+  if (!challenge) {
+    return { success: false, error: "Sign-in nonce is invalid or expired" };
+  }
+
+  if (!verifyWalletSignature(wallet, challenge.message, signature)) {
+    return { success: false, error: "Signature verification failed" };
+  }
+
+  const { token, expiresAt } = createSessionToken(wallet);
+  console.log(`🔐 Wallet signed in: ${wallet.slice(0, 8)}...`);
+
+  return { success: true, token, wallet, expiresAt };
+}
+
+// Socket.IO handshake middleware: bind each socket to its signed-in wallet
+export function socketAuthMiddleware(socket, next) {
+  const { token, demo } = socket.handshake.auth || {};
+
+  if (!token && demo === true) {
+    socket.data.wallet = null;
+    socket.data.demo = true;
+    return next();
+  }
+
+  const session = verifySessionToken(token);
+  if (!session.valid) {
+    return next(new Error(`Unauthorized: ${session.error}`));
+  }
+
+  socket.data.wallet = session.wallet;
+  socket.data.demo = false;
+  next();
+}
+
+// The wallet a socket may act as. Handlers pass the wallet the client sent
+// so a mismatch is rejected instead of silently replaced; practice wallets
+// (demo_ and mock_) move no money and are accepted as-is.
+export function getSocketWallet(socket, claimedWallet = null) {
+  if (isPracticeWallet(claimedWallet)) {
+    return claimedWallet;
+  }
+
+  if (!socket.data.wallet) {
+    throw new Error("Sign in with your wallet to play");
+  }
+
+  if (claimedWallet && claimedWallet !== socket.data.wallet) {
+    throw new Error("Wallet does not match your signed-in session");
+  }
+
+  return socket.data.wallet;
+}
+
+export default {
+  isDemoWallet,
+  isPracticeWallet,
+  buildSignInMessage,
+  issueNonce,
+  verifyWalletSignature,
+  createSessionToken,
+  verifySessionToken,
+  verifySignIn,
+  socketAuthMiddleware,
+  getSocketWallet,
+};
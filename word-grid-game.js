@@ -4,7 +4,8 @@ import {
   findWordsInGrid,
   wordCount,
 } from "./word-dictionary.js";
-import { distributePrizes } from "./blockchain-rewards.js";
+import { payout } from "./payout-service.js";
+import { calculateBetPool } from "./money.js";
 import { v4 as uuidv4 } from "uuid";
 
 console.log(`🔤 Word Grid game loaded with ${wordCount} words for validation`);
@@ -180,17 +181,7 @@ class WordGridRoom {
   }
 
   calculateBetPool() {
-    const totalBets = this.players.reduce(
-      (sum, player) => sum + player.betAmount,
-      0
-    );
-    const platformFee = totalBets * 0.1; // 10% platform fee
-
-    return {
-      totalAmount: totalBets,
-      platformFee: platformFee,
-      prizePool: totalBets - platformFee,
-    };
+    return calculateBetPool(this.players.map((player) => player.betAmount));
   }
 
   removePlayer(playerId) {
@@ -447,15 +438,19 @@ class WordGridRoom {
   }
 
   async distributePrizes(gameStats) {
-    const { distributeSmartContractRewards } = await import(
-      "./blockchain-rewards.js"
-    );
-
     try {
       console.log(`💰 Distributing Word Grid prizes for game ${this.id}`);
-      const result = await distributeSmartContractRewards(this.id, [
-        gameStats.winner,
-      ]);
+      const result = await payout({
+        gameId: this.id,
+        gameType: "wordGrid",
+        recipients: [
+          {
+            rank: 1,
+            wallet: gameStats.winner.wallet,
+            amount: gameStats.betPool.prizePool,
+          },
+        ],
+      });
       console.log(`✅ Word Grid prizes distributed successfully:`, result);
       return result;
     } catch (error) {